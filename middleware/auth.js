@@ -0,0 +1,142 @@
+const adminAuth = require('../services/adminAuth');
+const { hasRole, canAccessBusiness } = require('../services/adminAuth');
+
+const SESSION_COOKIE = 'admin_session';
+
+let warnedOpen = false;
+
+/**
+ * A cookie from the request, or null
+ */
+function readCookie(req, name) {
+  for (const part of String(req.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Who sent a request: an API key (`Authorization: Bearer <key>` or
+ * `X-API-Key`, or `?key=` where allowed) or a dashboard session cookie
+ * @returns {Object} Principal `{ type, name, role, businesses }`, or null
+ */
+function authenticate(req, { allowQueryKey = false } = {}) {
+  const bearer = String(req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const key = (bearer && bearer[1]) || req.get('X-API-Key') || (allowQueryKey && req.query.key);
+  if (key) return adminAuth.authenticateKey(key);
+
+  return adminAuth.authenticateSession(readCookie(req, SESSION_COOKIE));
+}
+
+/**
+ * Business a request is about: the `:businessId` in the path, or
+ * `business_id`/`businessId` in the query or body
+ */
+function requestedBusiness(req) {
+  const body = req.body || {};
+  return req.params.businessId || req.query.business_id || body.businessId || body.business_id || null;
+}
+
+/**
+ * Business named in the request body only, for routes that create records
+ * from the body, so a `business_id` in the query can't stand in for it
+ */
+function bodyBusiness(req) {
+  const body = req.body || {};
+  return body.businessId || body.business_id || null;
+}
+
+/**
+ * Middleware letting a request through when its sender has `role` (or a
+ * higher one) for the business it's about. Responds 401 when nobody is
+ * logged in and 403 when the role or business isn't covered; the
+ * principal is left on `req.auth`.
+ *
+ * Until a user or API key is configured the management API stays open,
+ * except when NODE_ENV is production, where it refuses everything.
+ * @param {string} role - 'read-only', 'staff' or 'owner'
+ * @param {Object} options
+ * @param {Function|boolean} options.business - Finds the business from the
+ *   request (may be async): its ID, null when it names none (only
+ *   principals for every business get through), or undefined when the
+ *   record asked for doesn't exist, so the route can answer 404. False
+ *   leaves the check to the route.
+ * @param {boolean} options.allowQueryKey - Accept `?key=`, for calendar
+ *   apps that can't send headers
+ */
+function requireRole(role, { business = requestedBusiness, allowQueryKey = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (!adminAuth.isConfigured()) {
+        if (process.env.NODE_ENV === 'production') {
+          return res.status(503).json({
+            error: 'Authentication not configured',
+            message: 'Set ADMIN_API_KEY or add users to ADMIN_USERS_FILE'
+          });
+        }
+        if (!warnedOpen) {
+          warnedOpen = true;
+          console.warn('[AUTH] No admin users or API keys configured; the management API is open');
+        }
+        return next();
+      }
+
+      const principal = authenticate(req, { allowQueryKey });
+      if (!principal) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Log in at /admin/login or send an API key'
+        });
+      }
+      req.auth = principal;
+
+      if (!hasRole(principal, role)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `This needs the ${role} role; ${principal.name} is ${principal.role}`
+        });
+      }
+
+      if (business) {
+        const businessId = await business(req);
+        if (businessId !== undefined && !canAccessBusiness(principal, businessId)) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: businessId
+              ? `No access to business_id: ${businessId}`
+              : 'Give a business_id you have access to'
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('[AUTH] Error checking access:', error);
+      res.status(500).json({
+        error: 'Failed to check access',
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * requireRole with `readRole` for GET and HEAD requests and `writeRole`
+ * for the rest, for whole routers
+ */
+function requireRoleByMethod(readRole, writeRole, options = {}) {
+  const read = requireRole(readRole, options);
+  const write = requireRole(writeRole, options);
+  return (req, res, next) => (req.method === 'GET' || req.method === 'HEAD' ? read : write)(req, res, next);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  readCookie,
+  authenticate,
+  requestedBusiness,
+  bodyBusiness,
+  requireRole,
+  requireRoleByMethod
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const Joi = require('joi');
+const adminAuth = require('../services/adminAuth');
+const { SESSION_COOKIE, readCookie, authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+const loginSchema = Joi.object({
+  username: Joi.string().max(100).required(),
+  password: Joi.string().max(200).required()
+});
+
+function sessionCookie(value, maxAgeSeconds) {
+  return [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    // Never sent with requests from other sites
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    ...(process.env.NODE_ENV === 'production' ? ['Secure'] : [])
+  ].join('; ');
+}
+
+/**
+ * Log in to the dashboard; the session is kept in an HttpOnly cookie
+ * POST /admin/login { "username": "...", "password": "..." }
+ */
+router.post('/login', (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid login',
+        details: error.details[0].message
+      });
+    }
+
+    const session = adminAuth.login(value.username, value.password);
+    if (!session) {
+      console.warn(`[AUTH] Failed login for ${value.username}`);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Wrong username or password'
+      });
+    }
+
+    res.set('Set-Cookie', sessionCookie(session.sessionId, Math.round(adminAuth.sessionTtlMs / 1000)));
+    res.json({
+      success: true,
+      user: session.principal,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('[AUTH] Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * End the dashboard session
+ * POST /admin/logout
+ */
+router.post('/logout', (req, res) => {
+  adminAuth.logout(readCookie(req, SESSION_COOKIE));
+  res.set('Set-Cookie', sessionCookie('', 0));
+  res.json({ success: true });
+});
+
+/**
+ * Who is logged in (or which API key was sent), and what they can do
+ * GET /admin/me
+ */
+router.get('/me', (req, res) => {
+  try {
+    const principal = authenticate(req);
+    if (!principal) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Log in at /admin/login or send an API key',
+        configured: adminAuth.isConfigured()
+      });
+    }
+
+    res.json({ success: true, user: principal });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to check session',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs');
-const path = require('path');
-const Joi = require('joi');
-
-// Schema for business data validation
-const businessSchema = Joi.object({
-  name: Joi.string().required(),
-  phone: Joi.string().optional(),
-  address: Joi.string().optional(),
-  hours: Joi.object().pattern(
-    Joi.string(),
-    Joi.string()
-  ).optional(),
-  services: Joi.array().items(
-    Joi.object({
-      name: Joi.string().required(),
-      description: Joi.string().optional(),
-      price: Joi.number().optional(),
-      duration: Joi.number().optional()
-    })
-  ).optional(),
-  delivery: Joi.object({
-    available: Joi.boolean().optional(),
-    areas: Joi.array().items(Joi.string()).optional(),
-    fee: Joi.number().optional(),
-    minimum: Joi.number().optional()
-  }).optional(),
-  payment_methods: Joi.array().items(Joi.string()).optional(),
-  special_notes: Joi.object().optional()
-});
+const { SCHEMA_VERSION, DIETARY_TAGS } = require('../services/businessProfile');
+const { filterMenu } = require('../services/menu');
+const ordersRouter = require('./orders');
+const hoursExceptionsRouter = require('./hoursExceptions');
+const {
+  getBusinessFilePath,
+  loadBusinessData,
+  saveBusinessData,
+  listBusinessIds,
+  checkBusinessData
+} = require('../services/businessData');
+const { canAccessBusiness } = require('../services/adminAuth');
+const { requireRole, requireRoleByMethod } = require('../middleware/auth');
+
+// Phone and API orders for the kitchen
+router.use('/orders', ordersRouter);
+
+// Holidays, closures and special hours
+router.use('/business/:businessId/exceptions', requireRoleByMethod('read-only', 'staff'), hoursExceptionsRouter);
 
 /**
  * Save business data
  * POST /api/business/:businessId
  */
-router.post('/business/:businessId', async (req, res) => {
+router.post('/business/:businessId', requireRole('owner'), async (req, res) => {
   try {
     const { businessId } = req.params;
 
@@ -47,31 +37,23 @@ router.post('/business/:businessId', async (req, res) => {
       });
     }
 
-    // Validate business data
-    const { error, value } = businessSchema.validate(req.body);
-    if (error) {
+    // Legacy layouts are upgraded before validation against the business schema
+    const { value, errors, filePath } = saveBusinessData(businessId, req.body);
+    if (errors.length > 0) {
       return res.status(400).json({
         error: 'Invalid business data',
-        details: error.details[0].message
+        details: errors[0],
+        errors
       });
     }
 
-    // Ensure data directory exists
-    const dataDir = path.join(__dirname, '..', 'data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-
-    // Save business data to file
-    const filePath = path.join(dataDir, `${businessId}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
-
     console.log(`[API] Business data saved for: ${businessId}`);
 
     res.json({
       success: true,
       message: `Business data saved for ${businessId}`,
       business_id: businessId,
+      schema_version: value.schema_version,
       file_path: filePath
     });
 
@@ -88,19 +70,18 @@ router.post('/business/:businessId', async (req, res) => {
  * Get business data
  * GET /api/business/:businessId
  */
-router.get('/business/:businessId', async (req, res) => {
+router.get('/business/:businessId', requireRole('read-only'), async (req, res) => {
   try {
     const { businessId } = req.params;
-    const filePath = path.join(__dirname, '..', 'data', `${businessId}.json`);
 
-    if (!fs.existsSync(filePath)) {
+    if (!fs.existsSync(getBusinessFilePath(businessId))) {
       return res.status(404).json({
         error: 'Business not found',
         message: `No data found for business_id: ${businessId}`
       });
     }
 
-    const businessData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const businessData = loadBusinessData(businessId);
 
     res.json({
       success: true,
@@ -118,28 +99,62 @@ router.get('/business/:businessId', async (req, res) => {
 });
 
 /**
- * List all businesses
- * GET /api/businesses
+ * Get a business's menu catalogue
+ * GET /api/business/:businessId/menu?dietary=vegan,halal&category=pizzas
  */
-router.get('/businesses', async (req, res) => {
+router.get('/business/:businessId/menu', requireRole('read-only'), async (req, res) => {
   try {
-    const dataDir = path.join(__dirname, '..', 'data');
+    const { businessId } = req.params;
 
-    if (!fs.existsSync(dataDir)) {
-      return res.json({
-        success: true,
-        businesses: []
+    if (!fs.existsSync(getBusinessFilePath(businessId))) {
+      return res.status(404).json({
+        error: 'Business not found',
+        message: `No data found for business_id: ${businessId}`
       });
     }
 
-    const files = fs.readdirSync(dataDir)
-      .filter(file => file.endsWith('.json'))
-      .map(file => {
-        const businessId = file.replace('.json', '');
-        const filePath = path.join(dataDir, file);
+    const dietary = req.query.dietary
+      ? String(req.query.dietary).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+      : [];
+    const unknown = dietary.filter(tag => !DIETARY_TAGS.includes(tag));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid dietary filter',
+        message: `Unknown dietary tags: ${unknown.join(', ')}. Use one of: ${DIETARY_TAGS.join(', ')}`
+      });
+    }
+
+    const businessData = loadBusinessData(businessId);
+    const menu = filterMenu(businessData.menu, { dietary, category: req.query.category });
+
+    res.json({
+      success: true,
+      business_id: businessId,
+      categories: menu.categories
+    });
+
+  } catch (error) {
+    console.error('[API] Error loading menu:', error);
+    res.status(500).json({
+      error: 'Failed to load menu',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List all businesses
+ * GET /api/businesses
+ */
+router.get('/businesses', requireRole('read-only', { business: false }), async (req, res) => {
+  try {
+    const files = listBusinessIds()
+      .filter(businessId => canAccessBusiness(req.auth, businessId))
+      .map(businessId => {
+        const filePath = getBusinessFilePath(businessId);
 
         try {
-          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          const data = loadBusinessData(businessId);
           return {
             business_id: businessId,
             name: data.name || businessId,
@@ -147,7 +162,7 @@ router.get('/businesses', async (req, res) => {
             modified: fs.statSync(filePath).mtime
           };
         } catch (error) {
-          console.error(`Error reading business file ${file}:`, error);
+          console.error(`Error reading business file ${businessId}.json:`, error);
           return null;
         }
       })
@@ -168,14 +183,44 @@ router.get('/businesses', async (req, res) => {
   }
 });
 
+/**
+ * Report stored business profiles that fail schema validation
+ * GET /api/businesses/validation
+ */
+router.get('/businesses/validation', requireRole('read-only', { business: false }), async (req, res) => {
+  try {
+    const reports = listBusinessIds()
+      .filter(businessId => canAccessBusiness(req.auth, businessId))
+      .map(checkBusinessData);
+    const invalid = reports.filter(report => !report.valid);
+
+    res.json({
+      success: true,
+      schema_version: SCHEMA_VERSION,
+      total: reports.length,
+      invalid_count: invalid.length,
+      needs_migration_count: reports.filter(report => report.needs_migration).length,
+      invalid,
+      businesses: reports
+    });
+
+  } catch (error) {
+    console.error('[API] Error validating businesses:', error);
+    res.status(500).json({
+      error: 'Failed to validate businesses',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Delete business data
  * DELETE /api/business/:businessId
  */
-router.delete('/business/:businessId', async (req, res) => {
+router.delete('/business/:businessId', requireRole('owner'), async (req, res) => {
   try {
     const { businessId } = req.params;
-    const filePath = path.join(__dirname, '..', 'data', `${businessId}.json`);
+    const filePath = getBusinessFilePath(businessId);
 
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({
@@ -214,8 +259,18 @@ router.get('/health', (req, res) => {
     endpoints: [
       'POST /api/business/:businessId - Save business data',
       'GET /api/business/:businessId - Get business data',
+      'GET /api/business/:businessId/menu - Get menu (filters: dietary, category)',
+      'GET /api/business/:businessId/exceptions - List hours exceptions (filters: from, to)',
+      'POST /api/business/:businessId/exceptions - Add a closure or special hours',
+      'PUT /api/business/:businessId/exceptions/:exceptionId - Update an hours exception',
+      'DELETE /api/business/:businessId/exceptions/:exceptionId - Remove an hours exception',
       'GET /api/businesses - List all businesses',
-      'DELETE /api/business/:businessId - Delete business data'
+      'GET /api/businesses/validation - Profiles that fail schema validation',
+      'DELETE /api/business/:businessId - Delete business data',
+      'GET /api/orders - List orders (filters: business_id, status)',
+      'POST /api/orders - Place an order',
+      'GET /api/orders/:orderId - Get an order',
+      'PATCH /api/orders/:orderId - Update order status'
     ]
   });
 });
@@ -0,0 +1,36 @@
+const express = require('express');
+const audioCleanup = require('../services/audioCleanup');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Generated audio is shared by every business, so these need a user or key
+// that covers all of them
+
+/**
+ * Remove expired and excess TTS files
+ * GET /audio/cleanup
+ */
+router.get('/cleanup', requireRole('owner'), async (req, res) => {
+  try {
+    const result = await audioCleanup.cleanupOldFiles();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * How many TTS files are stored and how much space they take
+ * GET /audio/info
+ */
+router.get('/info', requireRole('read-only'), async (req, res) => {
+  try {
+    const info = await audioCleanup.getStorageInfo();
+    res.json(info);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,101 @@
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
+const Joi = require('joi');
 const calendarService = require('../services/calendarService');
+const tokenStore = require('../services/tokenStore');
+const { getGoogleConnection } = require('../services/calendars');
+const { getBusinessFilePath } = require('../services/businessData');
+const calendarSync = require('../services/calendarSync');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+// How long the Google consent page may take before the state expires
+const STATE_TTL_MS = 15 * 60 * 1000;
+
+const connectSchema = Joi.object({
+  // Connect this business's own Google account; the default one when missing
+  business_id: Joi.string().optional()
+});
+
+const callbackSchema = Joi.object({
+  code: Joi.string().required(),
+  state: Joi.string().required(),
+  scope: Joi.string().optional()
+});
+
+/**
+ * OAuth `state` naming the business being connected, signed so the
+ * callback can't be pointed at another business
+ */
+function createState(businessId, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({ business_id: businessId, issued_at: now })).toString('base64url');
+  return `${payload}.${tokenStore.sign(payload)}`;
+}
+
+/**
+ * The business in a state from createState, or undefined when it's forged
+ * or expired
+ */
+function readState(state, now = Date.now()) {
+  const [payload, signature = ''] = state.split('.');
+  const expected = tokenStore.sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return undefined;
+  }
+
+  const { business_id: businessId, issued_at: issuedAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (!(now - issuedAt >= 0 && now - issuedAt < STATE_TTL_MS)) return undefined;
+  return businessId || null;
+}
+
+function connectionFor(businessId) {
+  return businessId ? getGoogleConnection(businessId) : calendarService;
+}
+
+function businessNotFound(res, businessId) {
+  return res.status(404).json({
+    error: 'Business not found',
+    message: `No data found for business_id: ${businessId}`
+  });
+}
+
+function tokenStorageMissing(res, error) {
+  return res.status(503).json({
+    error: 'Token storage not configured',
+    message: error.message
+  });
+}
+
+/**
+ * GET /auth?business_id=pizzakarachi
+ * Link to Google's consent page for a business's calendar, for its owners;
+ * the default connection needs an owner of every business
+ */
+router.get('/', requireRole('owner'), async (req, res) => {
   try {
-    await calendarService.initialize();
-    const authUrl = calendarService.getAuthUrl();
+    const { error, value } = connectSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const { business_id } = value;
+    if (business_id && !fs.existsSync(getBusinessFilePath(business_id))) {
+      return businessNotFound(res, business_id);
+    }
+
+    const service = connectionFor(business_id);
+    await service.initialize();
+    const authUrl = service.getAuthUrl(createState(business_id || null));
 
     res.json({
       message: 'Click the link below to authorize Google Calendar access',
+      business_id: business_id || null,
       authUrl,
       instructions: [
         '1. Click the authorization URL',
@@ -19,6 +105,7 @@ router.get('/', async (req, res) => {
       ]
     });
   } catch (error) {
+    if (error.code === 'TOKEN_KEY_MISSING') return tokenStorageMissing(res, error);
     console.error('Error generating auth URL:', error);
     res.status(500).json({
       error: 'Failed to generate authorization URL',
@@ -27,13 +114,91 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/status', async (req, res) => {
+/**
+ * GET /auth/callback?code=...&state=...
+ * Where Google sends the browser back (GOOGLE_REDIRECT_URI); stores the
+ * tokens for the business named in the state. Open, since only an owner
+ * could have been given a signed state.
+ */
+router.get('/callback', async (req, res) => {
+  try {
+    if (req.query.error) {
+      return res.status(400).json({
+        error: 'Authorization denied',
+        message: `Google returned: ${req.query.error}`
+      });
+    }
+
+    const { error, value } = callbackSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const businessId = readState(value.state);
+    if (businessId === undefined) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: 'Authorization state is invalid or has expired. Start again from /auth.'
+      });
+    }
+
+    const service = connectionFor(businessId);
+    await service.initialize();
+    await service.handleCallback(value.code);
+    // Mirror bookings into the calendar straight away rather than at the next run
+    calendarSync.sync().catch(syncError => console.error('[CALENDAR SYNC] Run failed:', syncError.message));
+
+    res.json({
+      message: businessId
+        ? `Google Calendar connected for ${businessId}`
+        : 'Google Calendar connected',
+      business_id: businessId,
+      authenticated: true
+    });
+  } catch (error) {
+    if (error.code === 'TOKEN_KEY_MISSING') return tokenStorageMissing(res, error);
+    console.error('Error completing authorization:', error);
+    res.status(500).json({
+      error: 'Failed to complete authorization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /auth/status?business_id=pizzakarachi
+ * Whether a business's calendar is connected, and through which account:
+ * its own, or the default one it falls back to
+ */
+router.get('/status', requireRole('owner'), async (req, res) => {
   try {
-    await calendarService.initialize();
+    const { error, value } = connectSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const { business_id } = value;
+    if (business_id && !fs.existsSync(getBusinessFilePath(business_id))) {
+      return businessNotFound(res, business_id);
+    }
+
+    const service = connectionFor(business_id && tokenStore.has(business_id) ? business_id : null);
+    await service.initialize();
+    const connection = tokenStore.list().find(entry => entry.connectionId === service.connectionId);
 
     res.json({
-      authenticated: calendarService.initialized,
-      message: calendarService.initialized
+      business_id: business_id || null,
+      connection: service.connectionId,
+      authenticated: service.initialized,
+      connectedAt: (connection && connection.connectedAt) || null,
+      tokensUpdatedAt: (connection && connection.updatedAt) || null,
+      message: service.initialized
         ? 'Google Calendar is connected and ready'
         : 'Google Calendar authentication required. Use /auth to authenticate.'
     });
@@ -46,4 +211,4 @@ router.get('/status', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,25 +1,149 @@
 const express = require('express');
 const Joi = require('joi');
-const bookingService = require('../services/mockBookingService');
+const fs = require('fs');
+const bookingService = require('../services/bookingService');
+const { BOOKING_STATUSES } = require('../services/bookingStore');
+const { WAITLIST_STATUSES } = require('../services/waitlistStore');
+const { getBusinessFilePath, loadBusinessData } = require('../services/businessData');
+const { findService, findResource } = require('../services/availability');
+const { describeCancellation } = require('../services/cancellationPolicy');
+const { parseDateTime } = require('../services/dateTimeParser');
+const { bookingCalendar, bookingFeed } = require('../services/icalendar');
+const { requireRole, bodyBusiness } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Business of the booking or waitlist entry in the path for access checks;
+// undefined when it doesn't exist, so the route answers 404
+function bookingBusiness(req) {
+  const booking = bookingService.store.get(req.params.bookingId);
+  return booking ? booking.businessId || null : undefined;
+}
+
+function waitlistBusiness(req) {
+  const entry = bookingService.waitlist.get(req.params.waitlistId);
+  return entry ? entry.businessId || null : undefined;
+}
+
+// Profile of the business a stored booking or waitlist entry is with, or null
+function businessFor(booking) {
+  return booking.businessId && fs.existsSync(getBusinessFilePath(booking.businessId))
+    ? loadBusinessData(booking.businessId)
+    : null;
+}
+
 const bookingSchema = Joi.object({
   customerName: Joi.string().min(2).max(100).required(),
   customerEmail: Joi.string().email().required(),
   customerPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).required(),
-  date: Joi.string().isoDate().required(),
+  // Ignored: the day is worked out from startTime in the business's time zone
+  date: Joi.string().isoDate().optional(),
   startTime: Joi.string().isoDate().required(),
   endTime: Joi.string().isoDate().required(),
   serviceType: Joi.string().valid('consultation', 'appointment', 'meeting', 'other').required(),
-  notes: Joi.string().max(500).optional()
+  notes: Joi.string().max(500).optional(),
+  partySize: Joi.number().integer().min(1).max(100).optional(),
+  // Checks the time against the business's hours, booking rules and capacity
+  businessId: Joi.string().optional(),
+  // Service ID or name from the business profile
+  service: Joi.string().optional(),
+  // Staff member or room ID or name; the first free one when missing
+  resource: Joi.string().optional()
 });
 
 const availabilitySchema = Joi.object({
-  date: Joi.string().isoDate().required(),
-  duration: Joi.number().min(15).max(240).default(30)
+  date: Joi.string().isoDate().optional(),
+  // Spoken date and time instead of `date`, e.g. "this Friday around seven"
+  q: Joi.string().max(200).optional(),
+  duration: Joi.number().min(15).max(240).default(30),
+  // Uses the business's hours and booking rules
+  business_id: Joi.string().optional(),
+  // Service ID or name from the business profile; its duration wins
+  service: Joi.string().optional(),
+  // Only this staff member or room
+  resource: Joi.string().optional()
+}).xor('date', 'q');
+
+// Moves a booking (startTime/endTime or service) or edits its details
+const updateSchema = Joi.object({
+  startTime: Joi.string().isoDate().optional(),
+  endTime: Joi.string().isoDate().optional(),
+  service: Joi.string().optional(),
+  resource: Joi.string().optional(),
+  customerName: Joi.string().min(2).max(100).optional(),
+  customerEmail: Joi.string().email().optional(),
+  customerPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).optional(),
+  notes: Joi.string().max(500).optional()
+}).min(1).with('endTime', 'startTime');
+
+const cancelSchema = Joi.object({
+  // Agree to the late cancellation or no-show fee
+  accept_fee: Joi.boolean().default(false)
 });
 
+// Start times the customer would take, e.g. Friday evening
+const waitlistSchema = Joi.object({
+  customerName: Joi.string().min(2).max(100).required(),
+  customerEmail: Joi.string().email().optional(),
+  customerPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).required(),
+  windowStart: Joi.string().isoDate().required(),
+  windowEnd: Joi.string().isoDate().required(),
+  businessId: Joi.string().optional(),
+  service: Joi.string().optional(),
+  partySize: Joi.number().integer().min(1).max(100).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+const waitlistListSchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"date" must be a date like 2026-12-25').optional(),
+  status: Joi.string().valid(...WAITLIST_STATUSES).optional(),
+  business_id: Joi.string().optional()
+});
+
+const listSchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"date" must be a date like 2026-12-25').optional(),
+  status: Joi.string().valid(...BOOKING_STATUSES).optional(),
+  business_id: Joi.string().optional(),
+  // One staff member's or room's bookings, by resource ID
+  resource: Joi.string().optional()
+});
+
+/**
+ * List bookings in start time order
+ * GET /book?date=2026-12-24&status=confirmed&business_id=pizzakarachi
+ */
+router.get('/', requireRole('read-only'), async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const { date, status, business_id, resource } = value;
+    const bookings = (await bookingService.getAllBookings({ date, status, businessId: business_id }))
+      .filter(booking => !resource || booking.resourceId === resource);
+
+    res.json({
+      bookings,
+      count: bookings.length
+    });
+  } catch (error) {
+    console.error('Error listing bookings:', error);
+    res.status(500).json({
+      error: 'Failed to list bookings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Free slots on a date, or on the day a spoken query most likely means
+ * GET /book/availability?date=2026-12-24&business_id=pizzakarachi
+ * GET /book/availability?q=this+friday+around+seven&business_id=pizzakarachi
+ */
 router.get('/availability', async (req, res) => {
   try {
     const { error, value } = availabilitySchema.validate(req.query);
@@ -30,14 +154,59 @@ router.get('/availability', async (req, res) => {
       });
     }
 
-    const { date, duration } = value;
-    const availableSlots = await bookingService.getAvailableSlots(date, duration);
+    const { duration, business_id, service, resource, q } = value;
+    let { date } = value;
+
+    if (business_id && !fs.existsSync(getBusinessFilePath(business_id))) {
+      return res.status(404).json({
+        error: 'Business not found',
+        message: `No data found for business_id: ${business_id}`
+      });
+    }
+    const business = business_id ? loadBusinessData(business_id) : null;
+
+    if (service && !findService(business, service)) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: `Unknown service: ${service}`
+      });
+    }
+    if (resource && !findResource(business, resource)) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: `Unknown resource: ${resource}`
+      });
+    }
+
+    // Most likely day for q; the slots inside its candidate ranges match
+    let candidates = null;
+    if (q) {
+      candidates = parseDateTime(q, { business, timeZone: process.env.TIMEZONE });
+      if (candidates.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid request parameters',
+          details: `Couldn't find a date or time in "q": ${q}`
+        });
+      }
+      date = candidates[0].date;
+    }
+
+    const availableSlots = await bookingService.getAvailableSlots(date, duration, business, {
+      businessId: business_id,
+      service,
+      resource
+    });
 
     res.json({
       date,
       duration,
       availableSlots,
-      count: availableSlots.length
+      count: availableSlots.length,
+      ...(candidates && {
+        query: { q, candidates },
+        matchingSlots: availableSlots.filter(slot => candidates.some(candidate =>
+          candidate.date === date && slot.startTime >= candidate.start && slot.startTime <= candidate.end))
+      })
     });
   } catch (error) {
     console.error('Error fetching availability:', error);
@@ -48,7 +217,191 @@ router.get('/availability', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+/**
+ * The waitlist in the order people joined
+ * GET /book/waitlist?date=2026-12-24&status=waiting&business_id=pizzakarachi
+ */
+router.get('/waitlist', requireRole('read-only'), async (req, res) => {
+  try {
+    const { error, value } = waitlistListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const { date, status, business_id } = value;
+    const waitlist = await bookingService.getWaitlist({ date, status, businessId: business_id });
+
+    res.json({
+      waitlist,
+      count: waitlist.length
+    });
+  } catch (error) {
+    console.error('Error listing waitlist:', error);
+    res.status(500).json({
+      error: 'Failed to list waitlist',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Join the waitlist; a cancellation inside the window is offered to the
+ * longest-waiting entry
+ */
+router.post('/waitlist', requireRole('staff', { business: bodyBusiness }), async (req, res) => {
+  try {
+    const { error, value } = waitlistSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid waitlist data',
+        details: error.details[0].message
+      });
+    }
+
+    if (new Date(value.windowEnd) < new Date(value.windowStart)) {
+      return res.status(400).json({
+        error: 'Window end must not be before window start'
+      });
+    }
+    if (new Date(value.windowEnd) <= new Date()) {
+      return res.status(400).json({
+        error: 'Cannot wait for times in the past'
+      });
+    }
+
+    if (value.businessId && !fs.existsSync(getBusinessFilePath(value.businessId))) {
+      return res.status(404).json({
+        error: 'Business not found',
+        message: `No data found for business_id: ${value.businessId}`
+      });
+    }
+    const business = value.businessId ? loadBusinessData(value.businessId) : null;
+
+    if (value.service && !findService(business, value.service)) {
+      return res.status(400).json({
+        error: 'Invalid waitlist data',
+        details: `Unknown service: ${value.service}`
+      });
+    }
+
+    const entry = await bookingService.joinWaitlist(value, business);
+
+    res.status(201).json({
+      message: 'Added to the waitlist',
+      entry
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      error: 'Failed to join waitlist',
+      message: error.message
+    });
+  }
+});
+
+router.get('/waitlist/:waitlistId', requireRole('read-only', { business: waitlistBusiness }), async (req, res) => {
+  try {
+    const entry = await bookingService.getWaitlistEntry(req.params.waitlistId);
+
+    res.json({ entry });
+  } catch (error) {
+    if (error.code === 'WAITLIST_NOT_FOUND') {
+      return res.status(404).json({ error: 'Waitlist entry not found', message: error.message });
+    }
+    console.error('Error loading waitlist entry:', error);
+    res.status(500).json({
+      error: 'Failed to load waitlist entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Book the time a waitlist entry was offered
+ * POST /book/waitlist/WAIT-1001/accept
+ */
+router.post('/waitlist/:waitlistId/accept', requireRole('staff', { business: waitlistBusiness }), async (req, res) => {
+  try {
+    const entry = await bookingService.getWaitlistEntry(req.params.waitlistId);
+    const result = await bookingService.acceptWaitlistOffer(entry.waitlistId, businessFor(entry));
+
+    res.status(201).json({
+      message: 'Booking created successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'WAITLIST_NOT_FOUND') {
+      return res.status(404).json({ error: 'Waitlist entry not found', message: error.message });
+    }
+    if (error.code === 'WAITLIST_LOCKED') {
+      return res.status(409).json({ error: 'No open offer', details: error.message });
+    }
+    if (error.code === 'SLOT_UNAVAILABLE') {
+      return res.status(409).json({ error: 'Time slot not available', details: error.message });
+    }
+    console.error('Error accepting waitlist offer:', error);
+    res.status(500).json({
+      error: 'Failed to accept waitlist offer',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Turn an offer down; the time goes to the next in line
+ * POST /book/waitlist/WAIT-1001/decline
+ */
+router.post('/waitlist/:waitlistId/decline', requireRole('staff', { business: waitlistBusiness }), async (req, res) => {
+  try {
+    const entry = await bookingService.getWaitlistEntry(req.params.waitlistId);
+    const result = await bookingService.declineWaitlistOffer(entry.waitlistId, businessFor(entry));
+
+    res.json({
+      message: 'Offer declined',
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'WAITLIST_NOT_FOUND') {
+      return res.status(404).json({ error: 'Waitlist entry not found', message: error.message });
+    }
+    if (error.code === 'WAITLIST_LOCKED') {
+      return res.status(409).json({ error: 'No open offer', details: error.message });
+    }
+    console.error('Error declining waitlist offer:', error);
+    res.status(500).json({
+      error: 'Failed to decline waitlist offer',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/waitlist/:waitlistId', requireRole('staff', { business: waitlistBusiness }), async (req, res) => {
+  try {
+    const entry = await bookingService.removeFromWaitlist(req.params.waitlistId);
+
+    res.json({
+      message: 'Removed from the waitlist',
+      entry
+    });
+  } catch (error) {
+    if (error.code === 'WAITLIST_NOT_FOUND') {
+      return res.status(404).json({ error: 'Waitlist entry not found', message: error.message });
+    }
+    if (error.code === 'WAITLIST_LOCKED') {
+      return res.status(409).json({ error: 'Waitlist entry cannot be changed', details: error.message });
+    }
+    console.error('Error removing waitlist entry:', error);
+    res.status(500).json({
+      error: 'Failed to remove waitlist entry',
+      message: error.message
+    });
+  }
+});
+
+router.post('/', requireRole('staff', { business: bodyBusiness }), async (req, res) => {
   try {
     const { error, value } = bookingSchema.validate(req.body);
     if (error) {
@@ -74,7 +427,37 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const booking = await bookingService.createBooking(value);
+    if (value.businessId && !fs.existsSync(getBusinessFilePath(value.businessId))) {
+      return res.status(404).json({
+        error: 'Business not found',
+        message: `No data found for business_id: ${value.businessId}`
+      });
+    }
+    const business = value.businessId ? loadBusinessData(value.businessId) : null;
+
+    if (value.service && !findService(business, value.service)) {
+      return res.status(400).json({
+        error: 'Invalid booking data',
+        details: `Unknown service: ${value.service}`
+      });
+    }
+    if (value.resource && !findResource(business, value.resource)) {
+      return res.status(400).json({
+        error: 'Invalid booking data',
+        details: `Unknown resource: ${value.resource}`
+      });
+    }
+
+    let booking;
+    try {
+      booking = await bookingService.createBooking(value, business);
+    } catch (bookingError) {
+      if (bookingError.code !== 'SLOT_UNAVAILABLE') throw bookingError;
+      return res.status(409).json({
+        error: 'Time slot not available',
+        details: bookingError.message
+      });
+    }
 
     res.status(201).json({
       message: 'Booking created successfully',
@@ -89,23 +472,135 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.delete('/:bookingId', async (req, res) => {
+/**
+ * Move or edit a booking, within the business's reschedule policy
+ * PATCH /book/:bookingId { "startTime": "...", "endTime": "..." }
+ */
+router.patch('/:bookingId', requireRole('staff', { business: bookingBusiness }), async (req, res) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid booking data',
+        details: error.details[0].message
+      });
+    }
+
+    if (value.startTime && new Date(value.startTime) <= new Date()) {
+      return res.status(400).json({
+        error: 'Cannot book appointments in the past'
+      });
+    }
+
+    if (value.endTime && new Date(value.startTime) >= new Date(value.endTime)) {
+      return res.status(400).json({
+        error: 'End time must be after start time'
+      });
+    }
+
+    const business = businessFor(await bookingService.getBooking(req.params.bookingId));
+
+    if (value.service && !findService(business, value.service)) {
+      return res.status(400).json({
+        error: 'Invalid booking data',
+        details: `Unknown service: ${value.service}`
+      });
+    }
+    if (value.resource && !findResource(business, value.resource)) {
+      return res.status(400).json({
+        error: 'Invalid booking data',
+        details: `Unknown resource: ${value.resource}`
+      });
+    }
+
+    const booking = await bookingService.updateBooking(req.params.bookingId, value, business);
+
+    res.json({
+      message: 'Booking updated successfully',
+      booking
+    });
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ error: 'Booking not found', message: error.message });
+    }
+    if (error.code === 'BOOKING_LOCKED') {
+      return res.status(409).json({ error: 'Booking cannot be changed', details: error.message });
+    }
+    if (error.code === 'SLOT_UNAVAILABLE') {
+      return res.status(409).json({ error: 'Time slot not available', details: error.message });
+    }
+    console.error('Error updating booking:', error);
+    res.status(500).json({
+      error: 'Failed to update booking',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * What cancelling a booking now would cost
+ * GET /book/:bookingId/cancellation
+ */
+router.get('/:bookingId/cancellation', requireRole('read-only', { business: bookingBusiness }), async (req, res) => {
   try {
-    const { bookingId } = req.params;
+    const booking = await bookingService.getBooking(req.params.bookingId);
+    const business = businessFor(booking);
+    const cancellation = await bookingService.quoteCancellation(booking.bookingId, business);
+
+    res.json({
+      bookingId: booking.bookingId,
+      cancellation,
+      message: describeCancellation(cancellation, business)
+    });
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ error: 'Booking not found', message: error.message });
+    }
+    console.error('Error quoting cancellation:', error);
+    res.status(500).json({
+      error: 'Failed to quote cancellation',
+      message: error.message
+    });
+  }
+});
 
-    if (!bookingId) {
+/**
+ * Cancel a booking. When the cancellation policy charges a fee, the client
+ * has to accept it with ?accept_fee=true.
+ */
+router.delete('/:bookingId', requireRole('staff', { business: bookingBusiness }), async (req, res) => {
+  try {
+    const { error, value } = cancelSchema.validate(req.query);
+    if (error) {
       return res.status(400).json({
-        error: 'Booking ID is required'
+        error: 'Invalid request parameters',
+        details: error.details[0].message
       });
     }
 
-    const result = await bookingService.cancelBooking(bookingId);
+    const booking = await bookingService.getBooking(req.params.bookingId);
+    const result = await bookingService.cancelBooking(booking.bookingId, businessFor(booking), {
+      acceptFee: value.accept_fee
+    });
 
     res.json({
       message: 'Booking cancelled successfully',
       result
     });
   } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ error: 'Booking not found', message: error.message });
+    }
+    if (error.code === 'FEE_NOT_ACCEPTED') {
+      return res.status(409).json({
+        error: 'Cancellation fee applies',
+        details: error.message,
+        cancellation: error.cancellation
+      });
+    }
+    if (error.code === 'BOOKING_LOCKED') {
+      return res.status(409).json({ error: 'Booking cannot be changed', details: error.message });
+    }
     console.error('Error cancelling booking:', error);
     res.status(500).json({
       error: 'Failed to cancel booking',
@@ -114,16 +609,98 @@ router.delete('/:bookingId', async (req, res) => {
   }
 });
 
+/**
+ * A business's bookings as an iCalendar feed to subscribe to, with cancelled
+ * bookings as STATUS:CANCELLED updates
+ * GET /book/feed/:businessId.ics
+ */
+router.get('/feed/:businessId.ics', requireRole('read-only', { allowQueryKey: true }), async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    if (!fs.existsSync(getBusinessFilePath(businessId))) {
+      return res.status(404).json({
+        error: 'Business not found',
+        message: `No data found for business_id: ${businessId}`
+      });
+    }
+
+    const bookings = await bookingService.getAllBookings({ businessId });
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${businessId}.ics"`);
+    res.send(bookingFeed(bookings, loadBusinessData(businessId)));
+  } catch (error) {
+    console.error('Error building booking feed:', error);
+    res.status(500).json({
+      error: 'Failed to build booking feed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * A booking as an .ics file to add to any calendar
+ * GET /book/:bookingId.ics
+ */
+router.get('/:bookingId.ics', requireRole('read-only', { business: bookingBusiness }), async (req, res) => {
+  try {
+    const booking = await bookingService.getBooking(req.params.bookingId);
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${booking.bookingId}.ics"`);
+    res.send(bookingCalendar(booking, businessFor(booking)));
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ error: 'Booking not found', message: error.message });
+    }
+    console.error('Error building booking file:', error);
+    res.status(500).json({
+      error: 'Failed to build booking file',
+      message: error.message
+    });
+  }
+});
+
 router.get('/health', (req, res) => {
   res.json({
     service: 'Booking Service',
     status: 'OK',
     endpoints: [
-      'GET /book/availability?date=YYYY-MM-DD&duration=30',
+      'GET /book/availability?date=YYYY-MM-DD&duration=30&business_id=pizzakarachi&service=&resource=',
+      'GET /book?date=YYYY-MM-DD&status=confirmed&business_id=&resource=',
+      'GET /book/:bookingId',
+      'GET /book/:bookingId.ics',
+      'GET /book/feed/:businessId.ics',
       'POST /book',
-      'DELETE /book/:eventId'
+      'PATCH /book/:bookingId',
+      'GET /book/:bookingId/cancellation',
+      'DELETE /book/:bookingId?accept_fee=true',
+      'GET /book/waitlist?date=YYYY-MM-DD&status=waiting&business_id=',
+      'POST /book/waitlist',
+      'GET /book/waitlist/:waitlistId',
+      'POST /book/waitlist/:waitlistId/accept',
+      'POST /book/waitlist/:waitlistId/decline',
+      'DELETE /book/waitlist/:waitlistId'
     ]
   });
 });
 
+// After /health so it doesn't swallow that path
+router.get('/:bookingId', requireRole('read-only', { business: bookingBusiness }), async (req, res) => {
+  try {
+    const booking = await bookingService.getBooking(req.params.bookingId);
+
+    res.json({ booking });
+  } catch (error) {
+    if (error.code === 'BOOKING_NOT_FOUND') {
+      return res.status(404).json({ error: 'Booking not found', message: error.message });
+    }
+    console.error('Error loading booking:', error);
+    res.status(500).json({
+      error: 'Failed to load booking',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const express = require('express');
+const calendarSync = require('../services/calendarSync');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Sync covers every business's bookings, so it needs a user or key for all
+const everyBusiness = () => null;
+
+/**
+ * Google Calendar push notifications (point CALENDAR_WEBHOOK_URL here).
+ * Google sends the channel and what changed in headers, with no body; the
+ * channel's token is checked instead of a login.
+ */
+router.post('/notifications', async (req, res) => {
+  try {
+    const { connection, calendarId, result } = await calendarSync.handleNotification({
+      channelId: req.get('X-Goog-Channel-ID'),
+      token: req.get('X-Goog-Channel-Token'),
+      resourceState: req.get('X-Goog-Resource-State')
+    });
+
+    res.json({
+      connection,
+      calendarId,
+      synced: Boolean(result),
+      ...(result && { changes: result.changes.length, conflicts: result.conflicts.length })
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_CHANNEL') {
+      return res.status(404).json({ error: 'Channel not found', message: error.message });
+    }
+    console.error('[CALENDAR SYNC] Error handling notification:', error);
+    res.status(500).json({
+      error: 'Failed to sync calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * When Google Calendar last synced, and the conflicts it found
+ */
+router.get('/sync', requireRole('read-only', { business: everyBusiness }), (req, res) => {
+  try {
+    const status = calendarSync.getStatus();
+
+    res.json({
+      ...status,
+      message: status.connected
+        ? `Google Calendar last synced ${status.lastSyncAt || 'never'}`
+        : 'Google Calendar authentication required. Use /auth to authenticate.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to check sync status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Sync now rather than waiting for the timer
+ */
+router.post('/sync', requireRole('staff', { business: everyBusiness }), async (req, res) => {
+  try {
+    const result = await calendarSync.sync();
+
+    res.json({
+      message: 'Google Calendar synced',
+      result
+    });
+  } catch (error) {
+    if (error.code === 'CALENDAR_NOT_CONNECTED') {
+      return res.status(503).json({ error: 'Google Calendar not connected', message: error.message });
+    }
+    console.error('[CALENDAR SYNC] Error syncing:', error);
+    res.status(500).json({
+      error: 'Failed to sync calendar',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
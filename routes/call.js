@@ -4,7 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const intentDetector = require('../services/intent');
 const ttsService = require('../services/tts');
-const bookingService = require('../services/mockBookingService');
+const bookingService = require('../services/bookingService');
 const { handleCallLogicWithAbsoluteUrls } = require('../services/callLogic');
 
 const router = express.Router();
@@ -0,0 +1,251 @@
+const express = require('express');
+const Joi = require('joi');
+const fs = require('fs');
+const { hoursExceptionSchema } = require('../services/businessProfile');
+const { getBusinessFilePath, loadBusinessData, saveBusinessData } = require('../services/businessData');
+const { withFileLock } = require('../services/fileLock');
+
+// Mounted under /api/business/:businessId/exceptions
+const router = express.Router({ mergeParams: true });
+
+// IDs are assigned by the API
+const exceptionInputSchema = hoursExceptionSchema.fork('id', schema => schema.forbidden());
+
+const listSchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional()
+});
+
+function endOf(exception) {
+  return exception.end_date || exception.start_date;
+}
+
+function overlaps(a, b) {
+  return a.start_date <= endOf(b) && b.start_date <= endOf(a);
+}
+
+/**
+ * Readable ID such as "2026-12-25-christmas-day", unique within the business
+ */
+function exceptionId(exception, existing) {
+  const slug = (exception.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const base = slug ? `${exception.start_date}-${slug}` : exception.start_date;
+
+  let id = base;
+  for (let n = 2; existing.some(entry => entry.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Load the business for a request, or send a 404
+ * @returns {Object|null} Business profile
+ */
+function loadBusinessOr404(req, res) {
+  const { businessId } = req.params;
+  if (!fs.existsSync(getBusinessFilePath(businessId))) {
+    res.status(404).json({
+      error: 'Business not found',
+      message: `No data found for business_id: ${businessId}`
+    });
+    return null;
+  }
+  return loadBusinessData(businessId);
+}
+
+/**
+ * Store the business with a new exceptions calendar, sorted by date
+ * @returns {string[]} Validation errors (nothing is written when not empty)
+ */
+function saveExceptions(businessId, business, exceptions) {
+  const sorted = [...exceptions].sort((a, b) => a.start_date.localeCompare(b.start_date));
+  return saveBusinessData(businessId, { ...business, hours_exceptions: sorted }).errors;
+}
+
+/**
+ * List a business's hours exceptions
+ * GET /api/business/:businessId/exceptions?from=2026-12-01&to=2026-12-31
+ */
+router.get('/', (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const business = loadBusinessOr404(req, res);
+    if (!business) return;
+
+    const exceptions = (business.hours_exceptions || []).filter(exception =>
+      (!value.from || endOf(exception) >= value.from) && (!value.to || exception.start_date <= value.to));
+
+    res.json({
+      success: true,
+      business_id: req.params.businessId,
+      exceptions,
+      count: exceptions.length
+    });
+  } catch (error) {
+    console.error('[API] Error listing hours exceptions:', error);
+    res.status(500).json({
+      error: 'Failed to list hours exceptions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Add a closure or special hours
+ * POST /api/business/:businessId/exceptions
+ * { "name": "Eid", "start_date": "2026-03-20", "hours": "Closed" }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = exceptionInputSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid hours exception',
+        details: error.details[0].message
+      });
+    }
+
+    // Read, change and write under the lock so edits from other requests
+    // or servers aren't lost
+    await withFileLock(getBusinessFilePath(req.params.businessId), () => {
+      const business = loadBusinessOr404(req, res);
+      if (!business) return;
+
+      const existing = business.hours_exceptions || [];
+      const clash = existing.find(entry => overlaps(entry, value));
+      if (clash) {
+        return res.status(409).json({
+          error: 'Hours exception overlaps another',
+          details: `Overlaps ${clash.id}`
+        });
+      }
+
+      const exception = { id: exceptionId(value, existing), ...value };
+      const errors = saveExceptions(req.params.businessId, business, [...existing, exception]);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid business data',
+          details: errors[0]
+        });
+      }
+
+      console.log(`[API] Hours exception ${exception.id} added for: ${req.params.businessId}`);
+
+      res.status(201).json({
+        message: 'Hours exception added',
+        exception
+      });
+    });
+  } catch (error) {
+    console.error('[API] Error adding hours exception:', error);
+    res.status(500).json({
+      error: 'Failed to add hours exception',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace an hours exception
+ * PUT /api/business/:businessId/exceptions/:exceptionId
+ */
+router.put('/:exceptionId', async (req, res) => {
+  try {
+    const { error, value } = exceptionInputSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid hours exception',
+        details: error.details[0].message
+      });
+    }
+
+    await withFileLock(getBusinessFilePath(req.params.businessId), () => {
+      const business = loadBusinessOr404(req, res);
+      if (!business) return;
+
+      const { exceptionId: id } = req.params;
+      const existing = business.hours_exceptions || [];
+      if (!existing.some(entry => entry.id === id)) {
+        return res.status(404).json({ error: 'Hours exception not found' });
+      }
+
+      const clash = existing.find(entry => entry.id !== id && overlaps(entry, value));
+      if (clash) {
+        return res.status(409).json({
+          error: 'Hours exception overlaps another',
+          details: `Overlaps ${clash.id}`
+        });
+      }
+
+      const exception = { id, ...value };
+      const errors = saveExceptions(req.params.businessId, business,
+        existing.map(entry => (entry.id === id ? exception : entry)));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid business data',
+          details: errors[0]
+        });
+      }
+
+      res.json({
+        message: 'Hours exception updated',
+        exception
+      });
+    });
+  } catch (error) {
+    console.error('[API] Error updating hours exception:', error);
+    res.status(500).json({
+      error: 'Failed to update hours exception',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Remove an hours exception
+ * DELETE /api/business/:businessId/exceptions/:exceptionId
+ */
+router.delete('/:exceptionId', async (req, res) => {
+  try {
+    await withFileLock(getBusinessFilePath(req.params.businessId), () => {
+      const business = loadBusinessOr404(req, res);
+      if (!business) return;
+
+      const { exceptionId: id } = req.params;
+      const existing = business.hours_exceptions || [];
+      if (!existing.some(entry => entry.id === id)) {
+        return res.status(404).json({ error: 'Hours exception not found' });
+      }
+
+      const errors = saveExceptions(req.params.businessId, business, existing.filter(entry => entry.id !== id));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid business data',
+          details: errors[0]
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Hours exception removed',
+        exception_id: id
+      });
+    });
+  } catch (error) {
+    console.error('[API] Error removing hours exception:', error);
+    res.status(500).json({
+      error: 'Failed to remove hours exception',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
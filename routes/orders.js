@@ -0,0 +1,218 @@
+const express = require('express');
+const Joi = require('joi');
+const fs = require('fs');
+const { getBusinessFilePath, loadBusinessData } = require('../services/businessData');
+const { Cart, FULFILLMENT_TYPES } = require('../services/orders');
+const orderStore = require('../services/orderStore');
+const { ORDER_STATUSES } = require('../services/orderStore');
+const { requireRole, bodyBusiness } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Business of the order in the path for access checks; undefined when it
+// doesn't exist, so the route answers 404
+function orderBusiness(req) {
+  const order = orderStore.get(req.params.orderId);
+  return order ? order.business_id || null : undefined;
+}
+
+const orderSchema = Joi.object({
+  business_id: Joi.string().required(),
+  fulfillment: Joi.string().valid(...FULFILLMENT_TYPES).default('pickup'),
+  customer: Joi.object({
+    name: Joi.string().max(100).optional(),
+    phone: Joi.string().optional(),
+    address: Joi.string().max(300).optional()
+  }).default({}),
+  items: Joi.array().items(
+    Joi.object({
+      item_id: Joi.string().required(),
+      size: Joi.string().optional(),
+      quantity: Joi.number().integer().min(1).max(50).default(1),
+      modifiers: Joi.array().items(Joi.string()).default([])
+    })
+  ).min(1).required(),
+  promo_code: Joi.string().max(50).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+const listSchema = Joi.object({
+  business_id: Joi.string().optional(),
+  status: Joi.string().valid(...ORDER_STATUSES).optional()
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string().valid(...ORDER_STATUSES).required()
+});
+
+/**
+ * List orders for the kitchen, newest first
+ * GET /api/orders?business_id=pizzakarachi&status=received
+ */
+router.get('/', requireRole('read-only'), (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request parameters',
+        details: error.details[0].message
+      });
+    }
+
+    const orders = orderStore.list(value);
+
+    res.json({
+      success: true,
+      orders,
+      count: orders.length
+    });
+  } catch (error) {
+    console.error('[ORDERS] Error listing orders:', error);
+    res.status(500).json({
+      error: 'Failed to list orders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Place an order priced from the business menu
+ * POST /api/orders
+ */
+router.post('/', requireRole('staff', { business: bodyBusiness }), (req, res) => {
+  try {
+    const { error, value } = orderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid order data',
+        details: error.details[0].message
+      });
+    }
+
+    if (!fs.existsSync(getBusinessFilePath(value.business_id))) {
+      return res.status(404).json({
+        error: 'Business not found',
+        message: `No data found for business_id: ${value.business_id}`
+      });
+    }
+
+    const business = loadBusinessData(value.business_id);
+    if (value.fulfillment === 'delivery' && !(business.delivery && business.delivery.available)) {
+      return res.status(400).json({ error: 'This business does not deliver' });
+    }
+    if (value.fulfillment === 'delivery' && !value.customer.address) {
+      return res.status(400).json({ error: 'A delivery address is required' });
+    }
+
+    const cart = new Cart(business);
+    try {
+      value.items.forEach(item => cart.addItem(item));
+    } catch (itemError) {
+      return res.status(400).json({
+        error: 'Invalid order items',
+        details: itemError.message
+      });
+    }
+
+    if (value.promo_code) {
+      try {
+        cart.applyPromotion(value.promo_code);
+      } catch (promoError) {
+        return res.status(400).json({
+          error: 'Invalid promotion code',
+          details: promoError.message
+        });
+      }
+    }
+
+    const totals = cart.getTotals(value.fulfillment);
+    if (totals.promotion && !totals.promotion.applied) {
+      return res.status(400).json({
+        error: 'Promotion does not apply to this order',
+        details: totals.promotion.reason
+      });
+    }
+    if (totals.below_minimum) {
+      return res.status(400).json({
+        error: 'Order is below the delivery minimum',
+        details: `Delivery orders must be at least $${totals.minimum.toFixed(2)}`
+      });
+    }
+
+    const order = orderStore.create({
+      business_id: value.business_id,
+      source: 'api',
+      fulfillment: value.fulfillment,
+      customer: value.customer,
+      lines: cart.lines,
+      totals,
+      ...(value.notes && { notes: value.notes })
+    });
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    console.error('[ORDERS] Error placing order:', error);
+    res.status(500).json({
+      error: 'Failed to place order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get one order
+ * GET /api/orders/:orderId
+ */
+router.get('/:orderId', requireRole('read-only', { business: orderBusiness }), (req, res) => {
+  try {
+    const order = orderStore.get(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('[ORDERS] Error loading order:', error);
+    res.status(500).json({
+      error: 'Failed to load order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Move an order through the kitchen workflow
+ * PATCH /api/orders/:orderId { "status": "preparing" }
+ */
+router.patch('/:orderId', requireRole('staff', { business: orderBusiness }), (req, res) => {
+  try {
+    const { error, value } = statusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid order status',
+        details: error.details[0].message
+      });
+    }
+
+    const order = orderStore.updateStatus(req.params.orderId, value.status);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      message: 'Order updated successfully',
+      order
+    });
+  } catch (error) {
+    console.error('[ORDERS] Error updating order:', error);
+    res.status(500).json({
+      error: 'Failed to update order',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
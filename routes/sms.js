@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const twilio = require('twilio');
+const MessagingResponse = twilio.twiml.MessagingResponse;
+const reminderService = require('../services/reminders');
+const messaging = require('../services/messaging');
+
+/**
+ * Only let through replies Twilio signed with TWILIO_AUTH_TOKEN, since a
+ * reply confirms or cancels the booking of whichever number it claims to
+ * be from. Checked whenever the twilio provider or an auth token is
+ * configured; the local provider alone takes any request.
+ *
+ * Twilio signs the webhook URL it was given; set SMS_WEBHOOK_URL when the
+ * server sees a different one (e.g. behind a proxy).
+ */
+function verifyTwilioSignature(req, res, next) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (messaging.providerName !== 'twilio' && !authToken) return next();
+
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  const host = req.get('x-forwarded-host') || req.get('host');
+  const url = process.env.SMS_WEBHOOK_URL || `${protocol}://${host}${req.originalUrl}`;
+  const signature = req.get('X-Twilio-Signature');
+
+  if (!authToken || !signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn(`[SMS] Rejected a reply without a valid Twilio signature${authToken ? '' : ' (TWILIO_AUTH_TOKEN is not set)'}`);
+    return res.status(403).type('text/xml').send(new MessagingResponse().toString());
+  }
+  next();
+}
+
+/**
+ * Twilio Messaging webhook: replies to booking reminders
+ * ("C" to confirm, "X" to cancel)
+ */
+router.post('/', verifyTwilioSignature, async (req, res) => {
+  const twiml = new MessagingResponse();
+
+  try {
+    const from = req.body.From;
+    const body = req.body.Body || '';
+    console.log(`[SMS] Reply from ${from}: "${body}"`);
+
+    const { reply, action, booking } = await reminderService.handleReply({ from, body });
+    if (action) {
+      console.log(`[SMS] ${booking.bookingId} ${action}`);
+    }
+    twiml.message(reply);
+  } catch (error) {
+    console.error('[SMS] Error handling reply:', error);
+    twiml.message("Sorry, we couldn't update your booking. Please call us instead.");
+  }
+
+  res.type('text/xml').send(twiml.toString());
+});
+
+/**
+ * Health check for Twilio webhooks
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    service: 'Twilio Messaging Webhook',
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    endpoints: [
+      'POST /sms - Reminder replies (C to confirm, X to cancel)'
+    ]
+  });
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const VoiceResponse = require('twilio').twiml.VoiceResponse;
+const phoneRouter = require('../services/phoneRouting');
 
 /**
  * Enhanced Twilio voice endpoint that uses streaming for real-time conversation
@@ -32,11 +33,20 @@ router.post('/', async (req, res) => {
       streamUrl = `${protocol}://${host.replace(':3001', ':8080')}`;
     }
 
-    stream.stream({
+    const mediaStream = stream.stream({
       url: streamUrl,
       name: 'AI-Receptionist-Stream'
     });
 
+    // Tell the stream server which business this number belongs to
+    mediaStream.parameter({ name: 'businessId', value: phoneRouter.resolveBusinessId(to) });
+    if (to) {
+      mediaStream.parameter({ name: 'to', value: to });
+    }
+    if (from) {
+      mediaStream.parameter({ name: 'from', value: from });
+    }
+
     console.log(`[STREAM-VOICE] Real-time streaming TwiML generated, connecting to: ${streamUrl}`);
 
   } catch (error) {
@@ -2,6 +2,21 @@ const express = require('express');
 const router = express.Router();
 const VoiceResponse = require('twilio').twiml.VoiceResponse;
 const { handleCallLogic } = require('../services/callLogic');
+const { loadBusinessData, getBusinessName } = require('../services/businessData');
+const phoneRouter = require('../services/phoneRouting');
+const { describeTodaysException } = require('../services/businessHours');
+
+/**
+ * Profile of the business a call is for, or null when it has none
+ */
+function businessFor(businessId) {
+  try {
+    return loadBusinessData(businessId);
+  } catch (error) {
+    console.warn(`[VOICE] ${error.message}`);
+    return null;
+  }
+}
 
 /**
  * Twilio Voice webhook endpoint
@@ -16,7 +31,12 @@ router.post('/', async (req, res) => {
     const from = req.body.From;
     const to = req.body.To;
 
-    console.log(`[VOICE] Incoming call from ${from} to ${to}`);
+    // Each dialled number answers as its own business
+    const businessId = phoneRouter.resolveBusinessId(to);
+    const business = businessFor(businessId);
+    const businessName = getBusinessName(business, 'us');
+
+    console.log(`[VOICE] Incoming call from ${from} to ${to} (business: ${businessId})`);
 
     if (!userSpeech) {
       // First call or no speech detected
@@ -30,7 +50,11 @@ router.post('/', async (req, res) => {
 
       gather.say({
         voice: 'alice'
-      }, 'Hello! Welcome to Pizza Karachi. How can I help you today?');
+      }, [
+        `Hello! Welcome to ${businessName}.`,
+        business && describeTodaysException(business),
+        'How can I help you today?'
+      ].filter(Boolean).join(' '));
 
       // Fallback if no input
       twiml.say('Sorry, I didn\'t hear anything. Please call back when you\'re ready to speak.');
@@ -41,11 +65,10 @@ router.post('/', async (req, res) => {
 
     console.log(`[VOICE] Speech detected: "${userSpeech}"`);
 
-    // Use our centralized call logic with default business
-    // TODO: In production, you might detect business_id from the phone number called
-    const businessId = 'pizzakarachi'; // Default for now
-
-    const result = await handleCallLogic(userSpeech, businessId);
+    const result = await handleCallLogic(userSpeech, businessId, {
+      sessionId: req.body.CallSid,
+      caller: from
+    });
 
     console.log(`[VOICE] Generated response for intent: ${result.intent}`);
 
@@ -75,12 +98,15 @@ router.post('/', async (req, res) => {
       speechModel: 'experimental_conversations'
     });
 
-    gather.say({
-      voice: 'alice'
-    }, 'Is there anything else I can help you with?');
+    // Order and booking dialog replies already end with the next question
+    if (!result.dialog) {
+      gather.say({
+        voice: 'alice'
+      }, 'Is there anything else I can help you with?');
+    }
 
     // End call if no response
-    twiml.say('Thank you for calling Pizza Karachi. Have a great day!');
+    twiml.say(`Thank you for calling ${businessName}. Have a great day!`);
     twiml.hangup();
 
   } catch (error) {
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'admin-users.json');
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['read-only', 'staff', 'owner'];
+// Stands for every business in a `businesses` list
+const ALL_BUSINESSES = '*';
+
+/**
+ * Password hash for ADMIN_USERS_FILE, as `scrypt:<salt>:<hash>`
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 32);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * API keys are long and random, so a plain SHA-256 is enough to store them
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * A new random API key; store only its hashApiKey()
+ */
+function generateApiKey() {
+  return `rk_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sameHash(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Whether a principal's role is at least `role`. Without a principal
+ * (authentication not configured) everything is allowed.
+ */
+function hasRole(principal, role) {
+  if (!principal) return true;
+  return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Whether a principal may see or change a business; null asks for access
+ * to every business
+ */
+function canAccessBusiness(principal, businessId) {
+  if (!principal || principal.businesses.includes(ALL_BUSINESSES)) return true;
+  return Boolean(businessId) && principal.businesses.includes(businessId);
+}
+
+function toPrincipal(entry, type) {
+  return {
+    type,
+    name: entry.username || entry.name,
+    role: entry.role,
+    businesses: entry.businesses || []
+  };
+}
+
+/**
+ * Who may use the management API. Dashboard users (with a password) and
+ * API keys are listed in ADMIN_USERS_FILE, each with a role (owner, staff
+ * or read-only) and the business IDs it covers ("*" for all):
+ *
+ *   { "users": [{ "username", "password_hash", "role", "businesses" }],
+ *     "api_keys": [{ "name", "key_hash", "role", "businesses" }] }
+ *
+ * ADMIN_API_KEY adds an owner key for every business. Users log in for a
+ * session kept in memory, so a restart logs everyone out.
+ */
+class AdminAuth {
+  constructor(options = {}) {
+    this.usersFile = options.usersFile || process.env.ADMIN_USERS_FILE || DEFAULT_USERS_FILE;
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.ADMIN_API_KEY || null;
+    this.sessionTtlMs = options.sessionTtlMs || SESSION_TTL_MS;
+    this.sessions = new Map();
+  }
+
+  readConfig() {
+    const config = fs.existsSync(this.usersFile)
+      ? JSON.parse(fs.readFileSync(this.usersFile, 'utf8'))
+      : {};
+    const apiKeys = [...(config.api_keys || [])];
+    if (this.apiKey) {
+      apiKeys.push({ name: 'ADMIN_API_KEY', key_hash: hashApiKey(this.apiKey), role: 'owner', businesses: [ALL_BUSINESSES] });
+    }
+    return { users: config.users || [], apiKeys };
+  }
+
+  /**
+   * Whether any user or API key is set up; until then nothing can log in
+   */
+  isConfigured() {
+    const { users, apiKeys } = this.readConfig();
+    return users.length > 0 || apiKeys.length > 0;
+  }
+
+  /**
+   * The principal an API key belongs to, or null
+   */
+  authenticateKey(key) {
+    if (!key) return null;
+
+    const hash = hashApiKey(key);
+    const entry = this.readConfig().apiKeys.find(apiKey => sameHash(String(apiKey.key_hash || ''), hash));
+    return entry && ROLES.includes(entry.role) ? toPrincipal(entry, 'api_key') : null;
+  }
+
+  /**
+   * Start a session for a dashboard user
+   * @returns {Object} `{ sessionId, principal, expiresAt }`, or null when the
+   *   username or password is wrong
+   */
+  login(username, password, { now = Date.now() } = {}) {
+    const user = this.readConfig().users.find(entry => entry.username === username);
+    // Hash anyway, so unknown usernames take as long as wrong passwords
+    const valid = verifyPassword(password, user ? user.password_hash : hashPassword(''));
+    if (!user || !valid || !ROLES.includes(user.role)) return null;
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now + this.sessionTtlMs;
+    this.sessions.set(sessionId, { username, expiresAt });
+    console.log(`[AUTH] ${username} logged in`);
+    return { sessionId, principal: toPrincipal(user, 'session'), expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  logout(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * The user a session belongs to, or null once it has expired. The user
+   * is read again each time, so role changes and removals apply at once.
+   */
+  authenticateSession(sessionId, { now = Date.now() } = {}) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) return null;
+    if (session.expiresAt <= now) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    const user = this.readConfig().users.find(entry => entry.username === session.username);
+    return user && ROLES.includes(user.role) ? toPrincipal(user, 'session') : null;
+  }
+}
+
+module.exports = new AdminAuth();
+module.exports.AdminAuth = AdminAuth;
+module.exports.ROLES = ROLES;
+module.exports.ALL_BUSINESSES = ALL_BUSINESSES;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.hashApiKey = hashApiKey;
+module.exports.generateApiKey = generateApiKey;
+module.exports.hasRole = hasRole;
+module.exports.canAccessBusiness = canAccessBusiness;
@@ -0,0 +1,156 @@
+/**
+ * G.711 μ-law helpers for Twilio Media Streams (8kHz, mono, 8-bit μ-law)
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+const SAMPLE_RATE = 8000;
+
+/**
+ * Decode a single μ-law byte to a signed 16-bit linear sample
+ * @param {number} mulawByte - Encoded byte (0-255)
+ * @returns {number} Linear PCM sample
+ */
+function mulawToLinear(mulawByte) {
+  const value = ~mulawByte & 0xFF;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0F;
+
+  const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return sign ? -sample : sample;
+}
+
+/**
+ * Encode a signed 16-bit linear sample to a μ-law byte
+ * @param {number} sample - Linear PCM sample
+ * @returns {number} Encoded byte (0-255)
+ */
+function linearToMulaw(sample) {
+  let magnitude = Math.round(sample);
+  const sign = magnitude < 0 ? 0x80 : 0x00;
+  if (sign) magnitude = -magnitude;
+  if (magnitude > MULAW_CLIP) magnitude = MULAW_CLIP;
+  magnitude += MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Decode a μ-law buffer into 16-bit little-endian PCM
+ * @param {Buffer} mulawBuffer - μ-law encoded audio
+ * @returns {Buffer} PCM audio (2 bytes per sample)
+ */
+function decodeMulaw(mulawBuffer) {
+  const pcmBuffer = Buffer.alloc(mulawBuffer.length * 2);
+
+  for (let i = 0; i < mulawBuffer.length; i++) {
+    pcmBuffer.writeInt16LE(mulawToLinear(mulawBuffer[i]), i * 2);
+  }
+
+  return pcmBuffer;
+}
+
+/**
+ * Encode 16-bit little-endian PCM into μ-law
+ * @param {Buffer} pcmBuffer - PCM audio (2 bytes per sample)
+ * @returns {Buffer} μ-law encoded audio
+ */
+function encodeMulaw(pcmBuffer) {
+  const mulawBuffer = Buffer.alloc(Math.floor(pcmBuffer.length / 2));
+
+  for (let i = 0; i < mulawBuffer.length; i++) {
+    mulawBuffer[i] = linearToMulaw(pcmBuffer.readInt16LE(i * 2));
+  }
+
+  return mulawBuffer;
+}
+
+/**
+ * Wrap 16-bit mono PCM in a WAV container
+ * @param {Buffer} pcmBuffer - PCM audio
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} WAV file contents
+ */
+function pcmToWav(pcmBuffer, sampleRate = SAMPLE_RATE) {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcmBuffer.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcmBuffer.length, 40);
+
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+/**
+ * Convert Twilio μ-law audio to a WAV file suitable for speech-to-text
+ * @param {Buffer} mulawBuffer - μ-law encoded audio
+ * @returns {Buffer} WAV file contents
+ */
+function mulawToWav(mulawBuffer) {
+  return pcmToWav(decodeMulaw(mulawBuffer), SAMPLE_RATE);
+}
+
+/**
+ * Resample 16-bit mono PCM by linear interpolation (e.g. 24kHz TTS to 8kHz)
+ * @param {Buffer} pcmBuffer - PCM audio
+ * @param {number} fromRate - Source sample rate in Hz
+ * @param {number} toRate - Target sample rate in Hz
+ * @returns {Buffer} Resampled PCM audio
+ */
+function resamplePcm(pcmBuffer, fromRate, toRate) {
+  if (fromRate === toRate) return pcmBuffer;
+
+  const inputSamples = Math.floor(pcmBuffer.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  const ratio = fromRate / toRate;
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, inputSamples - 1);
+    const fraction = position - index;
+    const sample = pcmBuffer.readInt16LE(index * 2) * (1 - fraction) + pcmBuffer.readInt16LE(next * 2) * fraction;
+    output.writeInt16LE(Math.round(sample), i * 2);
+  }
+
+  return output;
+}
+
+/**
+ * Duration of a μ-law buffer in milliseconds (one byte per sample)
+ * @param {Buffer} mulawBuffer - μ-law encoded audio
+ * @returns {number} Duration in milliseconds
+ */
+function mulawDurationMs(mulawBuffer) {
+  return (mulawBuffer.length / SAMPLE_RATE) * 1000;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  mulawToLinear,
+  linearToMulaw,
+  decodeMulaw,
+  encodeMulaw,
+  pcmToWav,
+  mulawToWav,
+  resamplePcm,
+  mulawDurationMs
+};
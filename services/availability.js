@@ -0,0 +1,336 @@
+const {
+  MINUTES_PER_DAY,
+  addDays,
+  getLocalTime,
+  getHoursForDate,
+  toZonedDate
+} = require('./businessHours');
+
+/**
+ * Booking availability from a business profile.
+ *
+ * Slots fall inside the business hours for the day (exceptions included)
+ * and follow the `booking` rules: slot interval, buffer after each booking,
+ * minimum notice, how far ahead bookings open and how many bookings can run
+ * at once. A service can override the duration, buffer and capacity.
+ *
+ * Businesses that book specific staff or rooms list them as `resources`,
+ * each with its own hours (the business hours when missing) taking one
+ * booking at a time; a slot is free while any resource that offers the
+ * service is.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Used when a business has no hours on file
+const DEFAULT_HOURS = { open: 9 * 60, close: 17 * 60 };
+
+const NOT_OPEN = "We're not open for bookings at that time";
+const BOOKED = 'This time slot is already booked';
+
+/**
+ * Find a bookable service by ID or name
+ * @param {Object} business - Canonical business profile
+ * @param {string} key - Service ID or name, any case
+ * @returns {Object|null} Service
+ */
+function findService(business, key) {
+  if (!key) return null;
+  const wanted = String(key).toLowerCase();
+
+  return ((business && business.services) || []).find(service =>
+    (service.id && service.id.toLowerCase() === wanted) || service.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Staff or rooms that can take bookings for a service, in profile order
+ * @param {Object} business - Canonical business profile
+ * @param {Object} service - Service from the profile, optional
+ * @returns {Object[]} Resources; empty when the business doesn't book by resource
+ */
+function getResources(business, service = null) {
+  return ((business && business.resources) || []).filter(resource =>
+    resource.available !== false &&
+    (!service || !resource.services || resource.services.some(key =>
+      [service.id, service.name].filter(Boolean).some(name => name.toLowerCase() === key.toLowerCase()))));
+}
+
+/**
+ * Find a resource by ID or name
+ * @param {Object} business - Canonical business profile
+ * @param {string} key - Resource ID or name, any case
+ * @returns {Object|null} Resource
+ */
+function findResource(business, key) {
+  if (!key) return null;
+  const wanted = String(key).toLowerCase();
+
+  return ((business && business.resources) || []).find(resource =>
+    resource.id.toLowerCase() === wanted || resource.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Staff or rooms a booking can go to, narrowed to one when asked for
+ * @param {Object} business - Canonical business profile
+ * @param {Object} service - Service from the profile, optional
+ * @param {string} key - Resource ID or name asked for, optional
+ * @returns {Object[]|null} Resources, or null when the business doesn't
+ *   book by resource
+ */
+function selectResources(business, service = null, key = null) {
+  if (!business || !business.resources || business.resources.length === 0) return null;
+
+  const resources = getResources(business, service);
+  const wanted = key && findResource(business, key);
+  return key ? resources.filter(resource => resource === wanted) : resources;
+}
+
+/**
+ * Booking rules for a business, with a service's own settings on top
+ * @param {Object} business - Canonical business profile
+ * @param {Object} service - Service from the profile, optional
+ * @param {number} duration - Length in minutes when there is no service duration
+ * @returns {{ duration, interval, buffer, leadTime, maxAdvanceDays, capacity, changeCutoff }}
+ *   Times in minutes; maxAdvanceDays is null when unlimited
+ */
+function getBookingRules(business, service = null, duration = 30) {
+  const booking = (business && business.booking) || {};
+  const length = (service && service.duration) || duration;
+
+  return {
+    duration: length,
+    interval: booking.slot_interval_minutes || length,
+    buffer: service && service.buffer_minutes !== undefined ? service.buffer_minutes : (booking.buffer_minutes || 0),
+    leadTime: booking.lead_time_minutes || 0,
+    maxAdvanceDays: booking.max_advance_days !== undefined ? booking.max_advance_days : null,
+    capacity: (service && service.capacity) || booking.capacity || 1,
+    changeCutoff: booking.reschedule_cutoff_minutes || 0
+  };
+}
+
+/**
+ * When the business takes bookings on a date, including the part of the
+ * previous day's hours that runs past midnight
+ * @param {Object} business - Canonical business profile
+ * @param {string} date - YYYY-MM-DD in the business's time zone
+ * @returns {Object[]} `[{ start, end }]` Dates
+ */
+function getOpeningWindows(business, date) {
+  const timeZone = business && business.timezone;
+  const today = getHoursForDate(business, date);
+  const yesterday = getHoursForDate(business, addDays(date, -1));
+
+  const windows = (yesterday.intervals || [])
+    .filter(interval => interval.close > MINUTES_PER_DAY)
+    .map(interval => ({ start: toZonedDate(date, 0, timeZone), end: toZonedDate(date, interval.close - MINUTES_PER_DAY, timeZone) }));
+
+  for (const interval of today.intervals || [DEFAULT_HOURS]) {
+    windows.push({ start: toZonedDate(date, interval.open, timeZone), end: toZonedDate(date, interval.close, timeZone) });
+  }
+
+  return windows;
+}
+
+/**
+ * How many bookings overlap a time, counting each one's buffer
+ * @param {Object[]} bookings - `[{ start, end, buffer }]` (Dates or ISO strings,
+ *   buffer in minutes; the rules' buffer when missing)
+ * @param {Date} start - Start of the time
+ * @param {Date} end - End of the time, buffer included
+ * @param {number} buffer - Buffer for bookings that don't carry their own
+ */
+function countOverlapping(bookings, start, end, buffer = 0) {
+  return bookings.filter(booking => {
+    const bookingStart = new Date(booking.start);
+    const bookingEnd = new Date(new Date(booking.end).getTime() +
+      (booking.buffer !== undefined ? booking.buffer : buffer) * MINUTE);
+    return bookingStart < end && bookingEnd > start;
+  }).length;
+}
+
+/**
+ * Why a time can't be booked, like `whyInactive` for promotions
+ * @param {Object} options
+ * @param {Object} options.business - Canonical business profile; hours are
+ *   only checked when given
+ * @param {Date} options.start - Requested start
+ * @param {Date} options.end - Requested end
+ * @param {Object[]} options.bookings - Existing bookings (see countOverlapping)
+ * @param {Object} options.rules - From getBookingRules
+ * @param {Date} options.now - Current time
+ * @returns {string|null} Reason, or null when the time is free
+ */
+function whyUnavailable({ business = null, start, end, bookings = [], rules, now = new Date() }) {
+  if (rules.leadTime > 0 && start.getTime() < now.getTime() + rules.leadTime * MINUTE) {
+    return `Bookings need at least ${possessive(describeMinutes(rules.leadTime))} notice`;
+  }
+  if (rules.maxAdvanceDays !== null && start.getTime() > now.getTime() + rules.maxAdvanceDays * MINUTES_PER_DAY * MINUTE) {
+    return `Bookings can only be made up to ${rules.maxAdvanceDays} days ahead`;
+  }
+
+  if (business) {
+    const dates = [start, new Date(end.getTime() - 1)].map(time => getLocalTime(time, business.timezone).date);
+    const open = [...new Set(dates)].flatMap(date => getOpeningWindows(business, date));
+    if (!open.some(window => window.start <= start && window.end >= end)) {
+      return NOT_OPEN;
+    }
+  }
+
+  const occupied = new Date(end.getTime() + rules.buffer * MINUTE);
+  if (countOverlapping(bookings, start, occupied, rules.buffer) >= rules.capacity) {
+    return BOOKED;
+  }
+
+  return null;
+}
+
+/**
+ * Why an existing booking can no longer be moved, under the reschedule cutoff
+ * @param {Object} options
+ * @param {Date} options.start - The booking's current start
+ * @param {Object} options.rules - From getBookingRules
+ * @param {Date} options.now - Current time
+ * @returns {string|null} Reason, or null when it can still be changed
+ */
+function whyLocked({ start, rules, now = new Date() }) {
+  if (start.getTime() <= now.getTime()) {
+    return "Bookings that have already started can't be changed";
+  }
+  if (rules.changeCutoff > 0 && start.getTime() < now.getTime() + rules.changeCutoff * MINUTE) {
+    return `Bookings can only be changed up to ${describeMinutes(rules.changeCutoff)} before they start`;
+  }
+  return null;
+}
+
+/**
+ * Free slots on a date
+ * @param {Object} options
+ * @param {Object} options.business - Canonical business profile, optional
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {Object[]} options.bookings - Existing bookings (see countOverlapping)
+ * @param {Object} options.rules - From getBookingRules
+ * @param {Date} options.now - Current time
+ * @returns {Object[]} `[{ startTime, endTime, duration, available, remaining }]`,
+ *   where remaining is how many more bookings the slot can take
+ */
+function computeAvailableSlots({ business = null, date, bookings = [], rules, now = new Date() }) {
+  const slots = [];
+
+  for (const window of getOpeningWindows(business, date)) {
+    for (let start = window.start.getTime(); start + rules.duration * MINUTE <= window.end.getTime(); start += rules.interval * MINUTE) {
+      const startTime = new Date(start);
+      const endTime = new Date(start + rules.duration * MINUTE);
+      if (whyUnavailable({ start: startTime, end: endTime, bookings, rules, now })) continue;
+
+      const occupied = new Date(endTime.getTime() + rules.buffer * MINUTE);
+      slots.push({
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        duration: rules.duration,
+        available: true,
+        remaining: rules.capacity - countOverlapping(bookings, startTime, occupied, rules.buffer)
+      });
+    }
+  }
+
+  return slots;
+}
+
+// The business as one resource sees it: its own hours, the business's
+// time zone and exceptions
+function resourceView(business, resource) {
+  return resource.hours ? { ...business, hours: resource.hours } : business;
+}
+
+function resourceRules(rules, resource) {
+  return { ...rules, capacity: resource.capacity || 1 };
+}
+
+/**
+ * The first resource free for a time, or why none is
+ * @param {Object} options - As for whyUnavailable, plus `resources` to try;
+ *   `bookings` carry the `resourceId` they hold
+ * @returns {Object} `{ resource, reason }`; resource is null when none is free
+ */
+function pickResource({ business, resources, start, end, bookings = [], rules, now = new Date() }) {
+  const reasons = [];
+  for (const resource of resources) {
+    const reason = whyUnavailable({
+      business: resourceView(business, resource),
+      start,
+      end,
+      bookings: bookings.filter(booking => booking.resourceId === resource.id),
+      rules: resourceRules(rules, resource),
+      now
+    });
+    if (!reason) return { resource, reason: null };
+    reasons.push(reason);
+  }
+
+  if (resources.length === 1) {
+    const [resource] = resources;
+    if (reasons[0] === NOT_OPEN) return { resource: null, reason: `${resource.name} isn't working at that time` };
+    if (reasons[0] === BOOKED) return { resource: null, reason: `${resource.name} is already booked at that time` };
+  }
+  return { resource: null, reason: reasons.includes(BOOKED) ? BOOKED : reasons[0] || BOOKED };
+}
+
+/**
+ * Free slots on a date across resources, each listing the ones free then
+ * @param {Object} options - As for computeAvailableSlots, plus `resources`
+ * @returns {Object[]} As computeAvailableSlots, with `resources: [{ id, name }]`
+ *   and `remaining` summed over them
+ */
+function computeResourceSlots({ business = null, date, bookings = [], rules, now = new Date(), resources }) {
+  const byStart = new Map();
+
+  for (const resource of resources) {
+    const slots = computeAvailableSlots({
+      business: resourceView(business, resource),
+      date,
+      bookings: bookings.filter(booking => booking.resourceId === resource.id),
+      rules: resourceRules(rules, resource),
+      now
+    });
+
+    for (const slot of slots) {
+      const merged = byStart.get(slot.startTime) || { ...slot, remaining: 0, resources: [] };
+      merged.remaining += slot.remaining;
+      merged.resources.push({ id: resource.id, name: resource.name });
+      byStart.set(slot.startTime, merged);
+    }
+  }
+
+  return [...byStart.values()].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+/**
+ * "30 minutes", "2 hours", "24 hours", "3 days"
+ */
+function describeMinutes(minutes) {
+  // A day reads better as 24 hours in a policy
+  if (minutes > MINUTES_PER_DAY && minutes % MINUTES_PER_DAY === 0) return `${minutes / MINUTES_PER_DAY} days`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// "1 hour's", "2 hours'"
+function possessive(text) {
+  return text.endsWith('s') ? `${text}'` : `${text}'s`;
+}
+
+module.exports = {
+  findService,
+  getResources,
+  findResource,
+  selectResources,
+  pickResource,
+  computeResourceSlots,
+  getBookingRules,
+  getOpeningWindows,
+  countOverlapping,
+  whyUnavailable,
+  whyLocked,
+  computeAvailableSlots,
+  describeMinutes
+};
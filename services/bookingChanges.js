@@ -0,0 +1,346 @@
+const bookingService = require('./bookingService');
+const { getBookingRules, findService, whyLocked } = require('./availability');
+const { getLocalTime, formatDate, formatTime, findAskedDate, findAskedTimes } = require('./businessHours');
+const { describeCancellation } = require('./cancellationPolicy');
+const { formatMoney } = require('./menu');
+
+// Sessions nobody has spoken to for this long are dropped
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Slots offered when the caller names a day but no time
+const SLOTS_TO_OFFER = 3;
+
+const ABORT = /\bnever ?mind\b|\bforget (it|about it)\b|\bleave it\b|\bkeep (it|my booking|the booking)\b/i;
+const YES = /\b(yes|yeah|yep|yup|sure|correct|confirm|go ahead|sounds good|perfect|please do)\b/i;
+const NO = /\b(no|nope|not|don't|wrong)\b/i;
+
+const ORDINALS = [
+  /\b(first|1st|1)\b/i,
+  /\b(second|2nd|two|2)\b/i,
+  /\b(third|3rd|three|3)\b/i,
+  /\b(fourth|4th|four|4)\b/i
+];
+
+// What the caller wants to do with a booking, by intent
+const ACTIONS = {
+  reschedule: { action: 'reschedule', verb: 'move' },
+  cancel_booking: { action: 'cancel', verb: 'cancel' }
+};
+
+/**
+ * Moves and cancels existing bookings by phone, one session per call.
+ *
+ * Stages: `phone` (which number the booking is under; skipped when the
+ * caller ID finds one) -> `choose` (several bookings) -> `time` (the new
+ * day and time; moves only) -> `confirm` (read-back, or the cancellation
+ * fee). Changes go through the booking service, so they follow the same
+ * hours, rules, cutoff and cancellation policy as the booking API.
+ */
+class BookingChangeTaker {
+  constructor(options = {}) {
+    this.bookings = options.bookings || bookingService;
+    this.sessions = new Map();
+  }
+
+  hasSession(sessionId) {
+    return Boolean(sessionId) && this.sessions.has(sessionId);
+  }
+
+  /**
+   * Intent of the change in progress on a call ('reschedule' or
+   * 'cancel_booking'), or null
+   */
+  getIntent(sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    return session ? session.intent : null;
+  }
+
+  endSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  pruneSessions(now = Date.now()) {
+    for (const [sessionId, session] of this.sessions) {
+      if (now - session.lastActivity > SESSION_TTL_MS) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Handle a caller turn if it belongs to a booking change
+   * @param {Object} turn
+   * @param {string} turn.sessionId - Call the change belongs to (e.g. CallSid)
+   * @param {string} turn.businessId - Business the booking is with
+   * @param {Object} turn.business - Canonical business profile
+   * @param {string} turn.text - What the caller said
+   * @param {string} turn.intent - Detected intent for the turn
+   * @param {string} turn.caller - Caller's phone number, if known
+   * @param {Date} turn.now - Current time
+   * @returns {Promise<Object|null>} `{ reply, booking }` (booking once moved or
+   *   cancelled), or null when the turn is not part of a booking change
+   */
+  async handle({ sessionId, businessId, business, text, intent, caller, now = new Date() }) {
+    this.pruneSessions();
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      if (!ACTIONS[intent] || !sessionId) return null;
+
+      session = {
+        ...ACTIONS[intent],
+        intent,
+        businessId,
+        business,
+        stage: 'phone',
+        choices: [],
+        booking: null,
+        date: null,
+        proposed: null,
+        lastActivity: Date.now()
+      };
+      this.sessions.set(sessionId, session);
+      console.log(`[BOOKINGS] Started ${session.action} for ${businessId} (${sessionId})`);
+
+      const offer = `Sure, I can help you ${session.verb} a booking.`;
+      if (caller) {
+        const found = await this.lookUp(sessionId, session, caller, now);
+        if (found) return found;
+        return { reply: `${offer} I couldn't find one under the number you're calling from. What phone number did you book with?` };
+      }
+      return { reply: `${offer} What phone number is it under?` };
+    }
+
+    session.lastActivity = Date.now();
+
+    if (ABORT.test(text)) {
+      this.endSession(sessionId);
+      return { reply: "No problem, I've left your booking as it is. Is there anything else I can help you with?" };
+    }
+
+    switch (session.stage) {
+      case 'choose':
+        return this.handleChoice(sessionId, session, text, now);
+      case 'time':
+        return this.handleTime(session, text, now);
+      case 'confirm':
+        return this.handleConfirm(sessionId, session, text, now);
+      default:
+        return this.handlePhone(sessionId, session, text, now);
+    }
+  }
+
+  /**
+   * Find the caller's bookings and move on to choosing one
+   * @returns {Promise<Object|null>} Turn, or null when there are none
+   */
+  async lookUp(sessionId, session, phone, now) {
+    const bookings = await this.bookings.findBookingsByPhone(phone, { businessId: session.businessId, now });
+    if (bookings.length === 0) return null;
+
+    if (bookings.length === 1) {
+      return this.select(sessionId, session, bookings[0], now);
+    }
+
+    session.stage = 'choose';
+    session.choices = bookings.slice(0, ORDINALS.length);
+    const listed = session.choices
+      .map((booking, index) => `${index + 1}, ${this.describeBooking(session, booking)}`)
+      .join('; ');
+    return { reply: `I found ${session.choices.length} bookings: ${listed}. Which one would you like to ${session.verb}?` };
+  }
+
+  async handlePhone(sessionId, session, text, now) {
+    if (text.replace(/\D/g, '').length < 7) {
+      return { reply: "Sorry, I didn't catch that. What phone number is the booking under?" };
+    }
+
+    const found = await this.lookUp(sessionId, session, text, now);
+    return found || {
+      reply: "I couldn't find an upcoming booking under that number. Could you check the number, or say never mind?"
+    };
+  }
+
+  handleChoice(sessionId, session, text, now) {
+    const input = text.toLowerCase();
+    const byName = session.choices.filter(booking => booking.service && input.includes(booking.service.toLowerCase()));
+    const index = ORDINALS.findIndex((pattern, position) => position < session.choices.length && pattern.test(input));
+    const booking = byName.length === 1 ? byName[0] : session.choices[index];
+
+    if (!booking) {
+      return { reply: `Sorry, which booking would you like to ${session.verb}? Say first to ${ordinal(session.choices.length)}.` };
+    }
+    return this.select(sessionId, session, booking, now);
+  }
+
+  async select(sessionId, session, booking, now) {
+    if (session.action === 'cancel') {
+      session.booking = booking;
+      session.stage = 'confirm';
+      const cancellation = await this.bookings.quoteCancellation(booking.bookingId, session.business, { now });
+      return {
+        reply: `I found your booking ${this.describeBooking(session, booking)}. ` +
+          `${describeCancellation(cancellation, session.business)} Would you like me to cancel it?`
+      };
+    }
+
+    const rules = getBookingRules(session.business, findService(session.business, booking.service));
+    const locked = whyLocked({ start: new Date(booking.startTime), rules, now });
+    if (locked) {
+      this.endSession(sessionId);
+      return {
+        reply: `I found your booking ${this.describeBooking(session, booking)}, but I'm sorry, ${lowerFirst(locked)}. ` +
+          'Is there anything else I can help you with?'
+      };
+    }
+
+    session.booking = booking;
+    session.stage = 'time';
+    return { reply: `I found your booking ${this.describeBooking(session, booking)}. What day and time would you like instead?` };
+  }
+
+  async handleTime(session, text, now) {
+    const { business, booking } = session;
+    const timeZone = business && business.timezone;
+    const input = text.toLowerCase();
+    const local = getLocalTime(now, timeZone);
+    const times = findAskedTimes(input);
+    const date = findAskedDate(business, input, local) || session.date ||
+      (times.length > 0 ? getLocalTime(new Date(booking.startTime), timeZone).date : null);
+
+    if (!date) {
+      return { reply: 'What day and time would you like instead?' };
+    }
+
+    const duration = (new Date(booking.endTime) - new Date(booking.startTime)) / 60000;
+    const slots = await this.bookings.getAvailableSlots(date, duration, business, {
+      businessId: session.businessId,
+      service: booking.service,
+      excludeBookingId: booking.bookingId,
+      now
+    });
+    session.date = date;
+
+    if (slots.length === 0) {
+      session.date = null;
+      return { reply: `Sorry, we don't have anything free on ${formatDate(date)}. Would another day work?` };
+    }
+
+    const startsAt = slot => getLocalTime(new Date(slot.startTime), timeZone).minutes;
+    // For "at 3", prefer the afternoon like the hours answers do
+    const chosen = [...times].reverse()
+      .map(minutes => slots.find(slot => startsAt(slot) === minutes))
+      .find(Boolean);
+    const offered = slots.slice(0, SLOTS_TO_OFFER).map(slot => formatTime(startsAt(slot)));
+
+    if (!chosen) {
+      const unavailable = times.length > 0
+        ? `Sorry, ${formatTime(times[times.length - 1])} isn't available on ${formatDate(date)}. `
+        : `On ${formatDate(date)} `;
+      return { reply: `${unavailable}I have ${joinOr(offered)}. Which time works for you?` };
+    }
+
+    session.proposed = chosen;
+    session.stage = 'confirm';
+    return {
+      reply: `Just to confirm, you'd like to move your booking from ${this.describeTime(session, booking.startTime)} ` +
+        `to ${this.describeTime(session, chosen.startTime)}?`
+    };
+  }
+
+  async handleConfirm(sessionId, session, text, now) {
+    if (session.action === 'cancel') {
+      return this.handleCancel(sessionId, session, text, now);
+    }
+
+    // "No, that's not correct" says correct too
+    if (YES.test(text) && !NO.test(text)) {
+      try {
+        const booking = await this.bookings.updateBooking(session.booking.bookingId, {
+          startTime: session.proposed.startTime,
+          endTime: session.proposed.endTime
+        }, session.business, { now });
+        this.endSession(sessionId);
+
+        return {
+          reply: `Done! Your booking is now on ${this.describeTime(session, booking.startTime)}. Is there anything else I can help you with?`,
+          booking
+        };
+      } catch (error) {
+        if (error.code === 'SLOT_UNAVAILABLE') {
+          session.stage = 'time';
+          session.proposed = null;
+          return { reply: 'Sorry, that time was just taken. What other time works for you?' };
+        }
+        if (error.code === 'BOOKING_LOCKED') {
+          this.endSession(sessionId);
+          return { reply: `I'm sorry, ${lowerFirst(error.message)}. Is there anything else I can help you with?` };
+        }
+        throw error;
+      }
+    }
+
+    if (NO.test(text)) {
+      session.stage = 'time';
+      session.proposed = null;
+      return { reply: 'No problem. What day and time would you like instead?' };
+    }
+
+    return { reply: 'Sorry, shall I move your booking? Please say yes or no.' };
+  }
+
+  async handleCancel(sessionId, session, text, now) {
+    // The caller has heard the fee, so only a clear yes accepts it
+    if (YES.test(text) && !NO.test(text)) {
+      const result = await this.bookings.cancelBooking(session.booking.bookingId, session.business, { acceptFee: true, now });
+      this.endSession(sessionId);
+
+      const { cancellation } = result;
+      const fee = cancellation.feeApplies && cancellation.fee !== null
+        ? ` The ${formatMoney(cancellation.fee)} ${cancellation.outcome === 'no_show' ? 'no-show' : 'cancellation'} fee will be charged.`
+        : '';
+      return {
+        reply: `Your booking ${this.describeBooking(session, session.booking)} is cancelled.${fee} Is there anything else I can help you with?`,
+        booking: await this.bookings.getBooking(session.booking.bookingId)
+      };
+    }
+
+    if (NO.test(text)) {
+      this.endSession(sessionId);
+      return { reply: 'No problem, your booking is still on. Is there anything else I can help you with?' };
+    }
+
+    return { reply: 'Sorry, shall I cancel your booking? Please say yes or no.' };
+  }
+
+  /**
+   * "for Haircut on Wednesday, January 9 at 1 PM"
+   */
+  describeBooking(session, booking) {
+    const service = booking.service ? `for ${booking.service} ` : '';
+    return `${service}on ${this.describeTime(session, booking.startTime)}`;
+  }
+
+  /**
+   * "Wednesday, January 9 at 1 PM" in the business's time zone
+   */
+  describeTime(session, startTime) {
+    const local = getLocalTime(new Date(startTime), session.business && session.business.timezone);
+    return `${formatDate(local.date)} at ${formatTime(local.minutes)}`;
+  }
+}
+
+function ordinal(count) {
+  return ['first', 'second', 'third', 'fourth'][count - 1];
+}
+
+function joinOr(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+module.exports = new BookingChangeTaker();
+module.exports.BookingChangeTaker = BookingChangeTaker;
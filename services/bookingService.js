@@ -0,0 +1,643 @@
+const {
+  findService,
+  findResource,
+  selectResources,
+  pickResource,
+  getBookingRules,
+  whyUnavailable,
+  whyLocked,
+  computeAvailableSlots,
+  computeResourceSlots
+} = require('./availability');
+const { getLocalTime, addDays, toZonedDate, formatDate, formatTime } = require('./businessHours');
+const { evaluateCancellation, describeCancellation } = require('./cancellationPolicy');
+const { usesGoogleCalendar, getCalendarService } = require('./calendars');
+const { getBusinessName } = require('./businessData');
+const bookingStore = require('./bookingStore');
+const waitlistStore = require('./waitlistStore');
+const messaging = require('./messaging');
+
+// How long a freed time is held for the entry it's offered to, unless the
+// business profile sets `booking.waitlist.offer_minutes`
+const DEFAULT_OFFER_MINUTES = 60;
+
+/**
+ * Bookings checked against the business hours and booking rules, kept in
+ * the booking store so they survive a restart, and the waitlist for times
+ * that are full; freed times are texted to the next in line. Events other
+ * apps put on the business's calendars are counted as busy.
+ */
+class BookingService {
+  constructor(options = {}) {
+    this.store = options.store || bookingStore;
+    this.waitlist = options.waitlist || waitlistStore;
+    this.messaging = options.messaging || messaging;
+    this.getCalendarService = options.getCalendarService || getCalendarService;
+  }
+
+  /**
+   * Time taken on the business's calendars around a date by events that
+   * aren't bookings from the store (those are counted already), including
+   * each staff member's or room's own calendar. Google calendars count once
+   * the account is connected; an unreachable calendar is logged and skipped
+   * so bookings can still be taken.
+   * @param {Object} business - Canonical business profile, optional
+   * @param {string} businessId - The business's ID, optional
+   * @param {string|Date} date - YYYY-MM-DD, or a time on the day
+   * @returns {Promise<Object[]>} `[{ start, end, resourceId }]`
+   */
+  async calendarBusy(business, businessId, date) {
+    if (!business) return [];
+
+    const google = usesGoogleCalendar(business);
+    const calendar = this.getCalendarService(business, { businessId });
+    // Not authorized at /auth yet
+    if (google && !calendar.initialized) return [];
+
+    // From the day before to the end of the next, for hours past midnight
+    // and buffers
+    const timeZone = business.timezone;
+    const day = date instanceof Date ? getLocalTime(date, timeZone).date : date;
+    try {
+      return await calendar.listBookings(
+        toZonedDate(addDays(day, -1), 0, timeZone),
+        toZonedDate(addDays(day, 2), 0, timeZone),
+        selectResources(business),
+        { mirrored: false }
+      );
+    } catch (error) {
+      console.warn(`[BOOKINGS] Couldn't read the ${google ? 'Google' : 'CalDAV'} calendar of ${businessId || business.name}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Free slots on a date, from the business hours and booking rules when a
+   * business is given (9 AM to 5 PM otherwise)
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} duration - Slot length in minutes, unless the service has one
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {string} options.businessId - Only count this business's bookings
+   * @param {string} options.service - Service ID or name from the profile
+   * @param {string} options.resource - Only this staff member or room (ID or
+   *   name); slots list the resources free at each time
+   * @param {string} options.excludeBookingId - Leave a booking out, e.g. the
+   *   one being moved
+   * @param {Date} options.now - Current time
+   */
+  async getAvailableSlots(date, duration = 30, business = null, { businessId = null, service = null, resource = null, excludeBookingId = null, now = new Date() } = {}) {
+    const bookedService = findService(business, service);
+    const rules = getBookingRules(business, bookedService, duration);
+    const bookings = this.store.list({ businessId }).filter(booking => booking.bookingId !== excludeBookingId);
+    const resources = selectResources(business, bookedService, resource);
+    const day = String(date).slice(0, 10);
+
+    const options = {
+      business,
+      date: day,
+      bookings: [...toSlots(bookings), ...await this.calendarBusy(business, businessId, day)],
+      rules,
+      now
+    };
+    return resources ? computeResourceSlots({ ...options, resources }) : computeAvailableSlots(options);
+  }
+
+  /**
+   * Book a time, checked against the business hours, booking rules and
+   * capacity when a business is given. The check and the write happen under
+   * the store's lock, so concurrent requests can't overbook a slot. When the
+   * business books staff or rooms, the booking goes to the one asked for or
+   * the first free one, recorded as `resourceId` and `resourceName`.
+   * @param {Object} details - Booking details from POST /book
+   * @param {Object} business - Canonical business profile, optional
+   * @throws {Error} With `code` 'SLOT_UNAVAILABLE' and the reason when the time can't be booked
+   */
+  async createBooking({ customerName, customerEmail, customerPhone, startTime, endTime, serviceType, notes, businessId, service, resource, partySize }, business = null) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    const bookedService = findService(business, service);
+    const rules = getBookingRules(business, bookedService, (end - start) / 60000);
+    const resources = selectResources(business, bookedService, resource);
+    if (resources && resources.length === 0) {
+      throw noResource(business, bookedService, resource);
+    }
+    const busy = await this.calendarBusy(business, businessId, start);
+
+    const booking = await this.store.create({
+      ...(businessId && { businessId }),
+      customerName,
+      customerEmail,
+      customerPhone,
+      // The day it starts where the business is, whatever the client sent
+      date: getLocalTime(start, business ? business.timezone : undefined).date,
+      startTime,
+      endTime,
+      serviceType,
+      ...(bookedService && { service: bookedService.name }),
+      ...(partySize && { partySize }),
+      notes,
+      bufferMinutes: rules.buffer,
+      ...(resources && resource && { resourceRequested: true })
+    }, stored => placeBooking({
+      business,
+      resources,
+      start,
+      end,
+      bookings: [...toSlots(stored.filter(entry => (entry.businessId || null) === (businessId || null))), ...busy],
+      rules
+    }));
+
+    return {
+      success: true,
+      bookingId: booking.bookingId,
+      booking: {
+        ...booking,
+        confirmationMessage: `Booking confirmed for ${customerName} on ${new Date(startTime).toLocaleString()}`
+      }
+    };
+  }
+
+  /**
+   * Move a booking or edit its details. New times are checked against the
+   * business hours, booking rules and the other bookings under the store's
+   * lock, and only before the business's reschedule cutoff.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} changes - `startTime`/`endTime` (the current length is kept
+   *   when only `startTime` is given), `service`, `resource`, customer details
+   *   or notes. A moved booking keeps its staff member or room when they're
+   *   free, and only moves to another if the customer didn't ask for them.
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} Updated booking
+   * @throws {Error} With `code` 'BOOKING_NOT_FOUND', 'BOOKING_LOCKED' (cancelled
+   *   or past the cutoff) or 'SLOT_UNAVAILABLE'
+   */
+  async updateBooking(bookingId, changes, business = null, { now = new Date() } = {}) {
+    const { startTime, endTime, service, resource, ...details } = changes;
+    const existing = (startTime || service || resource) && this.store.get(bookingId);
+    const busy = existing
+      ? await this.calendarBusy(business, existing.businessId, new Date(startTime || existing.startTime))
+      : [];
+
+    const booking = await this.store.update(bookingId, (current, stored) => {
+      if (current.status !== 'confirmed') {
+        throw codedError(`This booking is ${current.status} and can't be changed`, 'BOOKING_LOCKED');
+      }
+      if (!startTime && !service && !resource) return details;
+
+      const currentStart = new Date(current.startTime);
+      const locked = whyLocked({
+        start: currentStart,
+        rules: getBookingRules(business, findService(business, current.service)),
+        now
+      });
+      if (locked) throw codedError(locked, 'BOOKING_LOCKED');
+
+      const bookedService = service ? findService(business, service) : findService(business, current.service);
+      const start = new Date(startTime || current.startTime);
+      const length = service && bookedService && bookedService.duration
+        ? bookedService.duration * 60000
+        : new Date(current.endTime) - currentStart;
+      const end = endTime ? new Date(endTime) : new Date(start.getTime() + length);
+      const rules = getBookingRules(business, bookedService, (end - start) / 60000);
+
+      let resources = selectResources(business, bookedService, resource || (current.resourceRequested && current.resourceId));
+      if (resources && resources.length === 0) {
+        throw noResource(business, bookedService, resource || current.resourceId);
+      }
+      if (resources && !resource) {
+        // Keep the same person or room when they're free
+        resources = [...resources].sort((a, b) => (b.id === current.resourceId) - (a.id === current.resourceId));
+      }
+
+      const others = stored.filter(entry => entry.bookingId !== bookingId &&
+        (entry.businessId || null) === (current.businessId || null));
+      const placed = placeBooking({ business, resources, start, end, bookings: [...toSlots(others), ...busy], rules, now });
+      if (typeof placed === 'string') throw codedError(placed, 'SLOT_UNAVAILABLE');
+
+      const moved = start.getTime() !== currentStart.getTime();
+      const retimed = moved || end.getTime() !== new Date(current.endTime).getTime();
+      return {
+        ...details,
+        date: getLocalTime(start, business && business.timezone).date,
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        ...(bookedService && { service: bookedService.name }),
+        bufferMinutes: rules.buffer,
+        ...placed,
+        ...(resource && { resourceRequested: true }),
+        // Reminders go out again for the new time
+        ...(moved && { rescheduledFrom: current.startTime, rescheduledAt: now.toISOString(), remindersSent: [] }),
+        // Calendar files replace the event they already have
+        ...(retimed && { sequence: (current.sequence || 0) + 1 })
+      };
+    });
+
+    if (!booking) {
+      throw notFound(bookingId);
+    }
+
+    console.log(`[BOOKINGS] Updated booking ${bookingId}`);
+    return booking;
+  }
+
+  /**
+   * A caller's upcoming confirmed bookings, soonest first
+   * @param {string} phone - Phone number in any format; the last 10 digits are compared
+   * @param {Object} options
+   * @param {string} options.businessId - Business the bookings are with
+   * @param {Date} options.now - Current time
+   */
+  async findBookingsByPhone(phone, { businessId = null, now = new Date() } = {}) {
+    const wanted = lastDigits(phone);
+    if (wanted.length < 7) return [];
+
+    return this.store.list({ businessId, status: 'confirmed' })
+      .filter(booking => new Date(booking.startTime) > now && lastDigits(booking.customerPhone) === wanted);
+  }
+
+  /**
+   * What cancelling a booking now would cost, under the business's policy
+   * @param {string} bookingId - Booking ID
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} See evaluateCancellation
+   */
+  async quoteCancellation(bookingId, business = null, { now = new Date() } = {}) {
+    const booking = await this.getBooking(bookingId);
+    return evaluateCancellation({ business, booking, now });
+  }
+
+  /**
+   * Cancel a booking and record what the cancellation policy charged
+   * @param {string} bookingId - Booking ID
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {boolean} options.acceptFee - Cancel even when a fee applies
+   *   (the caller or client has agreed to it)
+   * @param {Date} options.now - Current time
+   * @throws {Error} With `code` 'BOOKING_NOT_FOUND', 'BOOKING_LOCKED' (already
+   *   cancelled) or 'FEE_NOT_ACCEPTED' (with the `cancellation` it would cost)
+   */
+  async cancelBooking(bookingId, business = null, { acceptFee = true, now = new Date() } = {}) {
+    const booking = await this.store.update(bookingId, current => {
+      if (current.status !== 'confirmed') {
+        throw codedError(`This booking is already ${current.status}`, 'BOOKING_LOCKED');
+      }
+
+      const cancellation = evaluateCancellation({ business, booking: current, now });
+      if (cancellation.feeApplies && !acceptFee) {
+        const error = codedError(describeCancellation(cancellation, business), 'FEE_NOT_ACCEPTED');
+        error.cancellation = cancellation;
+        throw error;
+      }
+
+      return {
+        status: 'cancelled',
+        cancelledAt: now.toISOString(),
+        cancellation,
+        sequence: (current.sequence || 0) + 1
+      };
+    });
+    if (!booking) {
+      throw notFound(bookingId);
+    }
+
+    console.log(`[BOOKINGS] Cancelled booking ${bookingId} (${booking.cancellation.outcome})`);
+    const waitlistOffer = await this.offerFreedSlot(booking, business, { now });
+
+    return {
+      success: true,
+      message: 'Booking cancelled successfully',
+      bookingId,
+      cancellation: booking.cancellation,
+      waitlistOffer
+    };
+  }
+
+  /**
+   * Put someone on the waitlist for a window of start times
+   * @param {Object} details - Customer details, `businessId`, `service`,
+   *   `partySize`, `notes` and the window (`windowStart`, `windowEnd`)
+   * @param {Object} business - Canonical business profile, optional
+   * @returns {Promise<Object>} Stored waitlist entry
+   */
+  async joinWaitlist({ customerName, customerEmail, customerPhone, businessId, service, partySize, windowStart, windowEnd, notes }, business = null) {
+    const wantedService = findService(business, service);
+    const start = new Date(windowStart);
+
+    return this.waitlist.create({
+      ...(businessId && { businessId }),
+      customerName,
+      customerEmail,
+      customerPhone,
+      ...(wantedService && { service: wantedService.name }),
+      ...(partySize && { partySize }),
+      notes,
+      date: getLocalTime(start, business && business.timezone).date,
+      windowStart: start.toISOString(),
+      windowEnd: new Date(windowEnd).toISOString(),
+      duration: getBookingRules(business, wantedService).duration
+    });
+  }
+
+  /**
+   * Offer a freed time to the longest-waiting entry whose window it falls
+   * in and who can still be booked there, and text it to them. The offer
+   * is held until `offer.expiresAt`, then passed to the next in line.
+   * @param {Object} freed - The cancelled booking (or `{ businessId, startTime }`)
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object|null>} Entry the time was offered to
+   */
+  async offerFreedSlot(freed, business = null, { now = new Date() } = {}) {
+    const start = new Date(freed.startTime);
+    if (start <= now || this.waitlist.list({ businessId: freed.businessId || null, status: 'waiting' }).length === 0) {
+      return null;
+    }
+
+    const bookings = toSlots(this.store.list({ businessId: freed.businessId || null }));
+    const entry = await this.waitlist.updateFirst(candidate => {
+      if (candidate.status !== 'waiting' || (candidate.businessId || null) !== (freed.businessId || null)) return false;
+      if (new Date(candidate.windowStart) > start || new Date(candidate.windowEnd) < start) return false;
+      if ((candidate.declined || []).includes(start.toISOString())) return false;
+
+      const service = findService(business, candidate.service);
+      const rules = getBookingRules(business, service, candidate.duration);
+      const end = new Date(start.getTime() + rules.duration * 60000);
+      const resources = selectResources(business, service);
+      return typeof placeBooking({ business, resources, start, end, bookings, rules, now }) !== 'string';
+    }, {
+      status: 'offered',
+      offer: {
+        startTime: start.toISOString(),
+        offeredAt: now.toISOString(),
+        // Never held past the time itself
+        expiresAt: new Date(Math.min(now.getTime() + offerMinutes(business) * 60000, start.getTime())).toISOString(),
+        ...(freed.bookingId && { freedBookingId: freed.bookingId })
+      }
+    });
+
+    if (!entry) return null;
+    console.log(`[WAITLIST] Offered ${entry.offer.startTime} to ${entry.waitlistId}`);
+    return this.sendWaitlistOffer(entry, business);
+  }
+
+  /**
+   * Text an entry the time it was offered. A failed send is logged and the
+   * offer stands, so staff can still call them.
+   * @returns {Promise<Object>} The entry, with `offer.messageId` when sent
+   */
+  async sendWaitlistOffer(entry, business = null) {
+    const timeZone = business && business.timezone;
+    const start = getLocalTime(new Date(entry.offer.startTime), timeZone);
+    const expires = getLocalTime(new Date(entry.offer.expiresAt), timeZone);
+
+    try {
+      const { messageId } = await this.messaging.sendSms({
+        to: entry.customerPhone,
+        body: `Good news from ${getBusinessName(business, 'us')}: a time you're waiting for has opened up, ` +
+          `on ${formatDate(start.date)} at ${formatTime(start.minutes)}. We'll hold it for you until ` +
+          `${formatTime(expires.minutes)}; call us to book it.`
+      });
+
+      console.log(`[WAITLIST] Texted ${entry.waitlistId} the offer`);
+      return await this.waitlist.update(entry.waitlistId, current => (
+        current.status === 'offered' && current.offer.startTime === entry.offer.startTime
+          ? { offer: { ...current.offer, messageId } }
+          : {}
+      ));
+    } catch (error) {
+      console.error(`[WAITLIST] Couldn't text ${entry.waitlistId} the offer:`, error.message);
+      return entry;
+    }
+  }
+
+  /**
+   * Book the time a waitlist entry was offered
+   * @param {string} waitlistId - Waitlist ID
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} `{ entry, booking }`
+   * @throws {Error} With `code` 'WAITLIST_NOT_FOUND', 'WAITLIST_LOCKED' (no
+   *   open offer, or it expired and went to the next in line) or
+   *   'SLOT_UNAVAILABLE' (taken since; the entry waits again)
+   */
+  async acceptWaitlistOffer(waitlistId, business = null, { now = new Date() } = {}) {
+    const entry = await this.getWaitlistEntry(waitlistId);
+    if (entry.status !== 'offered') {
+      throw codedError(`This waitlist entry is ${entry.status} and has no open offer`, 'WAITLIST_LOCKED');
+    }
+    if (offerExpired(entry.offer, now)) {
+      await this.declineWaitlistOffer(waitlistId, business, { now, expired: true });
+      throw codedError('The offer for this waitlist entry has expired', 'WAITLIST_LOCKED');
+    }
+
+    const rules = getBookingRules(business, findService(business, entry.service), entry.duration);
+    const start = new Date(entry.offer.startTime);
+    let result;
+    try {
+      result = await this.createBooking({
+        customerName: entry.customerName,
+        customerEmail: entry.customerEmail,
+        customerPhone: entry.customerPhone,
+        startTime: entry.offer.startTime,
+        endTime: new Date(start.getTime() + rules.duration * 60000).toISOString(),
+        serviceType: 'appointment',
+        businessId: entry.businessId,
+        service: entry.service,
+        partySize: entry.partySize,
+        notes: entry.notes
+      }, business);
+    } catch (error) {
+      if (error.code === 'SLOT_UNAVAILABLE') {
+        await this.waitlist.update(waitlistId, { status: 'waiting', offer: null });
+      }
+      throw error;
+    }
+
+    const booked = await this.waitlist.update(waitlistId, { status: 'booked', bookingId: result.bookingId });
+    console.log(`[WAITLIST] ${waitlistId} took ${entry.offer.startTime} as ${result.bookingId}`);
+    return { entry: booked, booking: result.booking };
+  }
+
+  /**
+   * Turn down an offer; the entry keeps waiting for another time and the
+   * offered one goes to the next in line
+   * @param {string} waitlistId - Waitlist ID
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @param {boolean} options.expired - Only if the offer has expired
+   * @returns {Promise<Object>} `{ entry, nextOffer }`
+   */
+  async declineWaitlistOffer(waitlistId, business = null, { now = new Date(), expired = false } = {}) {
+    const entry = await this.waitlist.update(waitlistId, current => {
+      if (current.status !== 'offered') {
+        throw codedError(`This waitlist entry is ${current.status} and has no open offer`, 'WAITLIST_LOCKED');
+      }
+      if (expired && !offerExpired(current.offer, now)) {
+        throw codedError('The offer for this waitlist entry has not expired', 'WAITLIST_LOCKED');
+      }
+      return {
+        status: 'waiting',
+        offer: null,
+        declined: [...(current.declined || []), current.offer.startTime]
+      };
+    });
+    if (!entry) {
+      throw waitlistNotFound(waitlistId);
+    }
+
+    const declined = entry.declined[entry.declined.length - 1];
+    if (expired) {
+      console.log(`[WAITLIST] Offer of ${declined} to ${waitlistId} expired`);
+    }
+    const nextOffer = await this.offerFreedSlot({ businessId: entry.businessId, startTime: declined }, business, { now });
+    return { entry, nextOffer };
+  }
+
+  /**
+   * Pass every expired offer to the next in line, as if it was declined
+   * @param {Object} options
+   * @param {Function} options.loadBusiness - Given a business ID, its
+   *   canonical profile or null
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object[]>} `{ entry, nextOffer }` for each one passed on
+   */
+  async expireWaitlistOffers({ loadBusiness = () => null, now = new Date() } = {}) {
+    const expired = this.waitlist.list({ status: 'offered' }).filter(entry => offerExpired(entry.offer, now));
+
+    const passed = [];
+    for (const entry of expired) {
+      try {
+        passed.push(await this.declineWaitlistOffer(entry.waitlistId, loadBusiness(entry.businessId), { now, expired: true }));
+      } catch (error) {
+        // Accepted or passed on since
+        if (error.code !== 'WAITLIST_LOCKED') throw error;
+      }
+    }
+    return passed;
+  }
+
+  /**
+   * Take someone off the waitlist
+   * @param {string} waitlistId - Waitlist ID
+   * @returns {Promise<Object>} Cancelled entry
+   */
+  async removeFromWaitlist(waitlistId) {
+    const entry = await this.waitlist.update(waitlistId, current => {
+      if (!['waiting', 'offered'].includes(current.status)) {
+        throw codedError(`This waitlist entry is already ${current.status}`, 'WAITLIST_LOCKED');
+      }
+      return { status: 'cancelled', offer: null };
+    });
+    if (!entry) {
+      throw waitlistNotFound(waitlistId);
+    }
+
+    console.log(`[WAITLIST] Removed ${waitlistId}`);
+    return entry;
+  }
+
+  async getWaitlistEntry(waitlistId) {
+    const entry = this.waitlist.get(waitlistId);
+    if (!entry) {
+      throw waitlistNotFound(waitlistId);
+    }
+
+    return entry;
+  }
+
+  /**
+   * @param {Object} filters - `{ date, status, businessId }`
+   */
+  async getWaitlist(filters = {}) {
+    return this.waitlist.list(filters);
+  }
+
+  async getBooking(bookingId) {
+    const booking = this.store.get(bookingId);
+    if (!booking) {
+      throw notFound(bookingId);
+    }
+
+    return booking;
+  }
+
+  /**
+   * @param {Object} filters - `{ date, status, businessId }`
+   */
+  async getAllBookings(filters = {}) {
+    return this.store.list(filters);
+  }
+}
+
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function notFound(bookingId) {
+  return codedError(`Booking not found: ${bookingId}`, 'BOOKING_NOT_FOUND');
+}
+
+function waitlistNotFound(waitlistId) {
+  return codedError(`Waitlist entry not found: ${waitlistId}`, 'WAITLIST_NOT_FOUND');
+}
+
+function offerMinutes(business) {
+  const waitlist = (business && business.booking && business.booking.waitlist) || {};
+  return waitlist.offer_minutes || DEFAULT_OFFER_MINUTES;
+}
+
+// Offers made before they had an expiry stay open
+function offerExpired(offer, now) {
+  return Boolean(offer && offer.expiresAt) && new Date(offer.expiresAt) <= now;
+}
+
+function noResource(business, service, key) {
+  const resource = findResource(business, key);
+  return codedError(resource && service
+    ? `${resource.name} doesn't offer ${service.name}`
+    : `Unknown resource: ${key}`, 'SLOT_UNAVAILABLE');
+}
+
+/**
+ * Why a time can't be booked, or the resource fields to book it with
+ * (none when the business doesn't book by resource)
+ * @returns {string|Object|null}
+ */
+function placeBooking({ resources, ...options }) {
+  if (!resources) return whyUnavailable(options);
+
+  const { resource, reason } = pickResource({ ...options, resources });
+  return resource ? { resourceId: resource.id, resourceName: resource.name } : reason;
+}
+
+function lastDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Confirmed bookings as the availability rules count them
+ */
+function toSlots(bookings) {
+  return bookings
+    .filter(booking => booking.status === 'confirmed')
+    .map(booking => ({
+      start: booking.startTime,
+      end: booking.endTime,
+      buffer: booking.bufferMinutes,
+      ...(booking.resourceId && { resourceId: booking.resourceId })
+    }));
+}
+
+module.exports = new BookingService();
+module.exports.BookingService = BookingService;
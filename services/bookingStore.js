@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./fileLock');
+
+const DEFAULT_BOOKINGS_FILE = path.join(__dirname, '..', 'storage', 'bookings.json');
+
+const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+
+/**
+ * Bookings, kept in a JSON file (BOOKINGS_FILE) so reservations survive a
+ * restart. Writes go to a temp file and are renamed into place like orders.
+ * Changes run under a lock file, so two requests (or two server processes)
+ * can't both take the last place in a slot.
+ */
+class BookingStore {
+  constructor(options = {}) {
+    this.bookingsFile = options.bookingsFile || process.env.BOOKINGS_FILE || DEFAULT_BOOKINGS_FILE;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.bookingsFile)) return [];
+    return JSON.parse(fs.readFileSync(this.bookingsFile, 'utf8')).bookings || [];
+  }
+
+  writeAll(bookings) {
+    fs.mkdirSync(path.dirname(this.bookingsFile), { recursive: true });
+
+    const tempFile = `${this.bookingsFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ bookings }, null, 2));
+    fs.renameSync(tempFile, this.bookingsFile);
+  }
+
+  /**
+   * Run a read-check-write on the bookings while holding the lock file
+   * @param {Function} change - Given the stored bookings; runs synchronously
+   */
+  withLock(change) {
+    return withFileLock(this.bookingsFile, () => change(this.readAll()));
+  }
+
+  /**
+   * Store a new booking if the slot is still free
+   * @param {Object} booking - Customer, times, service and business
+   * @param {Function} check - Given the stored bookings, returns why the
+   *   booking can't be made, or null, or fields to add to it (e.g. the staff
+   *   member it was given to)
+   * @returns {Promise<Object>} Stored booking with `bookingId`, `status` and timestamps
+   * @throws {Error} With `code` 'SLOT_UNAVAILABLE' when the check fails
+   */
+  create(booking, check = () => null) {
+    return this.withLock(bookings => {
+      const result = check(bookings);
+      if (typeof result === 'string') {
+        const error = new Error(result);
+        error.code = 'SLOT_UNAVAILABLE';
+        throw error;
+      }
+
+      const now = new Date().toISOString();
+      // Short sequential numbers are easy to read out to a caller
+      const number = bookings.reduce((max, entry) => Math.max(max, entry.number || 0), 1000) + 1;
+      const stored = {
+        bookingId: `BOOK-${number}`,
+        number,
+        ...booking,
+        ...result,
+        status: 'confirmed',
+        createdAt: now,
+        updatedAt: now
+      };
+
+      bookings.push(stored);
+      this.writeAll(bookings);
+
+      console.log(`[BOOKINGS] Stored booking ${stored.bookingId} for ${stored.startTime}`);
+      return stored;
+    });
+  }
+
+  get(bookingId) {
+    return this.readAll().find(booking => booking.bookingId === bookingId) || null;
+  }
+
+  /**
+   * Bookings in start time order
+   * @param {Object} filters - `{ date, status, businessId }`; date is YYYY-MM-DD
+   */
+  list({ date, status, businessId } = {}) {
+    return this.readAll()
+      .filter(booking => !date || String(booking.date || booking.startTime).slice(0, 10) === date)
+      .filter(booking => !status || booking.status === status)
+      .filter(booking => businessId === undefined || (booking.businessId || null) === (businessId || null))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  /**
+   * Change a stored booking
+   * @param {string} bookingId - Booking ID
+   * @param {Object|Function} changes - Fields to set, or a function given the
+   *   booking and all stored bookings that returns them (and may throw to
+   *   refuse the change)
+   * @returns {Promise<Object|null>} Updated booking, or null if it doesn't exist
+   */
+  update(bookingId, changes) {
+    return this.withLock(bookings => {
+      const booking = bookings.find(entry => entry.bookingId === bookingId);
+      if (!booking) return null;
+
+      const fields = typeof changes === 'function' ? changes(booking, bookings) : changes;
+      Object.assign(booking, fields, { updatedAt: new Date().toISOString() });
+      this.writeAll(bookings);
+
+      return booking;
+    });
+  }
+}
+
+module.exports = new BookingStore();
+module.exports.BookingStore = BookingStore;
+module.exports.BOOKING_STATUSES = BOOKING_STATUSES;
@@ -0,0 +1,554 @@
+const bookingService = require('./bookingService');
+const { getResources, getBookingRules, getOpeningWindows } = require('./availability');
+const { MINUTES_PER_DAY, getLocalTime, formatDate, formatTime, toZonedDate } = require('./businessHours');
+const { parseDateTime } = require('./dateTimeParser');
+
+// Sessions nobody has spoken to for this long are dropped
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Other times offered when the one asked for is taken
+const SLOTS_TO_OFFER = 3;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// "table for 4", "party of six", "5 people", "two of us"; not "for 7 pm"
+const PARTY = new RegExp(
+  `\\b(?:${NUMBER}\\s+(?:people|persons|guests|adults|of us)|(?:party|group|table) (?:of|for)\\s+${NUMBER}|for\\s+${NUMBER}(?!\\s*(?::|[ap]\\.?m\\b|o'?clock)))\\b`,
+  'i'
+);
+const JUST_ME = /\b(just me|myself|only me|one person)\b/i;
+
+const ABORT = /\bnever ?mind\b|\bforget (it|about it)\b|\bdon'?t book\b|\bcancel (it|that)\b/i;
+const YES = /\b(yes|yeah|yep|yup|sure|correct|confirm|go ahead|sounds good|perfect|please do|book it)\b/i;
+const NO = /\b(no|nope|not|don't|wrong|change)\b/i;
+// How the parts of the day read in a reply
+const PERIOD_PHRASES = {
+  breakfast: 'at breakfast',
+  lunch: 'at lunchtime',
+  dinner: 'at dinner time',
+  morning: 'in the morning',
+  afternoon: 'in the afternoon',
+  evening: 'in the evening',
+  night: 'at night'
+};
+
+// "anyone's fine" after asking for someone by name
+const ANYONE = /\b(anyone|anybody|someone else|whoever|no preference|doesn'?t matter)\b/i;
+const TITLES = ['dr', 'mr', 'mrs', 'ms', 'miss'];
+
+const NAME = /\b(?:my name is|name'?s|this is|it'?s under|under|i'?m|i am|it'?s|it is)\s+(.+)$/i;
+
+/**
+ * Takes new bookings by phone, one session per call.
+ *
+ * Fills in the party size, day and time (and the staff member or room, when
+ * the caller asks for one: "a haircut with Sam"), then the caller's name and
+ * callback number, in any order the caller gives them ("a table for 4
+ * tomorrow at 7", "next Tuesday lunchtime"). Stages name what is asked next: `party` -> `date` ->
+ * `time` -> `name` -> `phone` -> `confirm`. Times are checked against the
+ * free slots, with the nearest free times offered when the one asked for
+ * is taken, and the booking is made through the booking service like
+ * POST /book. When the day is full the caller can join the waitlist
+ * instead (`waitlist` stage), giving their name and number the same way.
+ */
+class BookingTaker {
+  constructor(options = {}) {
+    this.bookings = options.bookings || bookingService;
+    this.sessions = new Map();
+  }
+
+  hasSession(sessionId) {
+    return Boolean(sessionId) && this.sessions.has(sessionId);
+  }
+
+  endSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  pruneSessions(now = Date.now()) {
+    for (const [sessionId, session] of this.sessions) {
+      if (now - session.lastActivity > SESSION_TTL_MS) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Handle a caller turn if it belongs to a new booking
+   * @param {Object} turn
+   * @param {string} turn.sessionId - Call the booking belongs to (e.g. CallSid)
+   * @param {string} turn.businessId - Business taking the booking
+   * @param {Object} turn.business - Canonical business profile
+   * @param {string} turn.text - What the caller said
+   * @param {string} turn.intent - Detected intent for the turn
+   * @param {string} turn.caller - Caller's phone number, if known
+   * @param {Date} turn.now - Current time
+   * @returns {Promise<Object|null>} `{ reply, booking }` (booking once made,
+   *   or `waitlist` with the entry once joined), or null when the turn is not
+   *   part of a new booking
+   */
+  async handle({ sessionId, businessId, business, text, intent, caller, now = new Date() }) {
+    this.pruneSessions();
+
+    let session = this.sessions.get(sessionId);
+    const isNew = !session;
+    if (!session) {
+      if (intent !== 'booking' || !sessionId) return null;
+
+      session = {
+        sessionId,
+        businessId,
+        business,
+        stage: 'party',
+        partySize: null,
+        service: null,
+        // Staff member or room asked for by name
+        resource: null,
+        date: null,
+        // Times asked for on that date, most likely first
+        times: [],
+        slot: null,
+        // Set once the caller asks to wait for a full day
+        waitlist: null,
+        customer: { name: null, phone: null },
+        caller: caller || null,
+        lastActivity: Date.now()
+      };
+      this.sessions.set(sessionId, session);
+      console.log(`[BOOKINGS] Started booking for ${businessId} (${sessionId})`);
+    }
+
+    session.lastActivity = Date.now();
+
+    if (ABORT.test(text)) {
+      this.endSession(sessionId);
+      return { reply: "No problem, I haven't booked anything. Is there anything else I can help you with?" };
+    }
+
+    let turn;
+    switch (session.stage) {
+      case 'name':
+        turn = await this.handleName(session, text, now);
+        break;
+      case 'phone':
+        turn = await this.handlePhone(session, text, now);
+        break;
+      case 'confirm':
+        turn = await this.handleConfirm(sessionId, session, text, now);
+        break;
+      case 'waitlist':
+        turn = await this.handleWaitlist(session, text, now);
+        break;
+      default:
+        this.fill(session, text, now);
+        turn = await this.next(session, now);
+    }
+
+    if (isNew) {
+      return { reply: `Sure, I can book that for you. ${turn.reply}` };
+    }
+    return turn;
+  }
+
+  /**
+   * Take whatever the caller said about the party size, service, day and time
+   */
+  fill(session, text, now) {
+    const { business } = session;
+    const input = text.toLowerCase();
+
+    const partySize = parsePartySize(input) || (session.stage === 'party' ? parseBareNumber(input) : null);
+    if (partySize) {
+      session.partySize = partySize;
+    }
+
+    const service = ((business && business.services) || []).find(entry =>
+      input.includes(entry.name.toLowerCase()) || (entry.id && input.includes(entry.id.toLowerCase())));
+    if (service) {
+      session.service = service;
+    }
+
+    const resource = findAskedResource(business, input);
+    const anyone = !resource && Boolean(session.resource) && ANYONE.test(input);
+    if (resource || anyone) {
+      session.resource = resource;
+    }
+
+    // The party size's number isn't a time, and a bare "7" answers "what time?"
+    const spoken = input.replace(PARTY, ' ');
+    const options = { business, now, date: session.date };
+    let candidates = parseDateTime(spoken, options);
+    if (candidates.length === 0 && session.stage === 'time' && !partySize) {
+      candidates = parseDateTime(`at ${spoken.trim()}`, options);
+    }
+
+    const date = candidates.length > 0 ? candidates[0].date : null;
+    if (date && date !== session.date) {
+      // A time asked for on another day doesn't carry over
+      if (session.date) session.times = [];
+      session.date = date;
+    }
+    const times = candidates.filter(candidate => candidate.date === date && candidate.from !== null);
+    if (times.length > 0) {
+      session.times = times;
+    }
+
+    if (partySize || service || resource || anyone || date || times.length > 0) {
+      session.slot = null;
+    }
+  }
+
+  /**
+   * Ask for the next missing detail, or read the booking back
+   */
+  async next(session, now) {
+    if (!session.partySize) {
+      session.stage = 'party';
+      return { reply: 'How many people is the booking for?' };
+    }
+
+    if (!session.waitlist && !session.date) {
+      session.stage = 'date';
+      return { reply: 'What day would you like to come in?' };
+    }
+
+    if (!session.waitlist && !session.slot) {
+      const turn = await this.findSlot(session, now);
+      if (turn) return turn;
+    }
+
+    if (!session.customer.name) {
+      session.stage = 'name';
+      return { reply: 'What name should I put the booking under?' };
+    }
+
+    if (!session.customer.phone) {
+      session.stage = 'phone';
+      return {
+        reply: session.caller
+          ? 'Should we use the number you\'re calling from in case we need to reach you?'
+          : 'What\'s the best number to reach you on?'
+      };
+    }
+
+    if (session.waitlist) {
+      return this.joinWaitlist(session);
+    }
+
+    session.stage = 'confirm';
+    return { reply: `Just to confirm, ${this.describeBooking(session)}. Shall I book it?` };
+  }
+
+  /**
+   * Pick the asked-for slot, or offer the nearest free ones
+   * @returns {Promise<Object|null>} Turn asking for a time, or null once
+   *   `session.slot` is set
+   */
+  async findSlot(session, now) {
+    const { business, date, times } = session;
+    const timeZone = business && business.timezone;
+    const rules = getBookingRules(business, session.service);
+
+    const slots = await this.bookings.getAvailableSlots(date, rules.duration, business, {
+      businessId: session.businessId,
+      service: session.service && session.service.name,
+      resource: session.resource && session.resource.id,
+      now
+    });
+
+    if (slots.length === 0 && session.resource) {
+      // Keep the day and time in case anyone else will do
+      session.stage = 'date';
+      return {
+        reply: `Sorry, ${session.resource.name} doesn't have anything free on ${formatDate(date)}. ` +
+          'Would another day work, or would you like someone else?'
+      };
+    }
+
+    if (slots.length === 0) {
+      const day = formatDate(date);
+      // A full day can be waited for; a closed one can't
+      const full = getOpeningWindows(business, date).length > 0;
+      session.wanted = full ? this.describeWanted(session) : null;
+      session.date = null;
+      session.times = [];
+      session.stage = full ? 'waitlist' : 'date';
+      return {
+        reply: full
+          ? `Sorry, we're fully booked on ${day}. Would you like me to put you on the waitlist in case something opens up, or would another day work?`
+          : `Sorry, we don't have anything free on ${day}. Would another day work?`
+      };
+    }
+
+    const startsAt = slot => getLocalTime(new Date(slot.startTime), timeZone).minutes;
+    const within = time => slots.filter(slot => startsAt(slot) >= time.from && startsAt(slot) <= time.to);
+    // The time asked for, or the nearest to it "around 7"; a part of the day
+    // is only settled when it has one free time
+    const chosen = times
+      .map(time => {
+        const matching = within(time);
+        if (time.at === null) return matching.length === 1 ? matching[0] : null;
+        return matching.sort((a, b) => Math.abs(startsAt(a) - time.at) - Math.abs(startsAt(b) - time.at))[0];
+      })
+      .find(Boolean);
+    if (chosen) {
+      session.slot = chosen;
+      return null;
+    }
+
+    session.stage = 'time';
+    if (times.length === 0) {
+      return { reply: `What time would you like on ${formatDate(date)}?` };
+    }
+
+    const [asked] = times;
+    session.times = [];
+    const offer = list => list.map(slot => formatTime(startsAt(slot)));
+
+    if (asked.at === null && within(asked).length > 0) {
+      return {
+        reply: `On ${formatDate(date)} ${PERIOD_PHRASES[asked.period]} I have ${joinOr(offer(within(asked).slice(0, SLOTS_TO_OFFER)))}. ` +
+          'Which time works for you?'
+      };
+    }
+
+    let unavailable = `${formatTime(asked.at)} isn't available`;
+    if (asked.at === null) {
+      unavailable = `nothing's free ${PERIOD_PHRASES[asked.period]}`;
+    } else if (asked.approximate) {
+      unavailable = `nothing's free around ${formatTime(asked.at)}`;
+    }
+
+    const target = asked.at !== null ? asked.at : asked.from;
+    const nearest = [...slots]
+      .sort((a, b) => Math.abs(startsAt(a) - target) - Math.abs(startsAt(b) - target))
+      .slice(0, SLOTS_TO_OFFER)
+      .sort((a, b) => startsAt(a) - startsAt(b));
+    return {
+      reply: `Sorry, ${unavailable} on ${formatDate(date)}. I have ${joinOr(offer(nearest))}. Which time works for you?`
+    };
+  }
+
+  async handleWaitlist(session, text, now) {
+    if (YES.test(text) && !NO.test(text)) {
+      session.waitlist = session.wanted;
+      return this.next(session, now);
+    }
+
+    // "How about Saturday?"
+    this.fill(session, text, now);
+    if (session.date) {
+      return this.next(session, now);
+    }
+
+    if (NO.test(text)) {
+      session.stage = 'date';
+      return { reply: 'No problem. What other day would you like?' };
+    }
+    return { reply: 'Sorry, shall I put you on the waitlist? Or you can pick another day.' };
+  }
+
+  /**
+   * The start times the caller asked for, as a waitlist window: the time or
+   * part of the day they named, or the whole day
+   */
+  describeWanted(session) {
+    const { business, date } = session;
+    const timeZone = business && business.timezone;
+    const [asked] = session.times;
+    const from = asked ? asked.from : 0;
+    const to = asked ? asked.to : MINUTES_PER_DAY;
+
+    let when = formatDate(date);
+    if (asked && asked.at === null) {
+      when = `${when} ${PERIOD_PHRASES[asked.period]}`;
+    } else if (asked) {
+      when = `${when} ${asked.approximate ? 'around' : 'at'} ${formatTime(asked.at)}`;
+    }
+
+    return {
+      windowStart: toZonedDate(date, from, timeZone).toISOString(),
+      windowEnd: toZonedDate(date, to, timeZone).toISOString(),
+      when
+    };
+  }
+
+  async joinWaitlist(session) {
+    const entry = await this.bookings.joinWaitlist({
+      customerName: session.customer.name,
+      customerPhone: session.customer.phone,
+      businessId: session.businessId,
+      service: session.service && session.service.name,
+      partySize: session.partySize,
+      windowStart: session.waitlist.windowStart,
+      windowEnd: session.waitlist.windowEnd
+    }, session.business);
+    this.endSession(session.sessionId);
+
+    return {
+      reply: `You're on the waitlist for ${session.waitlist.when}. If a booking is cancelled we'll offer you the time. ` +
+        'Is there anything else I can help you with?',
+      waitlist: entry
+    };
+  }
+
+  async handleName(session, text, now) {
+    const said = text.trim().replace(/[.?!]+$/, '');
+    const match = said.match(NAME);
+    const name = (match ? match[1] : said).replace(/^(it'?s|it is)\s+/i, '').trim();
+
+    if (name.length < 2 || /\d/.test(name)) {
+      return { reply: 'Sorry, what name should I put the booking under?' };
+    }
+
+    session.customer.name = name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+    return this.next(session, now);
+  }
+
+  async handlePhone(session, text, now) {
+    const digits = text.replace(/\D/g, '');
+    if (digits.length >= 7) {
+      session.customer.phone = `${text.trim().startsWith('+') ? '+' : ''}${digits}`;
+      return this.next(session, now);
+    }
+
+    if (session.caller && YES.test(text) && !NO.test(text)) {
+      session.customer.phone = session.caller;
+      return this.next(session, now);
+    }
+
+    if (session.caller && NO.test(text)) {
+      session.caller = null;
+      return { reply: 'No problem. What number should we use?' };
+    }
+
+    return { reply: "Sorry, I didn't catch that. What's the best number to reach you on?" };
+  }
+
+  async handleConfirm(sessionId, session, text, now) {
+    // "No, that's not correct" says correct too
+    if (YES.test(text) && !NO.test(text)) {
+      const { business, slot } = session;
+      try {
+        const result = await this.bookings.createBooking({
+          customerName: session.customer.name,
+          customerPhone: session.customer.phone,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          serviceType: 'appointment',
+          businessId: session.businessId,
+          service: session.service && session.service.name,
+          resource: session.resource && session.resource.id,
+          partySize: session.partySize
+        }, business);
+        this.endSession(sessionId);
+
+        const assigned = result.booking.resourceId && getResources(business).find(entry => entry.id === result.booking.resourceId);
+        return {
+          reply: `You're booked${assigned ? ` ${describeResource(assigned)}` : ''}! Your booking number is ${result.booking.number}. ` +
+            `We'll see you on ${this.describeTime(session, slot.startTime)}. Is there anything else I can help you with?`,
+          booking: result.booking
+        };
+      } catch (error) {
+        if (error.code !== 'SLOT_UNAVAILABLE') throw error;
+
+        const taken = getLocalTime(new Date(slot.startTime), business && business.timezone).minutes;
+        session.slot = null;
+        session.times = [{ from: taken, to: taken, at: taken, approximate: false, period: null }];
+        return this.next(session, now);
+      }
+    }
+
+    if (NO.test(text)) {
+      // "No, make it 6 people" changes the booking straight away
+      const details = () => JSON.stringify([session.partySize, session.service, session.resource, session.date, session.times]);
+      const before = details();
+      session.stage = 'details';
+      this.fill(session, text, now);
+      if (details() !== before) {
+        return this.next(session, now);
+      }
+
+      session.slot = null;
+      session.times = [];
+      session.stage = 'time';
+      return { reply: 'No problem. What day and time would you like instead?' };
+    }
+
+    return { reply: 'Sorry, shall I make the booking? Please say yes or no.' };
+  }
+
+  /**
+   * "a booking for 4 people on Friday, October 23 at 7 PM under Sam Lee,
+   * and we'll call the number ending 0123 if anything changes"
+   */
+  describeBooking(session) {
+    const { partySize, service, resource, customer } = session;
+    const what = service ? `a ${service.name} booking` : 'a booking';
+    const people = partySize === 1 ? '1 person' : `${partySize} people`;
+    const where = resource ? ` ${describeResource(resource)}` : '';
+    return `${what} for ${people}${where} on ${this.describeTime(session, session.slot.startTime)} under ${customer.name}, ` +
+      `and we'll call the number ending ${customer.phone.slice(-4)} if anything changes`;
+  }
+
+  /**
+   * "Friday, October 23 at 7 PM" in the business's time zone
+   */
+  describeTime(session, startTime) {
+    const local = getLocalTime(new Date(startTime), session.business && session.business.timezone);
+    return `${formatDate(local.date)} at ${formatTime(local.minutes)}`;
+  }
+}
+
+function toNumber(value) {
+  return /^\d+$/.test(value) ? Number(value) : NUMBER_WORDS[value];
+}
+
+function parsePartySize(input) {
+  if (JUST_ME.test(input)) return 1;
+
+  const match = input.match(PARTY);
+  const size = match && toNumber((match[1] || match[2] || match[3]).toLowerCase());
+  return size > 0 ? size : null;
+}
+
+// A bare "4" or "four" answering "how many people?"
+function parseBareNumber(input) {
+  const match = input.trim().match(new RegExp(`^(?:just |about |maybe )?${NUMBER}\\b`, 'i'));
+  const size = match && toNumber(match[1].toLowerCase());
+  return size > 0 ? size : null;
+}
+
+/**
+ * A staff member or room named in what the caller said: their full name,
+ * or "with" and any one of their names ("with Sam", "with Dr. Patel")
+ */
+function findAskedResource(business, input) {
+  const spoken = input.replace(/\./g, '');
+  return getResources(business).find(resource => {
+    const name = resource.name.toLowerCase().replace(/\./g, '');
+    const words = name.split(/\s+/).filter(word => !TITLES.includes(word));
+    return new RegExp(`\\b${escapeRegExp(name)}\\b`).test(spoken) ||
+      words.some(word => new RegExp(`\\bwith (?:(?:${TITLES.join('|')}) )?${escapeRegExp(word)}\\b`).test(spoken));
+  }) || null;
+}
+
+// "with Sam", or "in the Blue Room" for rooms
+function describeResource(resource) {
+  return resource.type === 'room' ? `in ${resource.name}` : `with ${resource.name}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function joinOr(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+}
+
+module.exports = new BookingTaker();
+module.exports.BookingTaker = BookingTaker;
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateBusinessProfile,
+  validateBusinessProfile
+} = require('./businessProfile');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+// Not profiles: Google tokens were kept here before the token store, until
+// the default connection moves them
+const NON_PROFILE_FILES = ['google-tokens.json'];
+
+/**
+ * Path of the JSON profile for a business
+ * @param {string} business_id - The business ID
+ * @returns {string} Absolute file path
+ */
+function getBusinessFilePath(business_id) {
+  return path.join(DATA_DIR, `${business_id}.json`);
+}
+
+/**
+ * Read a business profile exactly as stored, without migrating it
+ * @param {string} business_id - The business ID
+ * @returns {Object} Parsed file contents
+ */
+function readStoredBusinessData(business_id) {
+  const businessDataPath = getBusinessFilePath(business_id);
+
+  if (!fs.existsSync(businessDataPath)) {
+    throw new Error(`No data found for business_id: ${business_id}`);
+  }
+
+  return JSON.parse(fs.readFileSync(businessDataPath, 'utf8'));
+}
+
+/**
+ * Load a business profile from the data directory, upgraded to the current
+ * schema version
+ * @param {string} business_id - The business ID to load data for
+ * @returns {Object} Business profile in the canonical schema
+ */
+function loadBusinessData(business_id) {
+  const profile = migrateBusinessProfile(readStoredBusinessData(business_id));
+
+  const { value, errors } = validateBusinessProfile(profile);
+  if (errors.length > 0) {
+    console.warn(`[BUSINESS] ${business_id} does not match the business schema: ${errors.join('; ')}`);
+    return profile;
+  }
+
+  return value;
+}
+
+/**
+ * Migrate, validate and store a business profile
+ * @param {string} business_id - The business ID
+ * @param {Object} data - Profile in the current or any legacy shape
+ * @returns {{ value: Object, errors: string[], filePath: string }} Nothing is
+ *   written when `errors` is not empty
+ */
+function saveBusinessData(business_id, data) {
+  const filePath = getBusinessFilePath(business_id);
+
+  let profile;
+  try {
+    profile = migrateBusinessProfile(data);
+  } catch (error) {
+    return { value: data, errors: [error.message], filePath };
+  }
+
+  const { value, errors } = validateBusinessProfile(profile);
+
+  if (errors.length === 0) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+  }
+
+  return { value, errors, filePath };
+}
+
+/**
+ * IDs of every stored business profile
+ * @returns {string[]} Business IDs
+ */
+function listBusinessIds() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+
+  return fs.readdirSync(DATA_DIR)
+    .filter(file => file.endsWith('.json') && !NON_PROFILE_FILES.includes(file))
+    .map(file => file.replace('.json', ''));
+}
+
+/**
+ * Check one stored profile against the current schema
+ * @param {string} business_id - The business ID
+ * @returns {Object} `{ business_id, schema_version, needs_migration, valid, errors }`
+ */
+function checkBusinessData(business_id) {
+  const report = {
+    business_id,
+    schema_version: null,
+    needs_migration: false,
+    valid: false,
+    errors: []
+  };
+
+  try {
+    const stored = readStoredBusinessData(business_id);
+    report.schema_version = getSchemaVersion(stored);
+    report.needs_migration = report.schema_version < SCHEMA_VERSION;
+    report.errors = validateBusinessProfile(migrateBusinessProfile(stored)).errors;
+  } catch (error) {
+    report.errors = [error.message];
+  }
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+/**
+ * Display name of a business profile
+ * @param {Object} business - Business profile
+ * @param {string} fallback - Name to use when the profile has none
+ * @returns {string} Business name
+ */
+function getBusinessName(business, fallback = 'our business') {
+  return (business && business.name) || fallback;
+}
+
+module.exports = {
+  DATA_DIR,
+  getBusinessFilePath,
+  readStoredBusinessData,
+  loadBusinessData,
+  saveBusinessData,
+  listBusinessIds,
+  checkBusinessData,
+  getBusinessName
+};
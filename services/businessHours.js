@@ -0,0 +1,559 @@
+/**
+ * Business hours evaluated in the business's own time zone.
+ *
+ * Profiles keep hours as the strings callers hear ("12pm–9pm",
+ * "11:00 AM - 12:00 AM", "Closed") or as `[{ open: 'HH:MM', close: 'HH:MM' }]`.
+ * Both are parsed into intervals of minutes after midnight; a close at or
+ * before the open time runs past midnight (close > 1440).
+ * `hours_exceptions` entries (holidays, closures, event hours) replace the
+ * weekly hours for every date in their range.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?|\b(noon|midnight)\b/i;
+const CLOSED_PATTERN = /^\s*(closed|close)\s*$/i;
+const ALL_DAY_PATTERN = /^\s*(24\s*(hours|hrs|\/7)|open 24 hours|all day)\s*$/i;
+
+/**
+ * Parse a clock time like "9am", "11:30 PM", "21:00", "noon" or "midnight"
+ * @param {string} text - Time as written in a profile
+ * @returns {number|null} Minutes after midnight
+ */
+function parseTime(text) {
+  const match = String(text || '').trim().match(new RegExp(`^(?:${TIME_PATTERN.source})$`, 'i'));
+  if (!match) return null;
+
+  if (match[4]) return match[4].toLowerCase() === 'noon' ? 12 * 60 : 0;
+
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+function toInterval(open, close) {
+  if (open === null || close === null) return null;
+  // "11am–2am" and "11:00 AM - 12:00 AM" close after midnight
+  return { open, close: close <= open ? close + MINUTES_PER_DAY : close };
+}
+
+/**
+ * Parse one day's hours
+ * @param {string|Object[]} value - "12pm–9pm", "11am–3pm, 5pm–10pm",
+ *   "Closed", or `[{ open: '12:00', close: '21:00' }]`
+ * @returns {Object[]|null} `[{ open, close }]` in minutes (empty when
+ *   closed), or null when the hours can't be understood
+ */
+function parseDayHours(value) {
+  if (Array.isArray(value)) {
+    const intervals = value.map(entry => toInterval(parseTime(entry.open), parseTime(entry.close)));
+    return intervals.includes(null) ? null : intervals;
+  }
+
+  if (typeof value !== 'string') return null;
+  if (CLOSED_PATTERN.test(value)) return [];
+  if (ALL_DAY_PATTERN.test(value)) return [{ open: 0, close: MINUTES_PER_DAY }];
+
+  const intervals = value.split(/,|;|\band\b|&/).filter(part => part.trim()).map(part => {
+    const [open, close, ...rest] = part.split(/\s*(?:–|—|-|\bto\b|\buntil\b)\s*/i).filter(Boolean);
+    if (!open || !close || rest.length > 0) return null;
+    return toInterval(parseTime(open), parseTime(close));
+  });
+
+  return intervals.length === 0 || intervals.includes(null) ? null : intervals;
+}
+
+/**
+ * Calendar date, weekday and clock time of a moment in a time zone
+ * @param {Date} now - Moment to convert
+ * @param {string} timeZone - IANA time zone; server time when missing
+ * @returns {{ date: string, day: string, minutes: number }}
+ */
+function getLocalTime(now = new Date(), timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Whether a string is a time zone this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Weekday of a YYYY-MM-DD date, e.g. 'sunday'
+ */
+function dayOfDate(date) {
+  return getLocalTime(new Date(`${date}T12:00:00Z`), 'UTC').day;
+}
+
+/**
+ * The hours exception covering a date, if any
+ * @param {Object} business - Canonical business profile
+ * @param {string} date - YYYY-MM-DD in the business's time zone
+ * @returns {Object|null} Entry from `hours_exceptions`
+ */
+function findHoursException(business, date) {
+  return ((business && business.hours_exceptions) || [])
+    .find(entry => date >= entry.start_date && date <= (entry.end_date || entry.start_date)) || null;
+}
+
+/**
+ * Opening intervals on a calendar date, exceptions first
+ * @param {Object} business - Canonical business profile
+ * @param {string} date - YYYY-MM-DD in the business's time zone
+ * @returns {{ date, day, intervals, exception, label }} `intervals` is null
+ *   when the hours for that day are unknown; `label` is the profile's text
+ */
+function getHoursForDate(business, date) {
+  const day = dayOfDate(date);
+  const exception = findHoursException(business, date);
+
+  if (exception) {
+    return { date, day, intervals: parseDayHours(exception.hours), exception, label: describeDayHours(exception.hours) };
+  }
+
+  const hours = business && business.hours;
+  if (!hours || Object.keys(hours).length === 0) {
+    return { date, day, intervals: null, exception: null, label: null };
+  }
+
+  // Days left out of the weekly hours are closed
+  const value = hours[day] === undefined ? 'Closed' : hours[day];
+  return { date, day, intervals: parseDayHours(value), exception: null, label: describeDayHours(value) };
+}
+
+/**
+ * Whether the business is open at a moment, counting intervals from the
+ * day before that run past midnight
+ * @param {Object} business - Canonical business profile
+ * @param {Date} now - Moment to check
+ * @returns {Object} `{ open, known, closesAt, opensAt, local }` where
+ *   closesAt/opensAt are `{ date, day, minutes }` (minutes may exceed 1440)
+ */
+function getOpenStatus(business, now = new Date()) {
+  const local = getLocalTime(now, business && business.timezone);
+  const yesterday = getHoursForDate(business, addDays(local.date, -1));
+  const today = getHoursForDate(business, local.date);
+
+  const carriedOver = (yesterday.intervals || [])
+    .find(interval => interval.close > MINUTES_PER_DAY && local.minutes < interval.close - MINUTES_PER_DAY);
+  if (carriedOver) {
+    return { open: true, known: true, local, closesAt: { ...yesterday, minutes: carriedOver.close } };
+  }
+
+  const current = (today.intervals || []).find(interval => local.minutes >= interval.open && local.minutes < interval.close);
+  if (current) {
+    return { open: true, known: true, local, closesAt: { ...today, minutes: current.close } };
+  }
+
+  return {
+    open: false,
+    known: today.intervals !== null,
+    local,
+    opensAt: getNextOpening(business, local)
+  };
+}
+
+/**
+ * The next time the business opens after a local moment, within a week
+ */
+function getNextOpening(business, local) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const hours = getHoursForDate(business, addDays(local.date, offset));
+    const next = (hours.intervals || [])
+      .filter(interval => offset > 0 || interval.open > local.minutes)
+      .sort((a, b) => a.open - b.open)[0];
+
+    if (next) return { ...hours, minutes: next.open };
+  }
+  return null;
+}
+
+/**
+ * Whether the business is open at a clock time on a date
+ * @param {Object} business - Canonical business profile
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ * @returns {boolean|null} null when that day's hours are unknown
+ */
+function isOpenAt(business, date, minutes) {
+  const yesterday = getHoursForDate(business, addDays(date, -1));
+  if ((yesterday.intervals || []).some(interval => minutes < interval.close - MINUTES_PER_DAY)) {
+    return true;
+  }
+
+  const today = getHoursForDate(business, date);
+  if (today.intervals === null) return null;
+  return today.intervals.some(interval => minutes >= interval.open && minutes < interval.close);
+}
+
+/**
+ * The moment a wall-clock time on a date happens in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight (may exceed 1440)
+ * @param {string} timeZone - IANA time zone; server time when missing
+ * @returns {Date}
+ */
+function toZonedDate(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (!timeZone) return new Date(year, month - 1, day, 0, minutes);
+
+  // Correct a UTC guess by the zone's offset; twice settles DST changes
+  const wanted = Date.UTC(year, month - 1, day, 0, minutes);
+  let guess = wanted;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTime(new Date(guess), timeZone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    guess += wanted - Date.UTC(y, m - 1, d, 0, local.minutes);
+  }
+  return new Date(guess);
+}
+
+/**
+ * Spoken clock time, e.g. "9 PM", "9:30 AM", "noon" or "midnight"
+ * @param {number} minutes - Minutes after midnight (may exceed 1440)
+ */
+function formatTime(minutes) {
+  const inDay = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  if (inDay === 0) return 'midnight';
+  if (inDay === 12 * 60) return 'noon';
+
+  const hours = Math.floor(inDay / 60);
+  const mins = inDay % 60;
+  const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+  return `${hour12}${mins ? `:${String(mins).padStart(2, '0')}` : ''} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Spoken opening hours for a day, e.g. "12 PM to 9 PM"
+ * @param {Object[]} intervals - Parsed intervals
+ */
+function describeIntervals(intervals) {
+  return intervals.map(interval => `${formatTime(interval.open)} to ${formatTime(interval.close)}`).join(' and ');
+}
+
+/**
+ * Day's hours as callers hear them: the profile's text, or the intervals
+ * spelled out for `[{ open, close }]` hours
+ */
+function describeDayHours(value) {
+  if (typeof value === 'string') return value;
+
+  const intervals = parseDayHours(value);
+  if (!intervals) return 'Unknown';
+  return intervals.length === 0 ? 'Closed' : describeIntervals(intervals);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * "Friday, December 25" for a YYYY-MM-DD date
+ */
+function formatDate(date) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric' })
+    .format(new Date(`${date}T12:00:00Z`));
+}
+
+/**
+ * "today", "tomorrow" or "on Sunday" relative to the business's local date
+ */
+function describeDay(date, local) {
+  if (date === local.date) return 'today';
+  if (date === addDays(local.date, 1)) return 'tomorrow';
+  return `on ${capitalize(dayOfDate(date))}`;
+}
+
+function describeOpening(opensAt, local) {
+  return `${describeDay(opensAt.date, local)} at ${formatTime(opensAt.minutes)}`;
+}
+
+function forReason(exception) {
+  return exception && exception.name ? ` for ${exception.name}` : '';
+}
+
+/**
+ * One sentence on whether the business is open now, e.g. "We're open right
+ * now until 9 PM." or "We're closed right now. We open again at 12 PM tomorrow."
+ * @returns {string|null} null when today's hours are unknown
+ */
+function describeOpenStatus(business, now = new Date()) {
+  const status = getOpenStatus(business, now);
+
+  if (status.open) {
+    return `We're open right now until ${formatTime(status.closesAt.minutes)}.`;
+  }
+  if (!status.known) return null;
+
+  const today = getHoursForDate(business, status.local.date);
+  const closed = today.exception && today.intervals.length === 0
+    ? `We're closed today${forReason(today.exception)}.`
+    : "We're closed right now.";
+
+  return status.opensAt
+    ? `${closed} We open again ${describeOpening(status.opensAt, status.local)}.`
+    : closed;
+}
+
+/**
+ * What callers should hear up front when today's hours are unusual, e.g.
+ * "We're closed today for Eid; we reopen tomorrow at noon." The
+ * exception's own `note` is used when it has one.
+ * @returns {string|null} null on a normal day
+ */
+function describeTodaysException(business, now = new Date()) {
+  const local = getLocalTime(now, business && business.timezone);
+  const today = getHoursForDate(business, local.date);
+  if (!today.exception || today.intervals === null) return null;
+  if (today.exception.note) return today.exception.note;
+
+  if (today.intervals.length === 0) {
+    const opensAt = getNextOpening(business, local);
+    return `We're closed today${forReason(today.exception)}` +
+      (opensAt ? `; we reopen ${describeOpening(opensAt, local)}.` : '.');
+  }
+
+  return `We have special hours today${forReason(today.exception)}: ${describeIntervals(today.intervals)}.`;
+}
+
+/**
+ * Hours exceptions coming up in the next few days, e.g. "On Friday,
+ * December 25 we're closed for Christmas Day."
+ * @returns {string[]} Sentences, soonest first
+ */
+function describeUpcomingExceptions(business, now = new Date(), days = 14) {
+  const { date: today } = getLocalTime(now, business && business.timezone);
+  const last = addDays(today, days);
+
+  return ((business && business.hours_exceptions) || [])
+    .filter(entry => (entry.end_date || entry.start_date) >= today && entry.start_date <= last)
+    .sort((a, b) => a.start_date.localeCompare(b.start_date))
+    .map(entry => {
+      const intervals = parseDayHours(entry.hours) || [];
+      const end = entry.end_date || entry.start_date;
+      const when = end === entry.start_date
+        ? `On ${formatDate(entry.start_date)}`
+        : `From ${formatDate(entry.start_date)} to ${formatDate(end)}`;
+
+      return intervals.length === 0
+        ? `${when} we're closed${forReason(entry)}.`
+        : `${when} we're open ${describeIntervals(intervals)}${forReason(entry)}.`;
+    });
+}
+
+/**
+ * A date's hours, e.g. "Our Sunday hours are 12 PM to 9 PM." or "We're
+ * closed on Mondays."
+ */
+function describeHoursOn(hours) {
+  const weekday = capitalize(hours.day);
+
+  if (hours.exception) {
+    const when = `On ${formatDate(hours.date)}`;
+    return hours.intervals.length === 0
+      ? `${when} we're closed${forReason(hours.exception)}.`
+      : `${when} we're open ${describeIntervals(hours.intervals)}${forReason(hours.exception)}.`;
+  }
+
+  return hours.intervals.length === 0
+    ? `We're closed on ${weekday}s.`
+    : `Our ${weekday} hours are ${describeIntervals(hours.intervals)}.`;
+}
+
+/**
+ * Date of an upcoming exception named in the input ("Christmas", "Eid"),
+ * today if it's already running
+ */
+function findNamedExceptionDate(business, input, local) {
+  const named = ((business && business.hours_exceptions) || [])
+    .filter(entry => entry.name && (entry.end_date || entry.start_date) >= local.date)
+    .sort((a, b) => a.start_date.localeCompare(b.start_date))
+    .find(entry => {
+      const name = entry.name.toLowerCase();
+      return input.includes(name) || input.includes(name.replace(/\s+day$/, ''));
+    });
+  if (!named) return null;
+  return named.start_date > local.date ? named.start_date : local.date;
+}
+
+/**
+ * The date a caller asked about: today/tonight, tomorrow, an exception by
+ * name ("Christmas", "Eid"), or the next such weekday (today included)
+ */
+function findAskedDate(business, input, local) {
+  if (/\btomorrow\b/.test(input)) return addDays(local.date, 1);
+  if (/\b(today|tonight)\b/.test(input)) return local.date;
+
+  const named = findNamedExceptionDate(business, input, local);
+  if (named) return named;
+
+  const weekday = input.match(/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)s?\b/);
+  if (!weekday) return null;
+
+  for (let offset = 0; offset < 7; offset++) {
+    const date = addDays(local.date, offset);
+    if (dayOfDate(date) === weekday[1]) return date;
+  }
+  return null;
+}
+
+/**
+ * Candidate clock times a caller asked about, in minutes. "at 6" could be
+ * morning or evening, so both are returned, morning first.
+ */
+function findAskedTimes(input) {
+  const named = input.match(/\b(noon|midnight)\b/);
+  if (named) return [parseTime(named[1])];
+
+  const withMeridiem = input.match(/\b(\d{1,2}(?::\d{2})?\s*[ap]\.?m\b\.?)/);
+  if (withMeridiem) {
+    const minutes = parseTime(withMeridiem[1]);
+    return minutes === null ? [] : [minutes];
+  }
+
+  const bare = input.match(/\b(?:at|by|around|after|until|till)\s+(\d{1,2})(?::(\d{2}))?\b/);
+  if (!bare) return [];
+
+  const hour = Number(bare[1]);
+  const minutes = bare[2] ? Number(bare[2]) : 0;
+  if (hour > 23 || minutes > 59) return [];
+  if (hour === 0 || hour > 12) return [hour * 60 + minutes];
+  return [(hour % 12) * 60 + minutes, (hour % 12 + 12) * 60 + minutes];
+}
+
+/**
+ * Answer an hours question in the business's time zone: "are you open right
+ * now", "when do you close tonight", "are you open Sunday at 6", "are you
+ * open on Christmas".
+ * @param {Object} business - Canonical business profile
+ * @param {string} text - Caller input
+ * @param {Date} now - Current time
+ * @returns {string|null} Answer, or null for general hours questions
+ */
+function answerHoursQuestion(business, text, now = new Date()) {
+  const input = String(text || '').toLowerCase();
+  const local = getLocalTime(now, business && business.timezone);
+  const askedDate = findAskedDate(business, input, local);
+  const askedTimes = findAskedTimes(input);
+
+  if (askedTimes.length > 0) {
+    const date = askedDate || local.date;
+    const hours = getHoursForDate(business, date);
+    const results = askedTimes.map(minutes => ({ minutes, open: isOpenAt(business, date, minutes) }));
+    if (hours.intervals === null || results.some(result => result.open === null)) return null;
+
+    // For "at 6", prefer the reading we're open at, then the evening
+    const chosen = [...results].reverse().find(result => result.open) || results[results.length - 1];
+    const when = `${formatTime(chosen.minutes)} ${describeDay(date, local)}`;
+
+    return chosen.open
+      ? `Yes, we're open at ${when}. ${describeHoursOn(hours)}`
+      : `No, we're not open at ${when}. ${describeHoursOn(hours)}`;
+  }
+
+  if (/\b(close|closes|closing)\b|\bhow late\b/.test(input)) {
+    if (!askedDate || askedDate === local.date) {
+      const status = getOpenStatus(business, now);
+      if (status.open) {
+        const closing = status.closesAt.minutes;
+        return `We're open until ${formatTime(closing)} ${closing >= 17 * 60 ? 'tonight' : 'today'}.`;
+      }
+
+      const today = getHoursForDate(business, local.date);
+      const closed = describeOpenStatus(business, now);
+      return closed && `${closed} ${describeHoursOn(today)}`;
+    }
+
+    const hours = getHoursForDate(business, askedDate);
+    if (hours.intervals === null) return null;
+    if (hours.intervals.length === 0) return describeHoursOn(hours);
+
+    const closing = Math.max(...hours.intervals.map(interval => interval.close));
+    const when = hours.exception ? `On ${formatDate(askedDate)}` : capitalize(describeDay(askedDate, local));
+    return `${when} we close at ${formatTime(closing)}.`;
+  }
+
+  if (askedDate) {
+    const hours = getHoursForDate(business, askedDate);
+    if (hours.intervals === null) return null;
+    return `${hours.intervals.length === 0 ? 'No' : 'Yes'}, ${lowerFirst(describeHoursOn(hours))}`;
+  }
+
+  if (/\b(right now|now|currently|still open|open yet)\b/.test(input) || /^\s*are you open\??\s*$/.test(input)) {
+    return describeOpenStatus(business, now);
+  }
+
+  return null;
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+module.exports = {
+  MINUTES_PER_DAY,
+  parseTime,
+  parseDayHours,
+  getLocalTime,
+  isValidTimeZone,
+  addDays,
+  dayOfDate,
+  findHoursException,
+  getHoursForDate,
+  getOpenStatus,
+  getNextOpening,
+  isOpenAt,
+  toZonedDate,
+  formatTime,
+  formatDate,
+  findNamedExceptionDate,
+  findAskedDate,
+  findAskedTimes,
+  describeIntervals,
+  describeDayHours,
+  describeOpenStatus,
+  describeTodaysException,
+  describeUpcomingExceptions,
+  answerHoursQuestion
+};
@@ -0,0 +1,550 @@
+const Joi = require('joi');
+const { parseDayHours, isValidTimeZone } = require('./businessHours');
+
+/**
+ * Canonical business profile schema.
+ *
+ * Every profile carries a `schema_version`. Files written before versioning
+ * (version 0) came in several shapes; `migrateBusinessProfile` upgrades them
+ * step by step to the current version.
+ */
+const SCHEMA_VERSION = 2;
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DIETARY_TAGS = ['halal', 'vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'kosher', 'spicy'];
+
+const menuItemSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().required(),
+  description: Joi.string().optional(),
+  // Base price; items sold in sizes price each size instead
+  price: Joi.number().min(0).optional(),
+  sizes: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required(),
+      price: Joi.number().min(0).required()
+    })
+  ).unique('name').optional(),
+  modifiers: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required(),
+      price: Joi.number().min(0).optional(),
+      dietary: Joi.array().items(Joi.string().valid(...DIETARY_TAGS)).optional()
+    })
+  ).unique('name').optional(),
+  allergens: Joi.array().items(Joi.string().lowercase()).optional(),
+  dietary: Joi.array().items(Joi.string().valid(...DIETARY_TAGS)).optional(),
+  available: Joi.boolean().optional()
+});
+
+const menuSchema = Joi.object({
+  categories: Joi.array().items(
+    Joi.object({
+      id: Joi.string().required(),
+      name: Joi.string().required(),
+      description: Joi.string().optional(),
+      items: Joi.array().items(menuItemSchema).unique('id').required()
+    })
+  ).unique('id').required()
+});
+
+// "12pm–9pm", "11:00 AM - 12:00 AM", "Closed", or [{ open: '12:00', close: '21:00' }]
+const dayHoursSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(
+    Joi.object({
+      open: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      close: Joi.string().pattern(/^([01]\d|2[0-4]):[0-5]\d$/).required()
+    })
+  )
+).custom((value, helpers) => {
+  if (parseDayHours(value) === null) {
+    return helpers.message(`"${helpers.state.path.join('.')}" must be opening hours like "9am–5pm" or "Closed"`);
+  }
+  return value;
+});
+
+const isoDay = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+  'string.pattern.base': '{{#label}} must be a date like 2026-12-25'
+});
+
+const hoursExceptionSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().max(100).optional(),
+  start_date: isoDay.required(),
+  // Inclusive; one-day exceptions leave it out
+  end_date: isoDay.optional(),
+  hours: dayHoursSchema.required(),
+  // Spoken to callers as is, e.g. "We're closed for renovations until March 16."
+  note: Joi.string().max(300).optional()
+}).custom((value, helpers) => {
+  if (value.end_date && value.end_date < value.start_date) {
+    return helpers.message('"end_date" must not be before "start_date"');
+  }
+  return value;
+});
+
+const PROMOTION_TYPES = ['percent_off', 'bundle', 'free_delivery'];
+
+// Environment variables a profile may name for a CalDAV password, so it
+// can't send other server secrets to the URL it gives
+const CALDAV_PASSWORD_ENV = /^CALDAV_[A-Z0-9_]+$/;
+
+// Promotions without a `type` are only described to callers, never applied
+const promotionSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().optional(),
+  code: Joi.string().uppercase().optional(),
+  type: Joi.string().valid(...PROMOTION_TYPES).optional(),
+  percent: Joi.number().greater(0).max(100).when('type', { is: 'percent_off', then: Joi.required() }),
+  bundle: Joi.object({
+    price: Joi.number().min(0).required(),
+    items: Joi.array().items(
+      Joi.object({
+        item_id: Joi.string().optional(),
+        // Category ID, or a list of IDs any of which will do
+        category: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1)).optional(),
+        size: Joi.string().optional(),
+        quantity: Joi.number().integer().min(1).default(1)
+      }).or('item_id', 'category')
+    ).min(1).required()
+  }).when('type', { is: 'bundle', then: Joi.required() }),
+  valid_from: Joi.string().isoDate().optional(),
+  valid_until: Joi.string().isoDate().optional(),
+  days: Joi.array().items(Joi.string().valid(...DAYS)).optional(),
+  conditions: Joi.object({
+    min_subtotal: Joi.number().min(0).optional(),
+    fulfillment: Joi.array().items(Joi.string().valid('pickup', 'delivery')).optional(),
+    // Checked by staff, e.g. "valid student ID"; the caller is reminded to bring it
+    requires: Joi.string().optional()
+  }).optional(),
+  active: Joi.boolean().optional()
+});
+
+const businessSchema = Joi.object({
+  schema_version: Joi.number().integer().valid(SCHEMA_VERSION).required(),
+  name: Joi.string().required(),
+  phone: Joi.string().optional(),
+  email: Joi.string().optional(),
+  website: Joi.string().optional(),
+  address: Joi.string().optional(),
+  // IANA time zone the hours are kept in, e.g. "America/Toronto"
+  timezone: Joi.string().custom((value, helpers) => {
+    if (!isValidTimeZone(value)) {
+      return helpers.message(`"timezone" must be an IANA time zone like "America/Toronto"`);
+    }
+    return value;
+  }).optional(),
+  hours: Joi.object().pattern(
+    Joi.string().valid(...DAYS),
+    dayHoursSchema
+  ).optional(),
+  // Holidays, closures and event hours that replace the weekly hours
+  hours_exceptions: Joi.array().items(hoursExceptionSchema).unique('id').optional(),
+  services: Joi.array().items(
+    Joi.object({
+      id: Joi.string().optional(),
+      name: Joi.string().required(),
+      description: Joi.string().optional(),
+      price: Joi.number().min(0).optional(),
+      // Minutes; bookings for the service take this long
+      duration: Joi.number().min(0).optional(),
+      // Override the business booking rules for this service
+      buffer_minutes: Joi.number().integer().min(0).optional(),
+      capacity: Joi.number().integer().min(1).optional(),
+      available: Joi.boolean().optional()
+    })
+  ).optional(),
+  // Staff or rooms that bookings are assigned to, each with its own calendar
+  resources: Joi.array().items(
+    Joi.object({
+      id: Joi.string().required(),
+      name: Joi.string().required(),
+      type: Joi.string().valid('staff', 'room').optional(),
+      // Calendar the resource's bookings go on: a Google Calendar ID
+      // (GOOGLE_CALENDAR_ID when missing), or with CalDAV a collection URL
+      // relative to `calendar.url`
+      calendar_id: Joi.string().optional(),
+      // Working hours; the business hours when missing
+      hours: Joi.object().pattern(
+        Joi.string().valid(...DAYS),
+        dayHoursSchema
+      ).optional(),
+      // Service IDs or names it offers; all of them when missing
+      services: Joi.array().items(Joi.string()).optional(),
+      // Bookings it can take at once
+      capacity: Joi.number().integer().min(1).optional(),
+      available: Joi.boolean().optional()
+    })
+  ).unique('id').optional(),
+  // Where bookings are kept: Google Calendar (the default) or a CalDAV
+  // server such as Nextcloud or Fastmail
+  calendar: Joi.object({
+    provider: Joi.string().valid('google', 'caldav').required(),
+    // CalDAV calendar collection URL
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).when('provider', { is: 'caldav', then: Joi.required() }),
+    username: Joi.string().optional(),
+    // Environment variable holding the password (usually an app password),
+    // named CALDAV_*
+    password_env: Joi.string().pattern(CALDAV_PASSWORD_ENV).optional()
+      .messages({ 'string.pattern.base': '"calendar.password_env" must start with CALDAV_ (e.g. CALDAV_SALON_PASSWORD)' })
+  }).optional(),
+  // How bookings fit into the business hours
+  booking: Joi.object({
+    // Minutes between slot start times; the booking length when missing
+    slot_interval_minutes: Joi.number().integer().min(5).optional(),
+    // Kept free after each booking, e.g. to reset a table
+    buffer_minutes: Joi.number().integer().min(0).optional(),
+    // Minimum notice before a booking starts
+    lead_time_minutes: Joi.number().integer().min(0).optional(),
+    // How far ahead bookings can be made
+    max_advance_days: Joi.number().integer().min(0).optional(),
+    // Bookings that can overlap, e.g. tables or staff
+    capacity: Joi.number().integer().min(1).optional(),
+    // Bookings can be moved until this long before they start
+    reschedule_cutoff_minutes: Joi.number().integer().min(0).optional(),
+    // Fees for late cancellations and no-shows, as an amount or a percentage
+    // of the service price
+    cancellation: Joi.object({
+      // Cancelling at least this long before the start is free
+      free_until_minutes: Joi.number().integer().min(0).optional(),
+      late_fee: Joi.number().min(0).optional(),
+      late_fee_percent: Joi.number().min(0).max(100).optional(),
+      no_show_fee: Joi.number().min(0).optional(),
+      no_show_fee_percent: Joi.number().min(0).max(100).optional()
+    }).oxor('late_fee', 'late_fee_percent').oxor('no_show_fee', 'no_show_fee_percent').optional(),
+    // Texts asking customers to confirm or cancel
+    reminders: Joi.object({
+      enabled: Joi.boolean().optional(),
+      // Minutes before the start, e.g. [1440, 120] for a day and two hours before
+      offsets_minutes: Joi.array().items(Joi.number().integer().min(1)).unique().optional()
+    }).optional(),
+    // Texts offering cancelled times to the waitlist
+    waitlist: Joi.object({
+      // How long an offer is held before it goes to the next in line
+      offer_minutes: Joi.number().integer().min(1).optional()
+    }).optional()
+  }).optional(),
+  delivery: Joi.object({
+    available: Joi.boolean().optional(),
+    areas: Joi.array().items(Joi.string()).optional(),
+    fee: Joi.number().min(0).optional(),
+    minimum: Joi.number().min(0).optional(),
+    free_over: Joi.number().min(0).optional(),
+    estimated_time: Joi.string().optional(),
+    radius: Joi.string().optional(),
+    notes: Joi.string().optional()
+  }).optional(),
+  // Sales tax on order subtotals, e.g. 0.13 for 13%
+  tax_rate: Joi.number().min(0).max(1).optional(),
+  payment_methods: Joi.array().items(Joi.string()).optional(),
+  specialties: Joi.array().items(Joi.string()).optional(),
+  menu: menuSchema.optional(),
+  promotions: Joi.array().items(promotionSchema).optional(),
+  policies: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  faqs: Joi.array().items(
+    Joi.object({
+      question: Joi.string().required(),
+      answer: Joi.string().required()
+    })
+  ).optional(),
+  special_notes: Joi.object().optional(),
+  emergency_contacts: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  stt_provider: Joi.string().optional(),
+  voice_id: Joi.string().optional(),
+  openai_voice: Joi.string().optional()
+});
+
+/**
+ * Pull the first amount out of a price string ("$18.99", "$5 (free over $30)")
+ * @param {number|string} value - Price as a number or text
+ * @returns {number|undefined} Amount, or undefined if there is none
+ */
+function parseMoney(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return undefined;
+
+  const match = value.replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : undefined;
+}
+
+function parseFreeOver(value) {
+  if (typeof value !== 'string') return undefined;
+  const match = value.replace(/,/g, '').match(/free (?:delivery )?(?:over|above|for orders over) \$?(\d+(\.\d+)?)/i);
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+/**
+ * Drop undefined, empty-array and empty-object properties
+ */
+function compact(object) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) continue;
+    result[key] = value;
+  }
+
+  return result;
+}
+
+function upgradeHours(hours) {
+  if (!hours || typeof hours !== 'object') return undefined;
+
+  const result = {};
+  for (const [day, value] of Object.entries(hours)) {
+    const key = day.toLowerCase();
+
+    if (typeof value === 'string') {
+      result[key] = value;
+    } else if (value && typeof value === 'object') {
+      // { open: '09:00', close: '17:00', isOpen: true }
+      result[key] = value.isOpen === false ? 'Closed' : `${value.open}–${value.close}`;
+    }
+  }
+
+  return result;
+}
+
+function upgradeServices(services) {
+  if (!Array.isArray(services)) return undefined;
+
+  return services.map(service => {
+    if (typeof service === 'string') {
+      return { name: service };
+    }
+
+    return compact({
+      id: service.id,
+      name: service.name,
+      description: service.description,
+      price: parseMoney(service.price),
+      duration: parseMoney(service.duration),
+      available: service.available
+    });
+  });
+}
+
+function upgradeDelivery(legacy) {
+  const delivery = legacy.delivery;
+
+  if (typeof delivery === 'string') {
+    return compact({
+      available: true,
+      free_over: parseFreeOver(delivery),
+      notes: delivery
+    });
+  }
+
+  if (delivery && typeof delivery === 'object') {
+    return compact({
+      available: delivery.available !== undefined ? delivery.available : true,
+      areas: delivery.areas,
+      fee: parseMoney(delivery.fee !== undefined ? delivery.fee : delivery.delivery_fee),
+      minimum: parseMoney(delivery.minimum !== undefined ? delivery.minimum : delivery.minimum_order),
+      free_over: parseMoney(delivery.free_over !== undefined ? delivery.free_over : delivery.free_delivery_over),
+      estimated_time: delivery.estimated_time,
+      radius: delivery.radius || delivery.delivery_radius,
+      notes: delivery.notes
+    });
+  }
+
+  // Flat `delivery_areas` / `delivery_fee` fields
+  if (legacy.delivery_areas || legacy.delivery_fee) {
+    return compact({
+      available: true,
+      areas: legacy.delivery_areas,
+      fee: parseMoney(legacy.delivery_fee),
+      free_over: parseFreeOver(legacy.delivery_fee)
+    });
+  }
+
+  const services = Array.isArray(legacy.services) ? legacy.services : [];
+  if (services.some(service => typeof service === 'string' && service.toLowerCase() === 'delivery')) {
+    return { available: true };
+  }
+
+  return undefined;
+}
+
+function upgradeMenu(menu) {
+  if (!menu || typeof menu !== 'object' || Array.isArray(menu)) return undefined;
+  if (Array.isArray(menu.categories)) return menu;
+
+  const result = {};
+  for (const [category, items] of Object.entries(menu)) {
+    if (!Array.isArray(items)) continue;
+
+    result[category] = items.map(item => (typeof item === 'string'
+      ? { name: item }
+      : compact({
+        name: item.name,
+        price: parseMoney(item.price),
+        description: item.description
+      })));
+  }
+
+  return result;
+}
+
+/**
+ * Version 0 -> 1: fold the unversioned layouts into the canonical one.
+ *
+ * Handles `business_name`/`delivery_areas` files, `name`/`delivery.areas`
+ * files (the dashboard format), `businessInfo`/`policies` knowledge files and
+ * the standalone profile with a nested, string-priced menu.
+ */
+function upgradeLegacyProfile(legacy) {
+  const info = legacy.businessInfo || {};
+  const location = legacy.location;
+  const locationAddress = typeof location === 'string' ? location : location && location.address;
+
+  const specialNotes = { ...(legacy.special_notes || {}) };
+  if (location && typeof location === 'object' && location.neighborhood) {
+    specialNotes.neighborhood = location.neighborhood;
+  }
+
+  // Dine-in/Takeout/Delivery features stand in for services when there are none
+  const services = legacy.services
+    || (location && typeof location === 'object' ? location.features : undefined);
+
+  return compact({
+    schema_version: 1,
+    name: legacy.name || legacy.business_name || info.name,
+    phone: legacy.phone || info.phone,
+    email: legacy.email || info.email,
+    website: legacy.website || info.website,
+    address: (typeof legacy.address === 'string' ? legacy.address : undefined) || info.address || locationAddress,
+    timezone: legacy.timezone || info.timezone,
+    hours: upgradeHours(legacy.hours),
+    services: upgradeServices(services),
+    delivery: upgradeDelivery(legacy),
+    payment_methods: legacy.payment_methods,
+    specialties: legacy.specialties,
+    menu: upgradeMenu(legacy.menu),
+    promotions: legacy.promotions,
+    policies: legacy.policies,
+    faqs: legacy.faqs || legacy.commonQuestions,
+    special_notes: specialNotes,
+    emergency_contacts: legacy.emergency_contacts || legacy.emergencyContacts,
+    stt_provider: legacy.stt_provider,
+    voice_id: legacy.voice_id,
+    openai_voice: legacy.openai_voice
+  });
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function titleCase(text) {
+  return String(text).replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Version 1 -> 2: turn the `{ category: [items] }` menu into a catalogue of
+ * categories and items with IDs, ready for sizes, modifiers and dietary tags.
+ */
+function upgradeMenuCatalogue(profile) {
+  const upgraded = { ...profile, schema_version: 2 };
+  const menu = profile.menu;
+
+  if (!menu || Array.isArray(menu.categories)) {
+    return upgraded;
+  }
+
+  const usedIds = new Set();
+  const uniqueId = (name) => {
+    const base = slugify(name) || 'item';
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    usedIds.add(id);
+    return id;
+  };
+
+  upgraded.menu = {
+    categories: Object.entries(menu).map(([category, items]) => ({
+      id: slugify(category),
+      name: titleCase(category),
+      items: items.map(item => compact({
+        id: uniqueId(item.name),
+        name: item.name,
+        description: item.description,
+        price: item.price
+      }))
+    }))
+  };
+
+  return upgraded;
+}
+
+// Keyed by the version a migration upgrades from
+const MIGRATIONS = {
+  0: upgradeLegacyProfile,
+  1: upgradeMenuCatalogue
+};
+
+/**
+ * Schema version a stored profile was written with (0 = unversioned)
+ */
+function getSchemaVersion(data) {
+  return (data && data.schema_version) || 0;
+}
+
+/**
+ * Upgrade a stored profile to the current schema version
+ * @param {Object} data - Profile as read from disk or received by the API
+ * @returns {Object} Profile in the current schema (not validated)
+ */
+function migrateBusinessProfile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Business profile must be a JSON object');
+  }
+
+  let profile = data;
+  let version = getSchemaVersion(profile);
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported business schema version: ${version}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    profile = MIGRATIONS[version](profile);
+    version = getSchemaVersion(profile);
+  }
+
+  return profile;
+}
+
+/**
+ * Validate a profile against the current schema
+ * @param {Object} profile - Migrated profile
+ * @returns {{ value: Object, errors: string[] }} Normalized profile and
+ *   every validation message (empty when valid)
+ */
+function validateBusinessProfile(profile) {
+  const { error, value } = businessSchema.validate(profile, { abortEarly: false });
+  return {
+    value,
+    errors: error ? error.details.map(detail => detail.message) : []
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DAYS,
+  DIETARY_TAGS,
+  PROMOTION_TYPES,
+  CALDAV_PASSWORD_ENV,
+  businessSchema,
+  hoursExceptionSchema,
+  parseMoney,
+  getSchemaVersion,
+  migrateBusinessProfile,
+  validateBusinessProfile
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { CalendarService } = require('./calendarService');
+const { escapeText, foldLine, formatDateTime, buildCalendar, parseEvents } = require('./icalendar');
+
+// Where a booking's resource is kept on its event, like Google's extendedProperties
+const RESOURCE_PROPERTY = 'X-BOOKING-RESOURCE-ID';
+// The booking an event mirrors, when calendar sync wrote it
+const BOOKING_PROPERTY = 'X-BOOKING-ID';
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop><d:resourcetype/><d:displayname/></d:prop>
+</d:propfind>`;
+
+function calendarQuery(timeMin, timeMax) {
+  const range = `start="${formatDateTime(timeMin)}" end="${formatDateTime(timeMax)}"`;
+  // The server expands recurring events into the instances in the range
+  return `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data><c:expand ${range}/></c:calendar-data>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT"><c:time-range ${range}/></c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * CalendarService for CalDAV servers (Nextcloud, Fastmail, iCloud,
+ * Radicale), so businesses can book without Google OAuth. Availability,
+ * booking and cancelling work as they do for Google; only reading and
+ * writing events differs. Calendars are collection URLs: the business's
+ * `calendar.url`, or a resource's `calendar_id` relative to it.
+ *
+ * Events are stored as `<uid>.ics` in the collection, with the booking's
+ * resource in X-BOOKING-RESOURCE-ID and, for events calendar sync mirrors
+ * from the booking store, the booking in X-BOOKING-ID.
+ */
+class CalDAVCalendarService extends CalendarService {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Calendar collection URL
+   * @param {string} options.username - For HTTP Basic auth, optional
+   * @param {string} options.password - Usually an app password, optional
+   * @param {string} options.timeZone - Zone for floating event times
+   */
+  constructor({ url, username = null, password = null, timeZone = null } = {}) {
+    super();
+    this.url = url.endsWith('/') ? url : `${url}/`;
+    this.username = username;
+    this.password = password;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Check the collection is reachable and is a calendar
+   * @throws {Error} When the server refuses or the URL isn't a calendar
+   */
+  async initialize() {
+    const response = await this.request('PROPFIND', this.url, { body: PROPFIND_BODY, depth: 0 });
+    const body = await response.text();
+    if (!/<(\w+:)?calendar[\s/>]/.test(body)) {
+      throw new Error(`${this.url} is not a CalDAV calendar`);
+    }
+
+    this.initialized = true;
+    console.log(`[CALDAV] Connected to ${this.url}`);
+  }
+
+  /**
+   * Send a request to the server
+   * @throws {Error} With the HTTP `status` when it fails
+   */
+  async request(method, url, { body, depth, headers = {} } = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(this.username && {
+          Authorization: `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`
+        }),
+        ...(body && body.startsWith('<?xml') && { 'Content-Type': 'application/xml; charset=utf-8' }),
+        ...(depth !== undefined && { Depth: String(depth) }),
+        ...headers
+      },
+      body
+    });
+
+    if (!response.ok) {
+      const error = new Error(`CalDAV ${method} ${url} failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Collection a resource's bookings go in: its `calendar_id` (relative to
+   * the business's calendar URL), or the business's calendar
+   * @throws {Error} With `code` 'INVALID_CALENDAR_ID' when the collection is
+   *   on another server, which would be sent the business's credentials
+   */
+  getCalendarId(resource = null) {
+    if (!resource || !resource.calendar_id) return this.url;
+
+    const { origin } = new URL(this.url);
+    const url = new URL(resource.calendar_id, this.url);
+    if (url.origin !== origin) {
+      const error = new Error(`CalDAV calendar_id of ${resource.id} must be on ${origin}, not ${url.origin}`);
+      error.code = 'INVALID_CALENDAR_ID';
+      throw error;
+    }
+    return url.href.endsWith('/') ? url.href : `${url.href}/`;
+  }
+
+  eventUrl(calendarId, eventId) {
+    return `${calendarId}${encodeURIComponent(eventId)}.ics`;
+  }
+
+  /**
+   * Events in the collection between two times, from a calendar-query REPORT
+   */
+  async listEvents(calendarId, timeMin, timeMax) {
+    const response = await this.request('REPORT', calendarId, { body: calendarQuery(timeMin, timeMax), depth: 1 });
+    const body = await response.text();
+
+    const events = [];
+    for (const [, , data] of body.matchAll(/<(\w+:)?calendar-data[^>]*>([\s\S]*?)<\/(\w+:)?calendar-data>/g)) {
+      events.push(...parseEvents(decodeXml(data.trim()), { timeZone: this.timeZone }).map(toGoogleShape));
+    }
+    // Cancelled events stay on the server but don't take the time
+    return events.filter(event => event.status !== 'cancelled' && event.start);
+  }
+
+  /**
+   * Store a booking's event (as built by createBooking) in the collection
+   * @returns {Promise<Object>} `{ id, htmlLink }`; the link is the event's URL
+   */
+  async insertEvent(calendarId, event) {
+    const uid = `${crypto.randomUUID()}@ai-receptionist`;
+    const url = this.eventUrl(calendarId, uid);
+
+    await this.request('PUT', url, {
+      body: buildCalendar([toVEvent(uid, event)], { method: null }),
+      // Never replace an event that's already there
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+    });
+    return { id: uid, htmlLink: url };
+  }
+
+  /**
+   * Add an event, or replace an existing one, like CalendarService.saveEvent
+   * @param {string} calendarId - Collection the event is in
+   * @param {string} eventId - Event to replace, or null to add one
+   * @param {Object} event - Event in the shape Google takes
+   * @returns {Promise<Object>} `{ id, htmlLink }`
+   */
+  async saveEvent(calendarId, eventId, event) {
+    if (!eventId) return this.insertEvent(calendarId, event);
+
+    const url = this.eventUrl(calendarId, eventId);
+    await this.request('PUT', url, {
+      body: buildCalendar([toVEvent(eventId, event)], { method: null }),
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8' }
+    });
+    return { id: eventId, htmlLink: url };
+  }
+
+  /**
+   * An event (`summary`, `start`, `end`)
+   * @throws {Error} With `status` 404 when it isn't there
+   */
+  async getEvent(calendarId, eventId) {
+    const response = await this.request('GET', this.eventUrl(calendarId, eventId));
+    const [event] = parseEvents(await response.text(), { timeZone: this.timeZone });
+    return toGoogleShape(event);
+  }
+
+  /**
+   * Remove an event; one that's already gone is left alone. The server
+   * tells attendees itself when it handles scheduling.
+   */
+  async deleteEvent(calendarId, eventId) {
+    try {
+      await this.request('DELETE', this.eventUrl(calendarId, eventId));
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 410) throw error;
+    }
+  }
+}
+
+/**
+ * Keep the resource where CalendarService looks for it on Google events
+ */
+function toGoogleShape(event) {
+  const { [RESOURCE_PROPERTY]: resourceId, [BOOKING_PROPERTY]: bookingId, ...extras } = event.extendedProperties.private;
+  return {
+    ...event,
+    extendedProperties: { private: { ...extras, ...(resourceId && { resourceId }), ...(bookingId && { bookingId }) } }
+  };
+}
+
+/**
+ * VEVENT lines for an event in the shape createBooking builds for Google
+ */
+function toVEvent(uid, event) {
+  const tags = (event.extendedProperties && event.extendedProperties.private) || {};
+  const popups = ((event.reminders && event.reminders.overrides) || []).filter(reminder => reminder.method === 'popup');
+
+  return [
+    'BEGIN:VEVENT',
+    foldLine(`UID:${uid}`),
+    foldLine(`DTSTAMP:${formatDateTime(new Date())}`),
+    foldLine(`DTSTART:${formatDateTime(event.start.dateTime)}`),
+    foldLine(`DTEND:${formatDateTime(event.end.dateTime)}`),
+    foldLine(`SUMMARY:${escapeText(event.summary)}`),
+    ...(event.description ? [foldLine(`DESCRIPTION:${escapeText(event.description)}`)] : []),
+    ...(event.attendees || []).map(attendee =>
+      foldLine(`ATTENDEE;CN="${String(attendee.displayName || '').replace(/"/g, "'")}":mailto:${attendee.email}`)),
+    'STATUS:CONFIRMED',
+    ...(tags.resourceId ? [foldLine(`${RESOURCE_PROPERTY}:${escapeText(tags.resourceId)}`)] : []),
+    ...(tags.bookingId ? [foldLine(`${BOOKING_PROPERTY}:${escapeText(tags.bookingId)}`)] : []),
+    ...popups.flatMap(reminder => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      foldLine(`DESCRIPTION:${escapeText(event.summary)}`),
+      `TRIGGER:-PT${reminder.minutes}M`,
+      'END:VALARM'
+    ]),
+    'END:VEVENT'
+  ];
+}
+
+module.exports = CalDAVCalendarService;
+module.exports.CalDAVCalendarService = CalDAVCalendarService;
@@ -1,13 +1,37 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { findService, getBookingRules, getOpeningWindows, computeAvailableSlots } = require('./availability');
+const { evaluateCancellation, describeCancellation } = require('./cancellationPolicy');
+const tokenStore = require('./tokenStore');
+
+// Connection used when no business is given, and by businesses that haven't
+// connected their own Google account
+const DEFAULT_CONNECTION = 'default';
+// Where tokens were kept before they were stored per business
+const LEGACY_TOKEN_PATH = path.join(__dirname, '../data/google-tokens.json');
 
 class CalendarService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.businessId - Business whose Google account this
+   *   connects, or null for the default connection
+   * @param {TokenStore} options.tokenStore - Where tokens are kept
+   */
+  constructor(options = {}) {
     this.calendar = null;
     this.oauth2Client = null;
     this.initialized = false;
-    this.tokenPath = path.join(__dirname, '../data/google-tokens.json');
+    this.businessId = options.businessId || null;
+    this.tokenStore = options.tokenStore || tokenStore;
+    this.legacyTokenPath = options.legacyTokenPath || LEGACY_TOKEN_PATH;
+  }
+
+  /**
+   * Key of this connection's tokens in the token store
+   */
+  get connectionId() {
+    return this.businessId || DEFAULT_CONNECTION;
   }
 
   async initialize() {
@@ -19,8 +43,13 @@ class CalendarService {
       this.oauth2Client = new google.auth.OAuth2(
         process.env.GOOGLE_CLIENT_ID,
         process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/callback'
+        process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/callback'
       );
+      // The client refreshes expired access tokens itself; keep what it gets
+      this.oauth2Client.on('tokens', tokens => {
+        this.saveTokens(tokens).catch(error =>
+          console.error(`Error saving refreshed tokens for ${this.connectionId}:`, error.message));
+      });
 
       // Try to load existing tokens
       await this.loadTokens();
@@ -28,9 +57,11 @@ class CalendarService {
       if (this.oauth2Client.credentials && this.oauth2Client.credentials.access_token) {
         this.calendar = google.calendar({ version: 'v3', auth: this.oauth2Client });
         this.initialized = true;
-        console.log('✅ Google Calendar service initialized with existing tokens');
+        console.log(`✅ Google Calendar service initialized with existing tokens (${this.connectionId})`);
       } else {
-        console.log('⚠️ Google Calendar needs authorization. Use /auth endpoint to authenticate.');
+        this.calendar = null;
+        this.initialized = false;
+        console.log(`⚠️ Google Calendar needs authorization for ${this.connectionId}. Use /auth to authenticate.`);
       }
     } catch (error) {
       console.error('❌ Failed to initialize Google Calendar:', error.message);
@@ -40,8 +71,10 @@ class CalendarService {
 
   async loadTokens() {
     try {
-      if (fs.existsSync(this.tokenPath)) {
-        const tokens = JSON.parse(fs.readFileSync(this.tokenPath, 'utf8'));
+      await this.migrateLegacyTokens();
+
+      const tokens = this.tokenStore.get(this.connectionId);
+      if (tokens) {
         this.oauth2Client.setCredentials(tokens);
 
         // Check if token needs refresh
@@ -51,16 +84,34 @@ class CalendarService {
       }
     } catch (error) {
       console.error('Error loading tokens:', error);
+      // Revoked or unreadable: the connection has to be authorized again
+      this.oauth2Client.setCredentials({});
     }
   }
 
-  async saveTokens(tokens) {
-    try {
-      fs.writeFileSync(this.tokenPath, JSON.stringify(tokens, null, 2));
-      console.log('✅ Tokens saved successfully');
-    } catch (error) {
-      console.error('Error saving tokens:', error);
+  /**
+   * Move tokens from data/google-tokens.json, where they were listed as if
+   * they were a business, into the token store as the default connection
+   */
+  async migrateLegacyTokens() {
+    if (this.businessId || !fs.existsSync(this.legacyTokenPath)) return;
+
+    const tokens = JSON.parse(fs.readFileSync(this.legacyTokenPath, 'utf8'));
+    if (!this.tokenStore.has(DEFAULT_CONNECTION)) {
+      await this.tokenStore.save(DEFAULT_CONNECTION, tokens);
     }
+    fs.rmSync(this.legacyTokenPath);
+    console.log(`✅ Moved ${path.basename(this.legacyTokenPath)} into the token store`);
+  }
+
+  /**
+   * Store tokens for this connection. Refreshes don't include the refresh
+   * token, so the one already stored is kept.
+   */
+  async saveTokens(tokens) {
+    const saved = this.tokenStore.get(this.connectionId) || {};
+    await this.tokenStore.save(this.connectionId, { ...saved, ...tokens });
+    console.log(`✅ Tokens saved for ${this.connectionId}`);
   }
 
   async refreshTokens() {
@@ -75,7 +126,11 @@ class CalendarService {
     }
   }
 
-  getAuthUrl() {
+  /**
+   * Google consent page URL
+   * @param {string} state - Returned to the callback as-is, optional
+   */
+  getAuthUrl(state = null) {
     const scopes = [
       'https://www.googleapis.com/auth/calendar',
       'https://www.googleapis.com/auth/calendar.events'
@@ -84,7 +139,8 @@ class CalendarService {
     return this.oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: scopes,
-      prompt: 'consent'
+      prompt: 'consent',
+      ...(state && { state })
     });
   }
 
@@ -97,7 +153,7 @@ class CalendarService {
       this.calendar = google.calendar({ version: 'v3', auth: this.oauth2Client });
       this.initialized = true;
 
-      console.log('✅ Google Calendar authenticated successfully');
+      console.log(`✅ Google Calendar authenticated successfully (${this.connectionId})`);
       return { success: true };
     } catch (error) {
       console.error('Error handling OAuth callback:', error);
@@ -105,68 +161,215 @@ class CalendarService {
     }
   }
 
-  async getAvailableSlots(date, duration = 30) {
-    if (!this.initialized) {
-      await this.initialize();
+  /**
+   * Calendar a resource's bookings go on: its `calendar_id`, or
+   * GOOGLE_CALENDAR_ID
+   */
+  getCalendarId(resource = null) {
+    return (resource && resource.calendar_id) || process.env.GOOGLE_CALENDAR_ID || 'primary';
+  }
+
+  /**
+   * Events changed on a calendar since the last sync, deleted ones included
+   * (with `status: 'cancelled'`). Without a sync token every event is listed.
+   * @param {string} calendarId - Calendar to read
+   * @param {string} syncToken - `nextSyncToken` from the previous call, optional
+   * @returns {Promise<Object>} `{ events, nextSyncToken }`
+   * @throws {Error} With `code` 'SYNC_TOKEN_EXPIRED' when Google wants a full
+   *   sync again
+   */
+  async listChanges(calendarId, syncToken = null) {
+    const events = [];
+    let pageToken;
+
+    for (;;) {
+      let response;
+      try {
+        response = await this.calendar.events.list({
+          calendarId,
+          singleEvents: true,
+          showDeleted: true,
+          ...(syncToken && { syncToken }),
+          ...(pageToken && { pageToken })
+        });
+      } catch (error) {
+        if (error.code === 410 || (error.response && error.response.status === 410)) {
+          const expired = new Error(`Sync token for ${calendarId} has expired`);
+          expired.code = 'SYNC_TOKEN_EXPIRED';
+          throw expired;
+        }
+        throw error;
+      }
+
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+      if (!pageToken) {
+        return { events, nextSyncToken: response.data.nextSyncToken || null };
+      }
     }
+  }
 
-    try {
-      const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
-      const startOfDay = new Date(date);
-      startOfDay.setHours(9, 0, 0, 0); // 9 AM
-
-      const endOfDay = new Date(date);
-      endOfDay.setHours(17, 0, 0, 0); // 5 PM
-
-      const response = await this.calendar.events.list({
-        calendarId,
-        timeMin: startOfDay.toISOString(),
-        timeMax: endOfDay.toISOString(),
-        singleEvents: true,
-        orderBy: 'startTime'
-      });
+  /**
+   * Add a booking's event, emailing the attendees
+   * @returns {Promise<Object>} Saved event (`id`, `htmlLink`)
+   */
+  async insertEvent(calendarId, event) {
+    const response = await this.calendar.events.insert({ calendarId, resource: event, sendUpdates: 'all' });
+    return response.data;
+  }
 
-      const bookedSlots = response.data.items || [];
-      const availableSlots = this.calculateAvailableSlots(startOfDay, endOfDay, bookedSlots, duration);
+  /**
+   * An event (`summary`, `start`, `end`)
+   */
+  async getEvent(calendarId, eventId) {
+    const response = await this.calendar.events.get({ calendarId, eventId });
+    return response.data;
+  }
+
+  /**
+   * Add an event, or replace the times and text of an existing one
+   * @param {string} calendarId - Calendar the event is on
+   * @param {string} eventId - Event to change, or null to add one
+   * @param {Object} event - Event resource
+   * @returns {Promise<Object>} Saved event
+   */
+  async saveEvent(calendarId, eventId, event) {
+    const response = eventId
+      ? await this.calendar.events.patch({ calendarId, eventId, resource: event })
+      : await this.calendar.events.insert({ calendarId, resource: event });
+    return response.data;
+  }
 
-      return availableSlots;
+  /**
+   * Remove an event; one that's already gone is left alone
+   * @param {Object} options
+   * @param {boolean} options.notify - Email the attendees
+   */
+  async deleteEvent(calendarId, eventId, { notify = false } = {}) {
+    try {
+      await this.calendar.events.delete({ calendarId, eventId, ...(notify && { sendUpdates: 'all' }) });
     } catch (error) {
-      console.error('Error fetching available slots:', error);
-      throw new Error('Failed to fetch available time slots');
+      const status = error.code || (error.response && error.response.status);
+      if (status !== 404 && status !== 410) throw error;
     }
   }
 
-  calculateAvailableSlots(startOfDay, endOfDay, bookedSlots, duration) {
-    const slots = [];
-    const slotDuration = duration * 60 * 1000; // Convert to milliseconds
+  /**
+   * Ask Google to call a webhook when a calendar's events change
+   * @param {string} calendarId - Calendar to watch
+   * @param {Object} channel - `{ id, token, address }`; the token comes back
+   *   on every notification
+   * @returns {Promise<Object>} `{ id, resourceId, expiration }`
+   */
+  async watchEvents(calendarId, { id, token, address }) {
+    const response = await this.calendar.events.watch({
+      calendarId,
+      resource: { id, token, address, type: 'web_hook' }
+    });
+    return {
+      id: response.data.id,
+      resourceId: response.data.resourceId,
+      expiration: response.data.expiration ? new Date(Number(response.data.expiration)).toISOString() : null
+    };
+  }
 
-    let currentTime = new Date(startOfDay);
-    const endTime = new Date(endOfDay);
+  /**
+   * Stop a channel from watchEvents
+   */
+  async stopChannel({ id, resourceId }) {
+    await this.calendar.channels.stop({ resource: { id, resourceId } });
+  }
 
-    while (currentTime < endTime) {
-      const slotEnd = new Date(currentTime.getTime() + slotDuration);
+  /**
+   * Events on a calendar between two times, recurring ones expanded
+   * @returns {Promise<Object[]>} Events (`start`, `end`, `extendedProperties`)
+   */
+  async listEvents(calendarId, timeMin, timeMax) {
+    const response = await this.calendar.events.list({
+      calendarId,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime'
+    });
+    return response.data.items || [];
+  }
 
-      if (slotEnd > endTime) break;
+  /**
+   * Events between two times as bookings the availability rules count. With
+   * resources, each calendar is read once; an event belongs to the resource
+   * recorded on it, or to every resource sharing its calendar.
+   * @param {Date} timeMin - Start of the range
+   * @param {Date} timeMax - End of the range
+   * @param {Object[]} resources - Resources to read, optional
+   * @param {Object} options
+   * @param {boolean} options.mirrored - False leaves out events calendar
+   *   sync wrote for bookings in the booking store
+   * @returns {Promise<Object[]>} `[{ start, end, resourceId }]`
+   */
+  async listBookings(timeMin, timeMax, resources = null, { mirrored = true } = {}) {
+    const calendars = new Map();
+    for (const resource of resources || [null]) {
+      const calendarId = this.getCalendarId(resource);
+      calendars.set(calendarId, [...(calendars.get(calendarId) || []), resource]);
+    }
 
-      const isSlotAvailable = !bookedSlots.some(event => {
-        const eventStart = new Date(event.start.dateTime || event.start.date);
-        const eventEnd = new Date(event.end.dateTime || event.end.date);
+    const bookings = [];
+    for (const [calendarId, sharing] of calendars) {
+      for (const event of await this.listEvents(calendarId, timeMin, timeMax)) {
+        const start = event.start.dateTime || event.start.date;
+        const end = event.end.dateTime || event.end.date;
+        const tags = (event.extendedProperties && event.extendedProperties.private) || {};
+        if (!mirrored && tags.bookingId) continue;
+        const owner = tags.resourceId;
+
+        if (owner || !resources) {
+          bookings.push({ start, end, ...(owner && { resourceId: owner }) });
+        } else {
+          bookings.push(...sharing.map(resource => ({ start, end, resourceId: resource.id })));
+        }
+      }
+    }
 
-        return (currentTime < eventEnd && slotEnd > eventStart);
-      });
+    return bookings;
+  }
 
-      if (isSlotAvailable) {
-        slots.push({
-          startTime: currentTime.toISOString(),
-          endTime: slotEnd.toISOString(),
-          duration: duration
-        });
-      }
+  /**
+   * Free slots on a date, from the business hours and booking rules when a
+   * business is given (9 AM to 5 PM otherwise). Every event on the calendar
+   * counts against the business's capacity.
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} duration - Slot length in minutes, unless the service has one
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options
+   * @param {string} options.service - Service ID or name from the profile
+   * @param {Date} options.now - Current time
+   */
+  async getAvailableSlots(date, duration = 30, business = null, { service = null, now = new Date() } = {}) {
+    const day = String(date).slice(0, 10);
+    const windows = getOpeningWindows(business, day);
+    if (windows.length === 0) {
+      return [];
+    }
 
-      currentTime = new Date(currentTime.getTime() + slotDuration);
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    return slots;
+    try {
+      const rules = getBookingRules(business, findService(business, service), duration);
+
+      // Events that end inside the buffer before the first slot still count
+      const bookings = await this.listBookings(
+        new Date(windows[0].start.getTime() - rules.buffer * 60000),
+        windows[windows.length - 1].end
+      );
+
+      return computeAvailableSlots({ business, date: day, bookings, rules, now });
+    } catch (error) {
+      console.error('Error fetching available slots:', error);
+      throw new Error('Failed to fetch available time slots');
+    }
   }
 
   async createBooking({ customerName, customerEmail, customerPhone, date, startTime, endTime, serviceType, notes }) {
@@ -175,7 +378,7 @@ class CalendarService {
     }
 
     try {
-      const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+      const calendarId = this.getCalendarId();
 
       const event = {
         summary: `${serviceType} - ${customerName}`,
@@ -206,16 +409,12 @@ ${notes ? `Notes: ${notes}` : ''}
         }
       };
 
-      const response = await this.calendar.events.insert({
-        calendarId,
-        resource: event,
-        sendUpdates: 'all'
-      });
+      const saved = await this.insertEvent(calendarId, event);
 
       return {
         success: true,
-        eventId: response.data.id,
-        eventUrl: response.data.htmlLink,
+        eventId: saved.id,
+        eventUrl: saved.htmlLink,
         booking: {
           customerName,
           customerEmail,
@@ -231,21 +430,46 @@ ${notes ? `Notes: ${notes}` : ''}
     }
   }
 
-  async cancelBooking(eventId) {
+  /**
+   * Cancel a calendar booking, applying the business's cancellation policy
+   * @param {string} eventId - Calendar event ID
+   * @param {Object} business - Canonical business profile, optional
+   * @param {Object} options - `{ acceptFee, now }`, as for bookingService
+   * @throws {Error} With `code` 'FEE_NOT_ACCEPTED' when a fee applies and
+   *   wasn't accepted
+   */
+  async cancelBooking(eventId, business = null, { acceptFee = true, now = new Date() } = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    const calendarId = this.getCalendarId();
+    let cancellation;
+
     try {
-      const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+      const event = await this.getEvent(calendarId, eventId);
+      // Events are titled "<service> - <customer>"
+      const booking = {
+        startTime: event.start.dateTime || event.start.date,
+        service: String(event.summary || '').split(' - ')[0]
+      };
+      cancellation = evaluateCancellation({ business, booking, now });
+    } catch (error) {
+      console.error('Error loading booking:', error);
+      throw new Error('Failed to cancel booking');
+    }
 
-      await this.calendar.events.delete({
-        calendarId,
-        eventId,
-        sendUpdates: 'all'
-      });
+    if (cancellation.feeApplies && !acceptFee) {
+      const error = new Error(describeCancellation(cancellation, business));
+      error.code = 'FEE_NOT_ACCEPTED';
+      error.cancellation = cancellation;
+      throw error;
+    }
+
+    try {
+      await this.deleteEvent(calendarId, eventId, { notify: true });
 
-      return { success: true, message: 'Booking cancelled successfully' };
+      return { success: true, message: 'Booking cancelled successfully', cancellation };
     } catch (error) {
       console.error('Error cancelling booking:', error);
       throw new Error('Failed to cancel booking');
@@ -253,4 +477,6 @@ ${notes ? `Notes: ${notes}` : ''}
   }
 }
 
-module.exports = new CalendarService();
\ No newline at end of file
+module.exports = new CalendarService();
+module.exports.CalendarService = CalendarService;
+module.exports.DEFAULT_CONNECTION = DEFAULT_CONNECTION;
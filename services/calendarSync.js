@@ -0,0 +1,616 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const calendarService = require('./calendarService');
+const { DEFAULT_CONNECTION } = require('./calendarService');
+const bookingService = require('./bookingService');
+const tokenStore = require('./tokenStore');
+const { withFileLock } = require('./fileLock');
+const { findResource } = require('./availability');
+const { usesGoogleCalendar, getCalendarService, getGoogleConnection } = require('./calendars');
+const { getLocalTime } = require('./businessHours');
+const { getBusinessFilePath, loadBusinessData } = require('./businessData');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', 'storage', 'calendar-sync.json');
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+// Channels are renewed when they have less than this left
+const CHANNEL_RENEW_MS = 24 * 60 * 60 * 1000;
+const MAX_CONFLICTS = 50;
+
+// Profile of the business a booking is with, or null
+function loadBusiness(businessId) {
+  return businessId && fs.existsSync(getBusinessFilePath(businessId))
+    ? loadBusinessData(businessId)
+    : null;
+}
+
+// Google connections businesses authorized for themselves
+function businessConnections() {
+  return tokenStore.list()
+    .map(entry => entry.connectionId)
+    .filter(connectionId => connectionId !== DEFAULT_CONNECTION)
+    .map(getGoogleConnection);
+}
+
+// Google connection a booking's event was written with (links from before
+// connections were per business are on the default one), or null on CalDAV
+function linkedConnection(linked) {
+  return linked.provider === 'caldav' ? null : linked.connection || DEFAULT_CONNECTION;
+}
+
+function toIso(value) {
+  return new Date(value).toISOString();
+}
+
+/**
+ * Keeps Google Calendar and the booking store in step, both ways.
+ *
+ * Bookings are mirrored as events tagged with their `bookingId`; what was
+ * last written is kept on the booking (`calendar.mirrored`), so a run only
+ * pushes bookings that changed here. Changes made in Google Calendar are
+ * read incrementally with sync tokens, on a timer and whenever a push
+ * notification arrives: an event moved by staff moves its booking, and a
+ * deleted event cancels it. When a booking changed in both places since the
+ * last sync, the booking wins and the conflict is recorded for staff.
+ *
+ * Each booking goes to its business's own Google connection when it has
+ * authorized one, and to the default connection otherwise; every connected
+ * account is read back. Businesses on a CalDAV server have their bookings
+ * pushed there the same way, whether or not Google Calendar is connected;
+ * CalDAV has no sync tokens, so nothing is read back from it.
+ *
+ * Sync tokens, notification channels, the last sync time and conflicts are
+ * kept in CALENDAR_SYNC_FILE, per connection and calendar.
+ */
+class CalendarSync {
+  constructor(options = {}) {
+    this.calendar = options.calendar || calendarService;
+    this.bookings = options.bookings || bookingService;
+    this.loadBusiness = options.loadBusiness || loadBusiness;
+    this.getCalendarService = options.getCalendarService || getCalendarService;
+    this.businessConnections = options.businessConnections || businessConnections;
+    this.stateFile = options.stateFile || process.env.CALENDAR_SYNC_FILE || DEFAULT_STATE_FILE;
+    this.intervalMs = options.intervalMs || Number(process.env.CALENDAR_SYNC_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.webhookUrl = options.webhookUrl !== undefined ? options.webhookUrl : process.env.CALENDAR_WEBHOOK_URL || null;
+    this.timer = null;
+    // Runs from the timer and from notifications take turns
+    this.running = Promise.resolve();
+  }
+
+  /**
+   * Connect with saved tokens and sync every `intervalMs` until stop() is
+   * called; notifications sync sooner. Runs are skipped until there is a
+   * calendar to sync with, and /auth/callback syncs as soon as a Google
+   * account is connected.
+   */
+  async start() {
+    if (this.timer) return;
+
+    if (!this.calendar.initialized && process.env.GOOGLE_CLIENT_ID) {
+      try {
+        await this.calendar.initialize();
+      } catch (error) {
+        console.error('[CALENDAR SYNC] Google Calendar unavailable:', error.message);
+      }
+    }
+
+    this.timer = setInterval(() => {
+      // Nothing to sync until Google Calendar is authorized at /auth
+      if (!this.hasCalendars()) return;
+      this.sync().catch(error => console.error('[CALENDAR SYNC] Run failed:', error.message));
+    }, this.intervalMs);
+    // Don't keep the process alive just for syncing
+    this.timer.unref();
+    console.log(`[CALENDAR SYNC] Syncing Google Calendar every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  readState() {
+    const empty = { calendars: {}, connections: {}, lastSyncAt: null, lastError: null, conflicts: [] };
+    if (!fs.existsSync(this.stateFile)) return empty;
+    return { ...empty, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+  }
+
+  /**
+   * A connection's calendars in the sync state, by calendar ID. The default
+   * connection's are under `calendars`, as before connections were per
+   * business; a business's own are under `connections[businessId]`.
+   */
+  calendarsOf(state, connectionId) {
+    if (connectionId === DEFAULT_CONNECTION) return state.calendars;
+    state.connections[connectionId] = state.connections[connectionId] || {};
+    return state.connections[connectionId];
+  }
+
+  /**
+   * Change the sync state while holding its lock file
+   * @param {Function} change - Given the state; changes it in place
+   */
+  updateState(change) {
+    return withFileLock(this.stateFile, () => {
+      const state = this.readState();
+      change(state);
+
+      const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+      fs.renameSync(tempFile, this.stateFile);
+      return state;
+    });
+  }
+
+  /**
+   * Last sync, watched calendars and recorded conflicts, newest first
+   */
+  getStatus() {
+    const state = this.readState();
+    const connections = [[DEFAULT_CONNECTION, state.calendars], ...Object.entries(state.connections)];
+    return {
+      connected: Boolean(this.calendar.initialized),
+      lastSyncAt: state.lastSyncAt,
+      lastError: state.lastError,
+      calendars: connections.flatMap(([connection, calendars]) => Object.entries(calendars).map(([calendarId, entry]) => ({
+        connection,
+        calendarId,
+        lastSyncAt: entry.lastSyncAt || null,
+        watching: Boolean(entry.channel),
+        channelExpiresAt: (entry.channel && entry.channel.expiration) || null
+      }))),
+      conflicts: [...state.conflicts].reverse()
+    };
+  }
+
+  /**
+   * Calendar service a business's bookings are pushed to: its CalDAV
+   * server, its own Google connection, or the default one
+   */
+  backendFor(business, businessId) {
+    const calendar = this.getCalendarService(business, { businessId });
+    return calendar === calendarService ? this.calendar : calendar;
+  }
+
+  /**
+   * Google connections to sync: the default one and each business's own
+   */
+  googleConnections() {
+    return [this.calendar, ...this.businessConnections()];
+  }
+
+  /**
+   * Whether there is anything to sync with: the default Google connection,
+   * a business's own, or bookings on CalDAV
+   */
+  hasCalendars() {
+    return Boolean(this.calendar.initialized) || this.businessConnections().length > 0 || this.hasCalDAVBookings();
+  }
+
+  /**
+   * Whether any booking is with a business on CalDAV, which is pushed to
+   * without Google Calendar
+   */
+  hasCalDAVBookings() {
+    const businesses = new Map();
+    return this.bookings.store.readAll().some(booking => !usesGoogleCalendar(this.businessOf(booking, businesses)));
+  }
+
+  /**
+   * Profile of a booking's business, loaded once per run
+   */
+  businessOf(booking, businesses) {
+    if (!businesses.has(booking.businessId)) {
+      businesses.set(booking.businessId, this.loadBusiness(booking.businessId));
+    }
+    return businesses.get(booking.businessId);
+  }
+
+  /**
+   * Whether a calendar service can be used this run. Business connections
+   * load their tokens and CalDAV servers are checked on first use; one that
+   * can't be reached is tried again next run.
+   * @param {Map} checked - Services tried this run
+   */
+  async connectBackend(calendar, checked) {
+    if (calendar.initialized) return true;
+    if (calendar === this.calendar) return false;
+
+    if (!checked.has(calendar)) {
+      checked.set(calendar, calendar.initialize().then(() => Boolean(calendar.initialized), error => {
+        console.warn(`[CALENDAR SYNC] ${calendar.url || `Google connection ${calendar.connectionId}`} unavailable:`, error.message);
+        return false;
+      }));
+    }
+    return checked.get(calendar);
+  }
+
+  /**
+   * Calendar a booking's event belongs on: its resource's, or the default
+   */
+  calendarFor(booking, business, calendar = this.calendar) {
+    return calendar.getCalendarId(booking.resourceId ? findResource(business, booking.resourceId) : null);
+  }
+
+  /**
+   * Event for a booking, titled "<service> - <customer>" like the ones
+   * CalendarService adds
+   */
+  eventFor(booking, business) {
+    const timeZone = (business && business.timezone) || process.env.TIMEZONE || 'America/New_York';
+    const description = [
+      `Booking: ${booking.number || booking.bookingId}`,
+      `Customer: ${booking.customerName}`,
+      booking.customerEmail && `Email: ${booking.customerEmail}`,
+      booking.customerPhone && `Phone: ${booking.customerPhone}`,
+      booking.partySize && `Party size: ${booking.partySize}`,
+      booking.resourceName && `With: ${booking.resourceName}`,
+      booking.notes && `Notes: ${booking.notes}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      summary: `${booking.service || booking.serviceType} - ${booking.customerName}`,
+      description,
+      start: { dateTime: toIso(booking.startTime), timeZone },
+      end: { dateTime: toIso(booking.endTime), timeZone },
+      extendedProperties: {
+        private: {
+          bookingId: booking.bookingId,
+          ...(booking.resourceId && { resourceId: booking.resourceId })
+        }
+      }
+    };
+  }
+
+  /**
+   * What the calendar should show for a booking, to compare with what it
+   * was last sent
+   */
+  mirrorOf(booking, business, calendar = this.calendar) {
+    const event = this.eventFor(booking, business);
+    return {
+      status: booking.status,
+      startTime: event.start.dateTime,
+      endTime: event.end.dateTime,
+      calendarId: this.calendarFor(booking, business, calendar),
+      summary: event.summary,
+      description: event.description
+    };
+  }
+
+  /**
+   * Pull changes from Google Calendar, then push the bookings that changed
+   * here
+   * @param {Object} options
+   * @param {Object[]} options.calendars - Calendars to pull, as
+   *   `{ connection, calendarId }`; all known ones when missing
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} `{ changes, pushed, conflicts }`: bookings
+   *   changed from the calendar, events written, conflicts found this run
+   * @throws {Error} With `code` 'CALENDAR_NOT_CONNECTED' before Google
+   *   Calendar is authorized, unless there are bookings to push to CalDAV
+   */
+  sync(options = {}) {
+    const run = this.running.then(() => this.runSync(options));
+    this.running = run.catch(() => {});
+    return run;
+  }
+
+  async runSync({ calendars = null, now = new Date() } = {}) {
+    const checked = new Map();
+    const connected = [];
+    for (const calendar of this.googleConnections()) {
+      if (await this.connectBackend(calendar, checked)) connected.push(calendar);
+    }
+    if (connected.length === 0 && !this.hasCalDAVBookings()) {
+      const error = new Error('Google Calendar is not connected. Use /auth to authenticate.');
+      error.code = 'CALENDAR_NOT_CONNECTED';
+      throw error;
+    }
+
+    const result = { changes: [], pushed: 0, conflicts: [] };
+    try {
+      const pulled = new Map();
+      for (const calendar of connected) {
+        const pulling = calendars
+          ? calendars.filter(entry => entry.connection === calendar.connectionId).map(entry => entry.calendarId)
+          : this.knownCalendars(calendar);
+        pulled.set(calendar, pulling);
+        await this.watchCalendars(calendar, pulling, now);
+        for (const calendarId of pulling) {
+          await this.pullCalendar(calendar, calendarId, result, now);
+        }
+      }
+      result.pushed = await this.pushBookings(now, checked);
+
+      // Calendars just pushed to for the first time start being followed now
+      if (!calendars) {
+        for (const calendar of connected) {
+          const added = this.knownCalendars(calendar).filter(calendarId => !pulled.get(calendar).includes(calendarId));
+          await this.watchCalendars(calendar, added, now);
+          for (const calendarId of added) {
+            await this.pullCalendar(calendar, calendarId, result, now);
+          }
+        }
+      }
+    } catch (error) {
+      await this.updateState(state => {
+        state.lastError = { message: error.message, at: now.toISOString() };
+      });
+      throw error;
+    }
+
+    await this.updateState(state => {
+      state.lastSyncAt = now.toISOString();
+      state.lastError = null;
+      state.conflicts = [...state.conflicts, ...result.conflicts].slice(-MAX_CONFLICTS);
+    });
+    if (result.changes.length > 0 || result.pushed > 0 || result.conflicts.length > 0) {
+      console.log(`[CALENDAR SYNC] ${result.changes.length} changed from the calendar, ${result.pushed} pushed, ${result.conflicts.length} conflicts`);
+    }
+    return result;
+  }
+
+  /**
+   * A Google connection's calendars: its default one, the ones bookings
+   * were written to through it and the ones synced before
+   */
+  knownCalendars(calendar = this.calendar) {
+    const { connectionId } = calendar;
+    const calendars = new Set([calendar.getCalendarId(null), ...Object.keys(this.calendarsOf(this.readState(), connectionId))]);
+    for (const booking of this.bookings.store.readAll()) {
+      const linked = booking.calendar;
+      if (linked && linked.calendarId && linkedConnection(linked) === connectionId) calendars.add(linked.calendarId);
+    }
+    return [...calendars];
+  }
+
+  /**
+   * Read a calendar's changes since its sync token (everything the first
+   * time, or when Google expires the token) and apply them to bookings
+   */
+  async pullCalendar(calendar, calendarId, result, now) {
+    const { connectionId } = calendar;
+    const entry = this.calendarsOf(this.readState(), connectionId)[calendarId] || {};
+
+    let changes;
+    try {
+      changes = await calendar.listChanges(calendarId, entry.syncToken || null);
+    } catch (error) {
+      if (error.code !== 'SYNC_TOKEN_EXPIRED') throw error;
+      console.warn(`[CALENDAR SYNC] Sync token for ${calendarId} (${connectionId}) expired; reading the whole calendar`);
+      changes = await calendar.listChanges(calendarId, null);
+    }
+
+    for (const event of changes.events) {
+      await this.reconcile(event, connectionId, calendarId, result, now);
+    }
+
+    await this.updateState(state => {
+      const calendars = this.calendarsOf(state, connectionId);
+      calendars[calendarId] = {
+        ...calendars[calendarId],
+        syncToken: changes.nextSyncToken,
+        lastSyncAt: now.toISOString()
+      };
+    });
+  }
+
+  /**
+   * Apply one changed event to the booking it mirrors. Events that aren't
+   * ours, or that match what was last sent, are left alone.
+   */
+  async reconcile(event, connectionId, calendarId, result, now) {
+    const tags = (event.extendedProperties && event.extendedProperties.private) || {};
+    const booking = tags.bookingId && this.bookings.store.get(tags.bookingId);
+    if (!booking || !booking.calendar || booking.calendar.eventId !== event.id) return;
+    if (linkedConnection(booking.calendar) !== connectionId) return;
+
+    const { mirrored } = booking.calendar;
+    const deleted = event.status === 'cancelled';
+    // All-day events have no time to move the booking to
+    if (!deleted && !event.start.dateTime) return;
+
+    const startTime = deleted ? null : toIso(event.start.dateTime);
+    const endTime = deleted ? null : toIso(event.end.dateTime);
+    const remoteChanged = deleted || startTime !== mirrored.startTime || endTime !== mirrored.endTime;
+    if (!remoteChanged) return;
+
+    const localChanged = booking.status !== mirrored.status ||
+      toIso(booking.startTime) !== mirrored.startTime ||
+      toIso(booking.endTime) !== mirrored.endTime;
+    const business = this.loadBusiness(booking.businessId);
+
+    if (localChanged) {
+      result.conflicts.push({
+        bookingId: booking.bookingId,
+        connection: connectionId,
+        calendarId,
+        eventId: event.id,
+        reason: deleted
+          ? 'Deleted in Google Calendar after the booking was changed here; the booking was kept'
+          : `Moved to ${startTime} in Google Calendar after the booking was changed here; the booking was kept`,
+        detectedAt: now.toISOString()
+      });
+      if (deleted) {
+        // Put it back on the next push
+        await this.bookings.store.update(booking.bookingId, current => ({
+          calendar: { ...current.calendar, eventId: null, mirrored: { ...current.calendar.mirrored, status: 'cancelled' } }
+        }));
+      }
+      console.warn(`[CALENDAR SYNC] Conflict on ${booking.bookingId}; kept the booking`);
+      return;
+    }
+
+    if (deleted) {
+      const cancelled = await this.bookings.store.update(booking.bookingId, current => ({
+        status: 'cancelled',
+        cancelledAt: now.toISOString(),
+        cancelledBy: 'calendar',
+        // Staff removed it, so the customer isn't charged
+        cancellation: { outcome: 'free', fee: 0, feePercent: null, feeApplies: false, freeUntil: null, evaluatedAt: now.toISOString() },
+        sequence: (current.sequence || 0) + 1,
+        calendar: {
+          ...current.calendar,
+          eventId: null,
+          mirrored: { ...current.calendar.mirrored, status: 'cancelled' },
+          syncedAt: now.toISOString()
+        }
+      }));
+      console.log(`[CALENDAR SYNC] ${booking.bookingId} cancelled from Google Calendar`);
+      result.changes.push({ bookingId: booking.bookingId, action: 'cancelled' });
+      await this.bookings.offerFreedSlot(cancelled, business, { now });
+      return;
+    }
+
+    await this.bookings.store.update(booking.bookingId, current => ({
+      date: getLocalTime(new Date(startTime), business && business.timezone).date,
+      startTime,
+      endTime,
+      rescheduledFrom: current.startTime,
+      rescheduledAt: now.toISOString(),
+      rescheduledBy: 'calendar',
+      // Reminders go out again for the new time
+      remindersSent: [],
+      sequence: (current.sequence || 0) + 1,
+      calendar: {
+        ...current.calendar,
+        mirrored: { ...current.calendar.mirrored, startTime, endTime },
+        syncedAt: now.toISOString()
+      }
+    }));
+    console.log(`[CALENDAR SYNC] ${booking.bookingId} moved to ${startTime} from Google Calendar`);
+    result.changes.push({ bookingId: booking.bookingId, action: 'moved', startTime, endTime });
+  }
+
+  /**
+   * Write every booking whose event is out of date to its business's
+   * calendar (Google, or CalDAV): new upcoming bookings are added, changed
+   * ones updated (or moved to their resource's new calendar) and cancelled
+   * ones removed. A business that connects its own Google account has its
+   * events moved there from the default connection. Bookings whose
+   * calendar isn't connected wait for a later run.
+   * @param {Date} now - Current time
+   * @param {Map} checked - Services tried this run
+   * @returns {Promise<number>} Bookings pushed
+   */
+  async pushBookings(now, checked = new Map()) {
+    const businesses = new Map();
+    let pushed = 0;
+
+    for (const booking of this.bookings.store.readAll()) {
+      const linked = booking.calendar || null;
+      if (!linked && (booking.status !== 'confirmed' || new Date(booking.endTime) <= now)) continue;
+
+      const business = this.businessOf(booking, businesses);
+      const calendar = this.backendFor(business, booking.businessId);
+      if (!(await this.connectBackend(calendar, checked))) continue;
+
+      const connection = usesGoogleCalendar(business) ? calendar.connectionId : null;
+      const switched = Boolean(linked) && linkedConnection(linked) !== connection;
+      const mirror = this.mirrorOf(booking, business, calendar);
+      if (linked && !switched && JSON.stringify(linked.mirrored) === JSON.stringify(mirror)) continue;
+
+      let eventId = linked && linked.eventId;
+      if (eventId && switched) {
+        await this.removeLinkedEvent(linked, checked);
+        eventId = null;
+      } else if (eventId && (booking.status !== 'confirmed' || linked.calendarId !== mirror.calendarId)) {
+        await calendar.deleteEvent(linked.calendarId, eventId);
+        eventId = null;
+      }
+      if (booking.status === 'confirmed') {
+        eventId = (await calendar.saveEvent(mirror.calendarId, eventId, this.eventFor(booking, business))).id;
+      }
+
+      await this.bookings.store.update(booking.bookingId, {
+        calendar: {
+          eventId,
+          calendarId: mirror.calendarId,
+          ...(connection ? { connection } : { provider: 'caldav' }),
+          mirrored: mirror,
+          syncedAt: now.toISOString()
+        }
+      });
+      pushed += 1;
+    }
+
+    return pushed;
+  }
+
+  /**
+   * Take down the event a booking had on the Google connection it no
+   * longer uses. One on a connection that's gone, or on a CalDAV server the
+   * business has left, is left where it is.
+   */
+  async removeLinkedEvent(linked, checked) {
+    const connectionId = linkedConnection(linked);
+    const previous = connectionId && this.googleConnections().find(calendar => calendar.connectionId === connectionId);
+    if (!previous || !(await this.connectBackend(previous, checked))) {
+      console.warn(`[CALENDAR SYNC] Left event ${linked.eventId} on ${connectionId || 'CalDAV'}; it can't be reached`);
+      return;
+    }
+    await previous.deleteEvent(linked.calendarId, linked.eventId);
+  }
+
+  /**
+   * Open (or renew) a notification channel for each of a Google
+   * connection's calendars when CALENDAR_WEBHOOK_URL is set
+   */
+  async watchCalendars(calendar, calendarIds, now) {
+    if (!this.webhookUrl) return;
+
+    const { connectionId } = calendar;
+    const calendars = this.calendarsOf(this.readState(), connectionId);
+    for (const calendarId of calendarIds) {
+      const current = calendars[calendarId] && calendars[calendarId].channel;
+      if (current && current.expiration && new Date(current.expiration) - now > CHANNEL_RENEW_MS) continue;
+
+      if (current) {
+        await calendar.stopChannel(current).catch(error =>
+          console.warn(`[CALENDAR SYNC] Couldn't stop channel ${current.id}:`, error.message));
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      const channel = await calendar.watchEvents(calendarId, { id: crypto.randomUUID(), token, address: this.webhookUrl });
+
+      await this.updateState(state => {
+        const entries = this.calendarsOf(state, connectionId);
+        entries[calendarId] = { ...entries[calendarId], channel: { ...channel, token } };
+      });
+      console.log(`[CALENDAR SYNC] Watching ${calendarId} (${connectionId}) until ${channel.expiration}`);
+    }
+  }
+
+  /**
+   * A push notification from Google: sync the calendar its channel watches
+   * @param {Object} notification - `{ channelId, token, resourceState }` from
+   *   the X-Goog-Channel-ID, X-Goog-Channel-Token and X-Goog-Resource-State
+   *   headers
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} `{ connection, calendarId, result }`; result
+   *   is null for the 'sync' message sent when a channel opens
+   * @throws {Error} With `code` 'UNKNOWN_CHANNEL' when the channel or its
+   *   token doesn't match one we opened
+   */
+  async handleNotification({ channelId, token, resourceState }, { now = new Date() } = {}) {
+    const state = this.readState();
+    const watched = [[DEFAULT_CONNECTION, state.calendars], ...Object.entries(state.connections)]
+      .flatMap(([connection, calendars]) => Object.entries(calendars).map(([calendarId, entry]) => ({ connection, calendarId, entry })))
+      .find(({ entry }) => entry.channel && entry.channel.id === channelId && entry.channel.token === token);
+    if (!watched) {
+      const error = new Error(`Unknown notification channel: ${channelId}`);
+      error.code = 'UNKNOWN_CHANNEL';
+      throw error;
+    }
+
+    const { connection, calendarId } = watched;
+    if (resourceState === 'sync') {
+      return { connection, calendarId, result: null };
+    }
+    return { connection, calendarId, result: await this.sync({ calendars: [{ connection, calendarId }], now }) };
+  }
+}
+
+module.exports = new CalendarSync();
+module.exports.CalendarSync = CalendarSync;
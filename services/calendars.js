@@ -0,0 +1,73 @@
+const calendarService = require('./calendarService');
+const { CalendarService } = calendarService;
+const CalDAVCalendarService = require('./caldavService');
+const tokenStore = require('./tokenStore');
+const { CALDAV_PASSWORD_ENV } = require('./businessProfile');
+
+// One CalDAV client per calendar and account, so connections are checked once
+const caldavServices = new Map();
+// One Google client per business with its own connection
+const googleServices = new Map();
+
+/**
+ * Whether a business keeps its bookings in Google Calendar (the default)
+ * rather than on a CalDAV server
+ */
+function usesGoogleCalendar(business) {
+  return !business || !business.calendar || business.calendar.provider !== 'caldav';
+}
+
+/**
+ * The calendar backend for a business, from its profile's `calendar`
+ * settings. CalDAV passwords are read from the environment variable named
+ * by `password_env`, so they never sit in the profile; only CALDAV_*
+ * variables are read.
+ *
+ * Google businesses that connected their own account (via
+ * `/auth?business_id=`) use it; the rest share the default connection.
+ * @param {Object} business - Canonical business profile, optional
+ * @param {Object} options
+ * @param {string} options.businessId - The business's ID, optional
+ * @returns {CalendarService} Google Calendar, or a CalDAVCalendarService
+ */
+function getCalendarService(business = null, { businessId = null } = {}) {
+  if (usesGoogleCalendar(business)) {
+    return businessId && tokenStore.has(businessId) ? getGoogleConnection(businessId) : calendarService;
+  }
+
+  const { url, username, password_env: passwordEnv } = business.calendar;
+  if (passwordEnv && !CALDAV_PASSWORD_ENV.test(passwordEnv)) {
+    const error = new Error(`CalDAV password_env must start with CALDAV_, not ${passwordEnv}`);
+    error.code = 'INVALID_PASSWORD_ENV';
+    throw error;
+  }
+  const key = `${url} ${username || ''}`;
+  if (!caldavServices.has(key)) {
+    caldavServices.set(key, new CalDAVCalendarService({
+      url,
+      username,
+      password: passwordEnv ? process.env[passwordEnv] : null,
+      timeZone: business.timezone
+    }));
+  }
+  return caldavServices.get(key);
+}
+
+/**
+ * The Google Calendar client for a business's own connection, whether or
+ * not it has been authorized yet
+ * @param {string} businessId - Business ID
+ * @returns {CalendarService}
+ */
+function getGoogleConnection(businessId) {
+  if (!googleServices.has(businessId)) {
+    googleServices.set(businessId, new CalendarService({ businessId }));
+  }
+  return googleServices.get(businessId);
+}
+
+module.exports = {
+  usesGoogleCalendar,
+  getCalendarService,
+  getGoogleConnection
+};
@@ -1,44 +1,87 @@
-const fs = require('fs');
-const path = require('path');
+const { loadBusinessData } = require('./businessData');
 const intentDetector = require('./intent');
+const orderTaker = require('./orderTaking');
+const bookingChanges = require('./bookingChanges');
+const bookingTaker = require('./bookingTaking');
 const ttsService = require('./tts');
 
 /**
  * Core call handling logic that can be reused across different routes
  * @param {string} user_input - The user's spoken or typed input
  * @param {string} business_id - The business ID to load data for
- * @returns {Promise<Object>} Response object with text, intent, audio info
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.generateAudio - Render the reply with TTS (default true)
+ * @param {string} options.sessionId - Call the turn belongs to (e.g. CallSid);
+ *   needed to take phone orders and make or change bookings across turns
+ * @param {string} options.caller - Caller's phone number, stored with orders
+ *   and used to find the caller's bookings
+ * @returns {Promise<Object>} Response object with text, intent, audio info,
+ *   and `dialog` when an order or booking dialog answered
  */
-async function handleCallLogic(user_input, business_id) {
+async function handleCallLogic(user_input, business_id, options = {}) {
+  const { generateAudio = true, sessionId, caller } = options;
+
   try {
     // Load business data
-    const businessDataPath = path.join(__dirname, '..', 'data', `${business_id}.json`);
+    const businessData = loadBusinessData(business_id);
 
-    if (!fs.existsSync(businessDataPath)) {
-      throw new Error(`No data found for business_id: ${business_id}`);
+    // Detect intent; a call with an order or booking in progress stays in it
+    let intent;
+    if (orderTaker.hasSession(sessionId)) {
+      intent = 'order';
+    } else if (bookingChanges.hasSession(sessionId)) {
+      intent = bookingChanges.getIntent(sessionId);
+    } else if (bookingTaker.hasSession(sessionId)) {
+      intent = 'booking';
+    } else {
+      intent = intentDetector.detectIntent(user_input, businessData);
     }
 
-    const businessData = JSON.parse(fs.readFileSync(businessDataPath, 'utf8'));
-
-    // Detect intent
-    const intent = intentDetector.detectIntent(user_input);
-
     // Generate response
-    const responseText = intentDetector.generateResponse(intent, businessData);
+    const turnDetails = {
+      sessionId,
+      businessId: business_id,
+      business: businessData,
+      text: user_input,
+      intent,
+      caller
+    };
+    const orderTurn = orderTaker.handle(turnDetails);
+    const changeTurn = orderTurn ? null : await bookingChanges.handle(turnDetails);
+    const bookingTurn = orderTurn || changeTurn ? null : await bookingTaker.handle(turnDetails);
+    const dialogTurn = orderTurn || changeTurn || bookingTurn;
+    const responseText = dialogTurn
+      ? dialogTurn.reply
+      : intentDetector.generateResponse(intent, businessData, user_input);
 
     // Initialize response object
     const response = {
       text_response: responseText,
       response: responseText, // backwards compatibility
       intent: intent,
+      // An order or booking dialog replied, so the reply ends with its next question
+      dialog: Boolean(dialogTurn),
       business_id: business_id,
       audio_available: false,
       audio_url: null,
       audio_url_relative: null
     };
 
+    if (orderTurn && orderTurn.order) {
+      response.order = orderTurn.order;
+    }
+    if (changeTurn && changeTurn.booking) {
+      response.booking = changeTurn.booking;
+    }
+    if (bookingTurn && bookingTurn.booking) {
+      response.booking = bookingTurn.booking;
+    }
+    if (bookingTurn && bookingTurn.waitlist) {
+      response.waitlist = bookingTurn.waitlist;
+    }
+
     // Try to generate audio if TTS is configured
-    if (process.env.ELEVENLABS_API_KEY || process.env.OPENAI_API_KEY || process.env.TTS_PROVIDER === 'open_source') {
+    if (generateAudio && (process.env.ELEVENLABS_API_KEY || process.env.OPENAI_API_KEY || process.env.TTS_PROVIDER === 'open_source')) {
       try {
         const audioData = await ttsService.generateAudio(responseText, business_id);
 
@@ -0,0 +1,99 @@
+const { findService, describeMinutes } = require('./availability');
+const { formatMoney } = require('./menu');
+
+/**
+ * Cancellation fees from a business's `booking.cancellation` rules.
+ *
+ * Cancelling at least `free_until_minutes` before the start is free. Later
+ * cancellations pay the late fee, and cancelling once the booking has started
+ * counts as a no-show and pays the no-show fee (the late fee when there is no
+ * no-show rule). Fees are a fixed amount, or a percentage of the service price.
+ */
+
+const MINUTE = 60 * 1000;
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * What cancelling a booking would cost
+ * @param {Object} options
+ * @param {Object} options.business - Canonical business profile, optional
+ * @param {Object} options.booking - Stored booking (`startTime`, `service`)
+ * @param {Date} options.now - Current time
+ * @returns {Object} `{ outcome, fee, feePercent, feeApplies, freeUntil, evaluatedAt }`:
+ *   outcome is 'free', 'late' or 'no_show'; fee is null when it's a
+ *   percentage of an unknown price; freeUntil is null without a free window
+ */
+function evaluateCancellation({ business = null, booking, now = new Date() }) {
+  const rules = (business && business.booking && business.booking.cancellation) || {};
+  const start = new Date(booking.startTime);
+  const freeMinutes = rules.free_until_minutes || 0;
+
+  const late = { amount: rules.late_fee, percent: rules.late_fee_percent };
+  const noShow = { amount: rules.no_show_fee, percent: rules.no_show_fee_percent };
+  const hasFee = rule => rule.amount !== undefined || rule.percent !== undefined;
+
+  let outcome = 'free';
+  let rule = null;
+  if (now >= start && (hasFee(noShow) || hasFee(late))) {
+    outcome = 'no_show';
+    rule = hasFee(noShow) ? noShow : late;
+  } else if (now.getTime() > start.getTime() - freeMinutes * MINUTE && hasFee(late)) {
+    outcome = 'late';
+    rule = late;
+  }
+
+  const service = findService(business, booking.service);
+  const price = service && service.price;
+  let fee = 0;
+  if (rule) {
+    if (rule.amount !== undefined) {
+      fee = rule.amount;
+    } else {
+      fee = typeof price === 'number' ? roundMoney(price * rule.percent / 100) : null;
+    }
+  }
+
+  return {
+    outcome,
+    fee,
+    feePercent: rule && rule.amount === undefined ? rule.percent : null,
+    feeApplies: fee === null || fee > 0,
+    freeUntil: freeMinutes > 0 ? new Date(start.getTime() - freeMinutes * MINUTE).toISOString() : null,
+    evaluatedAt: now.toISOString()
+  };
+}
+
+/**
+ * One sentence for the caller, e.g. "Since it's less than 24 hours before
+ * your booking, there's a late cancellation fee of $37.50."
+ * @param {Object} cancellation - From evaluateCancellation
+ * @param {Object} business - Canonical business profile, optional
+ */
+function describeCancellation(cancellation, business = null) {
+  if (!cancellation.feeApplies) {
+    return 'You can cancel free of charge.';
+  }
+
+  const amount = cancellation.fee === null
+    ? `${cancellation.feePercent}% of the price`
+    : formatMoney(cancellation.fee);
+
+  if (cancellation.outcome === 'no_show') {
+    return `Since your booking has already started, our no-show fee of ${amount} applies.`;
+  }
+
+  const rules = (business && business.booking && business.booking.cancellation) || {};
+  const window = rules.free_until_minutes
+    ? `Since it's less than ${describeMinutes(rules.free_until_minutes)} before your booking, `
+    : '';
+  const fee = `there's a late cancellation fee of ${amount}.`;
+  return window ? `${window}${fee}` : `${fee.charAt(0).toUpperCase()}${fee.slice(1)}`;
+}
+
+module.exports = {
+  evaluateCancellation,
+  describeCancellation
+};
@@ -0,0 +1,647 @@
+const WebSocket = require('ws');
+const fetch = require('node-fetch');
+const { OpenAI } = require('openai');
+const sttService = require('./stt');
+const { handleCallLogic } = require('./callLogic');
+const intentDetector = require('./intent');
+const orderTaker = require('./orderTaking');
+const bookingChanges = require('./bookingChanges');
+const bookingTaker = require('./bookingTaking');
+const { getActivePromotions } = require('./promotions');
+const { describeDayHours, describeOpenStatus, describeTodaysException } = require('./businessHours');
+const { loadBusinessData, getBusinessName } = require('./businessData');
+const phoneRouter = require('./phoneRouting');
+const { VoiceActivityDetector } = require('./voiceActivity');
+const { PlaybackController } = require('./playbackController');
+const { encodeMulaw, resamplePcm } = require('./audioCodec');
+
+const MEMORY_RETENTION_MS = 5 * 60 * 1000;
+const FALLBACK_REPLY = "I'm sorry, I'm having trouble processing your request. Could you please repeat that?";
+const RESPONDERS = ['llm', 'intent', 'hybrid'];
+
+/**
+ * Build the LLM system prompt from a canonical business profile
+ * @param {Object} business - Business profile (see services/businessProfile.js)
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(business) {
+  const lines = [`You are an AI receptionist for ${getBusinessName(business)}.`, '', 'Business Info:'];
+  const delivery = business.delivery || {};
+
+  if (business.hours) {
+    const hours = Object.entries(business.hours).map(([day, value]) => `${day}: ${describeDayHours(value)}`);
+    lines.push(`- Hours: ${hours.join('; ')}${business.timezone ? ` (${business.timezone} time)` : ''}`);
+  }
+
+  if (business.hours_exceptions && business.hours_exceptions.length > 0) {
+    const exceptions = business.hours_exceptions.map(entry => {
+      const dates = entry.end_date ? `${entry.start_date} to ${entry.end_date}` : entry.start_date;
+      return `${dates}${entry.name ? ` (${entry.name})` : ''}: ${describeDayHours(entry.hours)}`;
+    });
+    lines.push(`- Special hours: ${exceptions.join('; ')}`);
+  }
+
+  const openStatus = business.hours && describeOpenStatus(business);
+  if (openStatus) lines.push(`- Right now: ${openStatus}`);
+
+  if (business.phone) lines.push(`- Phone: ${business.phone}`);
+  if (business.address) lines.push(`- Location: ${business.address}`);
+
+  if (business.specialties && business.specialties.length > 0) {
+    lines.push(`- Specialties: ${business.specialties.join(', ')}`);
+  }
+
+  if (business.services && business.services.length > 0) {
+    lines.push(`- Services: ${business.services.map(service => service.name).join(', ')}`);
+  }
+
+  if (delivery.available) {
+    const details = [
+      delivery.areas && `areas ${delivery.areas.join(', ')}`,
+      delivery.fee !== undefined && `fee $${delivery.fee}`,
+      delivery.free_over !== undefined && `free over $${delivery.free_over}`,
+      delivery.minimum !== undefined && `minimum $${delivery.minimum}`,
+      delivery.estimated_time
+    ].filter(Boolean);
+    lines.push(`- Delivery: ${details.join(', ') || 'available'}`);
+  }
+
+  if (business.payment_methods) {
+    lines.push(`- Payment: ${business.payment_methods.join(', ')}`);
+  }
+
+  if (business.menu && business.menu.categories) {
+    lines.push('', 'Menu:');
+    for (const category of business.menu.categories) {
+      lines.push(`${category.name}: ${category.items.map(describeMenuItem).join('; ')}`);
+    }
+  }
+
+  const promotions = getActivePromotions(business);
+  if (promotions.length > 0) {
+    lines.push('', 'Current deals:');
+    promotions.forEach(promotion => lines.push(
+      `${promotion.name}${promotion.code ? ` (code ${promotion.code})` : ''}${promotion.description ? `: ${promotion.description}` : ''}`
+    ));
+  }
+
+  if (business.faqs && business.faqs.length > 0) {
+    lines.push('', 'FAQs:');
+    business.faqs.forEach(faq => lines.push(`Q: ${faq.question}`, `A: ${faq.answer}`));
+  }
+
+  lines.push('', 'Respond naturally and helpfully. Keep responses conversational and under 50 words. If they want to place an order, ask what they would like to order.');
+
+  return lines.join('\n');
+}
+
+function describeMenuItem(item) {
+  const prices = item.sizes && item.sizes.length > 0
+    ? item.sizes.map(size => `${size.name} $${size.price}`).join(', ')
+    : item.price !== undefined && `$${item.price}`;
+  const details = [
+    prices,
+    item.dietary && item.dietary.length > 0 && item.dietary.join(', '),
+    item.allergens && item.allergens.length > 0 && `contains ${item.allergens.join(', ')}`,
+    item.modifiers && item.modifiers.length > 0 &&
+      `extras: ${item.modifiers.map(modifier => (modifier.price ? `${modifier.name} +$${modifier.price}` : modifier.name)).join(', ')}`,
+    item.available === false && 'unavailable'
+  ].filter(Boolean);
+
+  return details.length > 0 ? `${item.name} (${details.join('; ')})` : item.name;
+}
+
+/**
+ * Transport-independent voice conversation engine.
+ *
+ * Owns call sessions, turn-taking (endpointing and barge-in), conversation
+ * memory, STT, response dispatch (keyword intents and/or LLM) and TTS.
+ * Servers only have to feed it Twilio Media Stream messages.
+ */
+class ConversationEngine {
+  /**
+   * @param {Object} options
+   * @param {string} options.responder - 'llm', 'intent' or 'hybrid' (intents
+   *   first, LLM for anything they don't cover)
+   * @param {string} options.defaultBusinessId - Business used when a call
+   *   has neither a business nor a routed dialled number
+   * @param {Function} options.transcribe - Override STT: `(audio, session) => text`
+   */
+  constructor(options = {}) {
+    const responder = options.responder || process.env.CONVERSATION_RESPONDER || 'hybrid';
+    if (!RESPONDERS.includes(responder)) {
+      throw new Error(`Unknown responder: ${responder}`);
+    }
+
+    this.responder = responder;
+    this.defaultBusinessId = options.defaultBusinessId || null;
+    this.transcribeOverride = options.transcribe || null;
+    this.llmModel = options.llmModel || process.env.LLM_MODEL || 'gpt-4';
+    this.openai = null;
+
+    // Active call sessions, queued utterances and conversation memory per CallSid
+    this.activeCalls = new Map();
+    this.audioBuffers = new Map();
+    this.conversationMemory = new Map();
+  }
+
+  getOpenAI() {
+    if (!this.openai) {
+      this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.openai;
+  }
+
+  /**
+   * Drive a Twilio Media Stream WebSocket through the engine
+   * @param {WebSocket} ws - Socket Twilio connected on
+   */
+  attachSocket(ws) {
+    let callSid = null;
+
+    ws.on('message', async (message) => {
+      try {
+        const data = JSON.parse(message);
+
+        switch (data.event) {
+          case 'connected':
+            console.log('[ENGINE] Connected to Twilio Media Stream');
+            break;
+
+          case 'start':
+            callSid = data.start.callSid;
+            await this.startCall({
+              callSid,
+              streamSid: data.start.streamSid,
+              send: ConversationEngine.socketSender(ws),
+              customParameters: data.start.customParameters || {}
+            });
+            break;
+
+          case 'media':
+            if (callSid) {
+              await this.handleMedia(callSid, data.media);
+            }
+            break;
+
+          case 'mark':
+            break;
+
+          case 'stop':
+            this.endCall((data.stop && data.stop.callSid) || callSid);
+            break;
+
+          default:
+            console.log(`[ENGINE] Unknown event: ${data.event}`);
+        }
+      } catch (error) {
+        console.error('[ENGINE] Error processing stream message:', error);
+      }
+    });
+
+    ws.on('close', () => {
+      if (callSid) {
+        this.endCall(callSid);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error('[ENGINE] WebSocket error:', error);
+    });
+  }
+
+  /**
+   * Message sender for a socket that drops messages once it is closed
+   */
+  static socketSender(ws) {
+    return (message) => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+      ws.send(JSON.stringify(message));
+      return true;
+    };
+  }
+
+  /**
+   * Open a call session and greet the caller
+   * @param {Object} call
+   * @param {string} call.callSid - Twilio CallSid
+   * @param {string} call.streamSid - Twilio StreamSid
+   * @param {Function} call.send - Sends a Twilio stream message, returns false if closed
+   * @param {Object} call.customParameters - Stream <Parameter> values;
+   *   `businessId` wins, otherwise the dialled number (`to`) is routed.
+   *   `from` is the caller's number, kept for orders and used to find bookings
+   */
+  async startCall({ callSid, streamSid, send, customParameters = {} }) {
+    const businessId = this.resolveBusinessId(customParameters);
+
+    console.log(`[ENGINE] Starting call ${callSid} for business ${businessId}`);
+
+    this.activeCalls.set(callSid, {
+      callSid,
+      streamSid,
+      businessId,
+      caller: customParameters.from || null,
+      startTime: Date.now(),
+      lastActivity: Date.now(),
+      isProcessing: false,
+      vad: new VoiceActivityDetector(),
+      playback: new PlaybackController({ streamSid, send })
+    });
+
+    this.audioBuffers.set(callSid, []);
+    this.conversationMemory.set(callSid, {
+      messages: [],
+      interruptions: [],
+      businessId,
+      context: {}
+    });
+
+    await this.sendGreeting(callSid);
+  }
+
+  /**
+   * Business for a call from its stream parameters: an explicit business,
+   * else the routed dialled number, else this engine's default
+   */
+  resolveBusinessId({ businessId, to } = {}) {
+    if (businessId) return businessId;
+    if (!to && this.defaultBusinessId) return this.defaultBusinessId;
+    return phoneRouter.resolveBusinessId(to);
+  }
+
+  getBusiness(businessId) {
+    try {
+      return loadBusinessData(businessId);
+    } catch (error) {
+      console.warn(`[ENGINE] ${error.message}`);
+      return {};
+    }
+  }
+
+  getGreeting(business) {
+    const name = getBusinessName(business, null);
+    const opening = name ? `Hi there! This is ${name}'s AI assistant.` : 'Hi there!';
+
+    // Callers hear about closures and special hours before anything else
+    const notice = business && describeTodaysException(business);
+    return [opening, notice, 'What can I help you with today?'].filter(Boolean).join(' ');
+  }
+
+  async sendGreeting(callSid) {
+    const session = this.activeCalls.get(callSid);
+    if (!session) return;
+
+    try {
+      const greeting = this.getGreeting(this.getBusiness(session.businessId));
+      await this.speak(callSid, greeting);
+    } catch (error) {
+      console.error('[ENGINE] Error sending greeting:', error);
+    }
+  }
+
+  /**
+   * Feed one inbound media frame into endpointing
+   * @param {string} callSid - Twilio CallSid
+   * @param {Object} media - Twilio `media` payload
+   */
+  async handleMedia(callSid, media) {
+    const session = this.activeCalls.get(callSid);
+    if (!session || !media || !media.payload) return;
+
+    const vadEvent = session.vad.processFrame(Buffer.from(media.payload, 'base64'));
+    session.lastActivity = Date.now();
+
+    if (!vadEvent) return;
+
+    if (vadEvent.type === 'speech_start') {
+      // Barge-in: stop talking over the caller
+      if (session.playback.isPlaying()) {
+        this.recordInterruption(callSid, session.playback.cancel('barge_in'));
+      }
+      return;
+    }
+
+    if (vadEvent.type === 'discarded') {
+      console.log(`[ENGINE] Ignored ${vadEvent.speechMs}ms blip of audio (${callSid})`);
+      return;
+    }
+
+    if (vadEvent.type === 'utterance') {
+      console.log(`[ENGINE] Utterance complete: ${Math.round(vadEvent.durationMs)}ms (${vadEvent.reason})`);
+      this.audioBuffers.get(callSid).push(vadEvent.audio);
+      await this.processQueuedAudio(callSid);
+    }
+  }
+
+  /**
+   * Answer queued utterances one turn at a time. Anything the caller said
+   * while we were busy is answered together in the next turn.
+   */
+  async processQueuedAudio(callSid) {
+    const session = this.activeCalls.get(callSid);
+    const queue = this.audioBuffers.get(callSid);
+    if (!session || !queue || session.isProcessing || queue.length === 0) return;
+
+    await this.processUtterance(callSid, Buffer.concat(queue.splice(0)));
+    await this.processQueuedAudio(callSid);
+  }
+
+  /**
+   * Run one caller utterance through STT, response generation and TTS
+   * @param {string} callSid - Twilio CallSid
+   * @param {Buffer} audio - μ-law audio of the utterance
+   */
+  async processUtterance(callSid, audio) {
+    const session = this.activeCalls.get(callSid);
+    if (!session || session.isProcessing) return;
+
+    session.isProcessing = true;
+
+    try {
+      const transcript = await this.transcribe(audio, session);
+
+      if (!transcript || transcript.trim().length === 0) {
+        console.log('[ENGINE] No meaningful transcription detected');
+        return;
+      }
+
+      console.log(`[ENGINE] Transcribed: "${transcript}"`);
+
+      const reply = await this.generateResponse(callSid, transcript);
+      if (reply) {
+        await this.speak(callSid, reply);
+      }
+    } catch (error) {
+      console.error('[ENGINE] Error processing utterance:', error);
+    } finally {
+      session.isProcessing = false;
+    }
+  }
+
+  async transcribe(audio, session) {
+    if (this.transcribeOverride) {
+      return this.transcribeOverride(audio, session);
+    }
+
+    return sttService.transcribe(audio, {
+      encoding: 'mulaw',
+      business: this.getBusiness(session.businessId)
+    });
+  }
+
+  /**
+   * Produce the assistant's reply and record both sides in memory
+   * @param {string} callSid - Twilio CallSid
+   * @param {string} transcript - What the caller said
+   * @returns {Promise<string>} Reply text
+   */
+  async generateResponse(callSid, transcript) {
+    const memory = this.conversationMemory.get(callSid);
+    if (!memory) return null;
+
+    memory.messages.push({ role: 'user', content: transcript, timestamp: Date.now() });
+
+    let reply;
+    let intent = null;
+
+    // Orders and bookings always go through their flows so they end up in the stores
+    const session = this.activeCalls.get(callSid);
+    const ordering = orderTaker.hasSession(callSid) || bookingChanges.hasSession(callSid) || bookingTaker.hasSession(callSid) ||
+      ['order', 'booking', 'reschedule', 'cancel_booking'].includes(intentDetector.detectIntent(transcript));
+
+    try {
+      if (this.responder !== 'llm' || ordering) {
+        const result = await handleCallLogic(transcript, memory.businessId, {
+          generateAudio: false,
+          sessionId: callSid,
+          caller: session ? session.caller : null
+        });
+        intent = result.intent;
+        reply = result.text_response;
+      }
+
+      if ((this.responder === 'llm' && !ordering) || (this.responder === 'hybrid' && intent === 'fallback' && process.env.OPENAI_API_KEY)) {
+        reply = await this.generateLLMResponse(memory);
+      }
+    } catch (error) {
+      console.error('[ENGINE] Response generation error:', error);
+      reply = FALLBACK_REPLY;
+    }
+
+    memory.messages.push({ role: 'assistant', content: reply, intent, timestamp: Date.now() });
+    if (intent) {
+      memory.context.lastIntent = intent;
+    }
+
+    console.log(`[ENGINE] Reply (${intent || this.responder}): "${reply.substring(0, 100)}"`);
+    return reply;
+  }
+
+  async generateLLMResponse(memory) {
+    const business = this.getBusiness(memory.businessId);
+    const messages = [
+      { role: 'system', content: buildSystemPrompt(business) },
+      // Keep the last 10 turns; the API only accepts role and content
+      ...memory.messages.slice(-10).map(({ role, content }) => ({ role, content }))
+    ];
+
+    const completion = await this.getOpenAI().chat.completions.create({
+      model: this.llmModel,
+      messages,
+      max_tokens: 150,
+      temperature: 0.7
+    });
+
+    return completion.choices[0].message.content;
+  }
+
+  /**
+   * Synthesize text and start playing it to the caller. Resolves once
+   * playback has started, not when it ends, so the caller can barge in.
+   * @returns {Promise<boolean>} Whether any audio is being played
+   */
+  async speak(callSid, text) {
+    const session = this.activeCalls.get(callSid);
+    if (!session) return false;
+
+    const audio = await this.synthesize(text, this.getBusiness(session.businessId));
+    if (!audio || !this.activeCalls.has(callSid)) return false;
+
+    session.playback.play(audio, { text }).then(result => {
+      if (result.completed) {
+        console.log(`[ENGINE] Finished speaking to ${callSid}`);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Text-to-speech as 8kHz μ-law ready for Twilio: ElevenLabs when
+   * configured, OpenAI otherwise
+   * @returns {Promise<Buffer|null>} μ-law audio
+   */
+  async synthesize(text, business = {}) {
+    if (process.env.ELEVENLABS_API_KEY) {
+      const audio = await this.synthesizeElevenLabs(text, business);
+      if (audio) return audio;
+    }
+
+    if (process.env.OPENAI_API_KEY) {
+      return this.synthesizeOpenAI(text, business);
+    }
+
+    console.warn('[ENGINE] No TTS provider configured');
+    return null;
+  }
+
+  async synthesizeElevenLabs(text, business) {
+    const voiceId = business.voice_id || process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM';
+
+    try {
+      const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?output_format=ulaw_8000`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'audio/basic',
+          'Content-Type': 'application/json',
+          'xi-api-key': process.env.ELEVENLABS_API_KEY
+        },
+        body: JSON.stringify({
+          text,
+          model_id: 'eleven_monolingual_v1',
+          voice_settings: {
+            stability: 0.6,
+            similarity_boost: 0.8,
+            style: 0.2,
+            use_speaker_boost: true
+          }
+        })
+      });
+
+      if (!response.ok) {
+        console.error('[ENGINE] ElevenLabs API error:', response.status, response.statusText);
+        return null;
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      console.error('[ENGINE] ElevenLabs error:', error);
+      return null;
+    }
+  }
+
+  async synthesizeOpenAI(text, business) {
+    try {
+      const speech = await this.getOpenAI().audio.speech.create({
+        model: 'tts-1',
+        voice: business.openai_voice || 'nova',
+        input: text,
+        response_format: 'pcm' // 24kHz 16-bit mono, no header
+      });
+
+      const pcm = Buffer.from(await speech.arrayBuffer());
+      return encodeMulaw(resamplePcm(pcm, 24000, 8000));
+    } catch (error) {
+      console.error('[ENGINE] OpenAI TTS error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep only what the caller actually heard in the assistant's history
+   * @param {string} callSid - Twilio CallSid
+   * @param {Object} truncation - Result of PlaybackController.cancel()
+   */
+  recordInterruption(callSid, truncation) {
+    const memory = this.conversationMemory.get(callSid);
+    if (!memory || !truncation) return;
+
+    console.log(`[ENGINE] Caller interrupted after ${truncation.playedMs}ms of ${truncation.totalMs}ms`);
+
+    memory.interruptions.push({
+      text: truncation.text,
+      heardText: truncation.heardText,
+      playedMs: truncation.playedMs,
+      totalMs: truncation.totalMs,
+      timestamp: Date.now()
+    });
+
+    const lastReply = [...memory.messages].reverse()
+      .find(message => message.role === 'assistant' && message.content === truncation.text);
+    if (!lastReply) return;
+
+    lastReply.content = truncation.heardText ? `${truncation.heardText}...` : '...';
+    lastReply.interrupted = true;
+    memory.messages.push({
+      role: 'system',
+      content: `The caller interrupted your previous reply. They only heard: "${truncation.heardText}". Do not assume they heard the rest.`,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Tear down a call session; memory is kept briefly in case of reconnects
+   */
+  endCall(callSid) {
+    if (!callSid) return;
+
+    const session = this.activeCalls.get(callSid);
+    if (session) {
+      session.playback.cancel('hangup');
+    }
+
+    this.activeCalls.delete(callSid);
+    this.audioBuffers.delete(callSid);
+    orderTaker.endSession(callSid);
+    bookingChanges.endSession(callSid);
+    bookingTaker.endSession(callSid);
+
+    const timer = setTimeout(() => {
+      if (!this.activeCalls.has(callSid)) {
+        this.conversationMemory.delete(callSid);
+      }
+    }, MEMORY_RETENTION_MS);
+    if (timer.unref) timer.unref();
+
+    console.log(`[ENGINE] Cleaned up call session: ${callSid}`);
+  }
+
+  getCallState(callSid) {
+    const session = this.activeCalls.get(callSid);
+    if (!session) return null;
+
+    return {
+      callSid,
+      streamSid: session.streamSid,
+      businessId: session.businessId,
+      durationMs: Date.now() - session.startTime,
+      isProcessing: session.isProcessing,
+      queuedUtterances: (this.audioBuffers.get(callSid) || []).length,
+      vad: session.vad.getState(),
+      playback: session.playback.getState()
+    };
+  }
+
+  getStats() {
+    return {
+      activeCalls: this.activeCalls.size,
+      conversationsInMemory: this.conversationMemory.size,
+      uptime: process.uptime()
+    };
+  }
+
+  /**
+   * Hang up every call and forget all sessions
+   */
+  shutdown() {
+    for (const session of this.activeCalls.values()) {
+      session.playback.cancel('hangup');
+    }
+
+    this.activeCalls.clear();
+    this.audioBuffers.clear();
+    this.conversationMemory.clear();
+  }
+}
+
+module.exports = ConversationEngine;
+module.exports.buildSystemPrompt = buildSystemPrompt;
@@ -0,0 +1,325 @@
+const {
+  MINUTES_PER_DAY,
+  getLocalTime,
+  addDays,
+  dayOfDate,
+  toZonedDate,
+  findNamedExceptionDate
+} = require('./businessHours');
+
+/**
+ * Spoken dates and times ("this Friday around seven", "next Tuesday
+ * lunchtime", "in two hours") turned into candidate ranges in the
+ * business's time zone. Local and deterministic: the same words and the
+ * same `now` always give the same candidates.
+ *
+ * Ambiguous words give several candidates, most likely first: "at 7" is
+ * 7 PM or 7 AM, and "next Tuesday" said early in the week may mean this
+ * week's or the following week's.
+ */
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30,
+  'forty[- ]five': 45, forty: 40, fifty: 50
+};
+
+// Parts of the day, as minutes after midnight
+const PERIODS = [
+  { pattern: /\b(breakfast)\b/, period: 'breakfast', from: 7 * 60, to: 10 * 60 + 30, meridiem: 'am' },
+  { pattern: /\b(lunch ?time|lunch)\b/, period: 'lunch', from: 11 * 60 + 30, to: 14 * 60, meridiem: 'pm' },
+  { pattern: /\b(dinner ?time|dinner|supper)\b/, period: 'dinner', from: 17 * 60, to: 21 * 60, meridiem: 'pm' },
+  { pattern: /\b(morning)\b/, period: 'morning', from: 9 * 60, to: 12 * 60, meridiem: 'am' },
+  { pattern: /\b(afternoon)\b/, period: 'afternoon', from: 12 * 60, to: 17 * 60, meridiem: 'pm' },
+  { pattern: /\b(evening|tonight)\b/, period: 'evening', from: 17 * 60, to: 21 * 60, meridiem: 'pm' },
+  { pattern: /\b(night)\b/, period: 'night', from: 18 * 60, to: 23 * 60, meridiem: 'pm' }
+];
+
+// "around 7" covers half an hour either side
+const APPROXIMATE_MINUTES = 30;
+const APPROXIMATE = /^(around|about|roughly|approximately)\b|ish\b/;
+
+// An hour without AM/PM is more often the afternoon or evening
+const PM_CONFIDENCE = 0.6;
+
+/**
+ * Candidate dates and times for a spoken expression
+ * @param {string} text - What the caller said or typed
+ * @param {Object} options
+ * @param {Object} options.business - Canonical business profile, optional
+ *   (time zone and named holidays)
+ * @param {string} options.timeZone - Time zone when there is no business
+ * @param {Date} options.now - Current time
+ * @param {string} options.date - YYYY-MM-DD to use when the text has a time
+ *   but no date (otherwise today, or tomorrow once the time has passed)
+ * @returns {Object[]} Most likely first: `{ date, from, to, at, start, end,
+ *   confidence, approximate, period, dateMentioned }`. from/to bound the
+ *   range in minutes after midnight (null when only a day was said), at is
+ *   the time asked for when there was one, period names a part of the day
+ *   ('lunch', 'evening', ...), start/end are ISO strings, and confidence is
+ *   between 0 and 1. Empty when nothing was understood.
+ */
+function parseDateTime(text, { business = null, timeZone, now = new Date(), date = null } = {}) {
+  const zone = (business && business.timezone) || timeZone;
+  const local = getLocalTime(now, zone);
+  const input = normalize(text);
+
+  const relative = parseRelativeTime(input, now, zone);
+  if (relative) return [relative];
+
+  const dates = parseDates(business, input, local);
+  const times = parseTimes(input);
+  if (dates.length === 0 && times.length === 0) return [];
+
+  const timeOptions = times.length > 0 ? times : [{ from: null, to: null, at: null, confidence: 1 }];
+  const candidates = [];
+  for (const time of timeOptions) {
+    // A time on its own is the next time it comes round
+    let dateOptions = dates;
+    if (dates.length === 0) {
+      const upcoming = (time.to !== null ? time.to : time.from) > local.minutes;
+      dateOptions = [date
+        ? { date, confidence: 1 }
+        : { date: upcoming ? local.date : addDays(local.date, 1), confidence: upcoming ? 1 : 0.8 }];
+    }
+
+    for (const day of dateOptions) {
+      candidates.push(toCandidate({
+        date: day.date,
+        ...time,
+        confidence: day.confidence * time.confidence,
+        dateMentioned: dates.length > 0
+      }, zone));
+    }
+  }
+
+  return candidates.sort((a, b) => b.confidence - a.confidence || a.start.localeCompare(b.start));
+}
+
+function toCandidate({ date, from, to, at, confidence, approximate = false, period = null, dateMentioned }, timeZone) {
+  return {
+    date,
+    from,
+    to,
+    at: at === undefined ? null : at,
+    start: toZonedDate(date, from !== null ? from : 0, timeZone).toISOString(),
+    end: toZonedDate(date, to !== null ? to : MINUTES_PER_DAY, timeZone).toISOString(),
+    confidence: Math.round(confidence * 100) / 100,
+    approximate,
+    period,
+    dateMentioned
+  };
+}
+
+function normalize(text) {
+  let input = String(text || '').toLowerCase().replace(/[,?!]/g, ' ');
+  for (const [word, value] of Object.entries(NUMBER_WORDS)) {
+    input = input.replace(new RegExp(`\\b${word}\\b`, 'g'), String(value));
+  }
+  return input.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "in 2 hours", "in half an hour", "in 45 minutes"
+ */
+function parseRelativeTime(input, now, timeZone) {
+  const match = input.match(/\bin (?:(\d+|an?|half an)\s+)?(?:(?:and a )?half )?(minutes?|mins?|hours?|hrs?)\b/);
+  if (!match) return null;
+
+  const count = match[1] === 'half an' ? 0.5 : (/^an?$/.test(match[1] || 'a') ? 1 : Number(match[1]));
+  const half = /and a half/.test(match[0]) ? 0.5 : 0;
+  const minutes = /^h/.test(match[2]) ? (count + half) * 60 : count;
+
+  const local = getLocalTime(new Date(now.getTime() + minutes * 60 * 1000), timeZone);
+  return toCandidate({
+    date: local.date,
+    from: Math.max(local.minutes - APPROXIMATE_MINUTES / 2, 0),
+    to: Math.min(local.minutes + APPROXIMATE_MINUTES / 2, MINUTES_PER_DAY),
+    at: local.minutes,
+    confidence: 0.9,
+    approximate: true,
+    dateMentioned: true
+  }, timeZone);
+}
+
+/**
+ * Candidate days: `[{ date, confidence }]`
+ */
+function parseDates(business, input, local) {
+  const iso = input.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return [{ date: iso[0], confidence: 1 }];
+
+  if (/\bday after tomorrow\b/.test(input)) return [{ date: addDays(local.date, 2), confidence: 1 }];
+  if (/\btomorrow\b/.test(input)) return [{ date: addDays(local.date, 1), confidence: 1 }];
+  if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(input)) return [{ date: local.date, confidence: 1 }];
+
+  const inDays = input.match(/\bin (\d+|an?) (days?|weeks?)\b/);
+  if (inDays) {
+    const count = /^an?$/.test(inDays[1]) ? 1 : Number(inDays[1]);
+    return [{ date: addDays(local.date, count * (/^w/.test(inDays[2]) ? 7 : 1)), confidence: 0.95 }];
+  }
+
+  const named = findNamedExceptionDate(business, input, local);
+  if (named) return [{ date: named, confidence: 0.95 }];
+
+  const monthDay = input.match(new RegExp(`\\b${MONTH} (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b`)) ||
+    input.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}(?: (\\d{4}))?\\b`));
+  if (monthDay) {
+    const [month, day] = /^\d/.test(monthDay[1]) ? [monthDay[2], monthDay[1]] : [monthDay[1], monthDay[2]];
+    const year = monthDay[3] ? Number(monthDay[3]) : null;
+    const date = nextDate(local.date, MONTHS.indexOf(month.slice(0, 3)) + 1, Number(day), year);
+    return date ? [{ date, confidence: 0.95 }] : [];
+  }
+
+  const ordinal = input.match(/\bthe (\d{1,2})(?:st|nd|rd|th)\b/);
+  if (ordinal) {
+    const [year, month] = local.date.split('-').map(Number);
+    const thisMonth = nextDate(local.date, month, Number(ordinal[1]), year);
+    const date = thisMonth && thisMonth >= local.date ? thisMonth : nextDate(local.date, (month % 12) + 1, Number(ordinal[1]));
+    return date ? [{ date, confidence: 0.8 }] : [];
+  }
+
+  if (/\b(this |next )?weekend\b/.test(input)) {
+    const saturday = nextWeekday(local, 'saturday', /\bnext weekend\b/.test(input));
+    return [{ date: saturday, confidence: 0.6 }, { date: addDays(saturday, 1), confidence: 0.4 }];
+  }
+
+  const weekday = input.match(/\b(this |next |coming )?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)s?\b/);
+  if (weekday) {
+    const day = weekday[2];
+    const upcoming = nextWeekday(local, day, false);
+
+    if (weekday[1] === 'next ') {
+      // Said early in the week, "next Tuesday" may still mean this week's
+      const laterThisWeek = WEEKDAYS.indexOf(day) > WEEKDAYS.indexOf(local.day);
+      return laterThisWeek
+        ? [{ date: addDays(upcoming, 7), confidence: 0.6 }, { date: upcoming, confidence: 0.4 }]
+        : [{ date: nextWeekday(local, day, true), confidence: 0.9 }];
+    }
+    if (upcoming === local.date && !weekday[1]) {
+      // "Friday" said on a Friday is usually today, sometimes next week
+      return [{ date: upcoming, confidence: 0.7 }, { date: addDays(upcoming, 7), confidence: 0.3 }];
+    }
+    return [{ date: upcoming, confidence: 0.9 }];
+  }
+
+  return [];
+}
+
+/**
+ * The next date for a weekday, today included; `skipToday` starts tomorrow
+ */
+function nextWeekday(local, day, skipToday) {
+  for (let offset = skipToday ? 1 : 0; offset < 8; offset++) {
+    const date = addDays(local.date, offset);
+    if (dayOfDate(date) === day) return date;
+  }
+  return null;
+}
+
+/**
+ * The next month/day on or after today, in `year` when given
+ * @returns {string|null} YYYY-MM-DD, or null for dates like February 30
+ */
+function nextDate(today, month, day, year = null) {
+  const thisYear = Number(today.slice(0, 4));
+  const build = y => {
+    const date = `${y}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return addDays(date, 0) === date ? date : null;
+  };
+
+  if (year) return build(year);
+  const date = build(thisYear);
+  if (!date) return build(thisYear + 1);
+  return date >= today ? date : build(thisYear + 1);
+}
+
+/**
+ * Candidate times: `[{ from, to, at, confidence, approximate, period }]`
+ */
+function parseTimes(input) {
+  const period = PERIODS.find(entry => entry.pattern.test(input));
+
+  const named = input.match(/\b(noon|midday|midnight)\b/);
+  if (named) {
+    const at = named[1] === 'midnight' ? 0 : 12 * 60;
+    return [{ from: at, to: at, at, confidence: 1 }];
+  }
+
+  const clock = findClockTime(input);
+  if (!clock) {
+    return period
+      ? [{ from: period.from, to: period.to, at: null, confidence: 1, period: period.period }]
+      : [];
+  }
+
+  const { hours, minutes, meridiem, approximate } = clock;
+  let options;
+  if (meridiem || hours === 0 || hours > 12) {
+    const at = meridiem ? (hours % 12) * 60 + (meridiem === 'pm' ? 12 * 60 : 0) + minutes : hours * 60 + minutes;
+    options = [{ at, confidence: 1 }];
+  } else if (hours === 12) {
+    options = [{ at: 12 * 60 + minutes, confidence: 1 }];
+  } else if (period) {
+    // "7 in the evening", "10 tomorrow morning"
+    options = [{ at: (hours % 12) * 60 + minutes + (period.meridiem === 'pm' ? 12 * 60 : 0), confidence: 1 }];
+  } else {
+    options = [
+      { at: hours * 60 + minutes + 12 * 60, confidence: PM_CONFIDENCE },
+      { at: hours * 60 + minutes, confidence: 1 - PM_CONFIDENCE }
+    ];
+  }
+
+  return options.map(option => ({
+    from: approximate ? Math.max(option.at - APPROXIMATE_MINUTES, 0) : option.at,
+    to: approximate ? Math.min(option.at + APPROXIMATE_MINUTES, MINUTES_PER_DAY) : option.at,
+    at: option.at,
+    confidence: option.confidence * (approximate ? 0.9 : 1),
+    approximate
+  }));
+}
+
+/**
+ * A clock time in the input: "7:30", "7 pm", "19:00", "at 7", "7 o'clock",
+ * "half past 7", "quarter to 8", "7ish"
+ * @returns {Object|null} `{ hours, minutes, meridiem, approximate }`
+ */
+function findClockTime(input) {
+  const build = (match, hours, minutes, meridiem) => {
+    if (hours > 23 || minutes > 59 || (meridiem && (hours < 1 || hours > 12))) return null;
+    const before = input.slice(0, match.index).split(' ').slice(-2).join(' ');
+    const approximate = APPROXIMATE.test(match[0]) || APPROXIMATE.test(before);
+    return { hours, minutes, meridiem, approximate };
+  };
+  const meridiemOf = text => (text ? (text[0] === 'p' ? 'pm' : 'am') : null);
+
+  const past = input.match(/\b(half|quarter) past (\d{1,2})\b/);
+  if (past) return build(past, Number(past[2]), past[1] === 'half' ? 30 : 15, null);
+
+  const to = input.match(/\bquarter to (\d{1,2})\b/);
+  if (to) return build(to, (Number(to[1]) + 11) % 12 || 12, 45, null);
+
+  const withMeridiem = input.match(/\b(\d{1,2})(?:[:. ](\d{2}))?\s*([ap])\.?m\b\.?/);
+  if (withMeridiem) {
+    return build(withMeridiem, Number(withMeridiem[1]), Number(withMeridiem[2] || 0), meridiemOf(withMeridiem[3]));
+  }
+
+  const withMinutes = input.match(/\b(\d{1,2})[:.](\d{2})\b/) ||
+    input.match(/\b(?:at|around|about|by|say) (\d{1,2}) (\d{2})\b/);
+  if (withMinutes) return build(withMinutes, Number(withMinutes[1]), Number(withMinutes[2]), null);
+
+  const bare = input.match(/\b(?:at|around|about|roughly|approximately|by|say) (\d{1,2})\b(?! (?:minutes?|mins?|hours?|hrs?|days?|weeks?|people|persons|guests)\b)/) ||
+    input.match(/\b(\d{1,2}) ?(?:o'?clock|ish)\b/);
+  if (bare) return build(bare, Number(bare[1]), 0, null);
+
+  return null;
+}
+
+module.exports = {
+  parseDateTime
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Run an action while holding `<file>.lock`, so a read-check-write on a
+ * JSON store can't interleave with another request or server process
+ * @param {string} file - Store file the lock guards
+ * @param {Function} action - Runs synchronously while the lock is held
+ * @returns {Promise<*>} What the action returns
+ */
+async function withFileLock(file, action) {
+  const lockFile = `${file}.lock`;
+  const startedAt = Date.now();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      if (isStale(lockFile)) {
+        console.warn(`[STORAGE] Removing stale lock ${lockFile}`);
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for the lock on ${path.basename(file)}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return action();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+function isStale(lockFile) {
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS;
+  } catch (error) {
+    // Released while we looked
+    return false;
+  }
+}
+
+module.exports = {
+  withFileLock
+};
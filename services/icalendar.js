@@ -0,0 +1,306 @@
+/**
+ * iCalendar (RFC 5545) files for bookings, for customers and staff who don't
+ * use Google Calendar.
+ *
+ * Times are written in UTC, so no VTIMEZONE is needed. Each booking keeps its
+ * UID, and its SEQUENCE goes up when it moves or is cancelled, so calendars
+ * that already have it replace it rather than adding a copy.
+ *
+ * Events read back from CalDAV servers are parsed into the shape Google
+ * Calendar returns, so CalendarService can treat both alike.
+ */
+
+const { toZonedDate } = require('./businessHours');
+
+const PRODUCT_ID = '-//AI Receptionist//Bookings//EN';
+// Longest content line before it has to be folded, in octets
+const LINE_LIMIT = 75;
+
+/**
+ * Escape a TEXT value (backslashes, separators and line breaks)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into 75-octet pieces, never inside a UTF-8 character
+ */
+function foldLine(line) {
+  const pieces = [];
+  let piece = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (size + charSize > LINE_LIMIT) {
+      pieces.push(piece);
+      piece = ' ';
+      size = 1;
+    }
+    piece += char;
+    size += charSize;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n');
+}
+
+/**
+ * UTC date-time, e.g. 20261020T140000Z
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function property(name, value) {
+  return foldLine(`${name}:${value}`);
+}
+
+/**
+ * Stable identifier for a booking's event
+ */
+function eventUid(booking) {
+  return `${booking.bookingId}@ai-receptionist`;
+}
+
+/**
+ * VEVENT lines for a booking
+ * @param {Object} booking - Stored booking
+ * @param {Object} business - Canonical business profile, optional
+ * @param {Object} options
+ * @param {boolean} options.forBusiness - Describe it for staff (the customer's
+ *   name and number) rather than for the customer (the business's name)
+ * @returns {string[]} Folded content lines
+ */
+function bookingEvent(booking, business = null, { forBusiness = false } = {}) {
+  const what = booking.service || 'Booking';
+  const summary = forBusiness
+    ? `${what}: ${booking.customerName}`
+    : `${what}${business && business.name ? ` at ${business.name}` : ''}`;
+
+  const description = [`Booking ${booking.number || booking.bookingId}`];
+  if (booking.resourceName) description.push(`With: ${booking.resourceName}`);
+  if (booking.partySize) description.push(`Party of ${booking.partySize}`);
+  if (forBusiness) {
+    description.push(`Customer: ${booking.customerName}`);
+    if (booking.customerPhone) description.push(`Phone: ${booking.customerPhone}`);
+    if (booking.customerEmail) description.push(`Email: ${booking.customerEmail}`);
+  } else if (business && business.phone) {
+    description.push(`Questions or changes: ${business.phone}`);
+  }
+  if (booking.notes) description.push(`Notes: ${booking.notes}`);
+
+  const cancelled = booking.status === 'cancelled';
+  const changedAt = booking.updatedAt || booking.createdAt || new Date();
+
+  return [
+    'BEGIN:VEVENT',
+    property('UID', eventUid(booking)),
+    property('DTSTAMP', formatDateTime(changedAt)),
+    ...(booking.createdAt ? [property('CREATED', formatDateTime(booking.createdAt))] : []),
+    property('LAST-MODIFIED', formatDateTime(changedAt)),
+    property('SEQUENCE', booking.sequence || 0),
+    property('DTSTART', formatDateTime(booking.startTime)),
+    property('DTEND', formatDateTime(booking.endTime)),
+    property('SUMMARY', escapeText(summary)),
+    property('DESCRIPTION', escapeText(description.join('\n'))),
+    ...(business && business.address ? [property('LOCATION', escapeText(business.address))] : []),
+    property('STATUS', cancelled ? 'CANCELLED' : 'CONFIRMED'),
+    // Cancelled bookings don't block the time
+    property('TRANSP', cancelled ? 'TRANSPARENT' : 'OPAQUE'),
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * A VCALENDAR document
+ * @param {string[][]} events - Lines of each VEVENT
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown when subscribing
+ * @param {string} options.timeZone - Time zone the calendar is shown in
+ * @param {string} options.method - iTIP method; null for objects stored on a
+ *   CalDAV server, which must not have one
+ * @returns {string} CRLF-separated iCalendar text
+ */
+function buildCalendar(events, { name = null, timeZone = null, method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [property('X-WR-CALNAME', escapeText(name))] : []),
+    ...(timeZone ? [property('X-WR-TIMEZONE', timeZone)] : []),
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * A booking as a downloadable .ics file for the customer
+ */
+function bookingCalendar(booking, business = null) {
+  return buildCalendar([bookingEvent(booking, business)], { timeZone: business && business.timezone });
+}
+
+/**
+ * A business's bookings as a subscribable feed for staff, cancelled ones
+ * included so subscribers drop them
+ */
+function bookingFeed(bookings, business = null) {
+  return buildCalendar(
+    bookings.map(booking => bookingEvent(booking, business, { forBusiness: true })),
+    {
+      name: `${(business && business.name) || 'Business'} bookings`,
+      timeZone: business && business.timezone
+    }
+  );
+}
+
+/**
+ * Undo escapeText
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Content lines of an iCalendar document, unfolded and split into name,
+ * parameters and value
+ * @returns {Object[]} `[{ name, params, value }]`
+ */
+function parseLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      // The value starts at the first colon outside a quoted parameter
+      const match = line.match(/^((?:[^:"]|"[^"]*")*):(.*)$/);
+      if (!match) return null;
+      const [name, ...params] = match[1].split(';');
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+          const [key, ...rest] = param.split('=');
+          return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+        })),
+        value: match[2]
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * A DATE or DATE-TIME value: `{ dateTime }` as an ISO string, or `{ date }`
+ * (YYYY-MM-DD) for all-day values. Local times use their TZID, or the
+ * fallback zone when they have none.
+ */
+function parseDateValue({ params, value }, timeZone = null) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (hours === undefined || params.VALUE === 'DATE') return { date };
+  if (utc) return { dateTime: new Date(`${date}T${hours}:${minutes}:${seconds}Z`).toISOString() };
+
+  const local = toZonedDate(date, Number(hours) * 60 + Number(minutes), params.TZID || timeZone || undefined);
+  return { dateTime: new Date(local.getTime() + Number(seconds) * 1000).toISOString() };
+}
+
+/**
+ * Milliseconds in a DURATION value, e.g. PT1H30M
+ */
+function parseDuration(value) {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * VEVENTs of an iCalendar document in the shape Google Calendar returns
+ * them (`id`, `summary`, `description`, `status`, `start`, `end`), with
+ * X- properties as `extendedProperties.private`. Alarms and other nested
+ * components are skipped.
+ * @param {string} text - iCalendar document
+ * @param {Object} options
+ * @param {string} options.timeZone - Zone for local times without a TZID
+ * @returns {Object[]}
+ */
+function parseEvents(text, { timeZone = null } = {}) {
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  for (const line of parseLines(text)) {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      event = { properties: {}, extras: {} };
+      depth = 0;
+      continue;
+    }
+    if (!event) continue;
+
+    if (line.name === 'BEGIN') {
+      depth += 1;
+    } else if (line.name === 'END' && depth > 0) {
+      depth -= 1;
+    } else if (line.name === 'END') {
+      events.push(toEvent(event, timeZone));
+      event = null;
+    } else if (depth === 0 && line.name.startsWith('X-')) {
+      event.extras[line.name] = unescapeText(line.value);
+    } else if (depth === 0 && !event.properties[line.name]) {
+      event.properties[line.name] = line;
+    }
+  }
+
+  return events;
+}
+
+function toEvent({ properties, extras }, timeZone) {
+  const text = name => (properties[name] ? unescapeText(properties[name].value) : undefined);
+  const start = properties.DTSTART ? parseDateValue(properties.DTSTART, timeZone) : null;
+
+  let end = properties.DTEND ? parseDateValue(properties.DTEND, timeZone) : null;
+  if (!end && start && start.dateTime) {
+    const length = properties.DURATION ? parseDuration(properties.DURATION.value) : 0;
+    end = { dateTime: new Date(new Date(start.dateTime).getTime() + length).toISOString() };
+  } else if (!end && start) {
+    // An all-day event without an end lasts the day
+    const next = new Date(`${start.date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    end = { date: next.toISOString().slice(0, 10) };
+  }
+
+  return {
+    id: text('UID'),
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    status: (text('STATUS') || 'CONFIRMED').toLowerCase(),
+    start,
+    end,
+    extendedProperties: { private: extras }
+  };
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  parseEvents,
+  foldLine,
+  formatDateTime,
+  eventUid,
+  bookingEvent,
+  buildCalendar,
+  bookingCalendar,
+  bookingFeed
+};
@@ -1,13 +1,26 @@
+const { formatMoney, answerMenuQuestion, findMenuItems } = require('./menu');
+const { describeActivePromotions } = require('./promotions');
+const { answerHoursQuestion, describeOpenStatus, describeUpcomingExceptions, describeDayHours } = require('./businessHours');
+
 class IntentDetector {
   constructor() {
     this.intents = {
+      // Ahead of booking, whose "schedule", "book" and "appointment" also match
+      reschedule: {
+        keywords: ['reschedule'],
+        patterns: [/reschedul/i, /(reschedule|move|change|push back|bring forward) (my|the|our) (booking|appointment|reservation)/i]
+      },
+      cancel_booking: {
+        keywords: [],
+        patterns: [/cancel.*(booking|appointment|reservation)/i]
+      },
       booking: {
         keywords: ['book', 'appointment', 'schedule', 'reserve', 'reservation', 'table'],
         patterns: [/book.*table/i, /make.*reservation/i, /schedule.*appointment/i]
       },
       hours: {
         keywords: ['hours', 'open', 'close', 'time', 'when', 'operating'],
-        patterns: [/what.*hours/i, /when.*open/i, /are you open/i, /open.*sunday/i, /close.*time/i]
+        patterns: [/what.*hours/i, /when.*open/i, /are you open/i, /open.*sunday/i, /close.*time/i, /when.*close/i, /open (right )?now/i, /still open/i]
       },
       location: {
         keywords: ['where', 'location', 'address', 'directions', 'find'],
@@ -18,8 +31,16 @@ class IntentDetector {
         patterns: [/do you deliver/i, /delivery.*area/i, /deliver.*to/i]
       },
       menu: {
-        keywords: ['menu', 'food', 'pizza', 'price', 'cost', 'special', 'vegetarian', 'vegan', 'options', 'serve'],
-        patterns: [/what.*menu/i, /show.*menu/i, /pizza.*types/i, /what.*serve/i, /vegetarian.*options/i, /vegan.*options/i, /what.*food/i]
+        keywords: ['menu', 'food', 'pizza', 'price', 'cost', 'special', 'vegetarian', 'vegan', 'options', 'serve', 'offer', 'allergen', 'gluten'],
+        patterns: [/what.*menu/i, /what.*services/i, /show.*menu/i, /pizza.*types/i, /what.*serve/i, /vegetarian.*options/i, /vegan.*options/i, /what.*food/i, /how much/i, /what'?s.*vegan/i]
+      },
+      promotions: {
+        keywords: ['deal', 'promotion', 'promo', 'discount', 'coupon', 'specials'],
+        patterns: [/current specials/i, /any (deals|specials|discounts|offers)/i, /special offers?/i]
+      },
+      order: {
+        keywords: ['order'],
+        patterns: [/place.*order/i, /\bto order\b/i, /i('d| would) like (a|an|to order|\d|one|two|three)\b/i, /can i (get|have) (a|an|\d|one|two|three)\b/i, /i('ll| will) (have|take|get)\b/i]
       },
       payment: {
         keywords: ['pay', 'payment', 'credit', 'cash', 'card'],
@@ -36,7 +57,11 @@ class IntentDetector {
     };
   }
 
-  detectIntent(userInput) {
+  /**
+   * Pick the best matching intent. With a business profile, questions that
+   * match no keyword but name something on its menu count as menu questions.
+   */
+  detectIntent(userInput, businessData = null) {
     const input = userInput.toLowerCase();
     let scores = {};
 
@@ -61,61 +86,143 @@ class IntentDetector {
     }
 
     if (Object.keys(scores).length === 0) {
-      return 'fallback';
+      return businessData && answerMenuQuestion(businessData, userInput) ? 'menu' : 'fallback';
     }
 
     const topIntent = Object.entries(scores).sort((a, b) => b[1] - a[1])[0][0];
     return topIntent;
   }
 
-  generateResponse(intent, businessData) {
+  /**
+   * Build the reply for an intent from a canonical business profile
+   * (see services/businessProfile.js). Missing fields never throw.
+   * `userInput` lets menu questions be answered from the structured menu.
+   */
+  generateResponse(intent, businessData, userInput = '') {
+    const name = businessData.name || 'our business';
+    const phone = businessData.phone;
+    const notes = businessData.special_notes || {};
+    const delivery = businessData.delivery || {};
+    const services = (businessData.services || []).map(service => service.name);
+    const callUs = phone ? ` Please call us at ${phone}.` : '';
+
     const responses = {
       booking: () => {
-        return `I'd be happy to help you with a reservation! We accept ${businessData.services.join(', ')}. You can call us at ${businessData.phone} to make a reservation, or would you like me to check availability for you?`;
+        const offered = services.length > 0 ? ` We offer ${services.join(', ')}.` : '';
+        return `I'd be happy to help you with a reservation!${offered} I can book it for you on a call.${callUs}`;
+      },
+
+      reschedule: () => {
+        return `I can move an existing booking for you on a call.${callUs || ' What phone number is the booking under?'}`;
+      },
+
+      cancel_booking: () => {
+        const policy = (businessData.policies || {}).cancellation;
+        return `${policy ? `${policy} ` : ''}I can cancel a booking for you on a call.${callUs || ' What phone number is the booking under?'}`;
       },
 
       hours: () => {
-        const today = new Date().toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-        const todayHours = businessData.hours[today] || 'closed';
+        const hours = businessData.hours || {};
+        if (Object.keys(hours).length === 0) {
+          return `I don't have our hours on hand right now.${callUs}`;
+        }
+
+        const answer = answerHoursQuestion(businessData, userInput);
+        if (answer) return answer;
+
+        const status = describeOpenStatus(businessData);
+        const exceptions = describeUpcomingExceptions(businessData);
 
-        return `We're open today (${today}) from ${todayHours}. Our full hours are:\n` +
-          Object.entries(businessData.hours)
-            .map(([day, hours]) => `${day.charAt(0).toUpperCase() + day.slice(1)}: ${hours}`)
+        return [status, ...exceptions, 'Our full hours are:'].filter(Boolean).join(' ') + '\n' +
+          Object.entries(hours)
+            .map(([day, dayHours]) => `${day.charAt(0).toUpperCase() + day.slice(1)}: ${describeDayHours(dayHours)}`)
             .join('\n');
       },
 
       location: () => {
-        return `We're located at ${businessData.location}. ${businessData.special_notes.parking ? `${businessData.special_notes.parking}.` : ''} Would you like directions?`;
+        if (!businessData.address) {
+          return `I don't have our address on hand right now.${callUs}`;
+        }
+        return `We're located at ${businessData.address}. ${notes.parking ? `${notes.parking}. ` : ''}Would you like directions?`;
       },
 
       delivery: () => {
-        return `Yes, we deliver to ${businessData.delivery_areas.join(', ')}. Our delivery fee is ${businessData.delivery_fee}. Would you like to place a delivery order?`;
+        if (delivery.available === false || Object.keys(delivery).length === 0) {
+          return `Sorry, we don't offer delivery at the moment.${callUs}`;
+        }
+
+        const areas = delivery.areas && delivery.areas.length > 0 ? ` to ${delivery.areas.join(', ')}` : '';
+        const details = [];
+        if (delivery.fee !== undefined) details.push(`Our delivery fee is ${formatMoney(delivery.fee)}`);
+        if (delivery.free_over !== undefined) details.push(`delivery is free over ${formatMoney(delivery.free_over)}`);
+        if (delivery.minimum !== undefined) details.push(`the minimum order is ${formatMoney(delivery.minimum)}`);
+
+        return `Yes, we deliver${areas}. ${details.length > 0 ? `${details.join(', ')}. ` : ''}Would you like to place a delivery order?`;
       },
 
       menu: () => {
-        return `Our specialties include ${businessData.specialties.join(', ')}. We have ${businessData.special_notes.vegetarian_options ? 'vegetarian options available' : 'various options'}. Would you like to hear about our current specials?`;
+        const answer = answerMenuQuestion(businessData, userInput);
+        if (answer) return answer;
+
+        const highlights = (businessData.specialties && businessData.specialties.length > 0)
+          ? businessData.specialties
+          : services;
+        const intro = highlights.length > 0
+          ? `Our specialties include ${highlights.join(', ')}.`
+          : `We have a variety of options at ${name}.`;
+        const vegetarian = notes.vegetarian_options || notes.vegetarian;
+        const categories = ((businessData.menu && businessData.menu.categories) || [])
+          .map(category => category.name.toLowerCase());
+        const sections = categories.length > 0 ? ` Our menu has ${categories.join(', ')}.` : '';
+
+        return `${intro}${sections} We have ${vegetarian ? 'vegetarian options available' : 'various options'}. Would you like to hear about our current specials?`;
+      },
+
+      promotions: () => {
+        const deals = describeActivePromotions(businessData);
+        return deals
+          ? `${deals} Would you like to place an order?`
+          : `We don't have any deals running right now, but I'd be happy to tell you about our menu.`;
+      },
+
+      order: () => {
+        const menu = businessData.menu;
+        if (!menu || !Array.isArray(menu.categories) || menu.categories.length === 0) {
+          return `I'm sorry, I can't take orders over the phone yet.${callUs}`;
+        }
+        return 'I can take your order over the phone. What would you like?';
       },
 
       payment: () => {
+        if (!businessData.payment_methods || businessData.payment_methods.length === 0) {
+          return `We accept most common payment methods.${callUs}`;
+        }
         return `We accept ${businessData.payment_methods.join(', ')} as payment methods. Is there a specific payment method you'd like to use?`;
       },
 
       halal: () => {
-        return businessData.special_notes.halal
+        if (findMenuItems(businessData.menu, userInput).length > 0) {
+          return answerMenuQuestion(businessData, userInput);
+        }
+        if (typeof notes.halal === 'string') {
+          return `${notes.halal}. We take pride in serving halal food to our community.`;
+        }
+        return notes.halal
           ? `Yes, all our meat is 100% halal certified. We take pride in serving halal food to our community.`
-          : `Please contact us at ${businessData.phone} for information about our meat sourcing.`;
+          : `Please contact us${phone ? ` at ${phone}` : ''} for information about our meat sourcing.`;
       },
 
       generic: () => {
-        return `Hello! Welcome to ${businessData.business_name}. How can I help you today? I can assist with reservations, hours, delivery, or answer any questions about our menu.`;
+        return `Hello! Welcome to ${name}. How can I help you today? I can assist with reservations, hours, delivery, or answer any questions about our menu.`;
       },
 
       fallback: () => {
         return `I'm sorry, I didn't quite understand that. I can help you with:\n` +
-          `• Making a reservation\n` +
+          `• Making or moving a reservation\n` +
           `• Our hours and location\n` +
           `• Delivery information\n` +
           `• Menu and specials\n` +
+          `• Placing an order\n` +
           `• Payment methods\n` +
           `How can I assist you today?`;
       }
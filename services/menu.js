@@ -0,0 +1,279 @@
+/**
+ * Menu catalogue helpers.
+ *
+ * Works on the structured `menu` of a canonical business profile
+ * (`{ categories: [{ id, name, items: [...] }] }`, see services/businessProfile.js)
+ * and answers caller questions about prices, sizes, allergens and dietary tags.
+ */
+
+// Tags that also satisfy another tag: anything vegan is vegetarian and dairy-free
+const DIETARY_IMPLIES = {
+  vegan: ['vegetarian', 'dairy-free']
+};
+
+const DIETARY_PATTERNS = {
+  halal: /\bhalal\b/i,
+  vegetarian: /\bvegetarian\b/i,
+  vegan: /\bvegan\b/i,
+  'gluten-free': /\bgluten[\s-]*free\b|\bceliac\b|\bcoeliac\b/i,
+  'dairy-free': /\bdairy[\s-]*free\b|\blactose\b/i,
+  'nut-free': /\bnut[\s-]*free\b|\bnut allerg/i,
+  kosher: /\bkosher\b/i,
+  spicy: /\bspicy\b/i
+};
+
+const ALLERGEN_QUESTION = /\ballerg|\bcontain|\bingredient|\bwhat'?s in\b/i;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'of', 'and', 'or', 'with', 'for', 'to', 'in', 'on', 'it',
+  'how', 'much', 'what', 'whats', 'does', 'do', 'you', 'your', 'have', 'has', 'i', 'me',
+  'can', 'get', 'please', 'cost', 'costs', 'price', 'there', 'any', 'some', 'that', 'this'
+]);
+
+function formatMoney(amount) {
+  return `$${Number(amount).toFixed(2)}`;
+}
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .map(token => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token));
+}
+
+function listNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Every item on a menu, each with the category it belongs to
+ * @param {Object} menu - Structured menu
+ * @returns {Object[]} Items with an added `category: { id, name }`
+ */
+function getMenuItems(menu) {
+  if (!menu || !Array.isArray(menu.categories)) return [];
+
+  return menu.categories.flatMap(category => (category.items || []).map(item => ({
+    ...item,
+    category: { id: category.id, name: category.name }
+  })));
+}
+
+/**
+ * Whether an item carries a dietary tag, directly or through an implied one
+ * @param {Object} item - Menu item
+ * @param {string} tag - Dietary tag
+ * @returns {boolean}
+ */
+function hasDietaryTag(item, tag) {
+  const tags = item.dietary || [];
+  return tags.includes(tag) ||
+    tags.some(own => (DIETARY_IMPLIES[own] || []).includes(tag));
+}
+
+/**
+ * Narrow a menu to a category and/or items carrying every dietary tag.
+ * Categories left without items are dropped.
+ * @param {Object} menu - Structured menu
+ * @param {Object} filters - `{ dietary: string[], category: string }`
+ * @returns {Object} Menu in the same shape
+ */
+function filterMenu(menu, { dietary = [], category } = {}) {
+  const categories = (menu && menu.categories) || [];
+
+  return {
+    categories: categories
+      .filter(entry => !category || entry.id === category)
+      .map(entry => ({
+        ...entry,
+        items: entry.items.filter(item => dietary.every(tag => hasDietaryTag(item, tag)))
+      }))
+      .filter(entry => entry.items.length > 0)
+  };
+}
+
+/**
+ * Dietary tags mentioned in a caller's question
+ * @param {string} text - Caller input
+ * @returns {string[]} Dietary tags
+ */
+function detectDietaryTags(text) {
+  return Object.entries(DIETARY_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([tag]) => tag);
+}
+
+/**
+ * Menu items named in a caller's question, best match first.
+ *
+ * Words are weighted by how rare they are on the menu, so "pizza" alone
+ * doesn't pick one of several pizzas but "karachi special" does.
+ * @param {Object} menu - Structured menu
+ * @param {string} text - Caller input
+ * @returns {Object[]} Matching items (see getMenuItems)
+ */
+function findMenuItems(menu, text) {
+  const items = getMenuItems(menu);
+  const words = new Set(tokenize(text).filter(token => !STOP_WORDS.has(token)));
+  if (items.length === 0 || words.size === 0) return [];
+
+  const itemTokens = items.map(item => new Set(tokenize(item.name).filter(token => !STOP_WORDS.has(token))));
+  const weight = (token) => {
+    const occurrences = itemTokens.filter(tokens => tokens.has(token)).length;
+    return Math.log(1 + items.length / occurrences);
+  };
+
+  return items
+    .map((item, index) => {
+      const tokens = [...itemTokens[index]];
+      const total = tokens.reduce((sum, token) => sum + weight(token), 0);
+      const matched = tokens.filter(token => words.has(token)).reduce((sum, token) => sum + weight(token), 0);
+      return { item, score: total > 0 ? matched / total : 0 };
+    })
+    .filter(match => match.score >= 0.6)
+    .sort((a, b) => b.score - a.score)
+    .map(match => match.item);
+}
+
+/**
+ * The size of an item named in a caller's question
+ * @param {Object} item - Menu item
+ * @param {string} text - Caller input
+ * @returns {Object|null} `{ name, price }`
+ */
+function findSize(item, text) {
+  const words = new Set(tokenize(text));
+  return (item.sizes || []).find(size => tokenize(size.name).every(token => words.has(token))) || null;
+}
+
+/**
+ * Modifiers of an item named in a caller's question
+ * @param {Object} item - Menu item
+ * @param {string} text - Caller input
+ * @returns {Object[]} `{ name, price }` entries
+ */
+function findModifiers(item, text) {
+  const words = new Set(tokenize(text));
+  return (item.modifiers || []).filter(modifier => tokenize(modifier.name).every(token => words.has(token)));
+}
+
+function describePrice(item, text) {
+  const size = findSize(item, text);
+  let answer;
+
+  if (size) {
+    answer = `A ${size.name.toLowerCase()} ${item.name} is ${formatMoney(size.price)}.`;
+  } else if (item.sizes && item.sizes.length > 0) {
+    const prices = item.sizes.map(entry => `${formatMoney(entry.price)} for a ${entry.name.toLowerCase()}`);
+    answer = `The ${item.name} is ${listNames(prices)}.`;
+  } else if (item.price !== undefined) {
+    answer = `The ${item.name} is ${formatMoney(item.price)}.`;
+  } else {
+    answer = `The ${item.name} is on our ${item.category.name.toLowerCase()} menu.`;
+  }
+
+  const extras = findModifiers(item, text)
+    .filter(modifier => modifier.price)
+    .map(modifier => `${modifier.name} is ${formatMoney(modifier.price)} extra`);
+  if (extras.length > 0) {
+    answer += ` ${listNames(extras)}.`;
+  }
+
+  return answer;
+}
+
+function describeDietary(item, tags, menu) {
+  const missing = tags.filter(tag => !hasDietaryTag(item, tag));
+  if (missing.length === 0) {
+    return `Yes, the ${item.name} is ${listNames(tags)}.`;
+  }
+
+  const answer = `No, the ${item.name} isn't ${listNames(missing)}.`;
+  const options = filterMenu(menu, { dietary: tags });
+  const alternatives = getMenuItems(options).map(option => option.name);
+  return alternatives.length > 0
+    ? `${answer} Our ${listNames(tags)} options are ${listNames(alternatives)}.`
+    : answer;
+}
+
+function describeAllergens(item) {
+  const allergens = item.allergens || [];
+  return allergens.length > 0
+    ? `The ${item.name} contains ${listNames(allergens)}.`
+    : `The ${item.name} has no allergens listed, but please let us know about any allergies when you order.`;
+}
+
+function describeDietaryOptions(menu, tags) {
+  const names = getMenuItems(filterMenu(menu, { dietary: tags }))
+    .filter(item => item.available !== false)
+    .map(item => item.name);
+  const label = listNames(tags);
+
+  // Modifiers like a gluten-free crust make other items suitable too
+  const modifiers = [...new Set(getMenuItems(menu)
+    .flatMap(item => item.modifiers || [])
+    .filter(modifier => tags.every(tag => (modifier.dietary || []).includes(tag)))
+    .map(modifier => modifier.name.toLowerCase()))];
+  const modifierNote = modifiers.length > 0 ? ` You can also ask for ${listNames(modifiers)}.` : '';
+
+  if (names.length === 0) {
+    return `Sorry, we don't have any ${label} options on the menu right now.${modifierNote}`;
+  }
+  return `Our ${label} options are ${listNames(names)}.${modifierNote}`;
+}
+
+function describeCategory(category) {
+  const items = category.items
+    .filter(item => item.available !== false)
+    .map(item => {
+      const prices = item.sizes && item.sizes.length > 0 ? item.sizes.map(size => size.price) : [item.price];
+      const from = Math.min(...prices.filter(price => price !== undefined));
+      if (!Number.isFinite(from)) return item.name;
+      return prices.length > 1 ? `${item.name} (from ${formatMoney(from)})` : `${item.name} (${formatMoney(from)})`;
+    });
+
+  return `Our ${category.name.toLowerCase()} are ${listNames(items)}.`;
+}
+
+/**
+ * Answer a caller's menu question from the business's structured menu
+ * @param {Object} business - Canonical business profile
+ * @param {string} text - Caller input
+ * @returns {string|null} Spoken answer, or null when the question isn't about
+ *   a specific item, category or dietary need
+ */
+function answerMenuQuestion(business, text) {
+  const menu = business && business.menu;
+  if (!menu || !Array.isArray(menu.categories) || !text) return null;
+
+  const tags = detectDietaryTags(text);
+  const [item] = findMenuItems(menu, text);
+
+  if (item) {
+    if (item.available === false) {
+      return `Sorry, the ${item.name} isn't available right now.`;
+    }
+    if (tags.length > 0) return describeDietary(item, tags, menu);
+    if (ALLERGEN_QUESTION.test(text)) return describeAllergens(item);
+    return describePrice(item, text);
+  }
+
+  if (tags.length > 0) {
+    return describeDietaryOptions(menu, tags);
+  }
+
+  const words = new Set(tokenize(text));
+  const category = menu.categories.find(entry => tokenize(entry.name).every(token => words.has(token)));
+  return category ? describeCategory(category) : null;
+}
+
+module.exports = {
+  formatMoney,
+  getMenuItems,
+  hasDietaryTag,
+  filterMenu,
+  detectDietaryTags,
+  findMenuItems,
+  findSize,
+  findModifiers,
+  answerMenuQuestion
+};
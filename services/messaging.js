@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '..', 'storage', 'outbox.json');
+
+/**
+ * Stand-in for a real SMS provider: messages are logged and kept in a JSON
+ * file (MESSAGING_OUTBOX_FILE) so they can be read back in development
+ */
+class LocalProvider {
+  constructor(options = {}) {
+    this.outboxFile = options.outboxFile || process.env.MESSAGING_OUTBOX_FILE || DEFAULT_OUTBOX_FILE;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.outboxFile)) return [];
+    return JSON.parse(fs.readFileSync(this.outboxFile, 'utf8')).messages || [];
+  }
+
+  async send({ to, from, body }) {
+    const messages = this.readAll();
+    const message = {
+      messageId: `LOCAL-${messages.length + 1}`,
+      to,
+      from: from || null,
+      body,
+      sentAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.outboxFile), { recursive: true });
+    const tempFile = `${this.outboxFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ messages: [...messages, message] }, null, 2));
+    fs.renameSync(tempFile, this.outboxFile);
+
+    console.log(`[SMS] (local) To ${to}: ${body}`);
+    return { messageId: message.messageId };
+  }
+}
+
+/**
+ * Sends through Twilio Programmable Messaging
+ */
+class TwilioProvider {
+  constructor(options = {}) {
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.client = null;
+  }
+
+  async send({ to, from, body }) {
+    if (!this.accountSid || !this.authToken) {
+      throw new Error('Twilio credentials not found in environment variables');
+    }
+    if (!this.client) {
+      this.client = require('twilio')(this.accountSid, this.authToken);
+    }
+
+    const message = await this.client.messages.create({ to, from, body });
+    console.log(`[SMS] (twilio) To ${to}: ${message.sid}`);
+    return { messageId: message.sid };
+  }
+}
+
+const PROVIDERS = {
+  local: LocalProvider,
+  twilio: TwilioProvider
+};
+
+/**
+ * Outbound text messages through the provider named by MESSAGING_PROVIDER
+ * ('local' by default, or 'twilio'), or one passed in with a `send` method
+ */
+class MessagingService {
+  constructor(options = {}) {
+    this.providerName = options.providerName || process.env.MESSAGING_PROVIDER || 'local';
+    this.from = options.from || process.env.SMS_FROM_NUMBER || null;
+    this.provider = options.provider || null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const Provider = PROVIDERS[this.providerName];
+      if (!Provider) {
+        throw new Error(`Unknown messaging provider: ${this.providerName}`);
+      }
+      this.provider = new Provider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} message - `{ to, body }`, and `from` to override SMS_FROM_NUMBER
+   * @returns {Promise<Object>} `{ messageId }` from the provider
+   */
+  async sendSms({ to, body, from }) {
+    if (!to) {
+      throw new Error('No phone number to send to');
+    }
+    return this.getProvider().send({ to, from: from || this.from, body });
+  }
+}
+
+module.exports = new MessagingService();
+module.exports.MessagingService = MessagingService;
+module.exports.LocalProvider = LocalProvider;
+module.exports.TwilioProvider = TwilioProvider;
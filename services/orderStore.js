@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ORDERS_FILE = path.join(__dirname, '..', 'storage', 'orders.json');
+
+const ORDER_STATUSES = ['received', 'preparing', 'ready', 'out_for_delivery', 'completed', 'cancelled'];
+
+/**
+ * Placed orders, kept in a JSON file (ORDERS_FILE) so the kitchen can read
+ * them after a restart. Writes go to a temp file first and are renamed into
+ * place, so a crash never leaves half an order list behind.
+ */
+class OrderStore {
+  constructor(options = {}) {
+    this.ordersFile = options.ordersFile || process.env.ORDERS_FILE || DEFAULT_ORDERS_FILE;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.ordersFile)) return [];
+    return JSON.parse(fs.readFileSync(this.ordersFile, 'utf8')).orders || [];
+  }
+
+  writeAll(orders) {
+    fs.mkdirSync(path.dirname(this.ordersFile), { recursive: true });
+
+    const tempFile = `${this.ordersFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ orders }, null, 2));
+    fs.renameSync(tempFile, this.ordersFile);
+  }
+
+  /**
+   * Store a new order
+   * @param {Object} order - Business, lines, totals, fulfillment and customer
+   * @returns {Object} Stored order with `id`, `status` and timestamps
+   */
+  create(order) {
+    const orders = this.readAll();
+    const now = new Date().toISOString();
+    // Short sequential numbers are easy to read out to a caller
+    const number = orders.reduce((max, entry) => Math.max(max, entry.number || 0), 1000) + 1;
+    const stored = {
+      id: `ORD-${number}`,
+      number,
+      status: 'received',
+      ...order,
+      created_at: now,
+      updated_at: now
+    };
+
+    orders.push(stored);
+    this.writeAll(orders);
+
+    console.log(`[ORDERS] Stored order ${stored.id} for ${stored.business_id} (${stored.totals.total})`);
+    return stored;
+  }
+
+  get(orderId) {
+    return this.readAll().find(order => order.id === orderId) || null;
+  }
+
+  /**
+   * Orders, newest first
+   * @param {Object} filters - `{ business_id, status }`
+   */
+  list({ business_id, status } = {}) {
+    return this.readAll()
+      .filter(order => !business_id || order.business_id === business_id)
+      .filter(order => !status || order.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Move an order through the kitchen workflow
+   * @returns {Object|null} Updated order, or null if it doesn't exist
+   */
+  updateStatus(orderId, status) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new Error(`Unknown order status: ${status}`);
+    }
+
+    const orders = this.readAll();
+    const order = orders.find(entry => entry.id === orderId);
+    if (!order) return null;
+
+    order.status = status;
+    order.updated_at = new Date().toISOString();
+    this.writeAll(orders);
+
+    return order;
+  }
+}
+
+module.exports = new OrderStore();
+module.exports.OrderStore = OrderStore;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
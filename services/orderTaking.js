@@ -0,0 +1,343 @@
+const { findMenuItems, findSize, findModifiers, answerMenuQuestion, formatMoney } = require('./menu');
+const { Cart, describeLine, readBackOrder } = require('./orders');
+const { findPromotionMention } = require('./promotions');
+const orderStore = require('./orderStore');
+
+// Order sessions nobody has spoken to for this long are dropped
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, single: 1, two: 2, couple: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const DONE = /\b(that'?s (all|it|everything)|that will be all|that'?ll be all|nothing else|i'?m done|no,? thanks?|no thank you|that'?s good)\b/i;
+const CANCEL = /\bcancel\b.*\border\b|\bnever ?mind\b|\bforget (it|the order)\b/i;
+const YES = /\b(yes|yeah|yep|yup|sure|correct|confirm|place (it|the order)|go ahead|sounds good|perfect)\b/i;
+const NO = /\b(no|nope|not|don't|wrong|change)\b/i;
+const DELIVERY = /\bdeliver/i;
+const PICKUP = /\b(pick ?up|collect|take ?out|carry ?out|come (in|by|get))\b/i;
+const QUESTION = /^(how|what|which|is|are|does|do)\b/i;
+const REMOVE = /\b(remove|take off|drop|no more)\b/i;
+
+function parseQuantity(text) {
+  const digits = text.match(/\b(\d{1,2})\b/);
+  if (digits) return Number(digits[1]);
+
+  const word = (text.toLowerCase().match(/\b[a-z]+\b/g) || []).find(token => NUMBER_WORDS[token]);
+  return word ? NUMBER_WORDS[word] : 1;
+}
+
+/**
+ * Takes phone orders from the structured menu, one session per call.
+ *
+ * Stages: `items` (adding to the cart) -> `fulfillment` (pickup or
+ * delivery) -> `address` (delivery only) -> `confirm` (read-back). A
+ * confirmed order is stored in the order store for the kitchen.
+ */
+class OrderTaker {
+  constructor(options = {}) {
+    this.store = options.store || orderStore;
+    this.sessions = new Map();
+  }
+
+  hasSession(sessionId) {
+    return Boolean(sessionId) && this.sessions.has(sessionId);
+  }
+
+  endSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  pruneSessions(now = Date.now()) {
+    for (const [sessionId, session] of this.sessions) {
+      if (now - session.lastActivity > SESSION_TTL_MS) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Handle a caller turn if it belongs to an order
+   * @param {Object} turn
+   * @param {string} turn.sessionId - Call the order belongs to (e.g. CallSid)
+   * @param {string} turn.businessId - Business taking the order
+   * @param {Object} turn.business - Canonical business profile
+   * @param {string} turn.text - What the caller said
+   * @param {string} turn.intent - Detected intent for the turn
+   * @param {string} turn.caller - Caller's phone number, if known
+   * @returns {Object|null} `{ reply, order }` (order once placed), or null
+   *   when the turn is not part of an order
+   */
+  handle({ sessionId, businessId, business, text, intent, caller }) {
+    this.pruneSessions();
+
+    let session = this.sessions.get(sessionId);
+    const isNew = !session;
+    if (!session) {
+      if (intent !== 'order' || !sessionId) return null;
+
+      const menu = business && business.menu;
+      if (!menu || !Array.isArray(menu.categories) || menu.categories.length === 0) {
+        const callUs = business && business.phone ? ` Please call us at ${business.phone} to order.` : '';
+        return { reply: `I'm sorry, I can't take orders over the phone yet.${callUs}` };
+      }
+
+      session = {
+        businessId,
+        business,
+        cart: new Cart(business),
+        stage: 'items',
+        pending: null,
+        fulfillment: null,
+        customer: caller ? { phone: caller } : {},
+        lastActivity: Date.now()
+      };
+      this.sessions.set(sessionId, session);
+      console.log(`[ORDERS] Started order for ${businessId} (${sessionId})`);
+    }
+
+    session.lastActivity = Date.now();
+
+    if (CANCEL.test(text)) {
+      this.endSession(sessionId);
+      return { reply: "No problem, I've cancelled that order. Is there anything else I can help you with?" };
+    }
+
+    const promotion = ['items', 'confirm'].includes(session.stage) && findPromotionMention(session.business, text);
+    if (promotion) {
+      return this.handlePromotion(session, promotion);
+    }
+
+    let turn;
+    switch (session.stage) {
+      case 'fulfillment':
+        turn = this.handleFulfillment(session, text);
+        break;
+      case 'address':
+        turn = this.handleAddress(session, text);
+        break;
+      case 'confirm':
+        turn = this.handleConfirm(sessionId, session, text);
+        break;
+      default:
+        turn = this.handleItems(session, text);
+    }
+
+    if (isNew && session.cart.isEmpty() && !session.pending) {
+      return { reply: 'Sure! What would you like to order?' };
+    }
+    return turn;
+  }
+
+  handlePromotion(session, promotion) {
+    const next = session.stage === 'confirm' ? null : 'Anything else?';
+
+    try {
+      session.cart.applyPromotion(promotion);
+    } catch (error) {
+      return { reply: `Sorry, ${error.message}. ${next || 'Shall I place the order?'}` };
+    }
+
+    const requires = promotion.conditions && promotion.conditions.requires
+      ? ` Please have your ${promotion.conditions.requires} ready when you get your order.`
+      : '';
+    const reply = `I've added the ${promotion.name}.${requires}`;
+
+    if (!next) {
+      return { reply: `${reply} ${this.readBack(session).reply}` };
+    }
+    return { reply: `${reply} ${next}` };
+  }
+
+  handleItems(session, text) {
+    const { cart, business } = session;
+
+    if (QUESTION.test(text.trim()) && !session.pending) {
+      const answer = answerMenuQuestion(business, text);
+      if (answer) return { reply: `${answer} What would you like to order?` };
+    }
+
+    if (REMOVE.test(text)) {
+      return this.handleRemove(session, text);
+    }
+
+    if (session.pending) {
+      const size = findSize(session.pending.item, text);
+      if (size) {
+        const { item, quantity, modifiers } = session.pending;
+        session.pending = null;
+        const line = cart.addItem({ item_id: item.id, size: size.name, quantity, modifiers });
+        return { reply: `Got it, ${describeLine(line)}. Anything else?` };
+      }
+    }
+
+    const added = [];
+    const segments = text.split(/,|\band\b|\bplus\b|\balso\b/i).filter(segment => segment.trim());
+    let lastItem = null;
+    let lastModifiers = null;
+
+    for (const segment of segments) {
+      const [item] = findMenuItems(business.menu, segment);
+
+      if (!item) {
+        // "... with extra cheese and extra jalapeños" continues the previous item
+        if (lastModifiers) {
+          findModifiers(lastItem, segment).forEach(modifier => lastModifiers.push(modifier.name));
+        }
+        continue;
+      }
+
+      lastItem = item;
+      lastModifiers = findModifiers(item, segment).map(modifier => modifier.name);
+      added.push({ item, segment, modifiers: lastModifiers });
+    }
+
+    if (added.length === 0) {
+      if (DONE.test(text)) {
+        return cart.isEmpty()
+          ? { reply: 'What would you like to order?' }
+          : this.askFulfillment(session);
+      }
+      if (session.pending) {
+        const sizes = session.pending.item.sizes.map(size => size.name.toLowerCase()).join(', ');
+        return { reply: `Which size would you like: ${sizes}?` };
+      }
+      return { reply: "Sorry, I couldn't find that on our menu. What would you like to order?" };
+    }
+
+    const lines = [];
+    const problems = [];
+    for (const { item, segment, modifiers } of added) {
+      const quantity = parseQuantity(segment);
+
+      if (item.available === false) {
+        problems.push(`Sorry, the ${item.name} isn't available right now.`);
+        continue;
+      }
+
+      const size = findSize(item, segment);
+      if (item.sizes && item.sizes.length > 0 && !size) {
+        session.pending = { item, quantity, modifiers };
+        continue;
+      }
+
+      lines.push(cart.addItem({ item_id: item.id, size: size && size.name, quantity, modifiers }));
+    }
+
+    const parts = [];
+    if (lines.length > 0) parts.push(`Got it, ${lines.map(describeLine).join(', ')}.`);
+    parts.push(...problems);
+
+    if (session.pending) {
+      const { item } = session.pending;
+      const sizes = item.sizes.map(size => `${size.name.toLowerCase()} (${formatMoney(size.price)})`).join(', ');
+      parts.push(`What size would you like the ${item.name} in: ${sizes}?`);
+    } else {
+      parts.push('Anything else?');
+    }
+
+    return { reply: parts.join(' ') };
+  }
+
+  handleRemove(session, text) {
+    const { cart } = session;
+    const [item] = findMenuItems(session.business.menu, text);
+    const index = item ? cart.lines.map(line => line.item_id).lastIndexOf(item.id) : -1;
+
+    if (index === -1) {
+      return { reply: "I couldn't find that in your order. What would you like to remove?" };
+    }
+
+    const removed = cart.removeLine(index);
+    return { reply: `Okay, I've removed ${describeLine(removed)}. Anything else?` };
+  }
+
+  askFulfillment(session) {
+    const delivery = session.business.delivery || {};
+    if (!delivery.available) {
+      session.fulfillment = 'pickup';
+      return this.readBack(session);
+    }
+
+    session.stage = 'fulfillment';
+    return { reply: 'Will that be for pickup or delivery?' };
+  }
+
+  handleFulfillment(session, text) {
+    if (DELIVERY.test(text)) {
+      const totals = session.cart.getTotals('delivery');
+      if (totals.below_minimum) {
+        session.stage = 'items';
+        return {
+          reply: `Our delivery minimum is ${formatMoney(totals.minimum)} and your order is ${formatMoney(totals.subtotal)} so far. ` +
+            'Would you like to add something, or make it pickup?'
+        };
+      }
+
+      session.fulfillment = 'delivery';
+      session.stage = 'address';
+      return { reply: 'What address should we deliver to?' };
+    }
+
+    if (PICKUP.test(text)) {
+      session.fulfillment = 'pickup';
+      return this.readBack(session);
+    }
+
+    return { reply: 'Sorry, was that pickup or delivery?' };
+  }
+
+  handleAddress(session, text) {
+    session.customer.address = text.trim().replace(/[.?!]+$/, '');
+    return this.readBack(session);
+  }
+
+  readBack(session) {
+    session.stage = 'confirm';
+    return {
+      reply: readBackOrder({
+        lines: session.cart.lines,
+        fulfillment: session.fulfillment,
+        totals: session.cart.getTotals(session.fulfillment),
+        customer: session.customer
+      })
+    };
+  }
+
+  handleConfirm(sessionId, session, text) {
+    // "No, that's not correct" says correct too
+    if (YES.test(text) && !NO.test(text)) {
+      const order = this.store.create({
+        business_id: session.businessId,
+        source: 'phone',
+        session_id: sessionId,
+        fulfillment: session.fulfillment,
+        customer: session.customer,
+        lines: session.cart.lines,
+        totals: session.cart.getTotals(session.fulfillment)
+      });
+      this.endSession(sessionId);
+
+      const delivery = session.business.delivery || {};
+      const timing = order.fulfillment === 'delivery' && delivery.estimated_time
+        ? ` It should be with you in about ${delivery.estimated_time}.`
+        : '';
+      return {
+        reply: `Your order is placed! Your order number is ${order.number}.${timing} Is there anything else I can help you with?`,
+        order
+      };
+    }
+
+    if (NO.test(text)) {
+      session.stage = 'items';
+      session.fulfillment = null;
+      return { reply: 'No problem. What would you like to change? You can add items or say remove and the item name.' };
+    }
+
+    return { reply: 'Sorry, shall I place the order? Please say yes or no.' };
+  }
+}
+
+module.exports = new OrderTaker();
+module.exports.OrderTaker = OrderTaker;
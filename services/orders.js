@@ -0,0 +1,249 @@
+const { formatMoney, getMenuItems } = require('./menu');
+const { findPromotion, whyInactive, evaluatePromotion } = require('./promotions');
+
+const FULFILLMENT_TYPES = ['pickup', 'delivery'];
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * An order being built from a business's structured menu.
+ *
+ * Lines are priced from the menu when added, so totals never depend on
+ * prices the caller (or an API client) claims.
+ */
+class Cart {
+  /**
+   * @param {Object} business - Canonical business profile with a `menu`
+   */
+  constructor(business) {
+    this.business = business || {};
+    this.items = getMenuItems(this.business.menu);
+    this.lines = [];
+    this.promotion = null;
+  }
+
+  /**
+   * Add a menu item to the cart
+   * @param {Object} line
+   * @param {string} line.item_id - Menu item ID
+   * @param {string} line.size - Size name, required for items sold in sizes
+   * @param {number} line.quantity - How many (default 1)
+   * @param {string[]} line.modifiers - Modifier names, e.g. ['Extra cheese']
+   * @returns {Object} The priced cart line
+   */
+  addItem({ item_id, size, quantity = 1, modifiers = [] }) {
+    const item = this.items.find(entry => entry.id === item_id);
+    if (!item) {
+      throw new Error(`Unknown menu item: ${item_id}`);
+    }
+    if (item.available === false) {
+      throw new Error(`${item.name} is not available right now`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error('Quantity must be a whole number of at least 1');
+    }
+
+    let basePrice = item.price;
+    let sizeName;
+    if (item.sizes && item.sizes.length > 0) {
+      const match = item.sizes.find(entry => size && entry.name.toLowerCase() === String(size).toLowerCase());
+      if (!match) {
+        throw new Error(`Choose a size for ${item.name}: ${item.sizes.map(entry => entry.name).join(', ')}`);
+      }
+      basePrice = match.price;
+      sizeName = match.name;
+    }
+    if (basePrice === undefined) {
+      throw new Error(`${item.name} has no price on the menu`);
+    }
+
+    const chosen = modifiers.map(name => {
+      const modifier = (item.modifiers || []).find(entry => entry.name.toLowerCase() === String(name).toLowerCase());
+      if (!modifier) {
+        throw new Error(`${name} is not available on ${item.name}`);
+      }
+      return { name: modifier.name, price: modifier.price || 0 };
+    });
+
+    const unitPrice = roundMoney(basePrice + chosen.reduce((sum, modifier) => sum + modifier.price, 0));
+    const line = {
+      item_id: item.id,
+      name: item.name,
+      ...(sizeName && { size: sizeName }),
+      quantity,
+      modifiers: chosen,
+      unit_price: unitPrice,
+      line_total: roundMoney(unitPrice * quantity)
+    };
+
+    this.lines.push(line);
+    return line;
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {number} index - Line index
+   * @returns {Object|null} Removed line
+   */
+  removeLine(index) {
+    const [removed] = this.lines.splice(index, 1);
+    return removed || null;
+  }
+
+  isEmpty() {
+    return this.lines.length === 0;
+  }
+
+  /**
+   * Use a promotion code on this cart. Whether the order qualifies is
+   * checked with the totals, since items and fulfillment can still change.
+   * @param {string|Object} code - Promotion code, or the promotion itself
+   * @param {Date} now - Current time
+   * @returns {Object} The promotion
+   */
+  applyPromotion(code, now = new Date()) {
+    const promotion = typeof code === 'object' ? code : findPromotion(this.business, code);
+    if (!promotion) {
+      throw new Error(`${code} is not a valid promotion code`);
+    }
+
+    if (!promotion.type) {
+      throw new Error(`${promotion.name} can't be applied automatically`);
+    }
+
+    const inactive = whyInactive(promotion, this.business, now);
+    if (inactive) {
+      throw new Error(inactive);
+    }
+
+    this.promotion = promotion;
+    return promotion;
+  }
+
+  /**
+   * Totals for the cart as pickup or delivery
+   * @param {string} fulfillment - 'pickup' or 'delivery'
+   * @param {Date} now - Current time, for promotion validity
+   */
+  getTotals(fulfillment = 'pickup', now = new Date()) {
+    return computeOrderTotals(this.lines, this.business, fulfillment, { promotion: this.promotion, now });
+  }
+}
+
+/**
+ * Subtotal, tax, delivery fee and total for order lines.
+ *
+ * Tax uses the business `tax_rate` on the subtotal less any promotion
+ * discount. Delivery adds the business delivery fee unless the subtotal
+ * reaches `free_over`; orders below the delivery `minimum` are flagged so
+ * they can't be placed.
+ * @param {Object[]} lines - Priced cart lines
+ * @param {Object} business - Canonical business profile
+ * @param {string} fulfillment - 'pickup' or 'delivery'
+ * @param {Object} options
+ * @param {Object} options.promotion - Promotion to apply (see services/promotions.js)
+ * @param {Date} options.now - Current time, for promotion validity
+ * @returns {Object} `{ subtotal, tax, delivery_fee, total, below_minimum, minimum }`,
+ *   plus `discount` and `promotion` when a promotion was given
+ */
+function computeOrderTotals(lines, business, fulfillment = 'pickup', { promotion = null, now = new Date() } = {}) {
+  const delivery = (business && business.delivery) || {};
+  const taxRate = (business && business.tax_rate) || 0;
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+
+  let deliveryFee = 0;
+  let belowMinimum = false;
+  if (fulfillment === 'delivery') {
+    const free = delivery.free_over !== undefined && subtotal >= delivery.free_over;
+    deliveryFee = free ? 0 : (delivery.fee || 0);
+    belowMinimum = delivery.minimum !== undefined && subtotal < delivery.minimum;
+  }
+
+  let discount = 0;
+  let applied = null;
+  if (promotion) {
+    const result = evaluatePromotion(promotion, { lines, subtotal, fulfillment }, business, now);
+    applied = {
+      code: promotion.code,
+      name: promotion.name,
+      applied: result.applied,
+      ...(result.reason && { reason: result.reason }),
+      ...(promotion.conditions && promotion.conditions.requires && { requires: promotion.conditions.requires })
+    };
+
+    if (result.applied) {
+      discount = Math.min(result.discount, subtotal);
+      if (result.free_delivery) deliveryFee = 0;
+    }
+  }
+
+  const tax = roundMoney((subtotal - discount) * taxRate);
+
+  return {
+    subtotal,
+    ...(promotion && { discount: roundMoney(discount) }),
+    tax,
+    delivery_fee: roundMoney(deliveryFee),
+    total: roundMoney(subtotal - discount + tax + deliveryFee),
+    below_minimum: belowMinimum,
+    ...(fulfillment === 'delivery' && delivery.minimum !== undefined && { minimum: delivery.minimum }),
+    ...(applied && { promotion: applied })
+  };
+}
+
+/**
+ * Spoken description of a cart line, e.g. "2 large Karachi Special Pizzas
+ * with extra cheese"
+ */
+function describeLine(line) {
+  const name = line.quantity > 1 && !line.name.endsWith('s') ? `${line.name}s` : line.name;
+  const size = line.size ? `${line.size.toLowerCase()} ` : '';
+  const modifiers = line.modifiers.length > 0
+    ? ` with ${line.modifiers.map(modifier => modifier.name.toLowerCase()).join(' and ')}`
+    : '';
+  return `${line.quantity} ${size}${name}${modifiers}`;
+}
+
+/**
+ * Read-back of an order for the caller to confirm
+ * @param {Object} order - `{ lines, fulfillment, totals, customer }`
+ * @returns {string}
+ */
+function readBackOrder({ lines, fulfillment, totals, customer = {} }) {
+  const parts = [
+    `So that's ${lines.map(describeLine).join(', ')}`,
+    fulfillment === 'delivery'
+      ? `for delivery${customer.address ? ` to ${customer.address}` : ''}.`
+      : 'for pickup.',
+    `Your subtotal is ${formatMoney(totals.subtotal)}`
+  ];
+
+  const extras = [];
+  if (totals.promotion && totals.promotion.applied) {
+    extras.push(totals.discount > 0
+      ? `the ${totals.promotion.name} saves you ${formatMoney(totals.discount)}`
+      : `the ${totals.promotion.name} applies`);
+  }
+  if (totals.tax > 0) extras.push(`tax is ${formatMoney(totals.tax)}`);
+  if (fulfillment === 'delivery') {
+    extras.push(totals.delivery_fee > 0 ? `delivery is ${formatMoney(totals.delivery_fee)}` : 'delivery is free');
+  }
+
+  const notApplied = totals.promotion && !totals.promotion.applied
+    ? ` I couldn't apply your code: ${totals.promotion.reason}.`
+    : '';
+
+  return `${parts.join(' ')}${extras.length > 0 ? `, ${extras.join(', ')}` : ''}, ` +
+    `for a total of ${formatMoney(totals.total)}.${notApplied} Shall I place the order?`;
+}
+
+module.exports = {
+  FULFILLMENT_TYPES,
+  Cart,
+  computeOrderTotals,
+  describeLine,
+  readBackOrder
+};
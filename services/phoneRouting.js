@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROUTING_FILE = path.join(__dirname, '..', 'phone-routing.json');
+
+/**
+ * Normalize a phone number to E.164 so "(672) 207-2526", "672-207-2526"
+ * and "+16722072526" all match the same routing entry.
+ * @param {string} phoneNumber - Number as dialled or as sent by Twilio
+ * @returns {string|null} E.164 number, or null if there are no digits
+ */
+function normalizePhoneNumber(phoneNumber) {
+  if (!phoneNumber) return null;
+
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  if (!digits) return null;
+
+  // North American numbers without a country code
+  if (digits.length === 10 && !String(phoneNumber).trim().startsWith('+')) {
+    return `+1${digits}`;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Maps the Twilio number a caller dialled to the business that answers it.
+ *
+ * The table lives in phone-routing.json (or PHONE_ROUTING_FILE):
+ * `{ "default_business_id": "...", "numbers": { "+15551234567": "business_id" } }`
+ */
+class PhoneRouter {
+  constructor(options = {}) {
+    this.routingFile = options.routingFile || process.env.PHONE_ROUTING_FILE || DEFAULT_ROUTING_FILE;
+    this.table = null;
+  }
+
+  loadTable() {
+    const table = { defaultBusinessId: null, numbers: new Map() };
+
+    if (!fs.existsSync(this.routingFile)) {
+      console.warn(`[ROUTING] Routing table not found: ${this.routingFile}`);
+      return table;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.routingFile, 'utf8'));
+    table.defaultBusinessId = data.default_business_id || null;
+
+    for (const [phoneNumber, businessId] of Object.entries(data.numbers || {})) {
+      const normalized = normalizePhoneNumber(phoneNumber);
+      if (normalized) {
+        table.numbers.set(normalized, businessId);
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Re-read the routing table from disk
+   * @returns {number} Number of routed phone numbers
+   */
+  reload() {
+    this.table = this.loadTable();
+    return this.table.numbers.size;
+  }
+
+  getTable() {
+    if (!this.table) {
+      this.reload();
+    }
+    return this.table;
+  }
+
+  /**
+   * Business for an incoming call
+   * @param {string} toNumber - Twilio `To` number
+   * @returns {string} Routed business ID, else DEFAULT_BUSINESS_ID, else
+   *   the table default, else 'pizzakarachi'
+   */
+  resolveBusinessId(toNumber) {
+    const table = this.getTable();
+    const normalized = normalizePhoneNumber(toNumber);
+
+    if (normalized && table.numbers.has(normalized)) {
+      return table.numbers.get(normalized);
+    }
+
+    if (toNumber) {
+      console.log(`[ROUTING] No business routed for ${toNumber}, using default`);
+    }
+
+    return process.env.DEFAULT_BUSINESS_ID || table.defaultBusinessId || 'pizzakarachi';
+  }
+}
+
+const phoneRouter = new PhoneRouter();
+
+module.exports = phoneRouter;
+module.exports.PhoneRouter = PhoneRouter;
+module.exports.normalizePhoneNumber = normalizePhoneNumber;
@@ -0,0 +1,160 @@
+const CHUNK_BYTES = 160; // 20ms of 8kHz μ-law
+const CHUNK_INTERVAL_MS = 20;
+
+/**
+ * Estimate which part of a spoken response the caller actually heard,
+ * assuming words are spread evenly across the audio.
+ * @param {string} text - Full response text
+ * @param {number} fraction - Portion of the audio that was played (0-1)
+ * @returns {string} The leading words that were played
+ */
+function estimateHeardText(text, fraction) {
+  if (!text) return '';
+  if (fraction >= 1) return text;
+
+  const words = text.trim().split(/\s+/);
+  const heardWords = Math.floor(words.length * Math.max(0, fraction));
+  return words.slice(0, heardWords).join(' ');
+}
+
+/**
+ * Paces outgoing μ-law audio to a Twilio media stream for one call and lets
+ * it be cut off mid-utterance when the caller barges in.
+ */
+class PlaybackController {
+  /**
+   * @param {Object} options
+   * @param {string} options.streamSid - Twilio stream the audio belongs to
+   * @param {Function} options.send - Sends a Twilio stream message object
+   */
+  constructor({ streamSid, send, chunkBytes = CHUNK_BYTES, chunkIntervalMs = CHUNK_INTERVAL_MS }) {
+    this.streamSid = streamSid;
+    this.send = send;
+    this.chunkBytes = chunkBytes;
+    this.chunkIntervalMs = chunkIntervalMs;
+    this.current = null;
+    this.interruptions = 0;
+  }
+
+  isPlaying() {
+    return this.current !== null;
+  }
+
+  /**
+   * Stream audio to the caller, replacing anything still playing
+   * @param {Buffer} mulawBuffer - μ-law encoded audio
+   * @param {Object} options
+   * @param {string} options.text - Text being spoken (used for truncation)
+   * @returns {Promise<Object>} Resolves with the playback result when the
+   *   audio finishes or is cancelled
+   */
+  play(mulawBuffer, { text = '' } = {}) {
+    if (this.current) {
+      this.cancel('replaced');
+    }
+
+    return new Promise(resolve => {
+      const playback = {
+        audio: mulawBuffer,
+        text,
+        offset: 0,
+        startedAt: Date.now(),
+        timer: null,
+        resolve
+      };
+      this.current = playback;
+
+      const sendChunk = () => {
+        if (this.current !== playback) return;
+
+        if (playback.offset >= playback.audio.length) {
+          this.finish(playback, { completed: true, interrupted: false, reason: 'completed' });
+          return;
+        }
+
+        const chunk = playback.audio.subarray(playback.offset, playback.offset + this.chunkBytes);
+        const sent = this.send({
+          event: 'media',
+          streamSid: this.streamSid,
+          media: {
+            payload: chunk.toString('base64')
+          }
+        });
+
+        if (sent === false) {
+          this.finish(playback, { completed: false, interrupted: false, reason: 'disconnected' });
+          return;
+        }
+
+        playback.offset += chunk.length;
+        playback.timer = setTimeout(sendChunk, this.chunkIntervalMs);
+      };
+
+      sendChunk();
+    });
+  }
+
+  /**
+   * Stop the current playback and flush audio Twilio has already buffered
+   * @param {string} reason - Why playback stopped (e.g. 'barge_in')
+   * @returns {Object|null} Truncation details, or null if nothing was playing
+   */
+  cancel(reason = 'barge_in') {
+    const playback = this.current;
+    if (!playback) return null;
+
+    clearTimeout(playback.timer);
+
+    this.send({
+      event: 'clear',
+      streamSid: this.streamSid
+    });
+
+    if (reason === 'barge_in') {
+      this.interruptions++;
+    }
+
+    return this.finish(playback, { completed: false, interrupted: true, reason });
+  }
+
+  finish(playback, outcome) {
+    clearTimeout(playback.timer);
+    this.current = null;
+
+    const totalMs = Math.round(playback.audio.length / 8);
+    const sentMs = Math.round(playback.offset / 8);
+    const elapsedMs = Date.now() - playback.startedAt;
+    const playedMs = outcome.completed ? totalMs : Math.min(sentMs, elapsedMs);
+    const fraction = totalMs > 0 ? playedMs / totalMs : 1;
+
+    const result = {
+      ...outcome,
+      text: playback.text,
+      heardText: outcome.completed ? playback.text : estimateHeardText(playback.text, fraction),
+      playedMs,
+      totalMs
+    };
+
+    playback.resolve(result);
+    return result;
+  }
+
+  getState() {
+    if (!this.current) {
+      return { playing: false, interruptions: this.interruptions };
+    }
+
+    return {
+      playing: true,
+      interruptions: this.interruptions,
+      elapsedMs: Date.now() - this.current.startedAt,
+      totalMs: Math.round(this.current.audio.length / 8),
+      text: this.current.text
+    };
+  }
+}
+
+module.exports = {
+  PlaybackController,
+  estimateHeardText
+};
@@ -0,0 +1,216 @@
+const { formatMoney, getMenuItems } = require('./menu');
+
+/**
+ * Promotion rules engine.
+ *
+ * Applies the business `promotions` (see services/businessProfile.js) to an
+ * order: percentage off the subtotal, fixed-price bundles and free delivery,
+ * each with an optional validity window, days of the week and conditions.
+ */
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Calendar date and weekday of a moment in the business's time zone
+ * @param {Date} now - Moment to convert
+ * @param {string} timeZone - IANA time zone; server time when missing
+ * @returns {{ date: string, day: string }} e.g. `{ date: '2026-10-18', day: 'sunday' }`
+ */
+function localDate(now, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, day: parts.weekday.toLowerCase() };
+}
+
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Find a promotion by the code a caller or client gave
+ * @param {Object} business - Canonical business profile
+ * @param {string} code - Promotion code, any case or spacing ("family 39")
+ * @returns {Object|null} Promotion
+ */
+function findPromotion(business, code) {
+  const wanted = normalizeCode(code);
+  if (!wanted) return null;
+
+  return ((business && business.promotions) || [])
+    .find(promotion => promotion.code && normalizeCode(promotion.code) === wanted) || null;
+}
+
+/**
+ * A promotion the caller mentioned by code ("code family 39") or by name
+ * ("the student special")
+ * @param {Object} business - Canonical business profile
+ * @param {string} text - Caller input
+ * @returns {Object|null} Promotion
+ */
+function findPromotionMention(business, text) {
+  const spoken = normalizeCode(text);
+  if (!spoken) return null;
+
+  return ((business && business.promotions) || []).find(promotion =>
+    (promotion.code && spoken.includes(normalizeCode(promotion.code))) ||
+    spoken.includes(normalizeCode(promotion.name))) || null;
+}
+
+/**
+ * Why a promotion can't be used right now, ignoring the order itself
+ * @returns {string|null} Reason, or null when it is running
+ */
+function whyInactive(promotion, business, now = new Date()) {
+  if (promotion.active === false) return `${promotion.name} isn't running at the moment`;
+
+  const { date, day } = localDate(now, business && business.timezone);
+  if (promotion.valid_from && date < promotion.valid_from.slice(0, 10)) {
+    return `${promotion.name} starts on ${promotion.valid_from.slice(0, 10)}`;
+  }
+  if (promotion.valid_until && date > promotion.valid_until.slice(0, 10)) {
+    return `${promotion.name} ended on ${promotion.valid_until.slice(0, 10)}`;
+  }
+  if (promotion.days && promotion.days.length > 0 && !promotion.days.includes(day)) {
+    return `${promotion.name} is only available on ${promotion.days.map(entry => entry.charAt(0).toUpperCase() + entry.slice(1)).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Promotions that are running now
+ * @param {Object} business - Canonical business profile
+ * @param {Date} now - Current time
+ * @returns {Object[]} Promotions
+ */
+function getActivePromotions(business, now = new Date()) {
+  return ((business && business.promotions) || [])
+    .filter(promotion => !whyInactive(promotion, business, now));
+}
+
+/**
+ * Discount from the cheapest way to fill a bundle with the order's lines.
+ * Units matching a component are taken most expensive first, so the caller
+ * always gets the best saving.
+ */
+function bundleDiscount(bundle, lines, business) {
+  const items = getMenuItems(business.menu);
+  const categoryOf = (itemId) => {
+    const item = items.find(entry => entry.id === itemId);
+    return item ? item.category.id : null;
+  };
+
+  // One entry per unit ordered, so each unit fills at most one bundle slot
+  const units = lines
+    .flatMap(line => Array.from({ length: line.quantity }, () => ({ line, used: false })))
+    .sort((a, b) => b.line.unit_price - a.line.unit_price);
+
+  let regularPrice = 0;
+  for (const component of bundle.items) {
+    const matches = units.filter(unit => !unit.used &&
+      (!component.item_id || unit.line.item_id === component.item_id) &&
+      (!component.category || [].concat(component.category).includes(categoryOf(unit.line.item_id))) &&
+      (!component.size || (unit.line.size || '').toLowerCase() === component.size.toLowerCase()));
+
+    if (matches.length < component.quantity) return null;
+
+    matches.slice(0, component.quantity).forEach(unit => {
+      unit.used = true;
+      regularPrice += unit.line.unit_price;
+    });
+  }
+
+  return Math.max(0, roundMoney(regularPrice - bundle.price));
+}
+
+function describeBundleShortfall(bundle) {
+  return bundle.items.map(component => {
+    const what = component.item_id || [].concat(component.category).join(' or ');
+    return `${component.quantity} ${component.size ? `${component.size.toLowerCase()} ` : ''}${what.replace(/-/g, ' ')}`;
+  }).join(' and ');
+}
+
+/**
+ * Apply a promotion to an order
+ * @param {Object} promotion - Promotion from the business profile
+ * @param {Object} order - `{ lines, subtotal, fulfillment }`
+ * @param {Object} business - Canonical business profile
+ * @param {Date} now - Current time
+ * @returns {Object} `{ applied: true, discount, free_delivery }` or
+ *   `{ applied: false, reason }`
+ */
+function evaluatePromotion(promotion, { lines, subtotal, fulfillment }, business, now = new Date()) {
+  if (!promotion.type) {
+    return { applied: false, reason: `${promotion.name} can't be applied automatically` };
+  }
+
+  const inactive = whyInactive(promotion, business, now);
+  if (inactive) return { applied: false, reason: inactive };
+
+  const conditions = promotion.conditions || {};
+  if (conditions.min_subtotal !== undefined && subtotal < conditions.min_subtotal) {
+    return { applied: false, reason: `${promotion.name} needs an order of at least ${formatMoney(conditions.min_subtotal)}` };
+  }
+  if (conditions.fulfillment && !conditions.fulfillment.includes(fulfillment)) {
+    return { applied: false, reason: `${promotion.name} is only for ${conditions.fulfillment.join(' or ')} orders` };
+  }
+
+  switch (promotion.type) {
+    case 'percent_off':
+      return { applied: true, discount: roundMoney(subtotal * promotion.percent / 100), free_delivery: false };
+
+    case 'bundle': {
+      const discount = bundleDiscount(promotion.bundle, lines, business);
+      if (discount === null) {
+        return { applied: false, reason: `${promotion.name} needs ${describeBundleShortfall(promotion.bundle)}` };
+      }
+      return { applied: true, discount, free_delivery: false };
+    }
+
+    case 'free_delivery':
+      if (fulfillment !== 'delivery') {
+        return { applied: false, reason: `${promotion.name} is only for delivery orders` };
+      }
+      return { applied: true, discount: 0, free_delivery: true };
+
+    default:
+      return { applied: false, reason: `Unknown promotion type: ${promotion.type}` };
+  }
+}
+
+/**
+ * Spoken list of the deals running now, e.g. for "any specials today?"
+ * @param {Object} business - Canonical business profile
+ * @param {Date} now - Current time
+ * @returns {string|null} Sentence, or null when nothing is running
+ */
+function describeActivePromotions(business, now = new Date()) {
+  const promotions = getActivePromotions(business, now);
+  if (promotions.length === 0) return null;
+
+  const deals = promotions.map(promotion => {
+    const description = promotion.description ? `: ${promotion.description}` : '';
+    const code = promotion.code ? ` with code ${promotion.code}` : '';
+    return `the ${promotion.name}${description}${code}`;
+  });
+
+  return `Our current deals are ${deals.join('; and ')}.`;
+}
+
+module.exports = {
+  localDate,
+  findPromotion,
+  findPromotionMention,
+  whyInactive,
+  getActivePromotions,
+  evaluatePromotion,
+  describeActivePromotions
+};
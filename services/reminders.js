@@ -0,0 +1,262 @@
+const fs = require('fs');
+const bookingService = require('./bookingService');
+const messaging = require('./messaging');
+const { getBusinessFilePath, loadBusinessData, getBusinessName } = require('./businessData');
+const { getLocalTime, formatDate, formatTime } = require('./businessHours');
+const { formatMoney } = require('./menu');
+
+// A day before, unless the business profile sets `booking.reminders`
+const DEFAULT_OFFSETS_MINUTES = [24 * 60];
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+const CONFIRM = /^\s*(c|confirm(ed)?|yes|y)\b/i;
+const CANCEL = /^\s*(x|cancel)\b/i;
+
+// Profile of the business a booking is with, or null
+function loadBusiness(businessId) {
+  return businessId && fs.existsSync(getBusinessFilePath(businessId))
+    ? loadBusinessData(businessId)
+    : null;
+}
+
+/**
+ * Texts customers before their bookings ("Reply C to confirm or X to
+ * cancel") and acts on the replies. The offsets come from the business
+ * profile's `booking.reminders.offsets_minutes`; which ones were sent is
+ * kept on the booking (`remindersSent`), so a restart or a second server
+ * doesn't send them twice. Each run also passes expired waitlist offers to
+ * the next in line.
+ */
+class ReminderService {
+  constructor(options = {}) {
+    this.bookings = options.bookings || bookingService;
+    this.messaging = options.messaging || messaging;
+    this.loadBusiness = options.loadBusiness || loadBusiness;
+    this.intervalMs = options.intervalMs || Number(process.env.REMINDER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+  }
+
+  /**
+   * Check for due reminders every `intervalMs` until stop() is called
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sendDueReminders().catch(error => console.error('[REMINDERS] Run failed:', error));
+      this.bookings.expireWaitlistOffers({ loadBusiness: this.loadBusiness })
+        .catch(error => console.error('[WAITLIST] Passing on expired offers failed:', error));
+    }, this.intervalMs);
+    // Don't keep the process alive just for reminders
+    this.timer.unref();
+    console.log(`[REMINDERS] Checking for due reminders every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Minutes before the start to remind at, or none when the business has
+   * turned reminders off
+   */
+  getOffsets(business) {
+    const reminders = (business && business.booking && business.booking.reminders) || {};
+    if (reminders.enabled === false) return [];
+    return reminders.offsets_minutes || DEFAULT_OFFSETS_MINUTES;
+  }
+
+  /**
+   * Offsets whose time has come for a booking and that haven't been sent.
+   * Offsets that had already passed when the booking was made are skipped.
+   */
+  dueOffsets(booking, offsets, now) {
+    const start = new Date(booking.startTime).getTime();
+    const created = new Date(booking.createdAt || 0).getTime();
+    const sent = (booking.remindersSent || []).map(reminder => reminder.offsetMinutes);
+
+    return offsets.filter(offset => {
+      const remindAt = start - offset * 60000;
+      return remindAt <= now.getTime() && remindAt >= created && !sent.includes(offset);
+    });
+  }
+
+  /**
+   * Send every reminder that is due. When several are due for a booking
+   * (e.g. the server was down) only the one closest to the start is sent.
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object[]>} `[{ bookingId, offsetMinutes, messageId }]` sent
+   */
+  async sendDueReminders({ now = new Date() } = {}) {
+    const upcoming = (await this.bookings.getAllBookings({ status: 'confirmed' }))
+      .filter(booking => booking.customerPhone && new Date(booking.startTime) > now);
+
+    const businesses = new Map();
+    const sent = [];
+    for (const booking of upcoming) {
+      if (!businesses.has(booking.businessId)) {
+        businesses.set(booking.businessId, this.loadBusiness(booking.businessId));
+      }
+      const business = businesses.get(booking.businessId);
+
+      const due = this.dueOffsets(booking, this.getOffsets(business), now);
+      if (due.length === 0) continue;
+
+      const reminder = await this.sendReminder(booking, business, due, now);
+      if (reminder) sent.push(reminder);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Claim the due offsets on the booking, then text the customer. The
+   * claim is dropped again if the message can't be sent, so the next run
+   * retries it.
+   */
+  async sendReminder(booking, business, due, now) {
+    const offsetMinutes = Math.min(...due);
+    let claimed = false;
+
+    await this.bookings.store.update(booking.bookingId, current => {
+      const still = this.dueOffsets(current, due, now);
+      if (current.status !== 'confirmed' || still.length !== due.length) return {};
+
+      claimed = true;
+      return {
+        remindersSent: [
+          ...(current.remindersSent || []),
+          ...due.map(offset => ({ offsetMinutes: offset, sentAt: now.toISOString(), skipped: offset !== offsetMinutes }))
+        ]
+      };
+    });
+    if (!claimed) return null;
+
+    try {
+      const { messageId } = await this.messaging.sendSms({
+        to: booking.customerPhone,
+        body: this.describeReminder(booking, business)
+      });
+
+      console.log(`[REMINDERS] Sent ${booking.bookingId} reminder (${offsetMinutes} minutes before)`);
+      return { bookingId: booking.bookingId, offsetMinutes, messageId };
+    } catch (error) {
+      console.error(`[REMINDERS] Couldn't send ${booking.bookingId} reminder:`, error.message);
+      await this.bookings.store.update(booking.bookingId, current => ({
+        remindersSent: (current.remindersSent || []).filter(reminder => !due.includes(reminder.offsetMinutes))
+      }));
+      return null;
+    }
+  }
+
+  describeReminder(booking, business) {
+    const name = getBusinessName(business, 'us');
+    return `Reminder: your booking with ${name} is ${this.describeTime(booking, business)} ` +
+      `(booking ${booking.number}). Reply C to confirm or X to cancel.`;
+  }
+
+  /**
+   * "on Tuesday, October 20 at 7 PM" in the business's time zone
+   */
+  describeTime(booking, business) {
+    const local = getLocalTime(new Date(booking.startTime), business && business.timezone);
+    return `on ${formatDate(local.date)} at ${formatTime(local.minutes)}`;
+  }
+
+  /**
+   * Act on a text back from a customer: C confirms their next reminded
+   * booking, X cancels it. When cancelling costs a fee they're told first
+   * and a second X cancels anyway.
+   * @param {Object} message
+   * @param {string} message.from - Customer's phone number
+   * @param {string} message.body - What they texted
+   * @param {Date} message.now - Current time
+   * @returns {Promise<Object>} `{ reply, action, booking }`; action is
+   *   'confirmed', 'cancelled', 'fee_quoted' or null
+   */
+  async handleReply({ from, body, now = new Date() }) {
+    const booking = await this.findRemindedBooking(from, now);
+    if (!booking) {
+      return {
+        reply: "We couldn't find an upcoming booking for this number. Please call us if you need to make a change.",
+        action: null,
+        booking: null
+      };
+    }
+
+    const business = this.loadBusiness(booking.businessId);
+    const when = this.describeTime(booking, business);
+
+    if (CONFIRM.test(body)) {
+      const confirmed = await this.bookings.updateBooking(booking.bookingId, {
+        customerConfirmedAt: now.toISOString(),
+        cancelFeeQuotedAt: null
+      }, business, { now });
+      console.log(`[REMINDERS] ${booking.bookingId} confirmed by text`);
+      return { reply: `Thanks, your booking ${when} is confirmed. See you then!`, action: 'confirmed', booking: confirmed };
+    }
+
+    if (CANCEL.test(body)) {
+      return this.cancel(booking, business, when, now);
+    }
+
+    return {
+      reply: `Sorry, we didn't understand that. Reply C to confirm or X to cancel your booking ${when}.`,
+      action: null,
+      booking
+    };
+  }
+
+  async cancel(booking, business, when, now) {
+    try {
+      const result = await this.bookings.cancelBooking(booking.bookingId, business, {
+        acceptFee: Boolean(booking.cancelFeeQuotedAt),
+        now
+      });
+      const { cancellation } = result;
+      const fee = cancellation.feeApplies && cancellation.fee !== null
+        ? ` The ${formatMoney(cancellation.fee)} ${cancellation.outcome === 'no_show' ? 'no-show' : 'cancellation'} fee will be charged.`
+        : '';
+
+      console.log(`[REMINDERS] ${booking.bookingId} cancelled by text`);
+      return {
+        reply: `Your booking ${when} has been cancelled.${fee}`,
+        action: 'cancelled',
+        booking: await this.bookings.getBooking(booking.bookingId)
+      };
+    } catch (error) {
+      if (error.code !== 'FEE_NOT_ACCEPTED') throw error;
+
+      const quoted = await this.bookings.updateBooking(booking.bookingId, {
+        cancelFeeQuotedAt: now.toISOString()
+      }, business, { now });
+      return {
+        reply: `${error.message} Reply X again to cancel anyway, or C to keep your booking ${when}.`,
+        action: 'fee_quoted',
+        booking: quoted
+      };
+    }
+  }
+
+  /**
+   * The customer's soonest upcoming booking that has had a reminder
+   */
+  async findRemindedBooking(phone, now) {
+    const wanted = lastDigits(phone);
+    if (wanted.length < 7) return null;
+
+    const bookings = await this.bookings.getAllBookings({ status: 'confirmed' });
+    return bookings.find(booking => new Date(booking.startTime) > now &&
+      lastDigits(booking.customerPhone) === wanted &&
+      (booking.remindersSent || []).length > 0) || null;
+  }
+}
+
+function lastDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+module.exports = new ReminderService();
+module.exports.ReminderService = ReminderService;
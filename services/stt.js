@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { OpenAI } = require('openai');
+const { mulawToWav } = require('./audioCodec');
+
+const DEFAULT_PROVIDER = 'whisper';
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'stt');
+const FIXTURE_AUDIO_EXTENSIONS = ['.ulaw', '.mulaw', '.raw', '.wav'];
+
+/**
+ * Hash used to identify a piece of audio in fixture files
+ * @param {Buffer} audioBuffer - Audio exactly as passed to transcribe()
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashAudio(audioBuffer) {
+  return crypto.createHash('sha256').update(audioBuffer).digest('hex');
+}
+
+/**
+ * OpenAI Whisper speech-to-text
+ */
+class WhisperProvider {
+  constructor(options = {}) {
+    this.name = 'whisper';
+    this.model = options.model || 'whisper-1';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async transcribe(audioBuffer, { encoding = 'mulaw', language = 'en' } = {}) {
+    // Twilio sends raw μ-law; Whisper needs a real audio container
+    const wavBuffer = encoding === 'mulaw' ? mulawToWav(audioBuffer) : audioBuffer;
+    const audioFile = new File([wavBuffer], 'audio.wav', { type: 'audio/wav' });
+
+    const transcription = await this.getClient().audio.transcriptions.create({
+      file: audioFile,
+      model: this.model,
+      language,
+      response_format: 'text'
+    });
+
+    return (transcription || '').trim();
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and local development.
+ *
+ * Transcripts are looked up by the SHA-256 of the audio, from either a
+ * `transcripts.json` manifest (`{ "<hash>": "text" }`) or sidecar files
+ * (`greeting.ulaw` next to `greeting.txt`) in the fixture directory.
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtureDir = options.fixtureDir || process.env.STT_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+    this.defaultTranscript = options.defaultTranscript !== undefined
+      ? options.defaultTranscript
+      : (process.env.STT_FIXTURE_DEFAULT || '');
+    this.transcripts = null;
+  }
+
+  loadFixtures() {
+    const transcripts = new Map();
+
+    if (!fs.existsSync(this.fixtureDir)) {
+      console.warn(`[STT] Fixture directory not found: ${this.fixtureDir}`);
+      return transcripts;
+    }
+
+    const manifestPath = path.join(this.fixtureDir, 'transcripts.json');
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      for (const [hash, text] of Object.entries(manifest)) {
+        transcripts.set(hash.toLowerCase(), text);
+      }
+    }
+
+    for (const file of fs.readdirSync(this.fixtureDir)) {
+      const extension = path.extname(file).toLowerCase();
+      if (!FIXTURE_AUDIO_EXTENSIONS.includes(extension)) continue;
+
+      const sidecarPath = path.join(this.fixtureDir, `${path.basename(file, path.extname(file))}.txt`);
+      if (!fs.existsSync(sidecarPath)) continue;
+
+      const audio = fs.readFileSync(path.join(this.fixtureDir, file));
+      transcripts.set(hashAudio(audio), fs.readFileSync(sidecarPath, 'utf8').trim());
+    }
+
+    return transcripts;
+  }
+
+  /**
+   * Forget cached fixtures so files added at runtime are picked up
+   */
+  reload() {
+    this.transcripts = this.loadFixtures();
+    return this.transcripts.size;
+  }
+
+  async transcribe(audioBuffer) {
+    if (!this.transcripts) {
+      this.reload();
+    }
+
+    const hash = hashAudio(audioBuffer);
+    if (this.transcripts.has(hash)) {
+      return this.transcripts.get(hash);
+    }
+
+    console.log(`[STT] No fixture transcript for audio ${hash} (${audioBuffer.length} bytes)`);
+    return this.defaultTranscript;
+  }
+}
+
+/**
+ * Registry of speech-to-text providers, selected per business or by the
+ * STT_PROVIDER environment variable.
+ */
+class SpeechToTextService {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+
+    this.registerProvider('whisper', options => new WhisperProvider(options));
+    this.registerProvider('fixture', options => new FixtureProvider(options));
+  }
+
+  /**
+   * Register a provider factory under a name
+   * @param {string} name - Provider name used in STT_PROVIDER / business config
+   * @param {Function} factory - `(options) => provider` with an async
+   *   `transcribe(audioBuffer, options)` method returning text
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+  }
+
+  listProviders() {
+    return Array.from(this.factories.keys());
+  }
+
+  /**
+   * Create a new, unshared provider instance
+   */
+  createProvider(name, options = {}) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown STT provider: ${name}`);
+    }
+    return factory(options);
+  }
+
+  /**
+   * Shared provider instance for a name
+   */
+  getProvider(name) {
+    if (!this.instances.has(name)) {
+      this.instances.set(name, this.createProvider(name));
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * Pick the provider for a call: explicit option, then the business
+   * profile's `stt_provider`, then STT_PROVIDER, then Whisper.
+   */
+  resolveProviderName({ provider, business } = {}) {
+    return provider
+      || (business && business.stt_provider)
+      || process.env.STT_PROVIDER
+      || DEFAULT_PROVIDER;
+  }
+
+  /**
+   * Transcribe caller audio
+   * @param {Buffer} audioBuffer - Audio to transcribe
+   * @param {Object} options
+   * @param {string} options.encoding - 'mulaw' (Twilio) or 'wav'
+   * @param {Object} options.business - Business profile (for provider choice)
+   * @param {string} options.provider - Force a specific provider
+   * @returns {Promise<string>} Transcript, or '' if transcription failed
+   */
+  async transcribe(audioBuffer, options = {}) {
+    const providerName = this.resolveProviderName(options);
+
+    try {
+      const provider = this.getProvider(providerName);
+      const transcript = await provider.transcribe(audioBuffer, {
+        encoding: options.encoding || 'mulaw',
+        language: options.language || 'en'
+      });
+      return (transcript || '').trim();
+    } catch (error) {
+      console.error(`[STT] ${providerName} transcription error:`, error);
+      return '';
+    }
+  }
+}
+
+const sttService = new SpeechToTextService();
+
+module.exports = sttService;
+module.exports.SpeechToTextService = SpeechToTextService;
+module.exports.WhisperProvider = WhisperProvider;
+module.exports.FixtureProvider = FixtureProvider;
+module.exports.hashAudio = hashAudio;
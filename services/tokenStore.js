@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./fileLock');
+
+const DEFAULT_TOKENS_FILE = path.join(__dirname, '..', 'storage', 'google-tokens.json');
+const ALGORITHM = 'aes-256-gcm';
+// The example value from .env.example, which anyone could decrypt with
+const PLACEHOLDER_SECRET = 'change-me-to-a-long-random-string';
+
+/**
+ * OAuth tokens for each business's Google connection, kept in a JSON file
+ * (GOOGLE_TOKENS_FILE) outside the business data directory. Each
+ * connection's tokens are encrypted with AES-256-GCM under a key derived
+ * from TOKEN_ENCRYPTION_KEY, so the file alone gives nobody access to a
+ * calendar.
+ */
+class TokenStore {
+  constructor(options = {}) {
+    this.tokensFile = options.tokensFile || process.env.GOOGLE_TOKENS_FILE || DEFAULT_TOKENS_FILE;
+    this.secret = options.secret !== undefined ? options.secret : process.env.TOKEN_ENCRYPTION_KEY;
+  }
+
+  /**
+   * 256-bit key from the secret
+   * @throws {Error} With `code` 'TOKEN_KEY_MISSING' when no secret is set,
+   *   or it is still the example value
+   */
+  key() {
+    if (!this.secret || this.secret === PLACEHOLDER_SECRET) {
+      const error = new Error(this.secret
+        ? 'TOKEN_ENCRYPTION_KEY is still the example value; set it to a long random string'
+        : 'TOKEN_ENCRYPTION_KEY is not set, so OAuth tokens cannot be stored');
+      error.code = 'TOKEN_KEY_MISSING';
+      throw error;
+    }
+    return crypto.createHash('sha256').update(this.secret).digest();
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.tokensFile)) return {};
+    return JSON.parse(fs.readFileSync(this.tokensFile, 'utf8')).connections || {};
+  }
+
+  writeAll(connections) {
+    fs.mkdirSync(path.dirname(this.tokensFile), { recursive: true });
+
+    const tempFile = `${this.tokensFile}.${process.pid}.tmp`;
+    // Only this user can read it
+    fs.writeFileSync(tempFile, JSON.stringify({ connections }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, this.tokensFile);
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * @throws {Error} When the key is wrong or the entry was tampered with
+   */
+  decrypt({ iv, tag, data }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  }
+
+  /**
+   * Whether a connection has tokens, without decrypting them
+   */
+  has(connectionId) {
+    return Boolean(this.readAll()[connectionId]);
+  }
+
+  /**
+   * A connection's tokens, or null when it has none
+   */
+  get(connectionId) {
+    const entry = this.readAll()[connectionId];
+    return entry ? this.decrypt(entry) : null;
+  }
+
+  /**
+   * Connected businesses and when their tokens were last saved
+   * @returns {Object[]} `[{ connectionId, connectedAt, updatedAt }]`
+   */
+  list() {
+    return Object.entries(this.readAll()).map(([connectionId, entry]) => ({
+      connectionId,
+      connectedAt: entry.connectedAt,
+      updatedAt: entry.updatedAt
+    }));
+  }
+
+  /**
+   * Store a connection's tokens, replacing what it had
+   * @param {string} connectionId - Business ID
+   * @param {Object} tokens - Google OAuth tokens
+   */
+  save(connectionId, tokens) {
+    const encrypted = this.encrypt(tokens);
+    return withFileLock(this.tokensFile, () => {
+      const connections = this.readAll();
+      const now = new Date().toISOString();
+      connections[connectionId] = {
+        ...encrypted,
+        connectedAt: (connections[connectionId] && connections[connectionId].connectedAt) || now,
+        updatedAt: now
+      };
+      this.writeAll(connections);
+    });
+  }
+
+  /**
+   * Forget a connection's tokens
+   */
+  remove(connectionId) {
+    return withFileLock(this.tokensFile, () => {
+      const connections = this.readAll();
+      delete connections[connectionId];
+      this.writeAll(connections);
+    });
+  }
+
+  /**
+   * HMAC of a value under a key derived from the same secret, for signing
+   * OAuth `state`
+   */
+  sign(value) {
+    return crypto.createHmac('sha256', this.key()).update(`state:${value}`).digest('base64url');
+  }
+}
+
+module.exports = new TokenStore();
+module.exports.TokenStore = TokenStore;
@@ -0,0 +1,272 @@
+const { mulawToLinear, mulawDurationMs, SAMPLE_RATE } = require('./audioCodec');
+
+const SILENCE_DB = -96;
+const FRAME_BYTES = 160; // 20ms of 8kHz μ-law
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Default endpointing settings, overridable through environment variables
+ */
+function getDefaultOptions() {
+  return {
+    speechThresholdDb: envNumber('VAD_SPEECH_THRESHOLD_DB', -40),
+    silenceThresholdDb: envNumber('VAD_SILENCE_THRESHOLD_DB', -45),
+    noiseMarginDb: envNumber('VAD_NOISE_MARGIN_DB', 10),
+    speechStartMs: envNumber('VAD_SPEECH_START_MS', 60),
+    hangoverMs: envNumber('VAD_HANGOVER_MS', 700),
+    minUtteranceMs: envNumber('VAD_MIN_UTTERANCE_MS', 250),
+    maxUtteranceMs: envNumber('VAD_MAX_UTTERANCE_MS', 15000),
+    preRollMs: envNumber('VAD_PRE_ROLL_MS', 200)
+  };
+}
+
+/**
+ * RMS energy of a μ-law frame in dBFS
+ * @param {Buffer} mulawFrame - μ-law encoded audio
+ * @returns {number} Energy in dBFS (SILENCE_DB for digital silence)
+ */
+function frameEnergyDb(mulawFrame) {
+  if (!mulawFrame || mulawFrame.length === 0) return SILENCE_DB;
+
+  let sumSquares = 0;
+  for (let i = 0; i < mulawFrame.length; i++) {
+    const sample = mulawToLinear(mulawFrame[i]);
+    sumSquares += sample * sample;
+  }
+
+  const rms = Math.sqrt(sumSquares / mulawFrame.length);
+  if (rms < 1) return SILENCE_DB;
+
+  return Math.max(SILENCE_DB, 20 * Math.log10(rms / 32768));
+}
+
+/**
+ * Energy-based voice activity detector for a single call.
+ *
+ * Feed it the 20ms μ-law frames from Twilio; it tracks speech and trailing
+ * silence with hysteresis and a hangover period, and hands back a complete
+ * utterance once the caller has stopped talking.
+ */
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.options = { ...getDefaultOptions(), ...options };
+    this.reset();
+    this.utteranceCount = 0;
+    this.discardedCount = 0;
+  }
+
+  /**
+   * Clear the in-progress utterance and noise estimate (keeps counters)
+   */
+  reset() {
+    this.speaking = false;
+    this.noiseFloorDb = null;
+    this.lastEnergyDb = SILENCE_DB;
+    this.voicedRunMs = 0;
+    this.trailingSilenceMs = 0;
+    this.utteranceFrames = [];
+    this.utteranceMs = 0;
+    this.voicedMs = 0;
+    this.preRoll = [];
+    this.preRollMs = 0;
+    this.streamMs = 0;
+    this.utteranceStartMs = null;
+  }
+
+  /**
+   * Energy level that counts as speech, adapted to the line noise
+   */
+  getSpeechThresholdDb() {
+    const { speechThresholdDb, noiseMarginDb } = this.options;
+    if (this.noiseFloorDb === null) return speechThresholdDb;
+    return Math.max(speechThresholdDb, this.noiseFloorDb + noiseMarginDb);
+  }
+
+  /**
+   * Energy level below which a frame counts as silence while speaking
+   */
+  getSilenceThresholdDb() {
+    return Math.min(this.options.silenceThresholdDb, this.getSpeechThresholdDb());
+  }
+
+  /**
+   * Process one frame of caller audio
+   * @param {Buffer} mulawFrame - μ-law encoded audio (usually 160 bytes)
+   * @returns {Object|null} `{ type: 'speech_start' }`, `{ type: 'utterance', ... }`,
+   *   `{ type: 'discarded', ... }` or null when nothing changed
+   */
+  processFrame(mulawFrame) {
+    const frameMs = mulawDurationMs(mulawFrame);
+    const energyDb = frameEnergyDb(mulawFrame);
+    const frameStartMs = this.streamMs;
+
+    this.lastEnergyDb = energyDb;
+    this.streamMs += frameMs;
+
+    if (!this.speaking) {
+      return this.processIdleFrame(mulawFrame, frameMs, energyDb, frameStartMs);
+    }
+
+    return this.processSpeechFrame(mulawFrame, frameMs, energyDb);
+  }
+
+  processIdleFrame(mulawFrame, frameMs, energyDb, frameStartMs) {
+    const voiced = energyDb >= this.getSpeechThresholdDb();
+
+    this.preRoll.push({ frame: mulawFrame, ms: frameMs, startMs: frameStartMs });
+    this.preRollMs += frameMs;
+
+    if (!voiced) {
+      this.voicedRunMs = 0;
+      this.updateNoiseFloor(energyDb);
+    } else {
+      this.voicedRunMs += frameMs;
+    }
+
+    if (this.voicedRunMs >= this.options.speechStartMs) {
+      this.startUtterance();
+      return { type: 'speech_start', atMs: this.utteranceStartMs };
+    }
+
+    // Keep enough history for the pre-roll plus the frames that triggered speech
+    const keepMs = this.options.preRollMs + this.voicedRunMs;
+    while (this.preRoll.length > 1 && this.preRollMs - this.preRoll[0].ms >= keepMs) {
+      this.preRollMs -= this.preRoll.shift().ms;
+    }
+
+    return null;
+  }
+
+  processSpeechFrame(mulawFrame, frameMs, energyDb) {
+    this.utteranceFrames.push(mulawFrame);
+    this.utteranceMs += frameMs;
+
+    if (energyDb >= this.getSilenceThresholdDb()) {
+      this.voicedMs += frameMs;
+      this.trailingSilenceMs = 0;
+    } else {
+      this.trailingSilenceMs += frameMs;
+    }
+
+    if (this.trailingSilenceMs >= this.options.hangoverMs) {
+      return this.endUtterance('silence');
+    }
+
+    if (this.utteranceMs >= this.options.maxUtteranceMs) {
+      return this.endUtterance('max_length');
+    }
+
+    return null;
+  }
+
+  startUtterance() {
+    this.speaking = true;
+    this.trailingSilenceMs = 0;
+    this.utteranceFrames = this.preRoll.map(entry => entry.frame);
+    this.utteranceMs = this.preRollMs;
+    this.voicedMs = this.voicedRunMs;
+    this.utteranceStartMs = this.preRoll.length > 0 ? this.preRoll[0].startMs : this.streamMs;
+    this.preRoll = [];
+    this.preRollMs = 0;
+    this.voicedRunMs = 0;
+  }
+
+  endUtterance(reason) {
+    const audio = Buffer.concat(this.utteranceFrames);
+    const result = {
+      startMs: this.utteranceStartMs,
+      endMs: this.streamMs,
+      durationMs: this.utteranceMs,
+      speechMs: this.voicedMs,
+      reason
+    };
+
+    this.speaking = false;
+    this.utteranceFrames = [];
+    this.utteranceMs = 0;
+    this.voicedMs = 0;
+    this.trailingSilenceMs = 0;
+    this.utteranceStartMs = null;
+
+    if (result.speechMs < this.options.minUtteranceMs) {
+      this.discardedCount++;
+      return { type: 'discarded', ...result };
+    }
+
+    this.utteranceCount++;
+    return { type: 'utterance', audio, ...result };
+  }
+
+  /**
+   * Track background noise with a slow moving average of non-speech frames
+   */
+  updateNoiseFloor(energyDb) {
+    if (energyDb <= SILENCE_DB) return;
+
+    if (this.noiseFloorDb === null) {
+      this.noiseFloorDb = energyDb;
+    } else {
+      this.noiseFloorDb = this.noiseFloorDb * 0.95 + energyDb * 0.05;
+    }
+  }
+
+  /**
+   * Snapshot of the detector state for monitoring and tuning
+   */
+  getState() {
+    return {
+      speaking: this.speaking,
+      trailingSilenceMs: this.trailingSilenceMs,
+      currentUtteranceMs: this.utteranceMs,
+      utteranceCount: this.utteranceCount,
+      discardedCount: this.discardedCount,
+      lastEnergyDb: Math.round(this.lastEnergyDb * 10) / 10,
+      noiseFloorDb: this.noiseFloorDb === null ? null : Math.round(this.noiseFloorDb * 10) / 10,
+      speechThresholdDb: Math.round(this.getSpeechThresholdDb() * 10) / 10,
+      streamMs: this.streamMs,
+      options: { ...this.options }
+    };
+  }
+}
+
+/**
+ * Run a recorded μ-law call through the detector and list the utterances it
+ * would have produced. Useful for tuning thresholds against real calls.
+ * @param {Buffer} mulawBuffer - Recorded μ-law audio
+ * @param {Object} options - Detector options
+ * @returns {Object} Detected utterances, discarded blips and final state
+ */
+function detectUtterances(mulawBuffer, options = {}) {
+  const detector = new VoiceActivityDetector(options);
+  const utterances = [];
+  const discarded = [];
+
+  for (let offset = 0; offset < mulawBuffer.length; offset += FRAME_BYTES) {
+    const event = detector.processFrame(mulawBuffer.subarray(offset, offset + FRAME_BYTES));
+
+    if (event && event.type === 'utterance') {
+      const { audio, ...segment } = event;
+      utterances.push(segment);
+    } else if (event && event.type === 'discarded') {
+      discarded.push(event);
+    }
+  }
+
+  return {
+    sampleRate: SAMPLE_RATE,
+    utterances,
+    discarded,
+    state: detector.getState()
+  };
+}
+
+module.exports = {
+  VoiceActivityDetector,
+  detectUtterances,
+  frameEnergyDb,
+  getDefaultOptions
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./fileLock');
+
+const DEFAULT_WAITLIST_FILE = path.join(__dirname, '..', 'storage', 'waitlist.json');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'cancelled'];
+
+/**
+ * Callers waiting for a time to free up, kept in a JSON file (WAITLIST_FILE)
+ * like bookings, in the order they joined. Changes run under a lock file so
+ * a freed slot is only offered to one of them.
+ */
+class WaitlistStore {
+  constructor(options = {}) {
+    this.waitlistFile = options.waitlistFile || process.env.WAITLIST_FILE || DEFAULT_WAITLIST_FILE;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.waitlistFile)) return [];
+    return JSON.parse(fs.readFileSync(this.waitlistFile, 'utf8')).waitlist || [];
+  }
+
+  writeAll(waitlist) {
+    fs.mkdirSync(path.dirname(this.waitlistFile), { recursive: true });
+
+    const tempFile = `${this.waitlistFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ waitlist }, null, 2));
+    fs.renameSync(tempFile, this.waitlistFile);
+  }
+
+  /**
+   * Run a read-check-write on the waitlist while holding the lock file
+   * @param {Function} change - Given the stored entries; runs synchronously
+   */
+  withLock(change) {
+    return withFileLock(this.waitlistFile, () => change(this.readAll()));
+  }
+
+  /**
+   * Add someone to the end of the waitlist
+   * @param {Object} entry - Customer, business, service and wanted window
+   * @returns {Promise<Object>} Stored entry with `waitlistId`, `status` and timestamps
+   */
+  create(entry) {
+    return this.withLock(waitlist => {
+      const now = new Date().toISOString();
+      const number = waitlist.reduce((max, stored) => Math.max(max, stored.number || 0), 1000) + 1;
+      const stored = {
+        waitlistId: `WAIT-${number}`,
+        number,
+        ...entry,
+        status: 'waiting',
+        offer: null,
+        declined: [],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      waitlist.push(stored);
+      this.writeAll(waitlist);
+
+      console.log(`[WAITLIST] Added ${stored.waitlistId} for ${stored.windowStart} to ${stored.windowEnd}`);
+      return stored;
+    });
+  }
+
+  get(waitlistId) {
+    return this.readAll().find(entry => entry.waitlistId === waitlistId) || null;
+  }
+
+  /**
+   * Entries in the order they joined
+   * @param {Object} filters - `{ date, status, businessId }`; date is the
+   *   YYYY-MM-DD the wanted window starts on
+   */
+  list({ date, status, businessId } = {}) {
+    return this.readAll()
+      .filter(entry => !date || String(entry.date || entry.windowStart).slice(0, 10) === date)
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => businessId === undefined || (entry.businessId || null) === (businessId || null))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Change a stored entry
+   * @param {string} waitlistId - Waitlist ID
+   * @param {Object|Function} changes - Fields to set, or a function given the
+   *   entry and all stored entries that returns them (and may throw to
+   *   refuse the change)
+   * @returns {Promise<Object|null>} Updated entry, or null if it doesn't exist
+   */
+  update(waitlistId, changes) {
+    return this.withLock(waitlist => {
+      const entry = waitlist.find(stored => stored.waitlistId === waitlistId);
+      if (!entry) return null;
+
+      const fields = typeof changes === 'function' ? changes(entry, waitlist) : changes;
+      Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+      this.writeAll(waitlist);
+
+      return entry;
+    });
+  }
+
+  /**
+   * Change the longest-waiting entry that matches, e.g. to offer it a slot
+   * @param {Function} matches - Given an entry, whether it qualifies
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} Updated entry, or null when none matched
+   */
+  updateFirst(matches, changes) {
+    return this.withLock(waitlist => {
+      const entry = [...waitlist].sort((a, b) => a.number - b.number).find(matches);
+      if (!entry) return null;
+
+      Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+      this.writeAll(waitlist);
+
+      return entry;
+    });
+  }
+}
+
+module.exports = new WaitlistStore();
+module.exports.WaitlistStore = WaitlistStore;
+module.exports.WAITLIST_STATUSES = WAITLIST_STATUSES;
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+describe('Admin Auth Tests', () => {
+  const keys = {
+    admin: 'rk_admin_all_businesses',
+    viewer: 'rk_viewer_all_businesses',
+    frontDesk: 'rk_front_desk_pizzakarachi',
+    pizzaOwner: 'rk_owner_pizzakarachi'
+  };
+
+  let tempDir;
+  let app;
+  let adminAuth;
+  let bookingService;
+  let orderStore;
+  let audioCleanup;
+
+  const bookingFor = (businessId, startTime) => bookingService.store.create({
+    businessId,
+    customerName: 'Jordan Smith',
+    customerEmail: 'jordan@example.com',
+    customerPhone: '+14165550123',
+    date: startTime.slice(0, 10),
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 30 * 60000).toISOString(),
+    serviceType: 'appointment'
+  });
+  const as = key => ({ Authorization: `Bearer ${key}` });
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-auth-'));
+    process.env.ADMIN_USERS_FILE = path.join(tempDir, 'admin-users.json');
+    process.env.BOOKINGS_FILE = path.join(tempDir, 'bookings.json');
+    process.env.WAITLIST_FILE = path.join(tempDir, 'waitlist.json');
+    process.env.ORDERS_FILE = path.join(tempDir, 'orders.json');
+    jest.resetModules();
+
+    adminAuth = require('../services/adminAuth');
+    const { hashPassword, hashApiKey } = require('../services/adminAuth');
+    fs.writeFileSync(process.env.ADMIN_USERS_FILE, JSON.stringify({
+      users: [
+        { username: 'olivia', password_hash: hashPassword('correct horse'), role: 'owner', businesses: ['*'] },
+        { username: 'sam', password_hash: hashPassword('battery staple'), role: 'staff', businesses: ['pizzakarachi'] }
+      ],
+      api_keys: [
+        { name: 'admin', key_hash: hashApiKey(keys.admin), role: 'owner', businesses: ['*'] },
+        { name: 'viewer', key_hash: hashApiKey(keys.viewer), role: 'read-only', businesses: ['*'] },
+        { name: 'front-desk', key_hash: hashApiKey(keys.frontDesk), role: 'staff', businesses: ['pizzakarachi'] },
+        { name: 'pizza-owner', key_hash: hashApiKey(keys.pizzaOwner), role: 'owner', businesses: ['pizzakarachi'] }
+      ]
+    }));
+
+    bookingService = require('../services/bookingService');
+    orderStore = require('../services/orderStore');
+    audioCleanup = require('../services/audioCleanup');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', require('../routes/api'));
+    app.use('/book', require('../routes/book'));
+    app.use('/admin', require('../routes/admin'));
+    app.use('/audio', require('../routes/audio'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.ADMIN_USERS_FILE;
+    delete process.env.BOOKINGS_FILE;
+    delete process.env.WAITLIST_FILE;
+    delete process.env.ORDERS_FILE;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should stay open until credentials are configured, except in production', async () => {
+    const { usersFile } = adminAuth;
+    const nodeEnv = process.env.NODE_ENV;
+    adminAuth.usersFile = path.join(tempDir, 'missing.json');
+
+    try {
+      await request(app).get('/api/business/pizzakarachi').expect(200);
+
+      process.env.NODE_ENV = 'production';
+      const locked = await request(app).get('/api/business/pizzakarachi');
+      expect(locked.status).toBe(503);
+      expect(locked.body.error).toBe('Authentication not configured');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+      adminAuth.usersFile = usersFile;
+    }
+  });
+
+  test('should require an API key or a session', async () => {
+    const anonymous = await request(app).get('/api/business/pizzakarachi');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.error).toBe('Authentication required');
+
+    await request(app).get('/api/business/pizzakarachi').set(as('rk_wrong')).expect(401);
+    await request(app).get('/api/business/pizzakarachi').set(as(keys.viewer)).expect(200);
+    await request(app).get('/api/business/pizzakarachi').set('X-API-Key', keys.viewer).expect(200);
+
+    // Health checks and availability stay public
+    await request(app).get('/api/health').expect(200);
+    await request(app).get('/book/health').expect(200);
+  });
+
+  test('should let each role do only its own work', async () => {
+    // Read-only can look but not book
+    const booking = { businessId: 'pizzakarachi', customerName: 'Jordan Smith' };
+    const readOnly = await request(app).post('/book').set(as(keys.viewer)).send(booking);
+    expect(readOnly.status).toBe(403);
+    expect(readOnly.body.message).toBe('This needs the staff role; viewer is read-only');
+
+    // Staff get past the check (and on to validation), but can't manage profiles
+    expect((await request(app).post('/book').set(as(keys.frontDesk)).send(booking)).status).toBe(400);
+    await request(app).delete('/api/business/no-such-business').set(as(keys.frontDesk)).expect(403);
+    await request(app).post('/api/business/pizzakarachi').set(as(keys.frontDesk)).send({ name: 'Renamed' }).expect(403);
+    await request(app)
+      .post('/api/business/pizzakarachi/exceptions')
+      .set(as(keys.viewer))
+      .send({ date: '2030-12-25', closed: true })
+      .expect(403);
+
+    // Owners can
+    await request(app).delete('/api/business/no-such-business').set(as(keys.admin)).expect(404);
+  });
+
+  test('should keep principals to their businesses', async () => {
+    const pizza = await bookingFor('pizzakarachi', '2030-01-10T15:00:00.000Z');
+    const sushi = await bookingFor('sushi-bar', '2030-01-10T16:00:00.000Z');
+
+    await request(app).get(`/book/${pizza.bookingId}`).set(as(keys.frontDesk)).expect(200);
+    const other = await request(app).get(`/book/${sushi.bookingId}`).set(as(keys.frontDesk));
+    expect(other.status).toBe(403);
+    expect(other.body.message).toBe('No access to business_id: sushi-bar');
+    await request(app).delete(`/book/${sushi.bookingId}`).set(as(keys.frontDesk)).expect(403);
+    await request(app).get('/book/BK-MISSING').set(as(keys.frontDesk)).expect(404);
+
+    await request(app).get('/book').query({ business_id: 'pizzakarachi' }).set(as(keys.frontDesk)).expect(200);
+    const everything = await request(app).get('/book').set(as(keys.frontDesk));
+    expect(everything.status).toBe(403);
+    expect(everything.body.message).toBe('Give a business_id you have access to');
+    await request(app)
+      .post('/book')
+      .set(as(keys.frontDesk))
+      .send({ businessId: 'sushi-bar', customerName: 'Jordan Smith' })
+      .expect(403);
+
+    await request(app).get('/api/business/sushi-bar').set(as(keys.pizzaOwner)).expect(403);
+    await request(app).get('/api/business/sushi-bar/exceptions').set(as(keys.frontDesk)).expect(403);
+    await request(app).get('/api/business/pizzakarachi/exceptions').set(as(keys.frontDesk)).expect(200);
+
+    const order = orderStore.create({ business_id: 'sushi-bar', items: [], totals: { total: 0 } });
+    await request(app).get(`/api/orders/${order.id}`).set(as(keys.frontDesk)).expect(403);
+    await request(app).get(`/api/orders/${order.id}`).set(as(keys.viewer)).expect(200);
+  });
+
+  test('should check the business a new record is made for, not the query', async () => {
+    const startTime = '2030-01-11T15:00:00.000Z';
+    const elsewhere = await request(app)
+      .post('/book')
+      .query({ business_id: 'pizzakarachi' })
+      .set(as(keys.frontDesk))
+      .send({
+        businessId: 'sushi-bar',
+        customerName: 'Jordan Smith',
+        customerEmail: 'jordan@example.com',
+        customerPhone: '+14165550123',
+        date: '2030-01-11',
+        startTime,
+        endTime: '2030-01-11T15:30:00.000Z',
+        serviceType: 'appointment'
+      });
+    expect(elsewhere.status).toBe(403);
+    expect(elsewhere.body.message).toBe('No access to business_id: sushi-bar');
+    expect(bookingService.store.list({ businessId: 'sushi-bar' }).some(booking => booking.startTime === startTime)).toBe(false);
+
+    await request(app)
+      .post('/book/waitlist')
+      .query({ business_id: 'pizzakarachi' })
+      .set(as(keys.frontDesk))
+      .send({ businessId: 'sushi-bar', customerName: 'Jordan Smith' })
+      .expect(403);
+    await request(app)
+      .post('/api/orders')
+      .query({ business_id: 'pizzakarachi' })
+      .set(as(keys.frontDesk))
+      .send({ business_id: 'sushi-bar', items: [] })
+      .expect(403);
+  });
+
+  test('should only list businesses a principal can see', async () => {
+    const scoped = await request(app).get('/api/businesses').set(as(keys.frontDesk)).expect(200);
+    expect(scoped.body.businesses.map(business => business.business_id)).toEqual(['pizzakarachi']);
+
+    const all = await request(app).get('/api/businesses').set(as(keys.viewer)).expect(200);
+    expect(all.body.businesses.length).toBeGreaterThan(1);
+
+    const validation = await request(app).get('/api/businesses/validation').set(as(keys.frontDesk)).expect(200);
+    expect(validation.body.total).toBe(1);
+  });
+
+  test('should log dashboard users in with a session cookie', async () => {
+    const wrong = await request(app).post('/admin/login').send({ username: 'sam', password: 'wrong' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.headers['set-cookie']).toBeUndefined();
+    await request(app).post('/admin/login').send({ username: 'nobody', password: 'wrong' }).expect(401);
+
+    const login = await request(app).post('/admin/login').send({ username: 'sam', password: 'battery staple' }).expect(200);
+    expect(login.body.user).toEqual({ type: 'session', name: 'sam', role: 'staff', businesses: ['pizzakarachi'] });
+    const [cookie] = login.headers['set-cookie'];
+    expect(cookie).toMatch(/^admin_session=[\w-]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=43200$/);
+    const session = cookie.split(';')[0];
+
+    const me = await request(app).get('/admin/me').set('Cookie', session).expect(200);
+    expect(me.body.user.name).toBe('sam');
+    await request(app).get('/book').query({ business_id: 'pizzakarachi' }).set('Cookie', session).expect(200);
+    await request(app).get('/api/business/sushi-bar').set('Cookie', session).expect(403);
+
+    await request(app).post('/admin/logout').set('Cookie', session).expect(200);
+    await request(app).get('/book').query({ business_id: 'pizzakarachi' }).set('Cookie', session).expect(401);
+    await request(app).get('/admin/me').set('Cookie', session).expect(401);
+  });
+
+  test('should end sessions when they expire', () => {
+    const { sessionId } = adminAuth.login('olivia', 'correct horse');
+    expect(adminAuth.authenticateSession(sessionId)).toMatchObject({ name: 'olivia', role: 'owner' });
+    expect(adminAuth.authenticateSession(sessionId, { now: Date.now() + adminAuth.sessionTtlMs + 1 })).toBeNull();
+    expect(adminAuth.authenticateSession(sessionId)).toBeNull();
+  });
+
+  test('should keep audio management to owners of every business', async () => {
+    const cleanup = jest.spyOn(audioCleanup, 'cleanupOldFiles').mockResolvedValue({ cleaned: 0, remaining: 0 });
+
+    await request(app).get('/audio/cleanup').expect(401);
+    await request(app).get('/audio/cleanup').set(as(keys.viewer)).expect(403);
+    await request(app).get('/audio/cleanup').set(as(keys.pizzaOwner)).expect(403);
+    expect(cleanup).not.toHaveBeenCalled();
+
+    await request(app).get('/audio/cleanup').set(as(keys.admin)).expect(200);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    await request(app).get('/audio/info').set(as(keys.viewer)).expect(200);
+  });
+
+  test('should take a key in the query only for the calendar feed', async () => {
+    await request(app).get('/book/feed/pizzakarachi.ics').query({ key: keys.frontDesk }).expect(200);
+    await request(app).get('/book/feed/sushi-bar.ics').query({ key: keys.frontDesk }).expect(403);
+    await request(app).get('/book').query({ business_id: 'pizzakarachi', key: keys.frontDesk }).expect(401);
+  });
+});
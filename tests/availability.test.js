@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  getBookingRules,
+  getOpeningWindows,
+  whyUnavailable,
+  computeAvailableSlots
+} = require('../services/availability');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+const { validateBusinessProfile } = require('../services/businessProfile');
+
+describe('Booking Availability Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Salon',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '12pm–9pm',
+      wednesday: '12pm–9pm',
+      thursday: '12pm–9pm',
+      friday: '5pm–1am',
+      saturday: '10am–6pm',
+      sunday: 'Closed'
+    },
+    services: [
+      { id: 'haircut', name: 'Haircut', duration: 45, buffer_minutes: 15 },
+      { id: 'consult', name: 'Consultation', duration: 30, capacity: 2 }
+    ],
+    booking: {
+      slot_interval_minutes: 30,
+      buffer_minutes: 0,
+      lead_time_minutes: 120,
+      max_advance_days: 30,
+      capacity: 1
+    }
+  };
+
+  describe('Rules', () => {
+    test('should let a service override the business rules', () => {
+      expect(getBookingRules(business, null, 60)).toEqual({
+        duration: 60, interval: 30, buffer: 0, leadTime: 120, maxAdvanceDays: 30, capacity: 1, changeCutoff: 0
+      });
+      expect(getBookingRules(business, business.services[0], 60)).toMatchObject({ duration: 45, buffer: 15, capacity: 1 });
+      expect(getBookingRules(business, business.services[1])).toMatchObject({ duration: 30, buffer: 0, capacity: 2 });
+      expect(getBookingRules(null)).toEqual({
+        duration: 30, interval: 30, buffer: 0, leadTime: 0, maxAdvanceDays: null, capacity: 1, changeCutoff: 0
+      });
+    });
+
+    test('should validate the booking block', () => {
+      const { errors } = validateBusinessProfile({ ...business, booking: { slot_interval_minutes: 1, capacity: 0 } });
+
+      expect(errors).toEqual([
+        '"booking.slot_interval_minutes" must be greater than or equal to 5',
+        '"booking.capacity" must be greater than or equal to 1'
+      ]);
+      expect(validateBusinessProfile(business).errors).toEqual([]);
+    });
+  });
+
+  describe('Slots', () => {
+    test('should include hours that run past midnight', () => {
+      // Friday 5pm–1am spills into Saturday morning
+      expect(getOpeningWindows(business, '2026-10-24')).toEqual([
+        { start: new Date('2026-10-24T04:00:00Z'), end: new Date('2026-10-24T05:00:00Z') },
+        { start: new Date('2026-10-24T14:00:00Z'), end: new Date('2026-10-24T22:00:00Z') }
+      ]);
+    });
+
+    test('should step by the interval and keep the buffer free after bookings', () => {
+      const rules = getBookingRules(business, business.services[0]);
+      const bookings = [{ start: '2026-10-21T17:00:00Z', end: '2026-10-21T17:45:00Z', buffer: 15 }];
+      const slots = computeAvailableSlots({ business, date: '2026-10-21', bookings, rules, now });
+      const starts = slots.map(slot => slot.startTime);
+
+      expect(starts.slice(0, 3)).toEqual([
+        '2026-10-21T16:00:00.000Z',
+        '2026-10-21T18:00:00.000Z',
+        '2026-10-21T18:30:00.000Z'
+      ]);
+      // The last 45-minute slot ends by 9 PM
+      expect(starts[starts.length - 1]).toBe('2026-10-22T00:00:00.000Z');
+    });
+
+    test('should count down remaining capacity', () => {
+      const rules = getBookingRules(business, business.services[1]);
+      const bookings = [{ start: '2026-10-21T16:00:00Z', end: '2026-10-21T16:30:00Z' }];
+      const slots = computeAvailableSlots({ business, date: '2026-10-21', bookings, rules, now });
+
+      expect(slots[0]).toMatchObject({ startTime: '2026-10-21T16:00:00.000Z', remaining: 1 });
+      expect(slots[1]).toMatchObject({ startTime: '2026-10-21T16:30:00.000Z', remaining: 2 });
+    });
+
+    test('should leave out slots inside the lead time or past the booking horizon', () => {
+      const rules = getBookingRules(business);
+      // Noon Tuesday; the first slot needs two hours' notice
+      const soon = new Date('2026-10-20T16:00:00Z');
+
+      expect(computeAvailableSlots({ business, date: '2026-10-20', rules, now: soon })[0].startTime)
+        .toBe('2026-10-20T18:00:00.000Z');
+      expect(computeAvailableSlots({ business, date: '2026-12-01', rules, now })).toEqual([]);
+    });
+
+    test('should explain why a time cannot be booked', () => {
+      const rules = getBookingRules(business);
+      const at = (start, end) => whyUnavailable({
+        business,
+        start: new Date(start),
+        end: new Date(end),
+        bookings: [{ start: '2026-10-21T17:00:00Z', end: '2026-10-21T17:30:00Z' }],
+        rules,
+        now
+      });
+
+      expect(at('2026-10-19T15:00:00Z', '2026-10-19T15:30:00Z')).toBe("Bookings need at least 2 hours' notice");
+      expect(at('2026-12-01T17:00:00Z', '2026-12-01T17:30:00Z')).toBe('Bookings can only be made up to 30 days ahead');
+      expect(at('2026-10-21T14:00:00Z', '2026-10-21T14:30:00Z')).toBe("We're not open for bookings at that time");
+      expect(at('2026-10-21T17:00:00Z', '2026-10-21T17:30:00Z')).toBe('This time slot is already booked');
+      expect(at('2026-10-21T17:30:00Z', '2026-10-21T18:00:00Z')).toBeNull();
+    });
+  });
+
+  describe('Booking API', () => {
+    const businessId = 'availability-test';
+    let app;
+    let tempDir;
+
+    // A Wednesday far enough ahead that the test never runs into the past
+    const booking = {
+      customerName: 'Test Customer',
+      customerEmail: 'test@example.com',
+      customerPhone: '+14165550123',
+      date: '2030-01-09',
+      startTime: '2030-01-09T18:00:00Z',
+      endTime: '2030-01-09T18:45:00Z',
+      serviceType: 'appointment',
+      businessId,
+      service: 'haircut'
+    };
+
+    beforeAll(() => {
+      const { booking: rules, ...rest } = business;
+      saveBusinessData(businessId, { ...rest, booking: { slot_interval_minutes: 15 } });
+
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'availability-'));
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'bookings.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      delete process.env.BOOKINGS_FILE;
+    });
+
+    test('should book a service and refuse the same time twice', async () => {
+      const created = await request(app).post('/book').send(booking).expect(201);
+      expect(created.body.booking.booking).toMatchObject({ businessId, service: 'Haircut', bufferMinutes: 15 });
+
+      const taken = await request(app).post('/book').send(booking).expect(409);
+      expect(taken.body).toEqual({ error: 'Time slot not available', details: 'This time slot is already booked' });
+
+      const response = await request(app)
+        .get(`/book/availability?date=2030-01-09&business_id=${businessId}&service=Haircut`)
+        .expect(200);
+      const starts = response.body.availableSlots.map(slot => slot.startTime);
+
+      // Noon plus its buffer ends as the 1 PM booking starts; 1:45 is in that booking's buffer
+      expect(starts).toContain('2030-01-09T17:00:00.000Z');
+      expect(starts).not.toContain('2030-01-09T17:15:00.000Z');
+      expect(starts).not.toContain('2030-01-09T18:45:00.000Z');
+      expect(starts).toContain('2030-01-09T19:00:00.000Z');
+    });
+
+    test('should refuse times outside business hours', async () => {
+      const response = await request(app)
+        .post('/book')
+        .send({ ...booking, startTime: '2030-01-09T13:00:00Z', endTime: '2030-01-09T13:45:00Z' })
+        .expect(409);
+
+      expect(response.body.details).toBe("We're not open for bookings at that time");
+    });
+
+    test('should reject unknown services and businesses', async () => {
+      const unknown = await request(app)
+        .get(`/book/availability?date=2030-01-09&business_id=${businessId}&service=massage`)
+        .expect(400);
+      expect(unknown.body.details).toBe('Unknown service: massage');
+
+      await request(app).post('/book').send({ ...booking, service: 'massage' }).expect(400);
+      await request(app).post('/book').send({ ...booking, businessId: 'no-such-business' }).expect(404);
+    });
+  });
+});
@@ -0,0 +1,408 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { BookingChangeTaker } = require('../services/bookingChanges');
+const { evaluateCancellation, describeCancellation } = require('../services/cancellationPolicy');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Booking Changes Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Salon',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '12pm–9pm',
+      wednesday: '12pm–9pm',
+      thursday: '12pm–9pm',
+      friday: '12pm–9pm',
+      saturday: '10am–6pm',
+      sunday: 'Closed'
+    },
+    services: [
+      { id: 'haircut', name: 'Haircut', duration: 45, price: 40 },
+      { id: 'colour', name: 'Colour', duration: 90, price: 120 }
+    ],
+    booking: {
+      slot_interval_minutes: 30,
+      reschedule_cutoff_minutes: 120,
+      cancellation: { free_until_minutes: 1440, late_fee_percent: 50, no_show_fee: 60 }
+    }
+  };
+
+  const haircut = {
+    businessId: 'test-salon',
+    customerName: 'Test Customer',
+    customerEmail: 'test@example.com',
+    customerPhone: '+14165550123',
+    date: '2026-10-21',
+    // 1 PM Wednesday
+    startTime: '2026-10-21T17:00:00.000Z',
+    endTime: '2026-10-21T17:45:00.000Z',
+    serviceType: 'appointment',
+    service: 'Haircut'
+  };
+
+  let tempDir;
+  let bookings;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-changes-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${Date.now()}-${Math.random()}.json`) })
+    });
+  });
+
+  describe('Booking changes', () => {
+    test('should move a booking and keep its length', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+
+      const moved = await bookings.updateBooking(bookingId, { startTime: '2026-10-22T19:00:00Z' }, business, { now });
+
+      expect(moved).toMatchObject({
+        date: '2026-10-22',
+        startTime: '2026-10-22T19:00:00.000Z',
+        endTime: '2026-10-22T19:45:00.000Z',
+        rescheduledFrom: '2026-10-21T17:00:00.000Z'
+      });
+    });
+
+    test('should use the new service length when the service changes', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+
+      const changed = await bookings.updateBooking(bookingId, { service: 'colour' }, business, { now });
+
+      expect(changed).toMatchObject({ service: 'Colour', endTime: '2026-10-21T18:30:00.000Z' });
+      expect(changed.rescheduledFrom).toBeUndefined();
+    });
+
+    test('should enforce the reschedule cutoff and refuse taken times', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+      await bookings.createBooking({ ...haircut, startTime: '2026-10-22T19:00:00Z', endTime: '2026-10-22T19:45:00Z' }, business);
+
+      await expect(bookings.updateBooking(bookingId, { startTime: '2026-10-22T19:00:00Z' }, business, { now }))
+        .rejects.toMatchObject({ code: 'SLOT_UNAVAILABLE', message: 'This time slot is already booked' });
+
+      // Noon Wednesday, an hour before the booking
+      await expect(bookings.updateBooking(bookingId, { startTime: '2026-10-23T19:00:00Z' }, business, { now: new Date('2026-10-21T16:00:00Z') }))
+        .rejects.toMatchObject({ code: 'BOOKING_LOCKED', message: 'Bookings can only be changed up to 2 hours before they start' });
+
+      // Details can still be edited
+      await expect(bookings.updateBooking(bookingId, { notes: 'Running late' }, business, { now: new Date('2026-10-21T16:00:00Z') }))
+        .resolves.toMatchObject({ notes: 'Running late', startTime: haircut.startTime });
+    });
+
+    test('should not change cancelled bookings', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+      await bookings.cancelBooking(bookingId);
+
+      await expect(bookings.updateBooking(bookingId, { notes: 'Back on' }, business, { now }))
+        .rejects.toMatchObject({ code: 'BOOKING_LOCKED', message: "This booking is cancelled and can't be changed" });
+    });
+  });
+
+  describe('Cancellation policy', () => {
+    test('should charge late cancellations and no-shows', () => {
+      const at = time => evaluateCancellation({ business, booking: haircut, now: new Date(time) });
+
+      expect(at('2026-10-19T14:00:00Z')).toEqual({
+        outcome: 'free',
+        fee: 0,
+        feePercent: null,
+        feeApplies: false,
+        freeUntil: '2026-10-20T17:00:00.000Z',
+        evaluatedAt: '2026-10-19T14:00:00.000Z'
+      });
+      // 10 AM on the day, 3 hours before
+      expect(at('2026-10-21T14:00:00Z')).toMatchObject({ outcome: 'late', fee: 20, feePercent: 50, feeApplies: true });
+      expect(at('2026-10-21T17:10:00Z')).toMatchObject({ outcome: 'no_show', fee: 60, feePercent: null });
+      expect(evaluateCancellation({ business: null, booking: haircut, now: new Date('2026-10-21T17:10:00Z') }))
+        .toMatchObject({ outcome: 'free', feeApplies: false });
+    });
+
+    test('should explain the fee to the caller', () => {
+      const late = evaluateCancellation({ business, booking: haircut, now: new Date('2026-10-21T14:00:00Z') });
+      expect(describeCancellation(late, business))
+        .toBe("Since it's less than 24 hours before your booking, there's a late cancellation fee of $20.00.");
+
+      // Without a price only the percentage is known
+      const unpriced = evaluateCancellation({ business, booking: { ...haircut, service: null }, now: new Date('2026-10-21T14:00:00Z') });
+      expect(unpriced).toMatchObject({ fee: null, feeApplies: true });
+      expect(describeCancellation(unpriced, business)).toContain('a late cancellation fee of 50% of the price.');
+    });
+
+    test('should record the outcome and only charge when the fee is accepted', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+      const late = { now: new Date('2026-10-21T14:00:00Z') };
+
+      await expect(bookings.cancelBooking(bookingId, business, { ...late, acceptFee: false }))
+        .rejects.toMatchObject({ code: 'FEE_NOT_ACCEPTED', cancellation: { outcome: 'late', fee: 20 } });
+      expect((await bookings.getBooking(bookingId)).status).toBe('confirmed');
+
+      const result = await bookings.cancelBooking(bookingId, business, late);
+      expect(result.cancellation).toMatchObject({ outcome: 'late', fee: 20 });
+      expect(await bookings.getBooking(bookingId)).toMatchObject({
+        status: 'cancelled',
+        cancellation: { outcome: 'late', fee: 20, evaluatedAt: '2026-10-21T14:00:00.000Z' }
+      });
+
+      await expect(bookings.cancelBooking(bookingId, business, late))
+        .rejects.toMatchObject({ code: 'BOOKING_LOCKED', message: 'This booking is already cancelled' });
+    });
+  });
+
+  describe('Phone flow', () => {
+    let changes;
+    const say = (text, extra = {}) => changes.handle({
+      sessionId: 'CA-reschedule',
+      businessId: 'test-salon',
+      business,
+      text,
+      intent: 'reschedule',
+      now,
+      ...extra
+    });
+
+    beforeEach(() => {
+      changes = new BookingChangeTaker({ bookings });
+    });
+
+    test('should find the booking from caller ID and move it', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+
+      expect((await say('I need to reschedule my appointment', { caller: '+1 (416) 555-0123' })).reply).toBe(
+        'I found your booking for Haircut on Wednesday, October 21 at 1 PM. What day and time would you like instead?'
+      );
+      expect((await say('How about Thursday at 3?')).reply).toBe(
+        "Just to confirm, you'd like to move your booking from Wednesday, October 21 at 1 PM to Thursday, October 22 at 3 PM?"
+      );
+
+      const done = await say('Yes please');
+      expect(done.reply).toBe('Done! Your booking is now on Thursday, October 22 at 3 PM. Is there anything else I can help you with?');
+      expect((await bookings.getBooking(bookingId)).startTime).toBe('2026-10-22T19:00:00.000Z');
+      expect(changes.hasSession('CA-reschedule')).toBe(false);
+    });
+
+    test('should ask for the number and offer times on a day', async () => {
+      await bookings.createBooking(haircut, business);
+      await bookings.createBooking({ ...haircut, startTime: '2026-10-22T16:00:00Z', endTime: '2026-10-22T16:45:00Z', customerPhone: '+14165550199' }, business);
+
+      expect((await say('Can I move my booking?')).reply).toBe('Sure, I can help you move a booking. What phone number is it under?');
+      expect((await say('416 555 0000')).reply).toBe(
+        "I couldn't find an upcoming booking under that number. Could you check the number, or say never mind?"
+      );
+      await say('416 555 0123');
+
+      // Noon is taken by someone else
+      expect((await say('What do you have Thursday?')).reply).toBe(
+        'On Thursday, October 22 I have 1 PM, 1:30 PM or 2 PM. Which time works for you?'
+      );
+      expect((await say('noon')).reply).toBe(
+        "Sorry, noon isn't available on Thursday, October 22. I have 1 PM, 1:30 PM or 2 PM. Which time works for you?"
+      );
+      expect((await say('1:30 pm')).reply).toContain('to Thursday, October 22 at 1:30 PM?');
+      expect((await say('Actually no')).reply).toBe('No problem. What day and time would you like instead?');
+      expect((await say('Never mind, keep it')).reply).toContain("I've left your booking as it is");
+    });
+
+    test('should not move the booking when the caller denies the new time', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+
+      await say('I need to reschedule my appointment', { caller: '+14165550123' });
+      await say('How about Thursday at 3?');
+
+      expect((await say("No, that's not correct")).reply).toBe('No problem. What day and time would you like instead?');
+      expect((await bookings.getBooking(bookingId)).startTime).toBe('2026-10-21T17:00:00.000Z');
+    });
+
+    test('should let the caller pick between bookings', async () => {
+      await bookings.createBooking(haircut, business);
+      await bookings.createBooking({ ...haircut, startTime: '2026-10-23T17:00:00Z', endTime: '2026-10-23T18:30:00Z', service: 'Colour' }, business);
+
+      expect((await say('I want to reschedule', { caller: '+14165550123' })).reply).toBe(
+        'I found 2 bookings: 1, for Haircut on Wednesday, October 21 at 1 PM; 2, for Colour on Friday, October 23 at 1 PM. ' +
+        'Which one would you like to move?'
+      );
+      expect((await say('The second one')).reply).toBe(
+        'I found your booking for Colour on Friday, October 23 at 1 PM. What day and time would you like instead?'
+      );
+    });
+
+    test('should refuse bookings inside the cutoff', async () => {
+      await bookings.createBooking(haircut, business);
+
+      const turn = await say('I need to reschedule', { caller: '+14165550123', now: new Date('2026-10-21T16:00:00Z') });
+
+      expect(turn.reply).toBe(
+        "I found your booking for Haircut on Wednesday, October 21 at 1 PM, but I'm sorry, bookings can only be changed " +
+        'up to 2 hours before they start. Is there anything else I can help you with?'
+      );
+      expect(changes.hasSession('CA-reschedule')).toBe(false);
+    });
+
+    test('should explain the fee before cancelling', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+      const late = { now: new Date('2026-10-21T14:00:00Z') };
+
+      expect((await say('I need to cancel my appointment', { ...late, intent: 'cancel_booking', caller: '+14165550123' })).reply).toBe(
+        'I found your booking for Haircut on Wednesday, October 21 at 1 PM. Since it\'s less than 24 hours before your booking, ' +
+        "there's a late cancellation fee of $20.00. Would you like me to cancel it?"
+      );
+
+      const done = await say('Yes, cancel it', late);
+      expect(done.reply).toBe(
+        'Your booking for Haircut on Wednesday, October 21 at 1 PM is cancelled. The $20.00 cancellation fee will be charged. ' +
+        'Is there anything else I can help you with?'
+      );
+      expect(done.booking).toMatchObject({ bookingId, status: 'cancelled', cancellation: { outcome: 'late' } });
+    });
+
+    test('should keep the booking when the caller changes their mind', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+
+      expect((await say('Cancel my booking please', { intent: 'cancel_booking', caller: '+14165550123' })).reply)
+        .toContain('You can cancel free of charge. Would you like me to cancel it?');
+      expect((await say('No, leave it')).reply).toContain("I've left your booking as it is");
+      expect((await bookings.getBooking(bookingId)).status).toBe('confirmed');
+    });
+
+    test('should not cancel when the caller denies it', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+      const late = { now: new Date('2026-10-21T14:00:00Z') };
+      const cancelBooking = jest.spyOn(bookings, 'cancelBooking');
+
+      await say('I need to cancel my appointment', { ...late, intent: 'cancel_booking', caller: '+14165550123' });
+
+      expect((await say("No, that's not correct, don't cancel it", late)).reply).toContain('your booking is still on');
+      expect((await bookings.getBooking(bookingId)).status).toBe('confirmed');
+      expect(cancelBooking).not.toHaveBeenCalled();
+    });
+
+    test('should accept the fee explicitly on a clear yes', async () => {
+      const { bookingId } = await bookings.createBooking(haircut, business);
+      const late = { now: new Date('2026-10-21T14:00:00Z') };
+      const cancelBooking = jest.spyOn(bookings, 'cancelBooking');
+
+      await say('I need to cancel my appointment', { ...late, intent: 'cancel_booking', caller: '+14165550123' });
+      await say('Yes please', late);
+
+      expect(cancelBooking).toHaveBeenCalledWith(bookingId, business, { acceptFee: true, now: late.now });
+    });
+  });
+
+  describe('Booking API', () => {
+    const businessId = 'booking-changes-test';
+    let app;
+
+    // A Wednesday far enough ahead that the test never runs into the past
+    const booking = {
+      ...haircut,
+      businessId,
+      date: '2030-01-09',
+      startTime: '2030-01-09T18:00:00Z',
+      endTime: '2030-01-09T18:45:00Z'
+    };
+
+    beforeAll(() => {
+      saveBusinessData(businessId, business);
+      // Every cancellation is late for this one
+      saveBusinessData(`${businessId}-fees`, {
+        ...business,
+        booking: { cancellation: { free_until_minutes: 7200000, late_fee_percent: 50 } }
+      });
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'api.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      fs.rmSync(getBusinessFilePath(`${businessId}-fees`), { force: true });
+      delete process.env.BOOKINGS_FILE;
+    });
+
+    test('should move a booking and refuse taken or closed times', async () => {
+      const created = await request(app).post('/book').send(booking).expect(201);
+      const { bookingId } = created.body.booking;
+      await request(app)
+        .post('/book')
+        .send({ ...booking, startTime: '2030-01-10T18:00:00Z', endTime: '2030-01-10T18:45:00Z' })
+        .expect(201);
+
+      const moved = await request(app)
+        .patch(`/book/${bookingId}`)
+        .send({ startTime: '2030-01-09T20:00:00Z' })
+        .expect(200);
+      expect(moved.body.booking).toMatchObject({ startTime: '2030-01-09T20:00:00.000Z', endTime: '2030-01-09T20:45:00.000Z' });
+
+      const taken = await request(app)
+        .patch(`/book/${bookingId}`)
+        .send({ startTime: '2030-01-10T18:00:00Z' })
+        .expect(409);
+      expect(taken.body).toEqual({ error: 'Time slot not available', details: 'This time slot is already booked' });
+
+      // Monday is closed
+      const closed = await request(app)
+        .patch(`/book/${bookingId}`)
+        .send({ startTime: '2030-01-07T18:00:00Z' })
+        .expect(409);
+      expect(closed.body.details).toBe("We're not open for bookings at that time");
+    });
+
+    test('should reject bad changes', async () => {
+      const created = await request(app)
+        .post('/book')
+        .send({ ...booking, startTime: '2030-01-11T18:00:00Z', endTime: '2030-01-11T18:45:00Z' })
+        .expect(201);
+      const { bookingId } = created.body.booking;
+
+      await request(app).patch(`/book/${bookingId}`).send({}).expect(400);
+      await request(app).patch(`/book/${bookingId}`).send({ endTime: '2030-01-11T20:00:00Z' }).expect(400);
+      await request(app).patch(`/book/${bookingId}`).send({ startTime: '2020-01-01T10:00:00Z' }).expect(400);
+      await request(app).patch(`/book/${bookingId}`).send({ service: 'massage' }).expect(400);
+      await request(app).patch('/book/BOOK-9999').send({ notes: 'Hello' }).expect(404);
+
+      await request(app).delete(`/book/${bookingId}`).expect(200);
+      const cancelled = await request(app).patch(`/book/${bookingId}`).send({ notes: 'Hello' }).expect(409);
+      expect(cancelled.body.error).toBe('Booking cannot be changed');
+    });
+
+    test('should quote the cancellation fee and require accepting it', async () => {
+      const created = await request(app)
+        .post('/book')
+        .send({ ...booking, businessId: `${businessId}-fees`, startTime: '2030-01-12T16:00:00Z', endTime: '2030-01-12T16:45:00Z' })
+        .expect(201);
+      const { bookingId } = created.body.booking;
+
+      const quote = await request(app).get(`/book/${bookingId}/cancellation`).expect(200);
+      expect(quote.body.cancellation).toMatchObject({ outcome: 'late', fee: 20, feeApplies: true });
+      expect(quote.body.message).toBe("Since it's less than 5000 days before your booking, there's a late cancellation fee of $20.00.");
+
+      const refused = await request(app).delete(`/book/${bookingId}`).expect(409);
+      expect(refused.body).toMatchObject({ error: 'Cancellation fee applies', cancellation: { fee: 20 } });
+
+      const cancelled = await request(app).delete(`/book/${bookingId}?accept_fee=true`).expect(200);
+      expect(cancelled.body.result.cancellation).toMatchObject({ outcome: 'late', fee: 20 });
+
+      await request(app).delete(`/book/${bookingId}?accept_fee=true`).expect(409);
+      await request(app).get('/book/BOOK-9999/cancellation').expect(404);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { BookingTaker } = require('../services/bookingTaking');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Booking Taking Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Bistro',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '5pm–10pm',
+      wednesday: '5pm–10pm',
+      thursday: '5pm–10pm',
+      friday: '5pm–10pm',
+      saturday: '5pm–10pm',
+      sunday: '5pm–10pm'
+    },
+    booking: {
+      slot_interval_minutes: 30,
+      capacity: 1
+    }
+  };
+
+  let tempDir;
+  let bookings;
+  let taker;
+
+  const say = (text, extra = {}) => taker.handle({
+    sessionId: 'CA-booking',
+    businessId: 'test-bistro',
+    business,
+    text,
+    intent: 'booking',
+    now,
+    ...extra
+  });
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-taking-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${Date.now()}-${Math.random()}.json`) })
+    });
+    taker = new BookingTaker({ bookings });
+  });
+
+  test('should fill the booking from one sentence and make it', async () => {
+    expect((await say('Can I book a table for 4 tomorrow at 7?', { caller: '+14165550123' })).reply)
+      .toBe('Sure, I can book that for you. What name should I put the booking under?');
+    expect((await say('My name is sam lee')).reply)
+      .toBe("Should we use the number you're calling from in case we need to reach you?");
+    expect((await say('Yes')).reply).toBe(
+      'Just to confirm, a booking for 4 people on Tuesday, October 20 at 7 PM under Sam Lee, ' +
+      "and we'll call the number ending 0123 if anything changes. Shall I book it?"
+    );
+
+    const done = await say('Yes please');
+    expect(done.reply).toBe(
+      "You're booked! Your booking number is 1001. We'll see you on Tuesday, October 20 at 7 PM. " +
+      'Is there anything else I can help you with?'
+    );
+    expect(done.booking).toMatchObject({
+      bookingId: 'BOOK-1001',
+      businessId: 'test-bistro',
+      customerName: 'Sam Lee',
+      customerPhone: '+14165550123',
+      partySize: 4,
+      date: '2026-10-20',
+      startTime: '2026-10-20T23:00:00.000Z',
+      endTime: '2026-10-20T23:30:00.000Z',
+      status: 'confirmed'
+    });
+    expect(taker.hasSession('CA-booking')).toBe(false);
+  });
+
+  test('should ask for each detail in turn', async () => {
+    expect((await say("I'd like to make a reservation")).reply)
+      .toBe('Sure, I can book that for you. How many people is the booking for?');
+    expect((await say('Four')).reply).toBe('What day would you like to come in?');
+    expect((await say('Monday')).reply).toBe("Sorry, we don't have anything free on Monday, October 19. Would another day work?");
+    expect((await say('Friday then')).reply).toBe('What time would you like on Friday, October 23?');
+    expect((await say('7:30')).reply).toBe('What name should I put the booking under?');
+    expect((await say("It's Alex")).reply).toBe("What's the best number to reach you on?");
+    expect((await say('416 555 0199')).reply).toBe(
+      'Just to confirm, a booking for 4 people on Friday, October 23 at 7:30 PM under Alex, ' +
+      "and we'll call the number ending 0199 if anything changes. Shall I book it?"
+    );
+  });
+
+  test('should offer the nearest free times when the slot is taken', async () => {
+    await bookings.createBooking({
+      businessId: 'test-bistro',
+      customerName: 'Other Guest',
+      customerPhone: '+14165550100',
+      date: '2026-10-20',
+      startTime: '2026-10-20T23:00:00Z',
+      endTime: '2026-10-20T23:30:00Z',
+      serviceType: 'appointment'
+    }, business);
+
+    expect((await say('A table for two tomorrow at 7 please')).reply).toBe(
+      "Sure, I can book that for you. Sorry, 7 PM isn't available on Tuesday, October 20. " +
+      'I have 6 PM, 6:30 PM or 7:30 PM. Which time works for you?'
+    );
+    expect((await say('7:30 then')).reply).toBe('What name should I put the booking under?');
+  });
+
+  test('should understand looser times', async () => {
+    expect((await say('Table for 2 on Saturday evening')).reply).toBe(
+      'Sure, I can book that for you. On Saturday, October 24 in the evening I have 5 PM, 5:30 PM or 6 PM. Which time works for you?'
+    );
+    expect((await say('Actually this Friday around eight')).reply).toBe('What name should I put the booking under?');
+    await say('Sam');
+    expect((await say('416 555 0123')).reply).toContain('on Friday, October 23 at 8 PM under Sam');
+
+    expect((await say('No, next Tuesday lunchtime')).reply).toBe(
+      "Sorry, nothing's free at lunchtime on Tuesday, October 27. I have 5 PM, 5:30 PM or 6 PM. Which time works for you?"
+    );
+  });
+
+  test('should offer other times when the slot goes before confirming', async () => {
+    await say('Table for 2 tomorrow at 7', { caller: '+14165550123' });
+    await say('Sam');
+    await say('Yes');
+
+    // Someone else takes 7 PM while the caller listens to the read-back
+    await bookings.createBooking({
+      businessId: 'test-bistro',
+      customerName: 'Other Guest',
+      customerPhone: '+14165550100',
+      date: '2026-10-20',
+      startTime: '2026-10-20T23:00:00Z',
+      endTime: '2026-10-20T23:30:00Z',
+      serviceType: 'appointment'
+    }, business);
+
+    expect((await say('Yes')).reply).toBe(
+      "Sorry, 7 PM isn't available on Tuesday, October 20. I have 6 PM, 6:30 PM or 7:30 PM. Which time works for you?"
+    );
+    expect((await say('6:30')).reply).toContain('Just to confirm, a booking for 2 people on Tuesday, October 20 at 6:30 PM under Sam');
+    expect((await say('Yes')).booking).toMatchObject({ startTime: '2026-10-20T22:30:00.000Z' });
+  });
+
+  test('should change details on no and stop on never mind', async () => {
+    await say('Table for 2 tomorrow at 7', { caller: '+14165550123' });
+    await say('Sam');
+    await say('Yes');
+
+    expect((await say('No, make it 6 people')).reply).toContain('a booking for 6 people on Tuesday, October 20 at 7 PM');
+    expect((await say('Never mind')).reply).toBe("No problem, I haven't booked anything. Is there anything else I can help you with?");
+    expect(taker.hasSession('CA-booking')).toBe(false);
+    expect(await bookings.getAllBookings()).toHaveLength(0);
+  });
+
+  test('should not book when the caller denies the read-back', async () => {
+    await say('Table for 2 tomorrow at 7', { caller: '+14165550123' });
+    await say('Sam');
+    expect((await say("No, that's not correct")).reply).toBe('No problem. What number should we use?');
+    await say('416 555 0199');
+
+    expect((await say("No, that's not correct")).reply).toBe('No problem. What day and time would you like instead?');
+    expect(taker.hasSession('CA-booking')).toBe(true);
+    expect(await bookings.getAllBookings()).toHaveLength(0);
+  });
+
+  test('should only start on a booking request', async () => {
+    expect(await say('What are your hours?', { intent: 'hours' })).toBeNull();
+    expect(await say('Can I book a table?', { sessionId: null })).toBeNull();
+  });
+
+  describe('On a call', () => {
+    const businessId = 'booking-taking-test';
+    let handleCallLogic;
+
+    beforeAll(() => {
+      // Open every day so "tomorrow" always works
+      saveBusinessData(businessId, {
+        ...business,
+        hours: Object.fromEntries(Object.keys(business.hours).map(day => [day, '5pm–10pm']))
+      });
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'calls.json');
+      jest.resetModules();
+      ({ handleCallLogic } = require('../services/callLogic'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      delete process.env.BOOKINGS_FILE;
+      jest.resetModules();
+    });
+
+    test('should take the booking through the call logic', async () => {
+      const turn = (text) => handleCallLogic(text, businessId, {
+        generateAudio: false,
+        sessionId: 'CA-call-booking',
+        caller: '+14165550123'
+      });
+
+      const first = await turn('Can I book a table for 3 tomorrow at 8?');
+      expect(first.intent).toBe('booking');
+      expect(first.text_response).toBe('Sure, I can book that for you. What name should I put the booking under?');
+
+      // Still the booking, though "Jordan" on its own has no intent
+      expect((await turn('Jordan')).intent).toBe('booking');
+      await turn('Yes');
+      const done = await turn('Yes');
+
+      expect(done.text_response).toContain("You're booked!");
+      expect(done.booking).toMatchObject({ businessId, customerName: 'Jordan', partySize: 3, status: 'confirmed' });
+    });
+  });
+});
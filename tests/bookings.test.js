@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Booking Store Tests', () => {
+  const booking = {
+    customerName: 'Test Customer',
+    customerEmail: 'test@example.com',
+    customerPhone: '+14165550123',
+    date: '2030-01-09',
+    startTime: '2030-01-09T15:00:00Z',
+    endTime: '2030-01-09T15:30:00Z',
+    serviceType: 'appointment'
+  };
+
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Store', () => {
+    test('should keep bookings across restarts', async () => {
+      const bookingsFile = path.join(tempDir, 'restart.json');
+      const stored = await new BookingStore({ bookingsFile }).create(booking);
+
+      expect(stored).toMatchObject({ bookingId: 'BOOK-1001', status: 'confirmed' });
+      expect(new BookingStore({ bookingsFile }).get('BOOK-1001')).toEqual(stored);
+      expect(fs.readdirSync(tempDir)).toEqual(['restart.json']);
+    });
+
+    test('should take over a lock left by a crashed process', async () => {
+      const bookingsFile = path.join(tempDir, 'stale.json');
+      const lockFile = `${bookingsFile}.lock`;
+      fs.writeFileSync(lockFile, '12345');
+      const old = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(lockFile, old, old);
+
+      await new BookingStore({ bookingsFile }).create(booking);
+
+      expect(fs.existsSync(lockFile)).toBe(false);
+    });
+  });
+
+  describe('Double booking', () => {
+    test('should let only one of several concurrent requests take a slot', async () => {
+      const bookingsFile = path.join(tempDir, 'concurrent.json');
+      // Separate instances share nothing but the file, like two server processes
+      const services = [1, 2, 3, 4, 5].map(() => new BookingService({ store: new BookingStore({ bookingsFile }) }));
+
+      const results = await Promise.allSettled(services.map(service => service.createBooking(booking)));
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.filter(result => result.status === 'rejected').map(result => result.reason.code))
+        .toEqual(Array(4).fill('SLOT_UNAVAILABLE'));
+      expect(new BookingStore({ bookingsFile }).readAll()).toHaveLength(1);
+    });
+
+    test('should free the slot when a booking is cancelled', async () => {
+      const service = new BookingService({ store: new BookingStore({ bookingsFile: path.join(tempDir, 'cancel.json') }) });
+      const { bookingId } = await service.createBooking(booking);
+
+      await expect(service.createBooking(booking)).rejects.toThrow('This time slot is already booked');
+      await service.cancelBooking(bookingId);
+      await expect(service.createBooking(booking)).resolves.toMatchObject({ success: true });
+      await expect(service.cancelBooking('BOOK-9999')).rejects.toMatchObject({ code: 'BOOKING_NOT_FOUND' });
+    });
+  });
+
+  describe('Bookings API', () => {
+    const businessId = 'bookings-api-test';
+    let app;
+
+    beforeAll(() => {
+      saveBusinessData(businessId, {
+        schema_version: 2,
+        name: 'Late Bistro',
+        timezone: 'America/Toronto',
+        hours: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+          .map(day => [day, '5pm–11pm']))
+      });
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'api.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      delete process.env.BOOKINGS_FILE;
+    });
+
+    test('should look up and list stored bookings', async () => {
+      const first = await request(app).post('/book').send(booking).expect(201);
+      await request(app)
+        .post('/book')
+        .send({ ...booking, date: '2030-01-10', startTime: '2030-01-10T15:00:00Z', endTime: '2030-01-10T15:30:00Z' })
+        .expect(201);
+      const { bookingId } = first.body.booking;
+
+      const found = await request(app).get(`/book/${bookingId}`).expect(200);
+      expect(found.body.booking).toMatchObject({ bookingId, customerName: 'Test Customer', status: 'confirmed' });
+
+      const listed = await request(app).get('/book?date=2030-01-09').expect(200);
+      expect(listed.body.bookings.map(entry => entry.bookingId)).toEqual([bookingId]);
+
+      await request(app).delete(`/book/${bookingId}`).expect(200);
+      const confirmed = await request(app).get('/book?status=confirmed').expect(200);
+      expect(confirmed.body.count).toBe(1);
+      expect(confirmed.body.bookings[0].startTime).toBe('2030-01-10T15:00:00.000Z');
+    });
+
+    test('should file bookings under the day they start where the business is', async () => {
+      // 9 PM on January 9 in Toronto; the client sends the UTC day
+      const created = await request(app)
+        .post('/book')
+        .send({ ...booking, businessId, date: '2030-01-10', startTime: '2030-01-10T02:00:00Z', endTime: '2030-01-10T02:30:00Z' })
+        .expect(201);
+      expect(created.body.booking.booking.date).toBe('2030-01-09');
+
+      const { date, ...undated } = booking;
+      const late = await request(app)
+        .post('/book')
+        .send({ ...undated, businessId, startTime: '2030-01-10T03:00:00Z', endTime: '2030-01-10T03:30:00Z' })
+        .expect(201);
+      expect(late.body.booking.booking.date).toBe('2030-01-09');
+
+      const listed = await request(app).get('/book').query({ date: '2030-01-09', business_id: businessId }).expect(200);
+      expect(listed.body.bookings.map(entry => entry.bookingId)).toEqual([created.body.booking.bookingId, late.body.booking.bookingId]);
+      await request(app).get('/book').query({ date: '2030-01-10', business_id: businessId }).expect(200, /"count":0/);
+    });
+
+    test('should return 404 for unknown bookings and 400 for bad filters', async () => {
+      await request(app).get('/book/BOOK-9999').expect(404);
+      await request(app).delete('/book/BOOK-9999').expect(404);
+      await request(app).get('/book/health').expect(200);
+
+      const response = await request(app).get('/book?status=pending').expect(400);
+      expect(response.body.details).toBe('"status" must be one of [confirmed, cancelled]');
+    });
+  });
+});
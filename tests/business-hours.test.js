@@ -0,0 +1,150 @@
+const {
+  parseTime,
+  parseDayHours,
+  getOpenStatus,
+  answerHoursQuestion
+} = require('../services/businessHours');
+const { validateBusinessProfile } = require('../services/businessProfile');
+const intentDetector = require('../services/intent');
+
+describe('Business Hours Tests', () => {
+  // 2 PM on a Wednesday in Toronto
+  const now = new Date('2026-10-14T18:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Pizzeria',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '11:00 AM - 12:00 AM',
+      wednesday: '11:00 AM - 12:00 AM',
+      thursday: '11:00 AM - 12:00 AM',
+      friday: '11am–2am',
+      saturday: [{ open: '10:00', close: '14:00' }, { open: '17:00', close: '23:00' }],
+      sunday: '12pm–9pm'
+    },
+    hours_exceptions: [
+      { id: '2026-12-25-christmas-day', name: 'Christmas Day', start_date: '2026-12-25', hours: 'Closed' }
+    ]
+  };
+
+  describe('Parsing', () => {
+    test('should parse clock times in the formats profiles use', () => {
+      expect(parseTime('12pm')).toBe(720);
+      expect(parseTime('11:00 AM')).toBe(660);
+      expect(parseTime('12:00 AM')).toBe(0);
+      expect(parseTime('09:30')).toBe(570);
+      expect(parseTime('noon')).toBe(720);
+      expect(parseTime('13pm')).toBeNull();
+    });
+
+    test('should parse a day into intervals, closing past midnight', () => {
+      expect(parseDayHours('12pm–9pm')).toEqual([{ open: 720, close: 1260 }]);
+      expect(parseDayHours('11:00 AM - 12:00 AM')).toEqual([{ open: 660, close: 1440 }]);
+      expect(parseDayHours('11am–2am')).toEqual([{ open: 660, close: 1560 }]);
+      expect(parseDayHours('11am–3pm, 5pm–10pm')).toEqual([{ open: 660, close: 900 }, { open: 1020, close: 1320 }]);
+      expect(parseDayHours([{ open: '09:00', close: '17:00' }])).toEqual([{ open: 540, close: 1020 }]);
+      expect(parseDayHours('Closed')).toEqual([]);
+      expect(parseDayHours('whenever')).toBeNull();
+    });
+
+    test('should reject hours and time zones it cannot evaluate', () => {
+      const { errors } = validateBusinessProfile({
+        schema_version: 2,
+        name: 'Bad Hours',
+        timezone: 'Mars/Olympus_Mons',
+        hours: { monday: 'whenever' },
+        hours_exceptions: [{ id: 'renovation', start_date: '2026-03-10', end_date: '2026-03-01', hours: 'Closed' }]
+      });
+
+      expect(errors).toEqual([
+        '"timezone" must be an IANA time zone like "America/Toronto"',
+        '"hours.monday" must be opening hours like "9am–5pm" or "Closed"',
+        '"end_date" must not be before "start_date"'
+      ]);
+      expect(validateBusinessProfile(business).errors).toEqual([]);
+    });
+  });
+
+  describe('Open status', () => {
+    test('should evaluate hours in the business time zone', () => {
+      expect(getOpenStatus(business, now)).toMatchObject({
+        open: true,
+        local: { date: '2026-10-14', day: 'wednesday', minutes: 840 },
+        closesAt: { minutes: 1440 }
+      });
+
+      // The same moment is 3 AM Thursday in Tokyo
+      expect(getOpenStatus({ ...business, timezone: 'Asia/Tokyo' }, now)).toMatchObject({
+        open: false,
+        opensAt: { date: '2026-10-15', minutes: 660 }
+      });
+    });
+
+    test("should count the previous day's hours that run past midnight", () => {
+      // 1:30 AM Saturday, still inside Friday's 11am–2am
+      expect(getOpenStatus(business, new Date('2026-10-17T05:30:00Z'))).toMatchObject({
+        open: true,
+        closesAt: { day: 'friday', minutes: 1560 }
+      });
+      expect(getOpenStatus(business, new Date('2026-10-17T06:30:00Z')).open).toBe(false);
+    });
+
+    test('should use hours exceptions instead of the weekly hours', () => {
+      const status = getOpenStatus(business, new Date('2026-12-25T17:00:00Z'));
+
+      expect(status.open).toBe(false);
+      expect(status.opensAt).toMatchObject({ date: '2026-12-26', minutes: 600 });
+    });
+  });
+
+  describe('Answering callers', () => {
+    test.each([
+      ['Are you open right now?', "We're open right now until midnight."],
+      ['When do you close tonight?', "We're open until midnight tonight."],
+      ['Are you open Sunday at 6?', "Yes, we're open at 6 PM on Sunday. Our Sunday hours are noon to 9 PM."],
+      ['Are you open Saturday at 3pm?', "No, we're not open at 3 PM on Saturday. Our Saturday hours are 10 AM to 2 PM and 5 PM to 11 PM."],
+      ['What time do you close on Friday?', 'On Friday we close at 2 AM.'],
+      ['Are you open on Mondays?', "No, we're closed on Mondays."],
+      ['Are you open on Christmas?', "No, on Friday, December 25 we're closed for Christmas Day."],
+      ['What are your hours?', null]
+    ])('%s', (question, answer) => {
+      expect(answerHoursQuestion(business, question, now)).toBe(answer);
+    });
+
+    test('should say when the business opens next while closed', () => {
+      // 10 AM Monday
+      expect(answerHoursQuestion(business, 'Are you open now?', new Date('2026-10-12T14:00:00Z')))
+        .toBe("We're closed right now. We open again tomorrow at 11 AM.");
+    });
+
+    describe('hours intent', () => {
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(now);
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should route opening questions to the hours intent', () => {
+        expect(intentDetector.detectIntent('When do you close tonight?')).toBe('hours');
+        expect(intentDetector.detectIntent('Are you still open?')).toBe('hours');
+      });
+
+      test('should lead the full hours with whether the business is open', () => {
+        const response = intentDetector.generateResponse('hours', business, 'What are your hours?');
+
+        expect(response).toMatch(/^We're open right now until midnight\. Our full hours are:\n/);
+        expect(response).toContain('Friday: 11am–2am');
+        expect(response).toContain('Saturday: 10 AM to 2 PM and 5 PM to 11 PM');
+      });
+
+      test('should answer specific questions from the structured hours', () => {
+        expect(intentDetector.generateResponse('hours', business, 'Are you open Sunday at 6?'))
+          .toBe("Yes, we're open at 6 PM on Sunday. Our Sunday hours are noon to 9 PM.");
+      });
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  SCHEMA_VERSION,
+  migrateBusinessProfile,
+  validateBusinessProfile,
+  parseMoney
+} = require('../services/businessProfile');
+const intentDetector = require('../services/intent');
+
+describe('Business Profile Schema Tests', () => {
+  const migrate = (data) => {
+    const { value, errors } = validateBusinessProfile(migrateBusinessProfile(data));
+    expect(errors).toEqual([]);
+    return value;
+  };
+
+  describe('Legacy migrations', () => {
+    test('should upgrade business_name/delivery_areas profiles', () => {
+      const profile = migrate({
+        business_name: 'Pizza Karachi',
+        location: '123 Main St, Toronto',
+        services: ['pickup', 'delivery'],
+        delivery_areas: ['Downtown', 'North York'],
+        delivery_fee: '$5 (free over $30)',
+        special_notes: { parking: 'Street parking available' }
+      });
+
+      expect(profile).toMatchObject({
+        schema_version: SCHEMA_VERSION,
+        name: 'Pizza Karachi',
+        address: '123 Main St, Toronto',
+        services: [{ name: 'pickup' }, { name: 'delivery' }],
+        delivery: { available: true, areas: ['Downtown', 'North York'], fee: 5, free_over: 30 }
+      });
+    });
+
+    test('should upgrade unversioned name/delivery.areas profiles', () => {
+      const profile = migrate({
+        name: 'Test Sushi Bar',
+        address: '999 Integration St',
+        hours: { Monday: '7am–10pm' },
+        services: [{ name: 'sushi special', price: 15.99 }],
+        delivery: { available: true, areas: ['Test Zone A'], fee: 4.99, minimum: 25 }
+      });
+
+      expect(profile.hours).toEqual({ monday: '7am–10pm' });
+      expect(profile.delivery).toEqual({ available: true, areas: ['Test Zone A'], fee: 4.99, minimum: 25 });
+    });
+
+    test('should upgrade businessInfo/policies knowledge files', () => {
+      const profile = migrate({
+        businessInfo: { name: 'AI Business Solutions', phone: '+1-555-0123', timezone: 'America/New_York' },
+        hours: {
+          monday: { open: '09:00', close: '17:00', isOpen: true },
+          sunday: { open: '00:00', close: '00:00', isOpen: false }
+        },
+        services: [{ id: 'consultation', name: 'Business Consultation', duration: 60, price: 150, available: true }],
+        policies: { cancellation: 'Cancel up to 24 hours ahead.' },
+        commonQuestions: [{ question: 'Do you offer virtual meetings?', answer: 'Yes.' }],
+        emergencyContacts: { afterHours: '+1-555-0199' }
+      });
+
+      expect(profile).toMatchObject({
+        name: 'AI Business Solutions',
+        timezone: 'America/New_York',
+        hours: { monday: '09:00–17:00', sunday: 'Closed' },
+        policies: { cancellation: 'Cancel up to 24 hours ahead.' },
+        faqs: [{ question: 'Do you offer virtual meetings?', answer: 'Yes.' }],
+        emergency_contacts: { afterHours: '+1-555-0199' }
+      });
+    });
+
+    test('should upgrade nested menus with string prices', () => {
+      const profile = migrate({
+        name: 'Pizza Karachi',
+        location: { address: '123 Downtown St', neighborhood: 'Downtown', features: ['Dine-in', 'Takeout'] },
+        menu: { sides: [{ name: 'Garlic Naan Bread', price: '$4.99' }] },
+        delivery: { minimum_order: '$25.00', delivery_fee: '$2.99', free_delivery_over: '$35.00' },
+        promotions: [{ name: 'Family Deal', code: 'FAMILY39' }]
+      });
+
+      expect(profile.address).toBe('123 Downtown St');
+      expect(profile.services).toEqual([{ name: 'Dine-in' }, { name: 'Takeout' }]);
+      expect(profile.menu.categories[0]).toEqual({
+        id: 'sides',
+        name: 'Sides',
+        items: [{ id: 'garlic-naan-bread', name: 'Garlic Naan Bread', price: 4.99 }]
+      });
+      expect(profile.delivery).toMatchObject({ available: true, fee: 2.99, minimum: 25, free_over: 35 });
+      expect(profile.special_notes.neighborhood).toBe('Downtown');
+    });
+
+    test('should upgrade version 1 category maps to a menu catalogue', () => {
+      const profile = migrate({
+        schema_version: 1,
+        name: 'Pizza Karachi',
+        menu: {
+          signature_pizzas: [{ name: 'Karachi Special', price: 21.99 }],
+          traditional_pizzas: [{ name: 'Karachi Special', price: 15.99 }]
+        }
+      });
+
+      expect(profile.menu.categories.map(category => category.name))
+        .toEqual(['Signature Pizzas', 'Traditional Pizzas']);
+      expect(profile.menu.categories.map(category => category.items[0].id))
+        .toEqual(['karachi-special', 'karachi-special-2']);
+    });
+
+    test('should reject unknown dietary tags', () => {
+      const { errors } = validateBusinessProfile({
+        schema_version: SCHEMA_VERSION,
+        name: 'Tag Test',
+        menu: { categories: [{ id: 'mains', name: 'Mains', items: [{ id: 'stew', name: 'Stew', dietary: ['paleo'] }] }] }
+      });
+      expect(errors).toEqual([expect.stringContaining('dietary')]);
+    });
+
+    test('should leave current profiles untouched', () => {
+      const current = { schema_version: SCHEMA_VERSION, name: 'Already Current' };
+      expect(migrateBusinessProfile(current)).toBe(current);
+    });
+
+    test('should refuse profiles from a newer schema', () => {
+      expect(() => migrateBusinessProfile({ schema_version: SCHEMA_VERSION + 1, name: 'Future' }))
+        .toThrow('Unsupported business schema version');
+    });
+
+    test('should parse money strings', () => {
+      expect(parseMoney('$18.99')).toBe(18.99);
+      expect(parseMoney('$1,200')).toBe(1200);
+      expect(parseMoney(5)).toBe(5);
+      expect(parseMoney('free')).toBeUndefined();
+    });
+  });
+
+  describe('Intent responses', () => {
+    test('should answer every intent from a sparse profile without throwing', () => {
+      const profile = migrate({ name: 'Bare Bones Cafe' });
+
+      ['booking', 'hours', 'location', 'delivery', 'menu', 'payment', 'halal', 'generic', 'fallback']
+        .forEach(intent => {
+          expect(typeof intentDetector.generateResponse(intent, profile)).toBe('string');
+        });
+      expect(intentDetector.generateResponse('delivery', profile)).toContain("don't offer delivery");
+    });
+
+    test('should answer from migrated legacy profiles', () => {
+      const profile = migrate({
+        business_name: 'Pizza Karachi',
+        location: '123 Main St, Toronto',
+        delivery_areas: ['Downtown'],
+        delivery_fee: '$5 (free over $30)',
+        special_notes: { parking: 'Street parking available' }
+      });
+
+      expect(intentDetector.generateResponse('location', profile)).toContain('Street parking available');
+      expect(intentDetector.generateResponse('delivery', profile)).toContain('$5.00');
+      expect(intentDetector.generateResponse('generic', profile)).toContain('Pizza Karachi');
+    });
+  });
+
+  describe('Business API', () => {
+    const dataDir = path.join(__dirname, '..', 'data');
+    const legacyId = 'schema-test-legacy';
+    const invalidId = 'schema-test-invalid';
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api', require('../routes/api'));
+
+      fs.writeFileSync(path.join(dataDir, `${invalidId}.json`), JSON.stringify({ phone: '(555) 000-0000' }));
+    });
+
+    afterAll(() => {
+      [legacyId, invalidId].forEach(businessId => {
+        const filePath = path.join(dataDir, `${businessId}.json`);
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    });
+
+    test('should migrate legacy profiles on save', async () => {
+      const response = await request(app)
+        .post(`/api/business/${legacyId}`)
+        .send({ business_name: 'Legacy Diner', delivery_areas: ['Midtown'], delivery_fee: '$3' })
+        .expect(200);
+
+      expect(response.body.schema_version).toBe(SCHEMA_VERSION);
+
+      const saved = JSON.parse(fs.readFileSync(path.join(dataDir, `${legacyId}.json`), 'utf8'));
+      expect(saved).toEqual({
+        schema_version: SCHEMA_VERSION,
+        name: 'Legacy Diner',
+        delivery: { available: true, areas: ['Midtown'], fee: 3 }
+      });
+    });
+
+    test('should reject profiles that fail the schema', async () => {
+      const response = await request(app)
+        .post(`/api/business/${legacyId}-bad`)
+        .send({ name: 'Bad Hours', hours: { funday: '9am–5pm' } })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid business data');
+      expect(response.body.errors.length).toBeGreaterThan(0);
+    });
+
+    test('should report stored files that fail validation', async () => {
+      const response = await request(app)
+        .get('/api/businesses/validation')
+        .expect(200);
+
+      expect(response.body.schema_version).toBe(SCHEMA_VERSION);
+      expect(response.body.invalid).toEqual([
+        expect.objectContaining({
+          business_id: invalidId,
+          schema_version: 0,
+          needs_migration: true,
+          valid: false,
+          errors: [expect.stringContaining('"name" is required')]
+        })
+      ]);
+      expect(response.body.total).toBeGreaterThan(response.body.invalid_count);
+    });
+  });
+});
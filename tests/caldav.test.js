@@ -0,0 +1,351 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { CalDAVCalendarService } = require('../services/caldavService');
+const { getCalendarService, usesGoogleCalendar } = require('../services/calendars');
+const calendarService = require('../services/calendarService');
+const { CalendarService } = require('../services/calendarService');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { CalendarSync } = require('../services/calendarSync');
+const { parseEvents } = require('../services/icalendar');
+const { validateBusinessProfile } = require('../services/businessProfile');
+
+/**
+ * Local CalDAV stand-in: calendar collections of .ics objects behind Basic
+ * auth. REPORT returns every object in the collection; clients filter the
+ * times themselves.
+ */
+function startCalDAVServer(collections) {
+  const objects = new Map();
+  const requests = [];
+  const multistatus = responses => `<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses}</d:multistatus>`;
+  const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.headers.authorization !== `Basic ${Buffer.from('salon:app-password').toString('base64')}`) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="CalDAV"' });
+        return res.end();
+      }
+
+      const collection = collections.find(prefix => req.url.startsWith(prefix));
+      if (!collection) {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      if (req.method === 'PROPFIND') {
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        return res.end(multistatus(`<d:response><d:href>${req.url}</d:href><d:propstat><d:prop>
+<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype><d:displayname>Bookings</d:displayname>
+</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`));
+      }
+      if (req.method === 'REPORT') {
+        const found = [...objects].filter(([url]) => url.startsWith(req.url));
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        return res.end(multistatus(found.map(([url, data]) => `<d:response><d:href>${url}</d:href><d:propstat><d:prop>
+<d:getetag>"1"</d:getetag><cal:calendar-data>${escapeXml(data)}</cal:calendar-data>
+</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`).join('')));
+      }
+      if (req.method === 'PUT') {
+        if (req.headers['if-none-match'] === '*' && objects.has(req.url)) {
+          res.writeHead(412);
+          return res.end();
+        }
+        objects.set(req.url, body);
+        res.writeHead(201);
+        return res.end();
+      }
+      if (req.method === 'GET' || req.method === 'DELETE') {
+        if (!objects.has(req.url)) {
+          res.writeHead(404);
+          return res.end();
+        }
+        const data = objects.get(req.url);
+        if (req.method === 'DELETE') objects.delete(req.url);
+        res.writeHead(req.method === 'GET' ? 200 : 204, { 'Content-Type': 'text/calendar' });
+        return res.end(req.method === 'GET' ? data : undefined);
+      }
+
+      res.writeHead(405);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, objects, requests, base: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+describe('CalDAV Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  let caldav;
+  let business;
+  let calendar;
+
+  // Made in another calendar app: a local-time event and a cancelled one
+  const outside = (uid, start, extra = '') => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Nextcloud//EN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTART;TZID=America/Toronto:${start}`,
+    'DURATION:PT1H',
+    'SUMMARY:Staff meeting',
+    extra,
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].filter(line => line !== '').join('\r\n');
+
+  beforeAll(async () => {
+    caldav = await startCalDAVServer(['/dav/calendars/salon/bookings/', '/dav/calendars/salon/sam/']);
+  });
+
+  afterAll(done => {
+    caldav.server.close(done);
+  });
+
+  beforeEach(() => {
+    caldav.objects.clear();
+    caldav.requests.length = 0;
+    business = {
+      schema_version: 2,
+      name: 'Test Salon',
+      timezone: 'America/Toronto',
+      hours: {
+        monday: 'Closed',
+        tuesday: '9am–5pm',
+        wednesday: '9am–5pm',
+        thursday: '9am–5pm',
+        friday: '9am–5pm',
+        saturday: '9am–5pm',
+        sunday: 'Closed'
+      },
+      services: [{ id: 'haircut', name: 'Haircut', duration: 60, price: 40 }],
+      calendar: {
+        provider: 'caldav',
+        url: `${caldav.base}/dav/calendars/salon/bookings/`,
+        username: 'salon',
+        password_env: 'CALDAV_TEST_SALON_PASSWORD'
+      },
+      booking: {
+        slot_interval_minutes: 60,
+        cancellation: { free_until_minutes: 1440, late_fee: 20 }
+      }
+    };
+    calendar = new CalDAVCalendarService({
+      url: business.calendar.url,
+      username: 'salon',
+      password: 'app-password',
+      timeZone: 'America/Toronto'
+    });
+  });
+
+  test('should connect to the calendar collection', async () => {
+    await calendar.initialize();
+    expect(calendar.initialized).toBe(true);
+    expect(caldav.requests[0]).toMatchObject({ method: 'PROPFIND', headers: { depth: '0' } });
+
+    const refused = new CalDAVCalendarService({ url: business.calendar.url, username: 'salon', password: 'wrong' });
+    await expect(refused.initialize()).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('should count events from other calendar apps against availability', async () => {
+    caldav.objects.set('/dav/calendars/salon/bookings/meeting.ics', outside('meeting', '20261020T100000'));
+    caldav.objects.set('/dav/calendars/salon/bookings/lunch.ics', outside('lunch', '20261020T120000', 'STATUS:CANCELLED'));
+
+    const slots = await calendar.getAvailableSlots('2026-10-20', 30, business, { service: 'haircut', now });
+
+    const starts = slots.map(slot => slot.startTime);
+    expect(starts).not.toContain('2026-10-20T14:00:00.000Z');
+    expect(starts).toContain('2026-10-20T16:00:00.000Z');
+    expect(starts).toHaveLength(7);
+
+    const report = caldav.requests.find(entry => entry.method === 'REPORT');
+    expect(report.headers.depth).toBe('1');
+    expect(report.body).toContain('<c:time-range start="20261020T130000Z" end="20261020T210000Z"/>');
+  });
+
+  test('should store bookings as iCalendar objects and cancel them', async () => {
+    const result = await calendar.createBooking({
+      customerName: 'Jordan Smith',
+      customerEmail: 'jordan@example.com',
+      customerPhone: '+14165550123',
+      startTime: '2026-10-20T13:00:00Z',
+      endTime: '2026-10-20T14:00:00Z',
+      serviceType: 'Haircut'
+    }, business, { now });
+
+    const put = caldav.requests.find(entry => entry.method === 'PUT');
+    expect(put.headers['if-none-match']).toBe('*');
+    expect(put.headers['content-type']).toBe('text/calendar; charset=utf-8');
+    expect(put.body).not.toContain('METHOD:');
+    expect(result.eventUrl).toBe(`${caldav.base}${put.url}`);
+
+    const [event] = parseEvents(put.body);
+    expect(event).toMatchObject({
+      id: result.eventId,
+      summary: 'Haircut - Jordan Smith',
+      start: { dateTime: '2026-10-20T13:00:00.000Z' },
+      end: { dateTime: '2026-10-20T14:00:00.000Z' }
+    });
+    expect(put.body).toContain('ATTENDEE;CN="Jordan Smith":mailto:jordan@example.com');
+
+    const slots = await calendar.getAvailableSlots('2026-10-20', 30, business, { service: 'haircut', now });
+    expect(slots.map(slot => slot.startTime)).not.toContain('2026-10-20T13:00:00.000Z');
+
+    // 9 AM tomorrow is less than a day ahead: the late fee applies
+    await expect(calendar.cancelBooking(result.eventId, business, { acceptFee: false, now }))
+      .rejects.toMatchObject({ code: 'FEE_NOT_ACCEPTED' });
+    const cancelled = await calendar.cancelBooking(result.eventId, business, { now });
+    expect(cancelled.cancellation).toMatchObject({ outcome: 'late', fee: 20 });
+    expect(caldav.objects.size).toBe(0);
+  });
+
+  test('should read resources from their own collections', async () => {
+    const resources = [
+      { id: 'sam', name: 'Sam Lee', type: 'staff', calendar_id: '../sam/' },
+      { id: 'alex', name: 'Alex Kim', type: 'staff' }
+    ];
+    caldav.objects.set('/dav/calendars/salon/sam/meeting.ics', outside('meeting', '20261020T100000'));
+
+    // Sam's meeting is on Sam's collection; Alex shares the business calendar
+    const busy = await calendar.listBookings(new Date('2026-10-20T04:00:00Z'), new Date('2026-10-21T04:00:00Z'), resources);
+    expect(busy).toEqual([expect.objectContaining({ resourceId: 'sam' })]);
+    expect(new Date(busy[0].start).toISOString()).toBe('2026-10-20T14:00:00.000Z');
+    expect(caldav.requests.filter(entry => entry.method === 'REPORT').map(entry => entry.url)).toEqual([
+      '/dav/calendars/salon/sam/',
+      '/dav/calendars/salon/bookings/'
+    ]);
+  });
+
+  test('should only send credentials to the calendar server', () => {
+    expect(calendar.getCalendarId({ id: 'sam', calendar_id: '../sam/' })).toBe(`${caldav.base}/dav/calendars/salon/sam/`);
+    expect(calendar.getCalendarId({ id: 'sam', calendar_id: `${caldav.base}/dav/calendars/salon/sam` }))
+      .toBe(`${caldav.base}/dav/calendars/salon/sam/`);
+
+    for (const calendarId of ['https://attacker.example/steal/', '//attacker.example/steal/']) {
+      expect(() => calendar.getCalendarId({ id: 'sam', calendar_id: calendarId }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_CALENDAR_ID' }));
+    }
+  });
+
+  describe('Bookings from the store', () => {
+    let tempDir;
+    let bookings;
+    let sync;
+
+    const haircut = startTime => ({
+      businessId: 'test-salon',
+      customerName: 'Jordan Smith',
+      customerEmail: 'jordan@example.com',
+      customerPhone: '+14165550123',
+      date: '2026-10-20',
+      startTime,
+      endTime: new Date(new Date(startTime).getTime() + 60 * 60000).toISOString(),
+      serviceType: 'Haircut',
+      service: 'haircut'
+    });
+
+    beforeEach(() => {
+      process.env.CALDAV_TEST_SALON_PASSWORD = 'app-password';
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caldav-'));
+      bookings = new BookingService({
+        store: new BookingStore({ bookingsFile: path.join(tempDir, 'bookings.json') })
+      });
+      // Google Calendar was never connected
+      sync = new CalendarSync({
+        calendar: new CalendarService(),
+        bookings,
+        loadBusiness: () => business,
+        stateFile: path.join(tempDir, 'calendar-sync.json'),
+        webhookUrl: null
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.CALDAV_TEST_SALON_PASSWORD;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should count events from other apps as busy', async () => {
+      caldav.objects.set('/dav/calendars/salon/bookings/meeting.ics', outside('meeting', '20261020T100000'));
+
+      const slots = await bookings.getAvailableSlots('2026-10-20', 30, business, { businessId: 'test-salon', service: 'haircut', now });
+      expect(slots.map(slot => slot.startTime)).toContain('2026-10-20T13:00:00.000Z');
+      expect(slots.map(slot => slot.startTime)).not.toContain('2026-10-20T14:00:00.000Z');
+
+      await expect(bookings.createBooking(haircut('2026-10-20T14:00:00.000Z'), business))
+        .rejects.toMatchObject({ code: 'SLOT_UNAVAILABLE' });
+      const { booking } = await bookings.createBooking(haircut('2026-10-20T13:00:00.000Z'), business);
+      await expect(bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T14:00:00.000Z' }, business, { now }))
+        .rejects.toMatchObject({ code: 'SLOT_UNAVAILABLE' });
+    });
+
+    test('should push bookings to the CalDAV calendar without Google', async () => {
+      const { booking } = await bookings.createBooking(haircut('2026-10-20T13:00:00.000Z'), business);
+
+      expect(await sync.sync({ now })).toMatchObject({ pushed: 1 });
+      const put = caldav.requests.find(entry => entry.method === 'PUT');
+      expect(put.body).toContain(`X-BOOKING-ID:${booking.bookingId}`);
+      expect(put.body).toContain('SUMMARY:Haircut - Jordan Smith');
+      const linked = bookings.store.get(booking.bookingId).calendar;
+      expect(linked).toMatchObject({ provider: 'caldav', calendarId: business.calendar.url });
+      expect(sync.knownCalendars()).not.toContain(business.calendar.url);
+
+      // The store already counts the booking, so its event isn't busy time too
+      expect(await bookings.calendarBusy(business, 'test-salon', '2026-10-20')).toEqual([]);
+
+      await bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T15:00:00.000Z' }, business, { now });
+      await sync.sync({ now });
+      expect(caldav.objects.size).toBe(1);
+      expect([...caldav.objects.values()][0]).toContain('DTSTART:20261020T150000Z');
+
+      await bookings.cancelBooking(booking.bookingId, business, { now });
+      await sync.sync({ now });
+      expect(caldav.objects.size).toBe(0);
+    });
+  });
+
+  describe('Choosing a backend', () => {
+    afterEach(() => {
+      delete process.env.CALDAV_TEST_SALON_PASSWORD;
+    });
+
+    test('should use Google unless the profile picks CalDAV', () => {
+      expect(getCalendarService(null)).toBe(calendarService);
+      expect(getCalendarService({ name: 'Test Bistro' })).toBe(calendarService);
+      expect(usesGoogleCalendar({ calendar: { provider: 'google' } })).toBe(true);
+
+      process.env.CALDAV_TEST_SALON_PASSWORD = 'app-password';
+      const chosen = getCalendarService(business);
+      expect(chosen).toBeInstanceOf(CalDAVCalendarService);
+      expect(chosen).toMatchObject({ url: business.calendar.url, username: 'salon', password: 'app-password' });
+      expect(getCalendarService({ ...business })).toBe(chosen);
+      expect(usesGoogleCalendar(business)).toBe(false);
+    });
+
+    test('should require a URL for CalDAV calendars', () => {
+      expect(validateBusinessProfile(business).errors).toEqual([]);
+      expect(validateBusinessProfile({ ...business, calendar: { provider: 'caldav' } }).errors)
+        .toEqual(['"calendar.url" is required']);
+    });
+
+    test('should only read CALDAV_ variables for the password', () => {
+      const leaky = { ...business, calendar: { ...business.calendar, password_env: 'TWILIO_AUTH_TOKEN' } };
+      expect(validateBusinessProfile(leaky).errors)
+        .toEqual(['"calendar.password_env" must start with CALDAV_ (e.g. CALDAV_SALON_PASSWORD)']);
+      expect(() => getCalendarService(leaky)).toThrow(expect.objectContaining({ code: 'INVALID_PASSWORD_ENV' }));
+    });
+  });
+});
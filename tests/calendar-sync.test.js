@@ -0,0 +1,467 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { CalendarService } = require('../services/calendarService');
+const { CalendarSync } = require('../services/calendarSync');
+
+/**
+ * In-memory stand-in for the Google Calendar API: every change gets a
+ * version, and sync tokens are the version they were issued at
+ */
+function fakeGoogle() {
+  const calendars = {};
+  let version = 0;
+  let nextId = 1;
+  const events = calendarId => (calendars[calendarId] = calendars[calendarId] || new Map());
+  const save = (calendarId, event) => {
+    version += 1;
+    events(calendarId).set(event.id, { ...event, version });
+    return { data: events(calendarId).get(event.id) };
+  };
+  const find = (calendarId, eventId) => {
+    const event = events(calendarId).get(eventId);
+    if (!event || event.status === 'cancelled') throw Object.assign(new Error('Not Found'), { code: 404 });
+    return event;
+  };
+
+  return {
+    calendars,
+    watched: [],
+    // What staff do in Google Calendar
+    move(calendarId, eventId, start, end) {
+      const event = find(calendarId, eventId);
+      save(calendarId, { ...event, start: { ...event.start, dateTime: start }, end: { ...event.end, dateTime: end } });
+    },
+    remove(calendarId, eventId) {
+      save(calendarId, { ...find(calendarId, eventId), status: 'cancelled' });
+    },
+    client: {
+      events: {
+        list: async ({ calendarId, syncToken, pageToken }) => {
+          if (syncToken === 'expired') throw Object.assign(new Error('Gone'), { code: 410 });
+          const since = syncToken ? Number(syncToken) : 0;
+          const changed = [...events(calendarId).values()].filter(event => event.version > since);
+          // Two to a page
+          const offset = Number(pageToken || 0);
+          const more = offset + 2 < changed.length;
+          return {
+            data: {
+              items: changed.slice(offset, offset + 2),
+              ...(more ? { nextPageToken: String(offset + 2) } : { nextSyncToken: String(version) })
+            }
+          };
+        },
+        insert: async ({ calendarId, resource }) => save(calendarId, { ...resource, id: `event-${nextId++}`, status: 'confirmed' }),
+        patch: async ({ calendarId, eventId, resource }) => save(calendarId, { ...find(calendarId, eventId), ...resource }),
+        delete: async ({ calendarId, eventId }) => {
+          save(calendarId, { ...find(calendarId, eventId), status: 'cancelled' });
+          return { data: '' };
+        },
+        watch: async function ({ calendarId, resource }) {
+          this.watched.push({ calendarId, ...resource });
+          return { data: { id: resource.id, resourceId: `watch-${calendarId}`, expiration: String(Date.parse('2026-10-26T14:00:00Z')) } };
+        }
+      },
+      channels: { stop: async () => ({ data: '' }) }
+    }
+  };
+}
+
+describe('Calendar Sync Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+  const later = minutes => new Date(now.getTime() + minutes * 60000);
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Salon',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '9am–5pm',
+      wednesday: '9am–5pm',
+      thursday: '9am–5pm',
+      friday: '9am–5pm',
+      saturday: '9am–5pm',
+      sunday: 'Closed'
+    },
+    services: [{ id: 'haircut', name: 'Haircut', duration: 60, price: 40 }],
+    resources: [
+      { id: 'sam', name: 'Sam Lee', type: 'staff', calendar_id: 'sam@example.com' }
+    ],
+    booking: { slot_interval_minutes: 60 }
+  };
+
+  let tempDir;
+  let google;
+  let bookings;
+  let sync;
+
+  const book = (startTime = '2026-10-20T14:00:00Z', extra = {}) => bookings.createBooking({
+    businessId: 'test-salon',
+    customerName: 'Jordan Smith',
+    customerEmail: 'jordan@example.com',
+    customerPhone: '+14165550123',
+    date: '2026-10-20',
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 60 * 60000).toISOString(),
+    serviceType: 'appointment',
+    service: 'haircut',
+    ...extra
+  }, business);
+  const eventOf = booking => google.calendars[booking.calendar.calendarId].get(booking.calendar.eventId);
+  const stored = async bookingId => bookings.getBooking(bookingId);
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-sync-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    const name = `${Date.now()}-${Math.random()}`;
+    google = fakeGoogle();
+    google.client.events.watched = google.watched;
+
+    const calendar = new CalendarService();
+    calendar.calendar = google.client;
+    calendar.initialized = true;
+
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${name}.json`) })
+    });
+    sync = new CalendarSync({
+      calendar,
+      bookings,
+      loadBusiness: () => business,
+      stateFile: path.join(tempDir, `${name}-sync.json`),
+      webhookUrl: null
+    });
+  });
+
+  describe('Pushing bookings', () => {
+    test('should add each booking to its calendar once', async () => {
+      const { booking } = await book();
+
+      expect((await sync.sync({ now })).pushed).toBe(1);
+      const linked = await stored(booking.bookingId);
+      expect(linked.calendar).toMatchObject({ calendarId: 'sam@example.com', eventId: 'event-1' });
+      expect(eventOf(linked)).toMatchObject({
+        summary: 'Haircut - Jordan Smith',
+        start: { dateTime: '2026-10-20T14:00:00.000Z', timeZone: 'America/Toronto' },
+        extendedProperties: { private: { bookingId: booking.bookingId, resourceId: 'sam' } }
+      });
+      expect(eventOf(linked).description).toContain('Booking: 1001');
+
+      expect(await sync.sync({ now: later(5) })).toEqual({ changes: [], pushed: 0, conflicts: [] });
+    });
+
+    test('should follow changes made here', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+
+      await bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T16:00:00Z' }, business, { now });
+      expect((await sync.sync({ now: later(5) })).pushed).toBe(1);
+      expect(eventOf(await stored(booking.bookingId)).start.dateTime).toBe('2026-10-20T16:00:00.000Z');
+
+      await bookings.cancelBooking(booking.bookingId, business, { now });
+      await sync.sync({ now: later(10) });
+      expect(google.calendars['sam@example.com'].get('event-1').status).toBe('cancelled');
+      expect((await stored(booking.bookingId)).calendar.eventId).toBeNull();
+    });
+  });
+
+  describe('Pulling changes', () => {
+    test('should move a booking moved in Google Calendar', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+
+      google.move('sam@example.com', 'event-1', '2026-10-21T18:00:00Z', '2026-10-21T19:00:00Z');
+      const result = await sync.sync({ now: later(5) });
+
+      expect(result.changes).toEqual([{
+        bookingId: booking.bookingId,
+        action: 'moved',
+        startTime: '2026-10-21T18:00:00.000Z',
+        endTime: '2026-10-21T19:00:00.000Z'
+      }]);
+      expect(result.pushed).toBe(0);
+      expect(await stored(booking.bookingId)).toMatchObject({
+        date: '2026-10-21',
+        startTime: '2026-10-21T18:00:00.000Z',
+        rescheduledFrom: booking.startTime,
+        rescheduledBy: 'calendar',
+        remindersSent: [],
+        sequence: 1
+      });
+
+      expect((await sync.sync({ now: later(10) })).changes).toEqual([]);
+    });
+
+    test('should cancel a booking deleted in Google Calendar without a fee', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+
+      google.remove('sam@example.com', 'event-1');
+      expect((await sync.sync({ now: later(5) })).changes).toEqual([{ bookingId: booking.bookingId, action: 'cancelled' }]);
+      expect(await stored(booking.bookingId)).toMatchObject({
+        status: 'cancelled',
+        cancelledBy: 'calendar',
+        cancellation: { outcome: 'free', fee: 0, feeApplies: false }
+      });
+    });
+
+    test('should keep the booking when both sides changed and record the conflict', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+
+      await bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T16:00:00Z' }, business, { now });
+      google.move('sam@example.com', 'event-1', '2026-10-21T18:00:00Z', '2026-10-21T19:00:00Z');
+      const result = await sync.sync({ now: later(5) });
+
+      expect(result.changes).toEqual([]);
+      expect(result.conflicts).toEqual([expect.objectContaining({
+        bookingId: booking.bookingId,
+        eventId: 'event-1',
+        reason: 'Moved to 2026-10-21T18:00:00.000Z in Google Calendar after the booking was changed here; the booking was kept'
+      })]);
+      expect((await stored(booking.bookingId)).startTime).toBe('2026-10-20T16:00:00.000Z');
+      expect(eventOf(await stored(booking.bookingId)).start.dateTime).toBe('2026-10-20T16:00:00.000Z');
+
+      const status = sync.getStatus();
+      expect(status.lastSyncAt).toBe(later(5).toISOString());
+      expect(status.conflicts).toHaveLength(1);
+      expect(status.calendars).toEqual(expect.arrayContaining([
+        { connection: 'default', calendarId: 'sam@example.com', lastSyncAt: later(5).toISOString(), watching: false, channelExpiresAt: null }
+      ]));
+    });
+
+    test('should put back an event deleted after the booking changed here', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+
+      await bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T16:00:00Z' }, business, { now });
+      google.remove('sam@example.com', 'event-1');
+      const result = await sync.sync({ now: later(5) });
+
+      expect(result.conflicts).toHaveLength(1);
+      const linked = await stored(booking.bookingId);
+      expect(linked.status).toBe('confirmed');
+      expect(linked.calendar.eventId).toBe('event-2');
+    });
+
+    test('should read the whole calendar again when the sync token expires', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+      await sync.updateState(state => { state.calendars['sam@example.com'].syncToken = 'expired'; });
+
+      google.move('sam@example.com', 'event-1', '2026-10-21T18:00:00Z', '2026-10-21T19:00:00Z');
+      expect((await sync.sync({ now: later(5) })).changes).toEqual([expect.objectContaining({ bookingId: booking.bookingId, action: 'moved' })]);
+    });
+
+    test('should not sync before Google Calendar is connected', async () => {
+      sync.calendar.initialized = false;
+      await expect(sync.sync({ now })).rejects.toMatchObject({ code: 'CALENDAR_NOT_CONNECTED' });
+    });
+
+    test('should skip timed runs quietly until Google Calendar is connected', async () => {
+      sync.calendar.initialized = false;
+      sync.intervalMs = 10;
+      const runs = jest.spyOn(sync, 'sync');
+      const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        await sync.start();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(runs).not.toHaveBeenCalled();
+        expect(errors).not.toHaveBeenCalled();
+
+        sync.calendar.initialized = true;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(runs).toHaveBeenCalled();
+      } finally {
+        sync.stop();
+        await sync.running;
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  describe('Business connections', () => {
+    let own;
+    let connections;
+
+    // The salon authorizes its own Google account
+    const connect = () => {
+      own = fakeGoogle();
+      own.client.events.watched = own.watched;
+      const connection = new CalendarService({ businessId: 'test-salon' });
+      connection.calendar = own.client;
+      connection.initialized = true;
+      connections['test-salon'] = connection;
+    };
+
+    beforeEach(() => {
+      connections = {};
+      sync.getCalendarService = (profile, { businessId }) => connections[businessId] || sync.calendar;
+      sync.businessConnections = () => Object.values(connections);
+    });
+
+    test('should move bookings to a business\'s own connection and sync them there', async () => {
+      const { booking } = await book();
+      await sync.sync({ now });
+      expect(google.calendars['sam@example.com'].get('event-1').status).toBe('confirmed');
+
+      connect();
+      expect(await sync.sync({ now: later(1) })).toMatchObject({ pushed: 1 });
+      expect(google.calendars['sam@example.com'].get('event-1').status).toBe('cancelled');
+      const linked = await stored(booking.bookingId);
+      expect(linked.calendar).toMatchObject({ connection: 'test-salon', calendarId: 'sam@example.com', eventId: 'event-1' });
+      expect(linked.status).toBe('confirmed');
+      expect(own.calendars['sam@example.com'].get('event-1').summary).toBe('Haircut - Jordan Smith');
+
+      // Only the salon's calendar moves the booking, though both have an event-1
+      own.move('sam@example.com', 'event-1', '2026-10-20T16:00:00.000Z', '2026-10-20T17:00:00.000Z');
+      const result = await sync.sync({ now: later(2) });
+      expect(result.changes).toEqual([expect.objectContaining({ bookingId: booking.bookingId, action: 'moved' })]);
+      expect((await stored(booking.bookingId)).startTime).toBe('2026-10-20T16:00:00.000Z');
+
+      expect(sync.readState().connections['test-salon']['sam@example.com'].syncToken).toBeTruthy();
+      expect(sync.getStatus().calendars).toEqual(expect.arrayContaining([
+        expect.objectContaining({ connection: 'default', calendarId: 'sam@example.com' }),
+        expect.objectContaining({ connection: 'test-salon', calendarId: 'sam@example.com' })
+      ]));
+    });
+
+    test('should sync with a business\'s connection without the default one', async () => {
+      sync.calendar.initialized = false;
+      connect();
+      sync.webhookUrl = 'https://example.com/calendar/notifications';
+      const { booking } = await book();
+
+      await sync.sync({ now });
+      expect(own.calendars['sam@example.com'].get('event-1').status).toBe('confirmed');
+      expect(google.calendars).toEqual({});
+
+      const channel = own.watched.find(entry => entry.calendarId === 'sam@example.com');
+      own.remove('sam@example.com', 'event-1');
+      const notified = await sync.handleNotification({ channelId: channel.id, token: channel.token, resourceState: 'exists' }, { now: later(1) });
+      expect(notified).toMatchObject({ connection: 'test-salon', calendarId: 'sam@example.com' });
+      expect(notified.result.changes).toEqual([{ bookingId: booking.bookingId, action: 'cancelled' }]);
+    });
+  });
+
+  describe('Notifications', () => {
+    test('should watch calendars and sync the one a notification is for', async () => {
+      sync.webhookUrl = 'https://example.com/calendar/notifications';
+      const { booking } = await book();
+      await sync.sync({ now });
+
+      expect(google.watched.map(channel => channel.calendarId).sort()).toEqual(['primary', 'sam@example.com']);
+      const channel = google.watched.find(entry => entry.calendarId === 'sam@example.com');
+      expect(channel).toMatchObject({ type: 'web_hook', address: 'https://example.com/calendar/notifications' });
+
+      expect(await sync.handleNotification({ channelId: channel.id, token: channel.token, resourceState: 'sync' }, { now }))
+        .toEqual({ connection: 'default', calendarId: 'sam@example.com', result: null });
+
+      google.remove('sam@example.com', 'event-1');
+      const { result } = await sync.handleNotification({ channelId: channel.id, token: channel.token, resourceState: 'exists' }, { now: later(1) });
+      expect(result.changes).toEqual([{ bookingId: booking.bookingId, action: 'cancelled' }]);
+
+      await expect(sync.handleNotification({ channelId: channel.id, token: 'wrong', resourceState: 'exists' }, { now }))
+        .rejects.toMatchObject({ code: 'UNKNOWN_CHANNEL' });
+      expect(sync.getStatus().calendars.every(calendar => calendar.watching)).toBe(true);
+    });
+
+    test('should renew channels before they expire', async () => {
+      sync.webhookUrl = 'https://example.com/calendar/notifications';
+      await sync.sync({ now });
+      await sync.sync({ now: later(60) });
+      expect(google.watched).toHaveLength(1);
+
+      // Within a day of the expiry
+      await sync.sync({ now: new Date('2026-10-25T15:00:00Z') });
+      expect(google.watched).toHaveLength(2);
+    });
+  });
+
+  describe('API', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.CALENDAR_SYNC_FILE = path.join(tempDir, 'api-sync.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/calendar', require('../routes/calendar'));
+    });
+
+    afterAll(() => {
+      delete process.env.CALENDAR_SYNC_FILE;
+      jest.resetModules();
+    });
+
+    test('should report the sync status', async () => {
+      const response = await request(app).get('/calendar/sync').expect(200);
+      expect(response.body).toEqual({
+        connected: false,
+        lastSyncAt: null,
+        lastError: null,
+        calendars: [],
+        conflicts: [],
+        message: 'Google Calendar authentication required. Use /auth to authenticate.'
+      });
+
+      await request(app).post('/calendar/sync').expect(503);
+    });
+
+    test('should need a login for every business to see or run the sync', async () => {
+      const adminAuth = require('../services/adminAuth');
+      const { hashApiKey } = require('../services/adminAuth');
+      const { usersFile } = adminAuth;
+      adminAuth.usersFile = path.join(tempDir, 'admin-users.json');
+      fs.writeFileSync(adminAuth.usersFile, JSON.stringify({
+        api_keys: [
+          { name: 'viewer', key_hash: hashApiKey('rk_viewer'), role: 'read-only', businesses: ['*'] },
+          { name: 'front-desk', key_hash: hashApiKey('rk_front_desk'), role: 'staff', businesses: ['*'] },
+          { name: 'pizza-staff', key_hash: hashApiKey('rk_pizza_staff'), role: 'staff', businesses: ['pizzakarachi'] }
+        ]
+      }));
+      const as = key => ({ Authorization: `Bearer ${key}` });
+
+      try {
+        await request(app).get('/calendar/sync').expect(401);
+        await request(app).get('/calendar/sync').set(as('rk_viewer')).expect(200);
+        await request(app).get('/calendar/sync').query({ business_id: 'pizzakarachi' }).set(as('rk_pizza_staff')).expect(403);
+
+        await request(app).post('/calendar/sync').expect(401);
+        await request(app).post('/calendar/sync').set(as('rk_viewer')).expect(403);
+        await request(app).post('/calendar/sync').send({ business_id: 'pizzakarachi' }).set(as('rk_pizza_staff')).expect(403);
+        await request(app).post('/calendar/sync').set(as('rk_front_desk')).expect(503);
+
+        // Google can't log in; notifications are checked by channel token
+        await request(app).post('/calendar/notifications').set('X-Goog-Channel-ID', 'channel-1').expect(404);
+      } finally {
+        fs.rmSync(adminAuth.usersFile, { force: true });
+        adminAuth.usersFile = usersFile;
+      }
+    });
+
+    test('should reject notifications for unknown channels', async () => {
+      const response = await request(app)
+        .post('/calendar/notifications')
+        .set('X-Goog-Channel-ID', 'channel-1')
+        .set('X-Goog-Channel-Token', 'token')
+        .set('X-Goog-Resource-State', 'exists')
+        .expect(404);
+      expect(response.body.error).toBe('Channel not found');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const ConversationEngine = require('../services/conversationEngine');
+const { buildSystemPrompt } = require('../services/conversationEngine');
+const { linearToMulaw } = require('../services/audioCodec');
+const { SCHEMA_VERSION } = require('../services/businessProfile');
+
+// 20ms of 8kHz μ-law per Twilio media frame
+const FRAME_SAMPLES = 160;
+
+function toneFrame(amplitude = 8000, frequency = 300) {
+  const frame = Buffer.alloc(FRAME_SAMPLES);
+  for (let i = 0; i < FRAME_SAMPLES; i++) {
+    frame[i] = linearToMulaw(Math.sin(2 * Math.PI * frequency * i / 8000) * amplitude);
+  }
+  return frame;
+}
+
+function silenceFrame() {
+  return Buffer.alloc(FRAME_SAMPLES, 0xFF);
+}
+
+async function say(engine, callSid, speechFrames, silenceFrames = 50) {
+  for (let i = 0; i < speechFrames; i++) {
+    await engine.handleMedia(callSid, { payload: toneFrame().toString('base64') });
+  }
+  for (let i = 0; i < silenceFrames; i++) {
+    await engine.handleMedia(callSid, { payload: silenceFrame().toString('base64') });
+  }
+}
+
+describe('Conversation Engine Tests', () => {
+  let engine;
+  let sent;
+  let transcripts;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sent = [];
+    transcripts = [];
+
+    engine = new ConversationEngine({
+      responder: 'intent',
+      defaultBusinessId: 'pizzakarachi',
+      transcribe: jest.fn(async () => transcripts.shift() || '')
+    });
+
+    // 1 second of μ-law per spoken reply, no network
+    jest.spyOn(engine, 'synthesize').mockResolvedValue(Buffer.alloc(8000, 0xFF));
+  });
+
+  afterEach(() => {
+    engine.shutdown();
+    jest.useRealTimers();
+  });
+
+  const startCall = (callSid = 'CAengine1', customParameters = {}) => engine.startCall({
+    callSid,
+    streamSid: 'MZengine1',
+    send: (message) => {
+      sent.push(message);
+      return true;
+    },
+    customParameters
+  });
+
+  describe('Call lifecycle', () => {
+    test('should greet the caller with the business name', async () => {
+      await startCall();
+
+      expect(engine.synthesize).toHaveBeenCalledWith(
+        "Hi there! This is Pizza Karachi's AI assistant. What can I help you with today?",
+        expect.objectContaining({ name: 'Pizza Karachi', schema_version: SCHEMA_VERSION })
+      );
+      expect(sent[0]).toMatchObject({ event: 'media', streamSid: 'MZengine1' });
+      expect(engine.conversationMemory.get('CAengine1')).toMatchObject({
+        messages: [],
+        businessId: 'pizzakarachi',
+        context: {}
+      });
+    });
+
+    test('should take the business from stream parameters', async () => {
+      await startCall('CAengine2', { businessId: 'mybiz' });
+      expect(engine.getCallState('CAengine2').businessId).toBe('mybiz');
+    });
+
+    test('should route the dialled number to its business', async () => {
+      await startCall('CAengine3', { to: '+1 (672) 207-2526' });
+      expect(engine.getCallState('CAengine3').businessId).toBe('pizzakarachi');
+    });
+
+    test('should keep memory briefly after the call ends', async () => {
+      await startCall();
+      engine.endCall('CAengine1');
+
+      expect(engine.activeCalls.has('CAengine1')).toBe(false);
+      expect(engine.conversationMemory.has('CAengine1')).toBe(true);
+
+      jest.advanceTimersByTime(5 * 60 * 1000);
+      expect(engine.conversationMemory.has('CAengine1')).toBe(false);
+    });
+  });
+
+  describe('Turn-taking', () => {
+    test('should answer a complete utterance from the business profile', async () => {
+      await startCall();
+      transcripts.push('What are your hours?');
+
+      await say(engine, 'CAengine1', 30);
+
+      const memory = engine.conversationMemory.get('CAengine1');
+      expect(engine.transcribeOverride).toHaveBeenCalledTimes(1);
+      expect(memory.messages).toHaveLength(2);
+      expect(memory.messages[0]).toMatchObject({ role: 'user', content: 'What are your hours?' });
+      expect(memory.messages[1]).toMatchObject({ role: 'assistant', intent: 'hours' });
+      expect(memory.context.lastIntent).toBe('hours');
+      expect(engine.synthesize).toHaveBeenLastCalledWith(memory.messages[1].content, expect.any(Object));
+    });
+
+    test('should ignore utterances that transcribe to nothing', async () => {
+      await startCall();
+
+      await say(engine, 'CAengine1', 30);
+
+      expect(engine.conversationMemory.get('CAengine1').messages).toHaveLength(0);
+      expect(engine.getCallState('CAengine1').isProcessing).toBe(false);
+    });
+
+    test('should stop speaking and truncate memory when the caller barges in', async () => {
+      await startCall();
+      transcripts.push('What are your hours?');
+      await say(engine, 'CAengine1', 30);
+
+      const reply = engine.conversationMemory.get('CAengine1').messages[1].content;
+      jest.advanceTimersByTime(500);
+
+      // Caller talks over the reply
+      await say(engine, 'CAengine1', 5, 0);
+
+      const memory = engine.conversationMemory.get('CAengine1');
+      expect(sent.some(message => message.event === 'clear')).toBe(true);
+      // The first utterance already cut off the greeting
+      expect(memory.interruptions).toHaveLength(2);
+      expect(memory.interruptions[1].text).toBe(reply);
+      expect(memory.interruptions[1].playedMs).toBe(500);
+      expect(memory.messages[1].interrupted).toBe(true);
+      expect(memory.messages[2].role).toBe('system');
+    });
+  });
+
+  describe('Responders', () => {
+    test('should fall back to the LLM for questions intents do not cover', async () => {
+      process.env.OPENAI_API_KEY = 'test-key';
+      const hybrid = new ConversationEngine({ responder: 'hybrid', defaultBusinessId: 'pizzakarachi' });
+      jest.spyOn(hybrid, 'synthesize').mockResolvedValue(null);
+      jest.spyOn(hybrid, 'generateLLMResponse').mockResolvedValue('Well-behaved dogs are welcome.');
+
+      try {
+        await hybrid.startCall({ callSid: 'CAhybrid', streamSid: 'MZhybrid', send: () => true });
+        const reply = await hybrid.generateResponse('CAhybrid', 'Are dogs allowed?');
+
+        expect(reply).toBe('Well-behaved dogs are welcome.');
+        expect(hybrid.generateLLMResponse).toHaveBeenCalledTimes(1);
+      } finally {
+        hybrid.shutdown();
+        delete process.env.OPENAI_API_KEY;
+      }
+    });
+
+    test('should reject unknown responders', () => {
+      expect(() => new ConversationEngine({ responder: 'magic' })).toThrow('Unknown responder');
+    });
+
+    test('should build a system prompt from the business profile', () => {
+      const prompt = buildSystemPrompt({
+        schema_version: SCHEMA_VERSION,
+        name: 'Pizza Karachi',
+        hours: { monday: '11:00 AM - 11:00 PM' },
+        services: [{ name: 'Dine-in' }, { name: 'Delivery' }],
+        delivery: { available: true, areas: ['Downtown'], fee: 5 },
+        menu: {
+          categories: [{
+            id: 'pizzas',
+            name: 'Pizzas',
+            items: [{
+              id: 'karachi-special',
+              name: 'Karachi Special',
+              sizes: [{ name: 'Small', price: 12 }, { name: 'Large', price: 20 }],
+              dietary: ['halal']
+            }]
+          }]
+        },
+        faqs: [{ question: 'Do you deliver?', answer: 'Yes.' }]
+      });
+
+      expect(prompt).toContain('AI receptionist for Pizza Karachi');
+      expect(prompt).toContain('monday: 11:00 AM - 11:00 PM');
+      expect(prompt).toContain('Services: Dine-in, Delivery');
+      expect(prompt).toContain('Delivery: areas Downtown, fee $5');
+      expect(prompt).toContain('Pizzas: Karachi Special (Small $12, Large $20; halal)');
+      expect(prompt).toContain('Q: Do you deliver?');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { parseDateTime } = require('../services/dateTimeParser');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Date Time Parser Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Bistro',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '11am–10pm',
+      wednesday: '11am–10pm',
+      thursday: '11am–10pm',
+      friday: '11am–10pm',
+      saturday: '11am–10pm',
+      sunday: '11am–10pm'
+    },
+    hours_exceptions: [
+      { id: '2026-12-25-christmas', name: 'Christmas Day', start_date: '2026-12-25', hours: 'Closed' }
+    ],
+    booking: { slot_interval_minutes: 30 }
+  };
+
+  const parse = (text, options = {}) => parseDateTime(text, { business, now, ...options });
+  const brief = candidates => candidates.map(({ date, from, to, at, confidence }) => ({ date, from, to, at, confidence }));
+
+  describe('Dates', () => {
+    test('should read days relative to the business time zone', () => {
+      expect(parse('tomorrow')[0]).toMatchObject({ date: '2026-10-20', from: null, start: '2026-10-20T04:00:00.000Z' });
+      expect(parse('the day after tomorrow')[0].date).toBe('2026-10-21');
+      expect(parse('in 3 days')[0].date).toBe('2026-10-22');
+      expect(parse('in a week')[0].date).toBe('2026-10-26');
+      expect(parse('on christmas')[0].date).toBe('2026-12-25');
+
+      // Still Sunday evening in Toronto when it's Monday in UTC
+      expect(parse('today', { now: new Date('2026-10-19T02:00:00Z') })[0].date).toBe('2026-10-18');
+    });
+
+    test('should read weekdays, with both readings of "next"', () => {
+      expect(brief(parse('this Friday'))).toEqual([{ date: '2026-10-23', from: null, to: null, at: null, confidence: 0.9 }]);
+      expect(parse('next Tuesday').map(candidate => [candidate.date, candidate.confidence])).toEqual([
+        ['2026-10-27', 0.6],
+        ['2026-10-20', 0.4]
+      ]);
+      // Sunday is past this week's Tuesday, so there's only one
+      expect(parse('next Tuesday', { now: new Date('2026-10-25T14:00:00Z') }).map(candidate => candidate.date)).toEqual(['2026-10-27']);
+      expect(parse('Monday').map(candidate => candidate.date)).toEqual(['2026-10-19', '2026-10-26']);
+      expect(parse('this weekend').map(candidate => candidate.date)).toEqual(['2026-10-24', '2026-10-25']);
+    });
+
+    test('should read calendar dates and roll them into the future', () => {
+      expect(parse('October 23rd')[0].date).toBe('2026-10-23');
+      expect(parse('the 3rd of March')[0].date).toBe('2027-03-03');
+      expect(parse('January 9th, 2030')[0].date).toBe('2030-01-09');
+      expect(parse('the 5th')[0].date).toBe('2026-11-05');
+      expect(parse('2026-11-02')[0].date).toBe('2026-11-02');
+      expect(parse('February 30')).toEqual([]);
+    });
+  });
+
+  describe('Times', () => {
+    test('should offer both readings of an hour, evening first', () => {
+      expect(brief(parse('tomorrow at 7'))).toEqual([
+        { date: '2026-10-20', from: 1140, to: 1140, at: 1140, confidence: 0.6 },
+        { date: '2026-10-20', from: 420, to: 420, at: 420, confidence: 0.4 }
+      ]);
+      expect(parse('tomorrow at 7')[0].start).toBe('2026-10-20T23:00:00.000Z');
+
+      expect(brief(parse('7:30 pm on Friday'))).toEqual([{ date: '2026-10-23', from: 1170, to: 1170, at: 1170, confidence: 0.9 }]);
+      expect(parse('Friday at 19:00')[0].at).toBe(1140);
+      expect(parse('Friday at half past six in the evening')[0].at).toBe(1110);
+      expect(parse('Friday at quarter to eight')[0].at).toBe(1185);
+      expect(parse('Friday at noon')[0].at).toBe(720);
+    });
+
+    test('should widen approximate times and parts of the day', () => {
+      expect(parse('this Friday around seven')[0]).toMatchObject({
+        date: '2026-10-23',
+        from: 1110,
+        to: 1170,
+        at: 1140,
+        approximate: true,
+        start: '2026-10-23T22:30:00.000Z',
+        end: '2026-10-23T23:30:00.000Z'
+      });
+      expect(parse('saturday 8ish')[0]).toMatchObject({ at: 1200, approximate: true });
+
+      expect(brief(parse('next Tuesday lunchtime'))).toEqual([
+        { date: '2026-10-27', from: 690, to: 840, at: null, confidence: 0.6 },
+        { date: '2026-10-20', from: 690, to: 840, at: null, confidence: 0.4 }
+      ]);
+      expect(parse('next Tuesday lunchtime')[0].period).toBe('lunch');
+      expect(parse('tonight')[0]).toMatchObject({ date: '2026-10-19', from: 1020, to: 1260, period: 'evening' });
+    });
+
+    test('should put a time on its own on the next day it comes round', () => {
+      expect(parse('at 7').map(candidate => [candidate.date, candidate.at])).toEqual([
+        ['2026-10-19', 1140],
+        ['2026-10-20', 420]
+      ]);
+      expect(parse('at 7', { date: '2026-10-23' }).map(candidate => candidate.date)).toEqual(['2026-10-23', '2026-10-23']);
+    });
+
+    test('should count forward from now', () => {
+      expect(parse('in two hours')[0]).toMatchObject({ date: '2026-10-19', at: 720, from: 705, to: 735, approximate: true });
+      expect(parse('in half an hour')[0].at).toBe(630);
+      expect(parse('in 45 minutes')[0].at).toBe(645);
+    });
+
+    test('should return nothing it does not understand', () => {
+      expect(parse('a table for 4 please')).toEqual([]);
+      expect(parse('')).toEqual([]);
+    });
+  });
+
+  describe('Availability query', () => {
+    const businessId = 'date-time-parser-test';
+    let tempDir;
+    let app;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'date-time-parser-'));
+      saveBusinessData(businessId, business);
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'bookings.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      delete process.env.BOOKINGS_FILE;
+      jest.resetModules();
+    });
+
+    test('should find slots for a spoken date and time', async () => {
+      // A Wednesday far enough ahead that the test never runs into the past
+      const response = await request(app)
+        .get('/book/availability')
+        .query({ q: 'January 9th, 2030 around 1pm', business_id: businessId })
+        .expect(200);
+
+      expect(response.body.date).toBe('2030-01-09');
+      expect(response.body.count).toBe(22);
+      expect(response.body.query.candidates[0]).toMatchObject({ date: '2030-01-09', at: 780, approximate: true });
+      expect(response.body.matchingSlots.map(slot => slot.startTime)).toEqual([
+        '2030-01-09T17:30:00.000Z',
+        '2030-01-09T18:00:00.000Z',
+        '2030-01-09T18:30:00.000Z'
+      ]);
+    });
+
+    test('should need a date or a query it understands', async () => {
+      const missing = await request(app).get('/book/availability').expect(400);
+      expect(missing.body.error).toBe('Invalid request parameters');
+
+      await request(app).get('/book/availability').query({ date: '2030-01-09', q: 'tomorrow' }).expect(400);
+
+      const unclear = await request(app)
+        .get('/book/availability')
+        .query({ q: 'whenever works', business_id: businessId })
+        .expect(400);
+      expect(unclear.body.details).toBe('Couldn\'t find a date or time in "q": whenever works');
+    });
+  });
+});
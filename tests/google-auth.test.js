@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { google } = require('googleapis');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'google-auth-'));
+process.env.GOOGLE_TOKENS_FILE = path.join(tempDir, 'google-tokens.json');
+process.env.TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+process.env.GOOGLE_CLIENT_ID = 'test-client-id.apps.googleusercontent.com';
+process.env.GOOGLE_CLIENT_SECRET = 'test-client-secret';
+delete process.env.GOOGLE_REDIRECT_URI;
+
+const tokenStore = require('../services/tokenStore');
+const { TokenStore } = require('../services/tokenStore');
+const calendarService = require('../services/calendarService');
+const { CalendarService, DEFAULT_CONNECTION } = require('../services/calendarService');
+const { getCalendarService, getGoogleConnection } = require('../services/calendars');
+const calendarSync = require('../services/calendarSync');
+const adminAuth = require('../services/adminAuth');
+const { hashApiKey } = require('../services/adminAuth');
+const authRouter = require('../routes/auth');
+
+describe('Google Auth Tests', () => {
+  const hourFromNow = () => Date.now() + 60 * 60 * 1000;
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/auth', authRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(process.env.GOOGLE_TOKENS_FILE, { force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Token storage', () => {
+    test('should encrypt each connection\'s tokens', async () => {
+      await tokenStore.save('pizzakarachi', { access_token: 'ya29.pizza', refresh_token: '1//pizza-refresh' });
+      await tokenStore.save('sushi-bar', { access_token: 'ya29.sushi' });
+
+      const raw = fs.readFileSync(process.env.GOOGLE_TOKENS_FILE, 'utf8');
+      expect(raw).not.toContain('ya29.pizza');
+      expect(raw).not.toContain('1//pizza-refresh');
+      expect(fs.statSync(process.env.GOOGLE_TOKENS_FILE).mode & 0o777).toBe(0o600);
+
+      expect(tokenStore.get('pizzakarachi')).toEqual({ access_token: 'ya29.pizza', refresh_token: '1//pizza-refresh' });
+      expect(tokenStore.get('sushi-bar')).toEqual({ access_token: 'ya29.sushi' });
+      expect(tokenStore.get('burger-joint')).toBeNull();
+      expect(tokenStore.list().map(entry => entry.connectionId)).toEqual(['pizzakarachi', 'sushi-bar']);
+
+      await tokenStore.remove('sushi-bar');
+      expect(tokenStore.has('sushi-bar')).toBe(false);
+    });
+
+    test('should need the right key to read tokens', async () => {
+      await tokenStore.save('pizzakarachi', { access_token: 'ya29.pizza' });
+
+      const wrongKey = new TokenStore({ tokensFile: process.env.GOOGLE_TOKENS_FILE, secret: 'another-key' });
+      expect(() => wrongKey.get('pizzakarachi')).toThrow();
+
+      const noKey = new TokenStore({ tokensFile: process.env.GOOGLE_TOKENS_FILE, secret: '' });
+      expect(() => noKey.get('pizzakarachi')).toThrow(expect.objectContaining({ code: 'TOKEN_KEY_MISSING' }));
+
+      const exampleKey = new TokenStore({ tokensFile: process.env.GOOGLE_TOKENS_FILE, secret: 'change-me-to-a-long-random-string' });
+      expect(() => exampleKey.save('sushi-bar', { access_token: 'ya29.sushi' }))
+        .toThrow(expect.objectContaining({ code: 'TOKEN_KEY_MISSING', message: expect.stringMatching(/example value/) }));
+    });
+  });
+
+  describe('Connections', () => {
+    test('should load each business\'s own tokens', async () => {
+      await tokenStore.save('pizzakarachi', { access_token: 'ya29.pizza', expiry_date: hourFromNow() });
+
+      const pizza = new CalendarService({ businessId: 'pizzakarachi' });
+      await pizza.initialize();
+      expect(pizza.initialized).toBe(true);
+      expect(pizza.oauth2Client.credentials.access_token).toBe('ya29.pizza');
+
+      const sushi = new CalendarService({ businessId: 'sushi-bar' });
+      await sushi.initialize();
+      expect(sushi.initialized).toBe(false);
+    });
+
+    test('should refresh expired tokens and keep the refresh token', async () => {
+      await tokenStore.save('pizzakarachi', {
+        access_token: 'ya29.old',
+        refresh_token: '1//pizza-refresh',
+        expiry_date: Date.now() - 1000
+      });
+      const refresh = jest.spyOn(google.auth.OAuth2.prototype, 'refreshAccessToken')
+        .mockResolvedValue({ credentials: { access_token: 'ya29.new', expiry_date: hourFromNow() } });
+
+      const pizza = new CalendarService({ businessId: 'pizzakarachi' });
+      await pizza.initialize();
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(pizza.initialized).toBe(true);
+      expect(tokenStore.get('pizzakarachi')).toMatchObject({ access_token: 'ya29.new', refresh_token: '1//pizza-refresh' });
+    });
+
+    test('should need authorizing again when the refresh is refused', async () => {
+      await tokenStore.save('pizzakarachi', {
+        access_token: 'ya29.old',
+        refresh_token: '1//revoked',
+        expiry_date: Date.now() - 1000
+      });
+      jest.spyOn(google.auth.OAuth2.prototype, 'refreshAccessToken').mockRejectedValue(new Error('invalid_grant'));
+
+      const pizza = new CalendarService({ businessId: 'pizzakarachi' });
+      await pizza.initialize();
+      expect(pizza.initialized).toBe(false);
+    });
+
+    test('should save tokens the client refreshes by itself', async () => {
+      await tokenStore.save('pizzakarachi', { access_token: 'ya29.old', refresh_token: '1//pizza-refresh', expiry_date: hourFromNow() });
+
+      const pizza = new CalendarService({ businessId: 'pizzakarachi' });
+      await pizza.initialize();
+      pizza.oauth2Client.emit('tokens', { access_token: 'ya29.auto', expiry_date: hourFromNow() });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(tokenStore.get('pizzakarachi')).toMatchObject({ access_token: 'ya29.auto', refresh_token: '1//pizza-refresh' });
+    });
+
+    test('should move tokens out of the business data directory', async () => {
+      const legacyTokenPath = path.join(tempDir, 'legacy-tokens.json');
+      fs.writeFileSync(legacyTokenPath, JSON.stringify({ access_token: 'ya29.legacy', expiry_date: hourFromNow() }));
+
+      const service = new CalendarService({ legacyTokenPath });
+      await service.initialize();
+
+      expect(service.initialized).toBe(true);
+      expect(fs.existsSync(legacyTokenPath)).toBe(false);
+      expect(tokenStore.get(DEFAULT_CONNECTION)).toMatchObject({ access_token: 'ya29.legacy' });
+    });
+
+    test('should use a business\'s own connection once it has one', async () => {
+      expect(getCalendarService({ name: 'Pizza Karachi' }, { businessId: 'pizzakarachi' })).toBe(calendarService);
+
+      await tokenStore.save('pizzakarachi', { access_token: 'ya29.pizza' });
+      const own = getCalendarService({ name: 'Pizza Karachi' }, { businessId: 'pizzakarachi' });
+      expect(own).toBe(getGoogleConnection('pizzakarachi'));
+      expect(own.businessId).toBe('pizzakarachi');
+    });
+  });
+
+  describe('Routes', () => {
+    const connect = async businessId => {
+      const response = await request(app).get('/auth').query({ business_id: businessId });
+      return new URL(response.body.authUrl).searchParams.get('state');
+    };
+
+    test('should start authorization for a business', async () => {
+      const response = await request(app).get('/auth').query({ business_id: 'pizzakarachi' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.business_id).toBe('pizzakarachi');
+      const authUrl = new URL(response.body.authUrl);
+      expect(authUrl.searchParams.get('redirect_uri')).toBe('http://localhost:3000/auth/callback');
+      expect(authUrl.searchParams.get('access_type')).toBe('offline');
+      expect(authUrl.searchParams.get('state')).toBeTruthy();
+
+      const missing = await request(app).get('/auth').query({ business_id: 'no-such-business' });
+      expect(missing.status).toBe(404);
+      expect(missing.body).toEqual({
+        error: 'Business not found',
+        message: 'No data found for business_id: no-such-business'
+      });
+    });
+
+    test('should store tokens for the business in the state', async () => {
+      const sync = jest.spyOn(calendarSync, 'sync').mockResolvedValue({ changes: [], pushed: 0, conflicts: [] });
+      const getToken = jest.spyOn(google.auth.OAuth2.prototype, 'getToken')
+        .mockResolvedValue({ tokens: { access_token: 'ya29.pizza', refresh_token: '1//pizza-refresh', expiry_date: hourFromNow() } });
+      const state = await connect('pizzakarachi');
+
+      const response = await request(app).get('/auth/callback').query({ code: 'auth-code', state });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ business_id: 'pizzakarachi', authenticated: true });
+      expect(getToken).toHaveBeenCalledWith('auth-code');
+      expect(tokenStore.get('pizzakarachi')).toMatchObject({ access_token: 'ya29.pizza' });
+      expect(tokenStore.has(DEFAULT_CONNECTION)).toBe(false);
+      // Bookings are mirrored into the new connection straight away
+      expect(sync).toHaveBeenCalledTimes(1);
+
+      const status = await request(app).get('/auth/status').query({ business_id: 'pizzakarachi' });
+      expect(status.body).toMatchObject({ business_id: 'pizzakarachi', connection: 'pizzakarachi', authenticated: true });
+      expect(status.body.connectedAt).toBeTruthy();
+
+      const other = await request(app).get('/auth/status').query({ business_id: 'sushi-bar' });
+      expect(other.body).toMatchObject({ business_id: 'sushi-bar', connection: DEFAULT_CONNECTION, authenticated: false });
+    });
+
+    test('should let only owners connect calendars', async () => {
+      const { usersFile } = adminAuth;
+      adminAuth.usersFile = path.join(tempDir, 'admin-users.json');
+      fs.writeFileSync(adminAuth.usersFile, JSON.stringify({
+        api_keys: [
+          { name: 'admin', key_hash: hashApiKey('rk_admin'), role: 'owner', businesses: ['*'] },
+          { name: 'pizza-owner', key_hash: hashApiKey('rk_pizza_owner'), role: 'owner', businesses: ['pizzakarachi'] },
+          { name: 'front-desk', key_hash: hashApiKey('rk_front_desk'), role: 'staff', businesses: ['pizzakarachi'] }
+        ]
+      }));
+      const as = key => ({ Authorization: `Bearer ${key}` });
+
+      try {
+        await request(app).get('/auth').query({ business_id: 'pizzakarachi' }).expect(401);
+        await request(app).get('/auth').query({ business_id: 'pizzakarachi' }).set(as('rk_front_desk')).expect(403);
+        await request(app).get('/auth').query({ business_id: 'pizzakarachi' }).set(as('rk_pizza_owner')).expect(200);
+        await request(app).get('/auth').query({ business_id: 'sushi-bar' }).set(as('rk_pizza_owner')).expect(403);
+        // The default connection is shared by every business
+        await request(app).get('/auth').set(as('rk_pizza_owner')).expect(403);
+        await request(app).get('/auth').set(as('rk_admin')).expect(200);
+
+        await request(app).get('/auth/status').query({ business_id: 'pizzakarachi' }).expect(401);
+        await request(app).get('/auth/status').query({ business_id: 'pizzakarachi' }).set(as('rk_pizza_owner')).expect(200);
+        await request(app).get('/auth/status').set(as('rk_pizza_owner')).expect(403);
+
+        // Google can't send credentials back; the signed state stands in
+        await request(app).get('/auth/callback').query({ code: 'auth-code', state: 'forged' }).expect(400);
+      } finally {
+        fs.rmSync(adminAuth.usersFile, { force: true });
+        adminAuth.usersFile = usersFile;
+      }
+    });
+
+    test('should refuse forged, expired or denied callbacks', async () => {
+      const getToken = jest.spyOn(google.auth.OAuth2.prototype, 'getToken');
+      const state = await connect('pizzakarachi');
+      const [payload, signature] = state.split('.');
+      const forged = `${Buffer.from(JSON.stringify({ business_id: 'sushi-bar', issued_at: Date.now() })).toString('base64url')}.${signature}`;
+
+      const tampered = await request(app).get('/auth/callback').query({ code: 'auth-code', state: forged });
+      expect(tampered.status).toBe(400);
+      expect(tampered.body.details).toMatch(/invalid or has expired/);
+
+      const later = Date.now() + 16 * 60 * 1000;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+      const expired = await request(app).get('/auth/callback').query({ code: 'auth-code', state: `${payload}.${signature}` });
+      expect(expired.status).toBe(400);
+      Date.now.mockRestore();
+
+      const denied = await request(app).get('/auth/callback').query({ error: 'access_denied', state });
+      expect(denied.status).toBe(400);
+      expect(denied.body.error).toBe('Authorization denied');
+
+      const noCode = await request(app).get('/auth/callback').query({ state });
+      expect(noCode.status).toBe(400);
+      expect(getToken).not.toHaveBeenCalled();
+    });
+  });
+});
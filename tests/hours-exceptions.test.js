@@ -0,0 +1,194 @@
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const { describeTodaysException, answerHoursQuestion } = require('../services/businessHours');
+const { getOpeningWindows } = require('../services/availability');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+const bookingService = require('../services/bookingService');
+const ConversationEngine = require('../services/conversationEngine');
+
+describe('Hours Exceptions Tests', () => {
+  const business = {
+    schema_version: 2,
+    name: 'Test Pizzeria',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: '12pm–9pm',
+      tuesday: '12pm–9pm',
+      wednesday: '12pm–9pm',
+      thursday: '12pm–9pm',
+      friday: '12pm–10pm',
+      saturday: '12pm–10pm',
+      sunday: '12pm–5pm'
+    },
+    hours_exceptions: [
+      { id: '2026-03-20-eid', name: 'Eid', start_date: '2026-03-20', hours: 'Closed' },
+      {
+        id: '2026-04-06-renovations',
+        name: 'renovations',
+        start_date: '2026-04-06',
+        end_date: '2026-04-12',
+        hours: 'Closed',
+        note: "We're closed for renovations until April 13th."
+      },
+      { id: '2026-12-24-christmas-eve', name: 'Christmas Eve', start_date: '2026-12-24', hours: '10am–2pm' }
+    ]
+  };
+
+  describe('Calendar', () => {
+    test('should tell callers about closures up front', () => {
+      // 10 AM on Eid, a Friday
+      expect(describeTodaysException(business, new Date('2026-03-20T14:00:00Z')))
+        .toBe("We're closed today for Eid; we reopen tomorrow at noon.");
+      expect(describeTodaysException(business, new Date('2026-12-24T15:00:00Z')))
+        .toBe('We have special hours today for Christmas Eve: 10 AM to 2 PM.');
+      expect(describeTodaysException(business, new Date('2026-10-14T18:00:00Z'))).toBeNull();
+    });
+
+    test('should use the spoken note for every day of a range', () => {
+      expect(describeTodaysException(business, new Date('2026-04-09T16:00:00Z')))
+        .toBe("We're closed for renovations until April 13th.");
+      expect(answerHoursQuestion(business, 'Are you open Saturday?', new Date('2026-04-09T16:00:00Z')))
+        .toBe("No, on Saturday, April 11 we're closed for renovations.");
+    });
+
+    test('should turn special hours into booking windows in the business time zone', () => {
+      expect(getOpeningWindows(business, '2026-12-24')).toEqual([{
+        start: new Date('2026-12-24T15:00:00Z'),
+        end: new Date('2026-12-24T19:00:00Z')
+      }]);
+      expect(getOpeningWindows(business, '2026-03-20')).toEqual([]);
+    });
+
+    test('should leave no slots on closed days and only special hours otherwise', async () => {
+      expect(await bookingService.getAvailableSlots('2026-03-20', 30, business)).toEqual([]);
+
+      const slots = await bookingService.getAvailableSlots('2026-12-24', 60, business);
+      expect(slots.map(slot => slot.startTime)).toEqual([
+        '2026-12-24T15:00:00.000Z',
+        '2026-12-24T16:00:00.000Z',
+        '2026-12-24T17:00:00.000Z',
+        '2026-12-24T18:00:00.000Z'
+      ]);
+    });
+
+    test('should mention a closure in the call greeting', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-03-20T14:00:00Z'));
+      const engine = new ConversationEngine({ responder: 'intent' });
+
+      try {
+        expect(engine.getGreeting(business)).toBe(
+          "Hi there! This is Test Pizzeria's AI assistant. We're closed today for Eid; " +
+          'we reopen tomorrow at noon. What can I help you with today?'
+        );
+      } finally {
+        engine.shutdown();
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Exceptions API', () => {
+    const businessId = 'hours-exceptions-test';
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api', require('../routes/api'));
+      app.use('/book', require('../routes/book'));
+    });
+
+    beforeEach(() => {
+      const { hours_exceptions, ...rest } = business;
+      saveBusinessData(businessId, rest);
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+    });
+
+    test('should add, list, update and remove exceptions', async () => {
+      const created = await request(app)
+        .post(`/api/business/${businessId}/exceptions`)
+        .send({ name: 'Eid', start_date: '2026-03-20', hours: 'Closed' })
+        .expect(201);
+
+      expect(created.body.exception).toEqual({ id: '2026-03-20-eid', name: 'Eid', start_date: '2026-03-20', hours: 'Closed' });
+
+      await request(app)
+        .put(`/api/business/${businessId}/exceptions/2026-03-20-eid`)
+        .send({ name: 'Eid', start_date: '2026-03-20', hours: '4pm–10pm' })
+        .expect(200);
+
+      const listed = await request(app)
+        .get(`/api/business/${businessId}/exceptions?from=2026-03-01&to=2026-03-31`)
+        .expect(200);
+      expect(listed.body.exceptions).toEqual([
+        { id: '2026-03-20-eid', name: 'Eid', start_date: '2026-03-20', hours: '4pm–10pm' }
+      ]);
+
+      await request(app).delete(`/api/business/${businessId}/exceptions/2026-03-20-eid`).expect(200);
+      await request(app).delete(`/api/business/${businessId}/exceptions/2026-03-20-eid`).expect(404);
+    });
+
+    test('should reject overlapping and invalid exceptions', async () => {
+      await request(app)
+        .post(`/api/business/${businessId}/exceptions`)
+        .send({ name: 'renovations', start_date: '2026-04-06', end_date: '2026-04-12', hours: 'Closed' })
+        .expect(201);
+
+      const overlap = await request(app)
+        .post(`/api/business/${businessId}/exceptions`)
+        .send({ name: 'Easter', start_date: '2026-04-10', hours: 'Closed' })
+        .expect(409);
+      expect(overlap.body.details).toBe('Overlaps 2026-04-06-renovations');
+
+      const invalid = await request(app)
+        .post(`/api/business/${businessId}/exceptions`)
+        .send({ start_date: '2026-05-01', hours: 'sometimes' })
+        .expect(400);
+      expect(invalid.body.details).toBe('"hours" must be opening hours like "9am–5pm" or "Closed"');
+
+      await request(app)
+        .post('/api/business/no-such-business/exceptions')
+        .send({ start_date: '2026-05-01', hours: 'Closed' })
+        .expect(404);
+    });
+
+    test('should not lose an edit made while the business file is locked', async () => {
+      // Another server holds the lock while it adds a closure
+      const lockFile = `${getBusinessFilePath(businessId)}.lock`;
+      fs.writeFileSync(lockFile, '12345');
+      setTimeout(() => {
+        const { hours_exceptions, ...rest } = business;
+        saveBusinessData(businessId, { ...rest, hours_exceptions: [hours_exceptions[0]] });
+        fs.rmSync(lockFile);
+      }, 100);
+
+      await request(app)
+        .post(`/api/business/${businessId}/exceptions`)
+        .send({ name: 'Christmas Eve', start_date: '2026-12-24', hours: '10am–2pm' })
+        .expect(201);
+
+      const listed = await request(app).get(`/api/business/${businessId}/exceptions`).expect(200);
+      expect(listed.body.exceptions.map(exception => exception.id)).toEqual(['2026-03-20-eid', '2026-12-24-christmas-eve']);
+
+      await request(app).delete(`/api/business/${businessId}/exceptions/2026-03-20-eid`).expect(200);
+      expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    test('should honour closures in booking availability', async () => {
+      await request(app)
+        .post(`/api/business/${businessId}/exceptions`)
+        .send({ name: 'Eid', start_date: '2026-03-20', hours: 'Closed' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/book/availability?date=2026-03-20&business_id=${businessId}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { escapeText, foldLine, bookingCalendar, bookingFeed } = require('../services/icalendar');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('iCalendar Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Salon',
+    timezone: 'America/Toronto',
+    phone: '+14165550100',
+    address: '12 King St W, Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '9am–5pm',
+      wednesday: '9am–5pm',
+      thursday: '9am–5pm',
+      friday: '9am–5pm',
+      saturday: '9am–5pm',
+      sunday: 'Closed'
+    },
+    services: [{ id: 'haircut', name: 'Haircut', duration: 60, price: 40 }],
+    booking: { slot_interval_minutes: 60 }
+  };
+
+  const lines = text => text.replace(/\r\n /g, '').split('\r\n');
+
+  let tempDir;
+  let bookings;
+
+  const book = (startTime = '2026-10-20T14:00:00Z', extra = {}) => bookings.createBooking({
+    businessId: 'test-salon',
+    customerName: 'Jordan Smith',
+    customerEmail: 'jordan@example.com',
+    customerPhone: '+14165550123',
+    date: '2026-10-20',
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 60 * 60000).toISOString(),
+    serviceType: 'appointment',
+    service: 'haircut',
+    ...extra
+  }, business);
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'icalendar-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${Date.now()}-${Math.random()}.json`) })
+    });
+  });
+
+  describe('Formatting', () => {
+    test('should escape text values', () => {
+      expect(escapeText('Cut, wash; blow-dry\\style\nExtra')).toBe('Cut\\, wash\\; blow-dry\\\\style\\nExtra');
+    });
+
+    test('should fold long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+      const pieces = folded.split('\r\n');
+
+      expect(pieces.length).toBeGreaterThan(1);
+      pieces.forEach(piece => expect(Buffer.byteLength(piece)).toBeLessThanOrEqual(75));
+      pieces.slice(1).forEach(piece => expect(piece.startsWith(' ')).toBe(true));
+      expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('Booking files', () => {
+    test('should describe the booking for the customer', async () => {
+      const { booking } = await book('2026-10-20T14:00:00Z', { notes: 'Short, please' });
+      const text = bookingCalendar(booking, business);
+
+      expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        'UID:BOOK-1001@ai-receptionist',
+        'SEQUENCE:0',
+        'DTSTART:20261020T140000Z',
+        'DTEND:20261020T150000Z',
+        'SUMMARY:Haircut at Test Salon',
+        'DESCRIPTION:Booking 1001\\nQuestions or changes: +14165550100\\nNotes: Short\\, please',
+        'LOCATION:12 King St W\\, Toronto',
+        'STATUS:CONFIRMED',
+        'END:VEVENT'
+      ]));
+      text.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    });
+
+    test('should update the same event when the booking moves or is cancelled', async () => {
+      const { booking } = await book();
+      const moved = await bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T16:00:00Z' }, business, { now });
+      expect(lines(bookingCalendar(moved, business))).toEqual(expect.arrayContaining([
+        'UID:BOOK-1001@ai-receptionist',
+        'SEQUENCE:1',
+        'DTSTART:20261020T160000Z'
+      ]));
+
+      // Edits that don't change the time aren't a new version of the event
+      expect((await bookings.updateBooking(booking.bookingId, { notes: 'Running late' }, business, { now })).sequence).toBe(1);
+
+      await bookings.cancelBooking(booking.bookingId, business, { now });
+      const cancelled = await bookings.getBooking(booking.bookingId);
+      expect(lines(bookingCalendar(cancelled, business))).toEqual(expect.arrayContaining([
+        'UID:BOOK-1001@ai-receptionist',
+        'SEQUENCE:2',
+        'STATUS:CANCELLED',
+        'TRANSP:TRANSPARENT'
+      ]));
+    });
+
+    test('should describe each booking for staff in the feed', async () => {
+      await book();
+      const { booking } = await book('2026-10-20T16:00:00Z', { customerName: 'Sam Lee', partySize: 2 });
+      await bookings.cancelBooking(booking.bookingId, business, { now });
+
+      const feed = lines(bookingFeed(await bookings.getAllBookings({ businessId: 'test-salon' }), business));
+      expect(feed.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+      expect(feed).toEqual(expect.arrayContaining([
+        'X-WR-CALNAME:Test Salon bookings',
+        'X-WR-TIMEZONE:America/Toronto',
+        'SUMMARY:Haircut: Jordan Smith',
+        'DESCRIPTION:Booking 1001\\nCustomer: Jordan Smith\\nPhone: +14165550123\\nEmail: jordan@example.com',
+        'SUMMARY:Haircut: Sam Lee',
+        'STATUS:CANCELLED'
+      ]));
+    });
+  });
+
+  describe('API', () => {
+    const businessId = 'icalendar-test';
+    let app;
+
+    beforeAll(() => {
+      saveBusinessData(businessId, business);
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'api.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      delete process.env.BOOKINGS_FILE;
+      jest.resetModules();
+    });
+
+    test('should download a booking and subscribe to the feed', async () => {
+      // A Tuesday far enough ahead that the test never runs into the past
+      const created = await request(app).post('/book').send({
+        customerName: 'Jordan Smith',
+        customerEmail: 'jordan@example.com',
+        customerPhone: '+14165550123',
+        date: '2030-01-08',
+        startTime: '2030-01-08T15:00:00Z',
+        endTime: '2030-01-08T16:00:00Z',
+        serviceType: 'appointment',
+        businessId,
+        service: 'haircut'
+      }).expect(201);
+      const { bookingId } = created.body.booking;
+
+      const file = await request(app).get(`/book/${bookingId}.ics`).expect(200);
+      expect(file.headers['content-type']).toBe('text/calendar; charset=utf-8');
+      expect(file.headers['content-disposition']).toBe(`attachment; filename="${bookingId}.ics"`);
+      expect(file.text).toContain('SUMMARY:Haircut at Test Salon');
+
+      await request(app).delete(`/book/${bookingId}`).expect(200);
+
+      const feed = await request(app).get(`/book/feed/${businessId}.ics`).expect(200);
+      expect(feed.headers['content-type']).toBe('text/calendar; charset=utf-8');
+      expect(lines(feed.text)).toEqual(expect.arrayContaining([
+        `UID:${bookingId}@ai-receptionist`,
+        'SEQUENCE:1',
+        'STATUS:CANCELLED'
+      ]));
+    });
+
+    test('should 404 unknown bookings and businesses', async () => {
+      await request(app).get('/book/BOOK-9999.ics').expect(404);
+
+      const response = await request(app).get('/book/feed/nowhere.ics').expect(404);
+      expect(response.body).toEqual({ error: 'Business not found', message: 'No data found for business_id: nowhere' });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  getMenuItems,
+  filterMenu,
+  detectDietaryTags,
+  findMenuItems,
+  answerMenuQuestion
+} = require('../services/menu');
+const { handleCallLogic } = require('../services/callLogic');
+
+describe('Menu Catalogue Tests', () => {
+  const business = {
+    schema_version: 2,
+    name: 'Test Pizzeria',
+    menu: {
+      categories: [
+        {
+          id: 'pizzas',
+          name: 'Pizzas',
+          items: [
+            {
+              id: 'karachi-special',
+              name: 'Karachi Special',
+              sizes: [{ name: 'Small', price: 12 }, { name: 'Large', price: 20 }],
+              modifiers: [
+                { name: 'Extra cheese', price: 2 },
+                { name: 'Gluten-free crust', price: 3, dietary: ['gluten-free'] }
+              ],
+              allergens: ['gluten', 'dairy'],
+              dietary: ['halal', 'spicy']
+            },
+            {
+              id: 'veggie-pizza',
+              name: 'Veggie Pizza',
+              sizes: [{ name: 'Small', price: 10 }, { name: 'Large', price: 17 }],
+              allergens: ['gluten', 'dairy'],
+              dietary: ['vegetarian']
+            }
+          ]
+        },
+        {
+          id: 'sides',
+          name: 'Sides',
+          items: [
+            { id: 'samosas', name: 'Vegetable Samosas', price: 6.5, dietary: ['vegan'] },
+            { id: 'wings', name: 'Chicken Wings', price: 9, available: false }
+          ]
+        }
+      ]
+    }
+  };
+
+  describe('Menu service', () => {
+    test('should flatten items with their category', () => {
+      const items = getMenuItems(business.menu);
+      expect(items).toHaveLength(4);
+      expect(items[2]).toMatchObject({ id: 'samosas', category: { id: 'sides', name: 'Sides' } });
+    });
+
+    test('should treat vegan items as vegetarian when filtering', () => {
+      const menu = filterMenu(business.menu, { dietary: ['vegetarian'] });
+      expect(getMenuItems(menu).map(item => item.id)).toEqual(['veggie-pizza', 'samosas']);
+      expect(filterMenu(business.menu, { category: 'sides' }).categories).toHaveLength(1);
+    });
+
+    test('should detect dietary tags in questions', () => {
+      expect(detectDietaryTags("What's vegan?")).toEqual(['vegan']);
+      expect(detectDietaryTags('Anything gluten free and halal?')).toEqual(['halal', 'gluten-free']);
+    });
+
+    test('should not match an item on a shared word alone', () => {
+      expect(findMenuItems(business.menu, 'large karachi special')[0].id).toBe('karachi-special');
+      expect(findMenuItems(business.menu, 'how much is a pizza')).toEqual([]);
+    });
+
+    test('should price a sized item', () => {
+      expect(answerMenuQuestion(business, 'How much is a large Karachi Special?'))
+        .toBe('A large Karachi Special is $20.00.');
+      expect(answerMenuQuestion(business, 'How much is the Karachi Special with extra cheese?'))
+        .toBe('The Karachi Special is $12.00 for a small and $20.00 for a large. Extra cheese is $2.00 extra.');
+    });
+
+    test('should list dietary options and suitable modifiers', () => {
+      expect(answerMenuQuestion(business, "What's vegan?")).toBe('Our vegan options are Vegetable Samosas.');
+      expect(answerMenuQuestion(business, 'Do you have gluten-free options?'))
+        .toBe("Sorry, we don't have any gluten-free options on the menu right now. You can also ask for gluten-free crust.");
+    });
+
+    test('should answer dietary and allergen questions about one item', () => {
+      expect(answerMenuQuestion(business, 'Is the Karachi Special halal?')).toBe('Yes, the Karachi Special is halal.');
+      expect(answerMenuQuestion(business, 'Is the veggie pizza vegan?'))
+        .toBe("No, the Veggie Pizza isn't vegan. Our vegan options are Vegetable Samosas.");
+      expect(answerMenuQuestion(business, 'What allergens are in the veggie pizza?'))
+        .toBe('The Veggie Pizza contains gluten and dairy.');
+    });
+
+    test('should mention unavailable items', () => {
+      expect(answerMenuQuestion(business, 'How much are the chicken wings?'))
+        .toBe("Sorry, the Chicken Wings isn't available right now.");
+    });
+
+    test('should leave general questions to the intent reply', () => {
+      expect(answerMenuQuestion(business, 'What services do you offer?')).toBeNull();
+      expect(answerMenuQuestion({ name: 'No Menu' }, 'What is vegan?')).toBeNull();
+    });
+  });
+
+  describe('Call logic', () => {
+    test('should answer item prices from the stored menu', async () => {
+      const result = await handleCallLogic('How much is a large Karachi Special?', 'pizzakarachi', { generateAudio: false });
+
+      expect(result.intent).toBe('menu');
+      expect(result.text_response).toBe('A large Karachi Special Pizza is $21.99.');
+    });
+
+    test('should route item questions without menu keywords to the menu', async () => {
+      const result = await handleCallLogic('What sides do you have?', 'pizzakarachi', { generateAudio: false });
+
+      expect(result.intent).toBe('menu');
+      expect(result.text_response).toContain('Garlic Naan ($4.99)');
+    });
+  });
+
+  describe('GET /api/business/:businessId/menu', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api', require('../routes/api'));
+    });
+
+    test('should return the menu catalogue', async () => {
+      const response = await request(app)
+        .get('/api/business/pizzakarachi/menu')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.categories.map(category => category.id)).toEqual(['pizzas', 'sides', 'drinks']);
+    });
+
+    test('should filter by dietary tag and category', async () => {
+      const response = await request(app)
+        .get('/api/business/pizzakarachi/menu?dietary=vegan&category=sides')
+        .expect(200);
+
+      expect(response.body.categories).toHaveLength(1);
+      expect(response.body.categories[0].items.map(item => item.id)).toEqual(['vegetable-samosas']);
+    });
+
+    test('should reject unknown dietary tags', async () => {
+      const response = await request(app)
+        .get('/api/business/pizzakarachi/menu?dietary=paleo')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid dietary filter');
+    });
+
+    test('should return 404 for unknown businesses', async () => {
+      await request(app)
+        .get('/api/business/no-such-business/menu')
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { Cart, computeOrderTotals, readBackOrder } = require('../services/orders');
+const { OrderStore } = require('../services/orderStore');
+const { OrderTaker } = require('../services/orderTaking');
+
+describe('Order Tests', () => {
+  const business = {
+    schema_version: 2,
+    name: 'Test Pizzeria',
+    tax_rate: 0.1,
+    delivery: { available: true, fee: 4, minimum: 15, free_over: 40, estimated_time: '30 minutes' },
+    menu: {
+      categories: [
+        {
+          id: 'pizzas',
+          name: 'Pizzas',
+          items: [
+            {
+              id: 'karachi-special',
+              name: 'Karachi Special',
+              sizes: [{ name: 'Small', price: 10 }, { name: 'Large', price: 18 }],
+              modifiers: [{ name: 'Extra cheese', price: 2 }, { name: 'Extra jalapeños', price: 1 }]
+            }
+          ]
+        },
+        {
+          id: 'drinks',
+          name: 'Drinks',
+          items: [
+            { id: 'mango-lassi', name: 'Mango Lassi', price: 4.5 },
+            { id: 'chai', name: 'Masala Chai', price: 3, available: false }
+          ]
+        }
+      ]
+    }
+  };
+
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Cart', () => {
+    test('should price lines from the menu', () => {
+      const cart = new Cart(business);
+      const line = cart.addItem({ item_id: 'karachi-special', size: 'large', quantity: 2, modifiers: ['extra cheese'] });
+
+      expect(line).toEqual({
+        item_id: 'karachi-special',
+        name: 'Karachi Special',
+        size: 'Large',
+        quantity: 2,
+        modifiers: [{ name: 'Extra cheese', price: 2 }],
+        unit_price: 20,
+        line_total: 40
+      });
+    });
+
+    test('should reject items the menu cannot supply', () => {
+      const cart = new Cart(business);
+
+      expect(() => cart.addItem({ item_id: 'sushi' })).toThrow('Unknown menu item');
+      expect(() => cart.addItem({ item_id: 'karachi-special' })).toThrow('Choose a size');
+      expect(() => cart.addItem({ item_id: 'chai' })).toThrow('not available');
+      expect(() => cart.addItem({ item_id: 'mango-lassi', modifiers: ['Extra cheese'] })).toThrow('not available on Mango Lassi');
+    });
+
+    test('should add tax and the delivery fee below the free delivery threshold', () => {
+      const cart = new Cart(business);
+      cart.addItem({ item_id: 'karachi-special', size: 'Large' });
+
+      expect(cart.getTotals('pickup')).toEqual({ subtotal: 18, tax: 1.8, delivery_fee: 0, total: 19.8, below_minimum: false });
+      expect(cart.getTotals('delivery')).toMatchObject({ delivery_fee: 4, total: 23.8, below_minimum: false, minimum: 15 });
+    });
+
+    test('should waive delivery over the threshold and flag orders under the minimum', () => {
+      const lines = [{ line_total: 45 }];
+      expect(computeOrderTotals(lines, business, 'delivery')).toMatchObject({ delivery_fee: 0, total: 49.5 });
+      expect(computeOrderTotals([{ line_total: 9 }], business, 'delivery').below_minimum).toBe(true);
+    });
+
+    test('should read an order back with its totals', () => {
+      const cart = new Cart(business);
+      cart.addItem({ item_id: 'karachi-special', size: 'Small', quantity: 2 });
+
+      expect(readBackOrder({ lines: cart.lines, fulfillment: 'delivery', totals: cart.getTotals('delivery'), customer: { address: '1 Main St' } }))
+        .toBe("So that's 2 small Karachi Specials for delivery to 1 Main St. Your subtotal is $20.00, tax is $2.00, delivery is $4.00, for a total of $26.00. Shall I place the order?");
+    });
+  });
+
+  describe('Phone order dialog', () => {
+    let store;
+    let taker;
+
+    const say = (text, intent = 'order') => taker.handle({
+      sessionId: 'CA-order',
+      businessId: 'test-pizzeria',
+      business,
+      text,
+      intent,
+      caller: '+15551234567'
+    });
+
+    beforeEach(() => {
+      store = new OrderStore({ ordersFile: path.join(tempDir, `dialog-${Date.now()}.json`) });
+      taker = new OrderTaker({ store });
+    });
+
+    test('should ignore turns outside an order', () => {
+      expect(say('What are your hours?', 'hours')).toBeNull();
+    });
+
+    test('should build a cart, read it back and store the confirmed order', () => {
+      expect(say("I'd like two large Karachi Specials with extra cheese and extra jalapeños").reply)
+        .toBe('Got it, 2 large Karachi Specials with extra cheese and extra jalapeños. Anything else?');
+      expect(say('and a mango lassi').reply).toBe('Got it, 1 Mango Lassi. Anything else?');
+      expect(say("That's all").reply).toBe('Will that be for pickup or delivery?');
+      expect(say('Pickup please').reply).toContain('for a total of $51.15. Shall I place the order?');
+
+      const { reply, order } = say('Yes');
+      expect(reply).toBe('Your order is placed! Your order number is 1001. Is there anything else I can help you with?');
+      expect(order).toMatchObject({
+        id: 'ORD-1001',
+        business_id: 'test-pizzeria',
+        source: 'phone',
+        fulfillment: 'pickup',
+        customer: { phone: '+15551234567' },
+        totals: { subtotal: 46.5, tax: 4.65, total: 51.15 }
+      });
+      expect(store.list()).toHaveLength(1);
+      expect(taker.hasSession('CA-order')).toBe(false);
+    });
+
+    test('should not place the order when the read-back is denied', () => {
+      say('I want a large karachi special');
+      say("that's it");
+      expect(say('Pickup please').reply).toContain('Shall I place the order?');
+
+      expect(say("No, that's not correct").reply)
+        .toBe('No problem. What would you like to change? You can add items or say remove and the item name.');
+      expect(store.list()).toHaveLength(0);
+
+      say("that's it");
+      say('Pickup please');
+      expect(say("Don't place it yet").order).toBeUndefined();
+      expect(store.list()).toHaveLength(0);
+    });
+
+    test('should ask for a size when the item needs one', () => {
+      expect(say('Can I get a Karachi Special').reply)
+        .toBe('What size would you like the Karachi Special in: small ($10.00), large ($18.00)?');
+      expect(say('Large').reply).toBe('Got it, 1 large Karachi Special. Anything else?');
+    });
+
+    test('should hold delivery orders under the minimum', () => {
+      say('I want a mango lassi');
+      say("that's it");
+
+      expect(say('Delivery').reply).toContain('Our delivery minimum is $15.00 and your order is $4.50 so far.');
+      say('and a large karachi special');
+      say("that's it");
+      expect(say('Delivery').reply).toBe('What address should we deliver to?');
+      expect(say('12 King Street.').reply).toContain('for delivery to 12 King Street.');
+    });
+
+    test('should let the caller remove items and cancel', () => {
+      say('I want two mango lassis');
+      expect(say('Remove the mango lassi').reply).toBe("Okay, I've removed 2 Mango Lassis. Anything else?");
+      expect(say('Actually cancel my order').reply).toContain("I've cancelled that order");
+      expect(store.list()).toHaveLength(0);
+    });
+  });
+
+  describe('Orders API', () => {
+    let app;
+    let ordersFile;
+
+    beforeAll(() => {
+      ordersFile = path.join(tempDir, 'api-orders.json');
+      process.env.ORDERS_FILE = ordersFile;
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/api', require('../routes/api'));
+    });
+
+    afterAll(() => {
+      delete process.env.ORDERS_FILE;
+    });
+
+    test('should place an order priced from the stored menu', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({
+          business_id: 'pizzakarachi',
+          fulfillment: 'delivery',
+          customer: { name: 'Sam', phone: '+15551234567', address: '12 King St' },
+          items: [{ item_id: 'karachi-special', size: 'Large', quantity: 2 }]
+        })
+        .expect(201);
+
+      expect(response.body.order).toMatchObject({
+        id: 'ORD-1001',
+        status: 'received',
+        totals: { subtotal: 43.98, tax: 5.72, delivery_fee: 0, total: 49.7 }
+      });
+      expect(fs.existsSync(ordersFile)).toBe(true);
+    });
+
+    test('should reject items that are not on the menu', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ business_id: 'pizzakarachi', items: [{ item_id: 'sushi-roll' }] })
+        .expect(400);
+
+      expect(response.body.details).toContain('Unknown menu item');
+    });
+
+    test('should list and update orders for the kitchen', async () => {
+      const list = await request(app)
+        .get('/api/orders?business_id=pizzakarachi&status=received')
+        .expect(200);
+      expect(list.body.count).toBe(1);
+
+      const updated = await request(app)
+        .patch('/api/orders/ORD-1001')
+        .send({ status: 'preparing' })
+        .expect(200);
+      expect(updated.body.order.status).toBe('preparing');
+
+      const order = await request(app).get('/api/orders/ORD-1001').expect(200);
+      expect(order.body.order.status).toBe('preparing');
+
+      await request(app).get('/api/orders/ORD-9999').expect(404);
+      await request(app).patch('/api/orders/ORD-1001').send({ status: 'eaten' }).expect(400);
+    });
+  });
+});
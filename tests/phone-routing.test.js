@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { PhoneRouter, normalizePhoneNumber } = require('../services/phoneRouting');
+
+describe('Phone Routing Tests', () => {
+  let routingDir;
+  let routingFile;
+
+  beforeAll(() => {
+    routingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-routing-'));
+    routingFile = path.join(routingDir, 'phone-routing.json');
+    fs.writeFileSync(routingFile, JSON.stringify({
+      default_business_id: 'pizzakarachi',
+      numbers: {
+        '(555) 111-2222': 'burger-joint',
+        '+15553334444': 'sushi-bar'
+      }
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(routingDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.DEFAULT_BUSINESS_ID;
+  });
+
+  describe('normalizePhoneNumber', () => {
+    test('should normalize common formats to E.164', () => {
+      expect(normalizePhoneNumber('+1 (555) 111-2222')).toBe('+15551112222');
+      expect(normalizePhoneNumber('555-111-2222')).toBe('+15551112222');
+      expect(normalizePhoneNumber('+442071234567')).toBe('+442071234567');
+    });
+
+    test('should return null for empty input', () => {
+      expect(normalizePhoneNumber('')).toBeNull();
+      expect(normalizePhoneNumber(undefined)).toBeNull();
+      expect(normalizePhoneNumber('anonymous')).toBeNull();
+    });
+  });
+
+  describe('PhoneRouter', () => {
+    test('should route the dialled number to its business', () => {
+      const router = new PhoneRouter({ routingFile });
+
+      expect(router.resolveBusinessId('+15551112222')).toBe('burger-joint');
+      expect(router.resolveBusinessId('555.333.4444')).toBe('sushi-bar');
+    });
+
+    test('should fall back to the table default for unknown numbers', () => {
+      const router = new PhoneRouter({ routingFile });
+      expect(router.resolveBusinessId('+15559999999')).toBe('pizzakarachi');
+      expect(router.resolveBusinessId()).toBe('pizzakarachi');
+    });
+
+    test('should let DEFAULT_BUSINESS_ID override the table default', () => {
+      process.env.DEFAULT_BUSINESS_ID = 'test-business';
+      const router = new PhoneRouter({ routingFile });
+
+      expect(router.resolveBusinessId('+15559999999')).toBe('test-business');
+      expect(router.resolveBusinessId('+15551112222')).toBe('burger-joint');
+    });
+
+    test('should work without a routing table', () => {
+      const router = new PhoneRouter({ routingFile: path.join(routingDir, 'missing.json') });
+      expect(router.resolveBusinessId('+15551112222')).toBe('pizzakarachi');
+    });
+  });
+
+  describe('POST /voice', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.PHONE_ROUTING_FILE = routingFile;
+      jest.resetModules();
+
+      app = express();
+      app.use(express.urlencoded({ extended: true }));
+      app.use('/voice', require('../routes/voice'));
+    });
+
+    afterAll(() => {
+      delete process.env.PHONE_ROUTING_FILE;
+    });
+
+    test('should greet callers as the business behind the dialled number', async () => {
+      const response = await request(app)
+        .post('/voice')
+        .type('form')
+        .send({ From: '+15551234567', To: '+15551112222' })
+        .expect(200);
+
+      expect(response.text).toContain('Hello! Welcome to Test Burger Joint');
+    });
+
+    test('should answer and sign off as the routed business', async () => {
+      const response = await request(app)
+        .post('/voice')
+        .type('form')
+        .send({ From: '+15551234567', To: '+15551112222', SpeechResult: 'Hello there' })
+        .expect(200);
+
+      expect(response.text).toContain('Thank you for calling Test Burger Joint');
+    });
+
+    test('should only ask if there is anything else outside a dialog', async () => {
+      const answered = await request(app)
+        .post('/voice')
+        .type('form')
+        .send({ From: '+15551234567', To: '+15559876543', CallSid: 'CA-closing-1', SpeechResult: 'What are your hours?' })
+        .expect(200);
+      expect(answered.text).toContain('Is there anything else I can help you with?');
+
+      const asked = await request(app)
+        .post('/voice')
+        .type('form')
+        .send({ From: '+15551234567', To: '+15559876543', CallSid: 'CA-closing-2', SpeechResult: 'I want to book a table' })
+        .expect(200);
+      expect(asked.text).toContain('How many people');
+      expect(asked.text).not.toContain('Is there anything else I can help you with?');
+    });
+
+    test('should use the default business for unrouted numbers', async () => {
+      const response = await request(app)
+        .post('/voice')
+        .type('form')
+        .send({ From: '+15551234567', To: '+15559876543' })
+        .expect(200);
+
+      expect(response.text).toContain('Hello! Welcome to Pizza Karachi');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { PlaybackController, estimateHeardText } = require('../services/playbackController');
+
+describe('Playback Controller Tests', () => {
+  let sent;
+  let controller;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sent = [];
+    controller = new PlaybackController({
+      streamSid: 'MZplayback123',
+      send: (message) => {
+        sent.push(message);
+        return true;
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // 1 second of μ-law audio = 50 chunks of 20ms
+  const oneSecond = () => Buffer.alloc(8000, 0xFF);
+
+  describe('Playback', () => {
+    test('should pace audio to Twilio in 20ms chunks', async () => {
+      const done = controller.play(oneSecond(), { text: 'Hello there' });
+
+      expect(controller.isPlaying()).toBe(true);
+      expect(sent).toHaveLength(1);
+
+      jest.advanceTimersByTime(100);
+      expect(sent).toHaveLength(6);
+      expect(sent[0]).toMatchObject({ event: 'media', streamSid: 'MZplayback123' });
+      expect(Buffer.from(sent[0].media.payload, 'base64')).toHaveLength(160);
+
+      jest.advanceTimersByTime(1000);
+      const result = await done;
+
+      expect(result.completed).toBe(true);
+      expect(result.interrupted).toBe(false);
+      expect(result.heardText).toBe('Hello there');
+      expect(result.playedMs).toBe(1000);
+      expect(controller.isPlaying()).toBe(false);
+      expect(sent.filter(message => message.event === 'media')).toHaveLength(50);
+    });
+
+    test('should stop when the socket is gone', async () => {
+      const closedController = new PlaybackController({
+        streamSid: 'MZclosed',
+        send: () => false
+      });
+
+      const result = await closedController.play(oneSecond(), { text: 'Nobody is listening' });
+
+      expect(result.completed).toBe(false);
+      expect(result.reason).toBe('disconnected');
+    });
+  });
+
+  describe('Barge-in', () => {
+    test('should cancel mid-utterance and send a clear event', async () => {
+      const text = 'one two three four five six seven eight nine ten';
+      const done = controller.play(Buffer.alloc(16000, 0xFF), { text });
+
+      jest.advanceTimersByTime(600);
+      const truncation = controller.cancel('barge_in');
+
+      expect(sent[sent.length - 1]).toEqual({ event: 'clear', streamSid: 'MZplayback123' });
+      expect(truncation.interrupted).toBe(true);
+      expect(truncation.totalMs).toBe(2000);
+      expect(truncation.playedMs).toBeGreaterThanOrEqual(600);
+      expect(truncation.playedMs).toBeLessThan(700);
+      expect(truncation.heardText).toBe('one two three');
+
+      const sentBefore = sent.length;
+      jest.advanceTimersByTime(1000);
+      expect(sent).toHaveLength(sentBefore);
+
+      await expect(done).resolves.toMatchObject({ interrupted: true, reason: 'barge_in' });
+      expect(controller.getState().interruptions).toBe(1);
+    });
+
+    test('should return null when cancelling with nothing playing', () => {
+      expect(controller.cancel()).toBeNull();
+      expect(sent).toHaveLength(0);
+    });
+
+    test('should replace audio that is still playing', async () => {
+      const first = controller.play(oneSecond(), { text: 'first reply' });
+      jest.advanceTimersByTime(200);
+
+      controller.play(oneSecond(), { text: 'second reply' });
+
+      await expect(first).resolves.toMatchObject({ interrupted: true, reason: 'replaced' });
+      expect(controller.getState()).toMatchObject({ playing: true, text: 'second reply', interruptions: 0 });
+    });
+  });
+
+  describe('estimateHeardText', () => {
+    test('should keep the leading words proportional to playback', () => {
+      expect(estimateHeardText('a b c d', 0.5)).toBe('a b');
+      expect(estimateHeardText('a b c d', 1)).toBe('a b c d');
+      expect(estimateHeardText('a b c d', 0)).toBe('');
+      expect(estimateHeardText('', 0.5)).toBe('');
+    });
+  });
+});
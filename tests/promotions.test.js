@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  findPromotion,
+  getActivePromotions,
+  evaluatePromotion,
+  describeActivePromotions
+} = require('../services/promotions');
+const { Cart } = require('../services/orders');
+const intentDetector = require('../services/intent');
+
+describe('Promotion Tests', () => {
+  // A Wednesday
+  const now = new Date('2026-10-14T18:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Pizzeria',
+    timezone: 'America/Toronto',
+    tax_rate: 0.1,
+    delivery: { available: true, fee: 5, free_over: 100 },
+    menu: {
+      categories: [
+        {
+          id: 'pizzas',
+          name: 'Pizzas',
+          items: [
+            { id: 'special', name: 'Karachi Special', sizes: [{ name: 'Small', price: 10 }, { name: 'Large', price: 20 }] },
+            { id: 'veggie', name: 'Veggie Delight', sizes: [{ name: 'Small', price: 9 }, { name: 'Large', price: 16 }] }
+          ]
+        },
+        {
+          id: 'sides',
+          name: 'Sides',
+          items: [{ id: 'naan', name: 'Garlic Naan', price: 5 }]
+        }
+      ]
+    },
+    promotions: [
+      {
+        name: 'Family Deal',
+        description: '2 Large pizzas + 2 sides for $40',
+        code: 'FAMILY40',
+        type: 'bundle',
+        bundle: { price: 40, items: [{ category: 'pizzas', size: 'Large', quantity: 2 }, { category: 'sides', quantity: 2 }] }
+      },
+      {
+        name: 'Student Special',
+        code: 'STUDENT15',
+        type: 'percent_off',
+        percent: 15,
+        conditions: { min_subtotal: 20, requires: 'valid student ID' }
+      },
+      {
+        name: 'Free Delivery Wednesday',
+        code: 'FREEWED',
+        type: 'free_delivery',
+        days: ['wednesday'],
+        conditions: { fulfillment: ['delivery'] }
+      },
+      {
+        name: 'Summer Sale',
+        code: 'SUMMER',
+        type: 'percent_off',
+        percent: 20,
+        valid_from: '2026-06-01',
+        valid_until: '2026-08-31'
+      }
+    ]
+  };
+
+  const cartWith = (items) => {
+    const cart = new Cart(business);
+    items.forEach(item => cart.addItem(item));
+    return cart;
+  };
+
+  describe('Rules engine', () => {
+    test('should find promotions by spoken or typed code', () => {
+      expect(findPromotion(business, 'family 40').name).toBe('Family Deal');
+      expect(findPromotion(business, 'student15').name).toBe('Student Special');
+      expect(findPromotion(business, 'NOPE')).toBeNull();
+    });
+
+    test('should only list promotions inside their validity window and days', () => {
+      expect(getActivePromotions(business, now).map(promotion => promotion.code))
+        .toEqual(['FAMILY40', 'STUDENT15', 'FREEWED']);
+      expect(getActivePromotions(business, new Date('2026-07-02T18:00:00Z')).map(promotion => promotion.code))
+        .toEqual(['FAMILY40', 'STUDENT15', 'SUMMER']);
+    });
+
+    test('should take a percentage off when the conditions are met', () => {
+      const promotion = findPromotion(business, 'STUDENT15');
+
+      expect(evaluatePromotion(promotion, { lines: [], subtotal: 40, fulfillment: 'pickup' }, business, now))
+        .toEqual({ applied: true, discount: 6, free_delivery: false });
+      expect(evaluatePromotion(promotion, { lines: [], subtotal: 10, fulfillment: 'pickup' }, business, now))
+        .toEqual({ applied: false, reason: 'Student Special needs an order of at least $20.00' });
+    });
+
+    test('should price a bundle from the most expensive qualifying items', () => {
+      const cart = cartWith([
+        { item_id: 'special', size: 'Large', quantity: 1 },
+        { item_id: 'veggie', size: 'Large', quantity: 2 },
+        { item_id: 'naan', quantity: 2 }
+      ]);
+      cart.applyPromotion('FAMILY40', now);
+
+      // Karachi Special $20 + Veggie $16 + 2 naan $10 = $46 regular, bundle $40
+      expect(cart.getTotals('pickup', now)).toMatchObject({
+        subtotal: 62,
+        discount: 6,
+        tax: 5.6,
+        total: 61.6,
+        promotion: { code: 'FAMILY40', applied: true }
+      });
+    });
+
+    test('should explain why a bundle does not apply', () => {
+      const cart = cartWith([{ item_id: 'special', size: 'Small', quantity: 2 }, { item_id: 'naan', quantity: 2 }]);
+      cart.applyPromotion('FAMILY40', now);
+
+      expect(cart.getTotals('pickup', now).promotion).toEqual({
+        code: 'FAMILY40',
+        name: 'Family Deal',
+        applied: false,
+        reason: 'Family Deal needs 2 large pizzas and 2 sides'
+      });
+    });
+
+    test('should waive the delivery fee for free delivery promotions', () => {
+      const cart = cartWith([{ item_id: 'naan', quantity: 4 }]);
+      cart.applyPromotion('FREEWED', now);
+
+      expect(cart.getTotals('delivery', now)).toMatchObject({ delivery_fee: 0, discount: 0, total: 22 });
+      expect(cart.getTotals('pickup', now).promotion.applied).toBe(false);
+    });
+
+    test('should refuse codes outside their validity window', () => {
+      const cart = cartWith([{ item_id: 'naan' }]);
+      expect(() => cart.applyPromotion('SUMMER', now)).toThrow('Summer Sale ended on 2026-08-31');
+      expect(() => cart.applyPromotion('BOGUS', now)).toThrow('BOGUS is not a valid promotion code');
+    });
+
+    test('should describe active deals to callers', () => {
+      expect(describeActivePromotions(business, now)).toBe(
+        'Our current deals are the Family Deal: 2 Large pizzas + 2 sides for $40 with code FAMILY40; ' +
+        'and the Student Special with code STUDENT15; and the Free Delivery Wednesday with code FREEWED.'
+      );
+      expect(describeActivePromotions({ name: 'No Deals' }, now)).toBeNull();
+    });
+
+    test('should answer questions about specials with the running deals', () => {
+      const intent = intentDetector.detectIntent('Do you have any deals today?');
+      expect(intent).toBe('promotions');
+      expect(intentDetector.generateResponse(intent, business)).toContain('the Family Deal');
+      expect(intentDetector.generateResponse(intent, { name: 'No Deals' })).toContain("don't have any deals");
+    });
+  });
+
+  describe('Orders API', () => {
+    let app;
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promotions-'));
+      process.env.ORDERS_FILE = path.join(tempDir, 'orders.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/api', require('../routes/api'));
+    });
+
+    afterAll(() => {
+      delete process.env.ORDERS_FILE;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should apply FAMILY39 to a qualifying order', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({
+          business_id: 'pizzakarachi',
+          items: [
+            { item_id: 'karachi-special', size: 'Large', quantity: 2 },
+            { item_id: 'garlic-naan', quantity: 4 }
+          ],
+          promo_code: 'FAMILY39'
+        })
+        .expect(201);
+
+      expect(response.body.order.totals).toMatchObject({
+        subtotal: 63.94,
+        discount: 23.95,
+        total: 45.19,
+        promotion: { code: 'FAMILY39', applied: true }
+      });
+    });
+
+    test('should reject codes the order does not qualify for', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ business_id: 'pizzakarachi', items: [{ item_id: 'garlic-naan' }], promo_code: 'FAMILY39' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Promotion does not apply to this order');
+    });
+
+    test('should reject unknown codes', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ business_id: 'pizzakarachi', items: [{ item_id: 'garlic-naan' }], promo_code: 'FREEPIZZA' })
+        .expect(400);
+
+      expect(response.body.details).toBe('FREEPIZZA is not a valid promotion code');
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { ReminderService } = require('../services/reminders');
+const { MessagingService, LocalProvider } = require('../services/messaging');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Reminder Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+  const hoursLater = hours => new Date(now.getTime() + hours * 3600000);
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Bistro',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '5pm–10pm',
+      wednesday: '5pm–10pm',
+      thursday: '5pm–10pm',
+      friday: '5pm–10pm',
+      saturday: '5pm–10pm',
+      sunday: '5pm–10pm'
+    },
+    booking: {
+      slot_interval_minutes: 30,
+      reminders: { offsets_minutes: [1440, 120] },
+      cancellation: { free_until_minutes: 1440, late_fee: 20 }
+    }
+  };
+
+  let tempDir;
+  let bookings;
+  let sent;
+  let reminders;
+
+  const book = (startTime = '2026-10-20T23:00:00Z') => bookings.createBooking({
+    businessId: 'test-bistro',
+    customerName: 'Sam Lee',
+    customerPhone: '+14165550123',
+    date: '2026-10-20',
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 30 * 60000).toISOString(),
+    serviceType: 'appointment'
+  }, business);
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${Date.now()}-${Math.random()}.json`) })
+    });
+    sent = [];
+    reminders = new ReminderService({
+      bookings,
+      messaging: new MessagingService({
+        provider: { send: async message => { sent.push(message); return { messageId: `TEST-${sent.length}` }; } }
+      }),
+      loadBusiness: () => business
+    });
+  });
+
+  describe('Sending', () => {
+    test('should text at each offset once', async () => {
+      const booking = await book();
+
+      // 7 PM Tuesday is 33 hours away: nothing yet
+      expect(await reminders.sendDueReminders({ now })).toEqual([]);
+
+      expect(await reminders.sendDueReminders({ now: hoursLater(10) })).toEqual([
+        { bookingId: booking.bookingId, offsetMinutes: 1440, messageId: 'TEST-1' }
+      ]);
+      expect(sent[0]).toEqual({
+        to: '+14165550123',
+        from: null,
+        body: 'Reminder: your booking with Test Bistro is on Tuesday, October 20 at 7 PM (booking 1001). Reply C to confirm or X to cancel.'
+      });
+      expect(await reminders.sendDueReminders({ now: hoursLater(11) })).toEqual([]);
+
+      const [second] = await reminders.sendDueReminders({ now: hoursLater(31.5) });
+      expect(second.offsetMinutes).toBe(120);
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should send only the closest reminder when several are due', async () => {
+      await book();
+
+      const due = await reminders.sendDueReminders({ now: hoursLater(32) });
+      expect(due.map(reminder => reminder.offsetMinutes)).toEqual([120]);
+      expect(await reminders.sendDueReminders({ now: hoursLater(32.5) })).toEqual([]);
+      expect(sent).toHaveLength(1);
+    });
+
+    test('should skip reminders that had passed when the booking was made', async () => {
+      // Booked 4 hours ahead: too late for the day-before text
+      const booking = await book();
+      await bookings.store.update(booking.bookingId, { createdAt: '2026-10-20T19:00:00.000Z' });
+
+      expect(await reminders.sendDueReminders({ now: hoursLater(30) })).toEqual([]);
+      expect((await reminders.sendDueReminders({ now: hoursLater(31.5) }))[0].offsetMinutes).toBe(120);
+    });
+
+    test('should retry when the message fails and start again when the booking moves', async () => {
+      const booking = await book();
+      const failing = new ReminderService({
+        bookings,
+        messaging: { sendSms: async () => { throw new Error('Provider down'); } },
+        loadBusiness: () => business
+      });
+
+      expect(await failing.sendDueReminders({ now: hoursLater(10) })).toEqual([]);
+      expect((await bookings.getBooking(booking.bookingId)).remindersSent).toEqual([]);
+      expect(await reminders.sendDueReminders({ now: hoursLater(10) })).toHaveLength(1);
+
+      await bookings.updateBooking(booking.bookingId, { startTime: '2026-10-20T23:30:00Z' }, business, { now: hoursLater(10) });
+      expect(await reminders.sendDueReminders({ now: hoursLater(10) })).toHaveLength(1);
+    });
+
+    test('should not text businesses that turned reminders off', async () => {
+      await book();
+      reminders.loadBusiness = () => ({ ...business, booking: { reminders: { enabled: false } } });
+
+      expect(await reminders.sendDueReminders({ now: hoursLater(32) })).toEqual([]);
+    });
+  });
+
+  describe('Replies', () => {
+    test('should confirm on C', async () => {
+      const booking = await book();
+      await reminders.sendDueReminders({ now: hoursLater(10) });
+
+      const result = await reminders.handleReply({ from: '(416) 555-0123', body: 'C', now: hoursLater(11) });
+      expect(result.reply).toBe('Thanks, your booking on Tuesday, October 20 at 7 PM is confirmed. See you then!');
+      expect(result.action).toBe('confirmed');
+      expect((await bookings.getBooking(booking.bookingId)).customerConfirmedAt).toBe(hoursLater(11).toISOString());
+    });
+
+    test('should cancel on X, warning about a fee first', async () => {
+      const booking = await book();
+      await reminders.sendDueReminders({ now: hoursLater(10) });
+
+      const warned = await reminders.handleReply({ from: '+14165550123', body: 'x', now: hoursLater(11) });
+      expect(warned.action).toBe('fee_quoted');
+      expect(warned.reply).toBe(
+        "Since it's less than 24 hours before your booking, there's a late cancellation fee of $20.00. " +
+        'Reply X again to cancel anyway, or C to keep your booking on Tuesday, October 20 at 7 PM.'
+      );
+      expect((await bookings.getBooking(booking.bookingId)).status).toBe('confirmed');
+
+      const cancelled = await reminders.handleReply({ from: '+14165550123', body: 'X', now: hoursLater(11) });
+      expect(cancelled.reply).toBe('Your booking on Tuesday, October 20 at 7 PM has been cancelled. The $20.00 cancellation fee will be charged.');
+      expect(cancelled.booking).toMatchObject({ status: 'cancelled', cancellation: { outcome: 'late', fee: 20 } });
+    });
+
+    test('should only act on reminded bookings and known replies', async () => {
+      await book();
+
+      const unknown = await reminders.handleReply({ from: '+14165550123', body: 'C', now });
+      expect(unknown.action).toBeNull();
+      expect(unknown.reply).toContain("We couldn't find an upcoming booking");
+
+      await reminders.sendDueReminders({ now: hoursLater(10) });
+      expect((await reminders.handleReply({ from: '+14165550123', body: 'What time is it?', now: hoursLater(11) })).reply)
+        .toBe('Sorry, we didn\'t understand that. Reply C to confirm or X to cancel your booking on Tuesday, October 20 at 7 PM.');
+    });
+  });
+
+  describe('Messaging', () => {
+    test('should keep local messages in the outbox file', async () => {
+      const outboxFile = path.join(tempDir, 'outbox.json');
+      const local = new MessagingService({ providerName: 'local', provider: new LocalProvider({ outboxFile }) });
+
+      expect(await local.sendSms({ to: '+14165550123', body: 'Hello' })).toEqual({ messageId: 'LOCAL-1' });
+      expect(new LocalProvider({ outboxFile }).readAll()).toMatchObject([{ to: '+14165550123', body: 'Hello' }]);
+
+      expect(() => new MessagingService({ providerName: 'carrier-pigeon' }).getProvider()).toThrow('Unknown messaging provider: carrier-pigeon');
+      await expect(local.sendSms({ body: 'Hello' })).rejects.toThrow('No phone number to send to');
+    });
+  });
+
+  describe('SMS webhook', () => {
+    const businessId = 'reminders-test';
+    let app;
+
+    beforeAll(() => {
+      saveBusinessData(businessId, business);
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'webhook.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.urlencoded({ extended: true }));
+      app.use('/sms', require('../routes/sms'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      delete process.env.BOOKINGS_FILE;
+      jest.resetModules();
+    });
+
+    test('should confirm a booking from a text reply', async () => {
+      const bookingService = require('../services/bookingService');
+      const booking = await bookingService.createBooking({
+        businessId,
+        customerName: 'Sam Lee',
+        customerPhone: '+14165550123',
+        date: '2030-01-09',
+        startTime: '2030-01-10T00:00:00Z',
+        endTime: '2030-01-10T00:30:00Z',
+        serviceType: 'appointment'
+      }, business);
+      // As if the day-before text had gone out
+      await bookingService.store.update(booking.bookingId, {
+        remindersSent: [{ offsetMinutes: 1440, sentAt: new Date().toISOString(), skipped: false }]
+      });
+
+      const response = await request(app)
+        .post('/sms')
+        .type('form')
+        .send({ From: '+14165550123', Body: 'C' })
+        .expect(200);
+
+      expect(response.type).toBe('text/xml');
+      expect(response.text).toContain('<Message>Thanks, your booking on Wednesday, January 9 at 7 PM is confirmed. See you then!</Message>');
+    });
+
+    describe('with Twilio configured', () => {
+      const authToken = 'test-auth-token';
+      const webhookUrl = 'https://receptionist.example.com/sms';
+      let signedApp;
+
+      beforeAll(() => {
+        process.env.MESSAGING_PROVIDER = 'twilio';
+        process.env.TWILIO_AUTH_TOKEN = authToken;
+        process.env.SMS_WEBHOOK_URL = webhookUrl;
+        jest.resetModules();
+
+        signedApp = express();
+        signedApp.use(express.urlencoded({ extended: true }));
+        signedApp.use('/sms', require('../routes/sms'));
+      });
+
+      afterAll(() => {
+        delete process.env.MESSAGING_PROVIDER;
+        delete process.env.TWILIO_AUTH_TOKEN;
+        delete process.env.SMS_WEBHOOK_URL;
+      });
+
+      test('should refuse replies Twilio did not sign', async () => {
+        const bookingService = require('../services/bookingService');
+        const booking = await bookingService.createBooking({
+          businessId,
+          customerName: 'Sam Lee',
+          customerPhone: '+14165550199',
+          date: '2030-01-09',
+          startTime: '2030-01-10T01:00:00Z',
+          endTime: '2030-01-10T01:30:00Z',
+          serviceType: 'appointment'
+        }, business);
+        await bookingService.store.update(booking.bookingId, {
+          remindersSent: [{ offsetMinutes: 1440, sentAt: new Date().toISOString(), skipped: false }]
+        });
+        const reply = { From: '+14165550199', Body: 'X' };
+
+        await request(signedApp).post('/sms').type('form').send(reply).expect(403);
+        await request(signedApp)
+          .post('/sms')
+          .type('form')
+          .set('X-Twilio-Signature', 'forged')
+          .send(reply)
+          .expect(403);
+        expect((await bookingService.getBooking(booking.bookingId)).status).toBe('confirmed');
+
+        const signature = require('twilio').getExpectedTwilioSignature(authToken, webhookUrl, reply);
+        const signed = await request(signedApp)
+          .post('/sms')
+          .type('form')
+          .set('X-Twilio-Signature', signature)
+          .send(reply)
+          .expect(200);
+        expect(signed.text).toContain('<Message>');
+      });
+    });
+  });
+});
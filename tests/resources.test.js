@@ -0,0 +1,303 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { BookingService } = require('../services/bookingService');
+const { BookingTaker } = require('../services/bookingTaking');
+const { CalendarService } = require('../services/calendarService');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Resource Booking Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  const business = {
+    schema_version: 2,
+    name: 'Test Salon',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '9am–5pm',
+      wednesday: '9am–5pm',
+      thursday: '9am–5pm',
+      friday: '9am–5pm',
+      saturday: '9am–5pm',
+      sunday: 'Closed'
+    },
+    services: [
+      { id: 'haircut', name: 'Haircut', duration: 60, price: 40 },
+      { id: 'colour', name: 'Colour', duration: 120, price: 90 }
+    ],
+    resources: [
+      // Mornings early in the week only
+      { id: 'sam', name: 'Sam Lee', type: 'staff', calendar_id: 'sam@example.com', hours: { tuesday: '9am–1pm', wednesday: '9am–1pm' } },
+      { id: 'alex', name: 'Alex Kim', type: 'staff', calendar_id: 'alex@example.com', services: ['haircut'] },
+      { id: 'chair-3', name: 'Chair 3', type: 'room', available: false }
+    ],
+    booking: { slot_interval_minutes: 60 }
+  };
+
+  let tempDir;
+  let bookings;
+
+  const book = (startTime, extra = {}) => bookings.createBooking({
+    businessId: 'test-salon',
+    customerName: 'Jordan Smith',
+    customerPhone: '+14165550123',
+    date: '2026-10-20',
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 60 * 60000).toISOString(),
+    serviceType: 'appointment',
+    service: 'haircut',
+    ...extra
+  }, business);
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resources-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${Date.now()}-${Math.random()}.json`) })
+    });
+  });
+
+  describe('Availability', () => {
+    test('should merge slots across the staff who offer the service', async () => {
+      const slots = await bookings.getAvailableSlots('2026-10-20', 30, business, { businessId: 'test-salon', service: 'haircut', now });
+
+      expect(slots).toHaveLength(8);
+      expect(slots[0]).toMatchObject({
+        startTime: '2026-10-20T13:00:00.000Z',
+        remaining: 2,
+        resources: [{ id: 'sam', name: 'Sam Lee' }, { id: 'alex', name: 'Alex Kim' }]
+      });
+      // Sam finishes at 1 PM
+      expect(slots[4]).toMatchObject({ startTime: '2026-10-20T17:00:00.000Z', remaining: 1, resources: [{ id: 'alex', name: 'Alex Kim' }] });
+
+      const colour = await bookings.getAvailableSlots('2026-10-20', 30, business, { businessId: 'test-salon', service: 'colour', now });
+      expect(colour.map(slot => slot.startTime)).toEqual([
+        '2026-10-20T13:00:00.000Z',
+        '2026-10-20T14:00:00.000Z',
+        '2026-10-20T15:00:00.000Z'
+      ]);
+    });
+
+    test('should only count each resource\'s own bookings', async () => {
+      await book('2026-10-20T14:00:00Z', { resource: 'sam' });
+
+      const slots = await bookings.getAvailableSlots('2026-10-20', 30, business, { businessId: 'test-salon', service: 'haircut', now });
+      expect(slots[1]).toMatchObject({ startTime: '2026-10-20T14:00:00.000Z', remaining: 1, resources: [{ id: 'alex', name: 'Alex Kim' }] });
+
+      const sam = await bookings.getAvailableSlots('2026-10-20', 30, business, { businessId: 'test-salon', service: 'haircut', resource: 'Sam Lee', now });
+      expect(sam.map(slot => slot.startTime)).toEqual([
+        '2026-10-20T13:00:00.000Z',
+        '2026-10-20T15:00:00.000Z',
+        '2026-10-20T16:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('Booking', () => {
+    test('should give each booking to the first free resource', async () => {
+      expect((await book('2026-10-20T14:00:00Z')).booking).toMatchObject({ resourceId: 'sam', resourceName: 'Sam Lee' });
+      expect((await book('2026-10-20T14:00:00Z')).booking).toMatchObject({ resourceId: 'alex', resourceName: 'Alex Kim' });
+      await expect(book('2026-10-20T14:00:00Z')).rejects.toMatchObject({
+        code: 'SLOT_UNAVAILABLE',
+        message: 'This time slot is already booked'
+      });
+    });
+
+    test('should explain why the resource asked for is not free', async () => {
+      const { booking } = await book('2026-10-20T14:00:00Z', { resource: 'sam' });
+      expect(booking).toMatchObject({ resourceId: 'sam', resourceRequested: true });
+
+      await expect(book('2026-10-20T14:00:00Z', { resource: 'sam' })).rejects.toThrow('Sam Lee is already booked at that time');
+      await expect(book('2026-10-20T18:00:00Z', { resource: 'sam' })).rejects.toThrow("Sam Lee isn't working at that time");
+      await expect(book('2026-10-20T14:00:00Z', { resource: 'alex', service: 'colour' })).rejects.toThrow("Alex Kim doesn't offer Colour");
+      await expect(book('2026-10-20T14:00:00Z', { resource: 'jo' })).rejects.toThrow('Unknown resource: jo');
+    });
+
+    test('should keep the resource when a booking moves, unless they are not free', async () => {
+      const { booking: anyone } = await book('2026-10-20T14:00:00Z');
+      const { booking: requested } = await book('2026-10-20T15:00:00Z', { resource: 'sam' });
+
+      expect(await bookings.updateBooking(anyone.bookingId, { startTime: '2026-10-20T13:00:00Z' }, business, { now }))
+        .toMatchObject({ resourceId: 'sam' });
+      // Sam has gone home by 3 PM, so it goes to Alex
+      expect(await bookings.updateBooking(anyone.bookingId, { startTime: '2026-10-20T19:00:00Z' }, business, { now }))
+        .toMatchObject({ resourceId: 'alex', resourceName: 'Alex Kim' });
+
+      await expect(bookings.updateBooking(requested.bookingId, { startTime: '2026-10-20T19:00:00Z' }, business, { now }))
+        .rejects.toThrow("Sam Lee isn't working at that time");
+      expect(await bookings.updateBooking(requested.bookingId, { resource: 'alex' }, business, { now }))
+        .toMatchObject({ resourceId: 'alex', startTime: '2026-10-20T15:00:00.000Z' });
+    });
+  });
+
+  describe('By phone', () => {
+    let taker;
+    const say = text => taker.handle({
+      sessionId: 'CA-salon',
+      businessId: 'test-salon',
+      business,
+      text,
+      intent: 'booking',
+      caller: '+14165550123',
+      now
+    });
+
+    beforeEach(() => {
+      taker = new BookingTaker({ bookings });
+    });
+
+    test('should book the person the caller asks for', async () => {
+      expect((await say('Can I book a haircut with Alex tomorrow at 10?')).reply)
+        .toBe('Sure, I can book that for you. How many people is the booking for?');
+      expect((await say('Just me')).reply).toBe('What name should I put the booking under?');
+      await say('Jordan');
+      expect((await say('Yes')).reply).toBe(
+        'Just to confirm, a Haircut booking for 1 person with Alex Kim on Tuesday, October 20 at 10 AM under Jordan, ' +
+        "and we'll call the number ending 0123 if anything changes. Shall I book it?"
+      );
+
+      const done = await say('Yes');
+      expect(done.reply).toContain("You're booked with Alex Kim! Your booking number is 1001.");
+      expect(done.booking).toMatchObject({ resourceId: 'alex', resourceRequested: true, service: 'Haircut' });
+    });
+
+    test('should offer anyone else when they are not free', async () => {
+      expect((await say('Just me, a haircut with Sam on Thursday at 10am')).reply).toBe(
+        "Sure, I can book that for you. Sorry, Sam Lee doesn't have anything free on Thursday, October 22. " +
+        'Would another day work, or would you like someone else?'
+      );
+      expect((await say("Anyone's fine")).reply).toBe('What name should I put the booking under?');
+      await say('Jordan');
+      await say('Yes');
+
+      expect((await say('Yes')).reply).toContain("You're booked with Alex Kim!");
+    });
+  });
+
+  describe('Google Calendar', () => {
+    let google;
+    let listed;
+
+    beforeEach(() => {
+      listed = [];
+      google = new CalendarService({ businessId: 'test-salon' });
+      google.initialized = true;
+      google.calendar = {
+        events: {
+          list: async ({ calendarId }) => {
+            listed.push(calendarId);
+            return {
+              data: {
+                // Sam is busy from 10 to 11, and calendar sync put a booking from the store on at noon
+                items: calendarId === 'sam@example.com'
+                  ? [
+                    { start: { dateTime: '2026-10-20T14:00:00Z' }, end: { dateTime: '2026-10-20T15:00:00Z' } },
+                    {
+                      start: { dateTime: '2026-10-20T16:00:00Z' },
+                      end: { dateTime: '2026-10-20T17:00:00Z' },
+                      extendedProperties: { private: { bookingId: 'BOOK-1001', resourceId: 'sam' } }
+                    }
+                  ]
+                  : []
+              }
+            };
+          }
+        }
+      };
+      bookings = new BookingService({
+        store: new BookingStore({ bookingsFile: path.join(tempDir, `${Date.now()}-${Math.random()}.json`) }),
+        getCalendarService: () => google
+      });
+    });
+
+    test('should count each resource\'s own calendar as busy', async () => {
+      const slots = await bookings.getAvailableSlots('2026-10-20', 30, business, { businessId: 'test-salon', service: 'haircut', now });
+
+      expect(listed.sort()).toEqual(['alex@example.com', 'sam@example.com']);
+      expect(slots[1]).toMatchObject({ startTime: '2026-10-20T14:00:00.000Z', resources: [{ id: 'alex', name: 'Alex Kim' }] });
+      // Events mirrored from the store aren't counted twice
+      expect(slots[3].resources).toHaveLength(2);
+
+      await expect(book('2026-10-20T14:00:00Z', { resource: 'sam' })).rejects.toThrow('Sam Lee is already booked at that time');
+      expect((await book('2026-10-20T14:00:00Z')).booking).toMatchObject({ resourceId: 'alex' });
+    });
+
+    test('should only read calendars once the account is connected', async () => {
+      google.initialized = false;
+
+      expect((await book('2026-10-20T14:00:00Z', { resource: 'sam' })).booking).toMatchObject({ resourceId: 'sam' });
+      expect(listed).toEqual([]);
+    });
+  });
+
+  describe('API', () => {
+    const businessId = 'resources-test';
+    let app;
+
+    beforeAll(() => {
+      saveBusinessData(businessId, business);
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'api.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      delete process.env.BOOKINGS_FILE;
+      jest.resetModules();
+    });
+
+    test('should check, book and list by resource', async () => {
+      // A Tuesday far enough ahead that the test never runs into the past
+      const availability = await request(app)
+        .get('/book/availability')
+        .query({ date: '2030-01-08', business_id: businessId, service: 'haircut', resource: 'sam' })
+        .expect(200);
+      expect(availability.body.count).toBe(4);
+      expect(availability.body.availableSlots[0].resources).toEqual([{ id: 'sam', name: 'Sam Lee' }]);
+
+      const booking = {
+        customerName: 'Jordan Smith',
+        customerEmail: 'jordan@example.com',
+        customerPhone: '+14165550123',
+        date: '2030-01-08',
+        startTime: '2030-01-08T15:00:00Z',
+        endTime: '2030-01-08T16:00:00Z',
+        serviceType: 'appointment',
+        businessId,
+        service: 'haircut',
+        resource: 'Sam Lee'
+      };
+      const created = await request(app).post('/book').send(booking).expect(201);
+      expect(created.body.booking.booking).toMatchObject({ resourceId: 'sam', resourceName: 'Sam Lee' });
+
+      const taken = await request(app).post('/book').send(booking).expect(409);
+      expect(taken.body.details).toBe('Sam Lee is already booked at that time');
+
+      const listed = await request(app).get('/book').query({ business_id: businessId, resource: 'sam' }).expect(200);
+      expect(listed.body.count).toBe(1);
+    });
+
+    test('should reject unknown resources', async () => {
+      const response = await request(app)
+        .get('/book/availability')
+        .query({ date: '2030-01-08', business_id: businessId, resource: 'jo' })
+        .expect(400);
+      expect(response.body.details).toBe('Unknown resource: jo');
+    });
+  });
+});
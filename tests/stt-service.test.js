@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sttService = require('../services/stt');
+const { FixtureProvider, SpeechToTextService, hashAudio } = require('../services/stt');
+
+describe('Speech-to-Text Service Tests', () => {
+  let fixtureDir;
+  const hoursAudio = Buffer.from('caller asking about hours');
+  const deliveryAudio = Buffer.alloc(320, 0x7F);
+
+  beforeAll(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-fixtures-'));
+
+    // Sidecar fixture: audio file plus matching .txt
+    fs.writeFileSync(path.join(fixtureDir, 'hours.ulaw'), hoursAudio);
+    fs.writeFileSync(path.join(fixtureDir, 'hours.txt'), 'What are your hours?\n');
+
+    // Manifest fixture keyed by audio hash
+    fs.writeFileSync(path.join(fixtureDir, 'transcripts.json'), JSON.stringify({
+      [hashAudio(deliveryAudio)]: 'Do you deliver to North York?'
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    delete process.env.STT_PROVIDER;
+  });
+
+  describe('FixtureProvider', () => {
+    test('should resolve transcripts from sidecar text files', async () => {
+      const provider = new FixtureProvider({ fixtureDir });
+      await expect(provider.transcribe(hoursAudio)).resolves.toBe('What are your hours?');
+    });
+
+    test('should resolve transcripts from the hash manifest', async () => {
+      const provider = new FixtureProvider({ fixtureDir });
+      await expect(provider.transcribe(deliveryAudio)).resolves.toBe('Do you deliver to North York?');
+    });
+
+    test('should fall back to the default transcript for unknown audio', async () => {
+      const provider = new FixtureProvider({ fixtureDir, defaultTranscript: 'unknown' });
+      await expect(provider.transcribe(Buffer.from('never recorded'))).resolves.toBe('unknown');
+    });
+
+    test('should be deterministic across instances', async () => {
+      const first = await new FixtureProvider({ fixtureDir }).transcribe(hoursAudio);
+      const second = await new FixtureProvider({ fixtureDir }).transcribe(hoursAudio);
+      expect(first).toBe(second);
+    });
+  });
+
+  describe('Provider registry', () => {
+    test('should register the built-in providers', () => {
+      expect(sttService.listProviders()).toEqual(expect.arrayContaining(['whisper', 'fixture']));
+    });
+
+    test('should register and use custom providers by name', async () => {
+      const service = new SpeechToTextService();
+      const transcribe = jest.fn().mockResolvedValue('  custom transcript  ');
+      service.registerProvider('custom', () => ({ transcribe }));
+
+      const text = await service.transcribe(hoursAudio, { provider: 'custom', encoding: 'mulaw' });
+
+      expect(text).toBe('custom transcript');
+      expect(transcribe).toHaveBeenCalledWith(hoursAudio, { encoding: 'mulaw', language: 'en' });
+    });
+
+    test('should reject unknown provider names', () => {
+      expect(() => sttService.createProvider('does-not-exist')).toThrow('Unknown STT provider');
+    });
+
+    test('should return an empty transcript when a provider fails', async () => {
+      const service = new SpeechToTextService();
+      service.registerProvider('broken', () => ({
+        transcribe: jest.fn().mockRejectedValue(new Error('network down'))
+      }));
+
+      await expect(service.transcribe(hoursAudio, { provider: 'broken' })).resolves.toBe('');
+    });
+  });
+
+  describe('Provider selection', () => {
+    test('should prefer the business profile over the environment', () => {
+      process.env.STT_PROVIDER = 'fixture';
+      expect(sttService.resolveProviderName({ business: { stt_provider: 'whisper' } })).toBe('whisper');
+      expect(sttService.resolveProviderName({ business: {} })).toBe('fixture');
+    });
+
+    test('should default to Whisper', () => {
+      delete process.env.STT_PROVIDER;
+      expect(sttService.resolveProviderName()).toBe('whisper');
+    });
+
+    test('should route transcription through the selected provider', async () => {
+      const service = new SpeechToTextService();
+      service.registerProvider('fixture', () => new FixtureProvider({ fixtureDir }));
+
+      const text = await service.transcribe(deliveryAudio, { business: { stt_provider: 'fixture' } });
+      expect(text).toBe('Do you deliver to North York?');
+    });
+  });
+});
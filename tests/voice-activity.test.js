@@ -0,0 +1,172 @@
+const { VoiceActivityDetector, detectUtterances, frameEnergyDb } = require('../services/voiceActivity');
+const { linearToMulaw, mulawToLinear, mulawToWav } = require('../services/audioCodec');
+
+// 20ms of 8kHz μ-law per Twilio media frame
+const FRAME_SAMPLES = 160;
+
+function toneFrame(amplitude = 8000, frequency = 300) {
+  const frame = Buffer.alloc(FRAME_SAMPLES);
+  for (let i = 0; i < FRAME_SAMPLES; i++) {
+    frame[i] = linearToMulaw(Math.sin(2 * Math.PI * frequency * i / 8000) * amplitude);
+  }
+  return frame;
+}
+
+function silenceFrame() {
+  return Buffer.alloc(FRAME_SAMPLES, 0xFF);
+}
+
+function feed(detector, frames) {
+  return frames.map(frame => detector.processFrame(frame)).filter(Boolean);
+}
+
+function repeat(factory, count) {
+  return Array.from({ length: count }, () => factory());
+}
+
+describe('Voice Activity Detection Tests', () => {
+  describe('Audio codec', () => {
+    test('should round-trip linear samples through μ-law', () => {
+      [0, 100, -100, 1000, -1000, 8000, -8000, 30000].forEach(sample => {
+        const decoded = mulawToLinear(linearToMulaw(sample));
+        expect(Math.abs(decoded - sample)).toBeLessThanOrEqual(Math.max(16, Math.abs(sample) * 0.07));
+      });
+    });
+
+    test('should decode μ-law silence to zero', () => {
+      expect(mulawToLinear(0xFF)).toBe(0);
+    });
+
+    test('should wrap decoded audio in a WAV container', () => {
+      const wav = mulawToWav(toneFrame());
+      expect(wav.subarray(0, 4).toString()).toBe('RIFF');
+      expect(wav.readUInt32LE(24)).toBe(8000);
+      expect(wav.length).toBe(44 + FRAME_SAMPLES * 2);
+    });
+  });
+
+  describe('Frame energy', () => {
+    test('should report much higher energy for speech than silence', () => {
+      expect(frameEnergyDb(silenceFrame())).toBeLessThan(-90);
+      expect(frameEnergyDb(toneFrame())).toBeGreaterThan(-20);
+    });
+  });
+
+  describe('VoiceActivityDetector', () => {
+    test('should emit one utterance after the caller stops talking', () => {
+      const detector = new VoiceActivityDetector({ hangoverMs: 400 });
+
+      const events = feed(detector, [
+        ...repeat(silenceFrame, 10),
+        ...repeat(toneFrame, 40),
+        ...repeat(silenceFrame, 30)
+      ]);
+
+      expect(events.map(event => event.type)).toEqual(['speech_start', 'utterance']);
+
+      const utterance = events[1];
+      expect(utterance.reason).toBe('silence');
+      expect(utterance.speechMs).toBeGreaterThanOrEqual(800);
+      expect(Buffer.isBuffer(utterance.audio)).toBe(true);
+      expect(utterance.audio.length).toBe(utterance.durationMs * 8);
+    });
+
+    test('should not cut off a caller who pauses briefly mid-sentence', () => {
+      const detector = new VoiceActivityDetector({ hangoverMs: 500 });
+
+      const events = feed(detector, [
+        ...repeat(toneFrame, 25),
+        ...repeat(silenceFrame, 15), // 300ms pause
+        ...repeat(toneFrame, 25),
+        ...repeat(silenceFrame, 30)
+      ]);
+
+      const utterances = events.filter(event => event.type === 'utterance');
+      expect(utterances).toHaveLength(1);
+      expect(utterances[0].speechMs).toBeGreaterThanOrEqual(1000);
+    });
+
+    test('should include pre-roll audio before speech onset', () => {
+      const detector = new VoiceActivityDetector({ preRollMs: 100, hangoverMs: 200 });
+
+      const events = feed(detector, [
+        ...repeat(silenceFrame, 20),
+        ...repeat(toneFrame, 20),
+        ...repeat(silenceFrame, 10)
+      ]);
+
+      const utterance = events.find(event => event.type === 'utterance');
+      expect(utterance.startMs).toBe(300);
+      expect(utterance.durationMs).toBe(100 + 400 + 200);
+    });
+
+    test('should discard short noise bursts', () => {
+      const detector = new VoiceActivityDetector({ minUtteranceMs: 250, hangoverMs: 200 });
+
+      const events = feed(detector, [
+        ...repeat(toneFrame, 5),
+        ...repeat(silenceFrame, 20)
+      ]);
+
+      expect(events.map(event => event.type)).toEqual(['speech_start', 'discarded']);
+      expect(detector.getState().utteranceCount).toBe(0);
+      expect(detector.getState().discardedCount).toBe(1);
+    });
+
+    test('should force an endpoint when the caller talks too long', () => {
+      const detector = new VoiceActivityDetector({ maxUtteranceMs: 1000 });
+
+      const events = feed(detector, repeat(toneFrame, 60));
+      const utterances = events.filter(event => event.type === 'utterance');
+
+      expect(utterances.length).toBeGreaterThanOrEqual(1);
+      expect(utterances[0].reason).toBe('max_length');
+    });
+
+    test('should adapt the speech threshold to background noise', () => {
+      const detector = new VoiceActivityDetector({ speechThresholdDb: -50, noiseMarginDb: 15 });
+      const hiss = () => toneFrame(100, 1000);
+      const hum = () => toneFrame(300, 1000);
+
+      feed(detector, repeat(hiss, 50));
+      expect(detector.getState().noiseFloorDb).toBeLessThan(-50);
+      expect(detector.getState().speechThresholdDb).toBeGreaterThan(-50);
+
+      // Louder than the absolute threshold, but not far enough above the noise floor
+      const events = feed(detector, repeat(hum, 20));
+      expect(events).toHaveLength(0);
+    });
+
+    test('should expose per-call state for tuning', () => {
+      const detector = new VoiceActivityDetector({ hangoverMs: 400 });
+
+      feed(detector, repeat(toneFrame, 10));
+      feed(detector, repeat(silenceFrame, 5));
+
+      const state = detector.getState();
+      expect(state.speaking).toBe(true);
+      expect(state.trailingSilenceMs).toBe(100);
+      expect(state.utteranceCount).toBe(0);
+      expect(state.options.hangoverMs).toBe(400);
+    });
+  });
+
+  describe('detectUtterances', () => {
+    test('should segment a recorded call into utterances', () => {
+      const recording = Buffer.concat([
+        ...repeat(silenceFrame, 25),
+        ...repeat(toneFrame, 30),
+        ...repeat(silenceFrame, 50),
+        ...repeat(toneFrame, 40),
+        ...repeat(silenceFrame, 50)
+      ]);
+
+      const result = detectUtterances(recording, { hangoverMs: 600 });
+
+      expect(result.utterances).toHaveLength(2);
+      expect(result.utterances[0].startMs).toBeLessThan(result.utterances[1].startMs);
+      expect(result.utterances[0]).not.toHaveProperty('audio');
+      expect(result.state.utteranceCount).toBe(2);
+    });
+  });
+});
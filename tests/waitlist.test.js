@@ -0,0 +1,358 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { BookingStore } = require('../services/bookingStore');
+const { WaitlistStore } = require('../services/waitlistStore');
+const { BookingService } = require('../services/bookingService');
+const { MessagingService } = require('../services/messaging');
+const { BookingTaker } = require('../services/bookingTaking');
+const { saveBusinessData, getBusinessFilePath } = require('../services/businessData');
+
+describe('Waitlist Tests', () => {
+  // 10 AM on Monday, October 19 in Toronto
+  const now = new Date('2026-10-19T14:00:00Z');
+
+  // One table, two sittings on Tuesday evening
+  const business = {
+    schema_version: 2,
+    name: 'Test Bistro',
+    timezone: 'America/Toronto',
+    hours: {
+      monday: 'Closed',
+      tuesday: '7pm–8pm',
+      wednesday: '7pm–8pm',
+      thursday: '7pm–8pm',
+      friday: '7pm–8pm',
+      saturday: '7pm–8pm',
+      sunday: '7pm–8pm'
+    },
+    booking: {
+      slot_interval_minutes: 30,
+      capacity: 1
+    }
+  };
+
+  let tempDir;
+  let bookings;
+  let sent;
+
+  const book = (startTime, name = 'Other Guest') => bookings.createBooking({
+    businessId: 'test-bistro',
+    customerName: name,
+    customerPhone: '+14165550100',
+    date: '2026-10-20',
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 30 * 60000).toISOString(),
+    serviceType: 'appointment'
+  }, business);
+
+  const wait = (name, windowStart, windowEnd) => bookings.joinWaitlist({
+    businessId: 'test-bistro',
+    customerName: name,
+    customerPhone: '+14165550123',
+    partySize: 2,
+    windowStart,
+    windowEnd
+  }, business);
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'waitlist-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    const name = `${Date.now()}-${Math.random()}`;
+    sent = [];
+    bookings = new BookingService({
+      store: new BookingStore({ bookingsFile: path.join(tempDir, `${name}-bookings.json`) }),
+      waitlist: new WaitlistStore({ waitlistFile: path.join(tempDir, `${name}-waitlist.json`) }),
+      messaging: new MessagingService({
+        provider: { send: async message => { sent.push(message); return { messageId: `TEST-${sent.length}` }; } }
+      })
+    });
+  });
+
+  describe('Offers', () => {
+    test('should offer a cancelled time to the longest-waiting match', async () => {
+      const seven = await book('2026-10-20T23:00:00Z');
+      await book('2026-10-20T23:30:00Z');
+
+      const late = await wait('Late Only', '2026-10-20T23:30:00Z', '2026-10-21T00:00:00Z');
+      const first = await wait('First In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      const second = await wait('Second In Line', '2026-10-20T22:00:00Z', '2026-10-21T00:00:00Z');
+      expect(first).toMatchObject({ waitlistId: 'WAIT-1002', date: '2026-10-20', status: 'waiting', duration: 30 });
+
+      const result = await bookings.cancelBooking(seven.bookingId, business, { now });
+      expect(result.waitlistOffer).toMatchObject({
+        waitlistId: first.waitlistId,
+        status: 'offered',
+        offer: { startTime: '2026-10-20T23:00:00.000Z', freedBookingId: seven.bookingId }
+      });
+
+      expect((await bookings.getWaitlistEntry(late.waitlistId)).status).toBe('waiting');
+      expect((await bookings.getWaitlistEntry(second.waitlistId)).status).toBe('waiting');
+    });
+
+    test('should book the offered time on accept', async () => {
+      const seven = await book('2026-10-20T23:00:00Z');
+      const entry = await wait('Sam Lee', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      await bookings.cancelBooking(seven.bookingId, business, { now });
+
+      const { entry: booked, booking } = await bookings.acceptWaitlistOffer(entry.waitlistId, business);
+      expect(booking).toMatchObject({
+        customerName: 'Sam Lee',
+        partySize: 2,
+        startTime: '2026-10-20T23:00:00.000Z',
+        status: 'confirmed'
+      });
+      expect(booked).toMatchObject({ status: 'booked', bookingId: booking.bookingId });
+
+      await expect(bookings.acceptWaitlistOffer(entry.waitlistId, business)).rejects.toMatchObject({ code: 'WAITLIST_LOCKED' });
+    });
+
+    test('should pass a declined time to the next in line', async () => {
+      const seven = await book('2026-10-20T23:00:00Z');
+      const first = await wait('First In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      const second = await wait('Second In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      await bookings.cancelBooking(seven.bookingId, business, { now });
+
+      const { entry, nextOffer } = await bookings.declineWaitlistOffer(first.waitlistId, business, { now });
+      expect(entry).toMatchObject({ status: 'waiting', offer: null, declined: ['2026-10-20T23:00:00.000Z'] });
+      expect(nextOffer).toMatchObject({ waitlistId: second.waitlistId, status: 'offered' });
+
+      // Nobody left who wants it
+      const { nextOffer: none } = await bookings.declineWaitlistOffer(second.waitlistId, business, { now });
+      expect(none).toBeNull();
+    });
+
+    test('should text the offer and pass it on when it expires', async () => {
+      const seven = await book('2026-10-20T23:00:00Z');
+      const first = await wait('First In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      const second = await wait('Second In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+
+      const { waitlistOffer } = await bookings.cancelBooking(seven.bookingId, business, { now });
+      expect(waitlistOffer).toMatchObject({
+        waitlistId: first.waitlistId,
+        offer: { expiresAt: '2026-10-19T15:00:00.000Z', messageId: 'TEST-1' }
+      });
+      expect(sent).toEqual([{
+        to: '+14165550123',
+        from: null,
+        body: "Good news from Test Bistro: a time you're waiting for has opened up, on Tuesday, October 20 at 7 PM. " +
+          "We'll hold it for you until 11 AM; call us to book it."
+      }]);
+
+      const loadBusiness = () => business;
+      expect(await bookings.expireWaitlistOffers({ loadBusiness, now: new Date('2026-10-19T14:59:00Z') })).toEqual([]);
+
+      const later = new Date('2026-10-19T15:00:00Z');
+      const [passed] = await bookings.expireWaitlistOffers({ loadBusiness, now: later });
+      expect(passed.entry).toMatchObject({ waitlistId: first.waitlistId, status: 'waiting', declined: ['2026-10-20T23:00:00.000Z'] });
+      expect(passed.nextOffer).toMatchObject({
+        waitlistId: second.waitlistId,
+        status: 'offered',
+        offer: { expiresAt: '2026-10-19T16:00:00.000Z', messageId: 'TEST-2' }
+      });
+      expect(sent).toHaveLength(2);
+
+      await expect(bookings.acceptWaitlistOffer(first.waitlistId, business, { now: later })).rejects.toMatchObject({ code: 'WAITLIST_LOCKED' });
+    });
+
+    test('should refuse an expired offer on accept and pass it on', async () => {
+      const seven = await book('2026-10-20T23:00:00Z');
+      const first = await wait('First In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      const second = await wait('Second In Line', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      await bookings.cancelBooking(seven.bookingId, { ...business, booking: { ...business.booking, waitlist: { offer_minutes: 15 } } }, { now });
+
+      await expect(bookings.acceptWaitlistOffer(first.waitlistId, business, { now: new Date('2026-10-19T14:15:00Z') }))
+        .rejects.toMatchObject({ code: 'WAITLIST_LOCKED', message: 'The offer for this waitlist entry has expired' });
+      expect((await bookings.getWaitlistEntry(first.waitlistId)).status).toBe('waiting');
+      expect((await bookings.getWaitlistEntry(second.waitlistId)).status).toBe('offered');
+      expect(await bookings.getAllBookings({ status: 'confirmed' })).toHaveLength(0);
+    });
+
+    test('should keep the offer when the text fails', async () => {
+      bookings.messaging = { sendSms: async () => { throw new Error('Provider down'); } };
+      const seven = await book('2026-10-20T23:00:00Z');
+      const entry = await wait('Sam Lee', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+
+      const { waitlistOffer } = await bookings.cancelBooking(seven.bookingId, business, { now });
+      expect(waitlistOffer).toMatchObject({ waitlistId: entry.waitlistId, status: 'offered' });
+      expect(waitlistOffer.offer.messageId).toBeUndefined();
+    });
+
+    test('should wait again when the offered time is taken first', async () => {
+      const seven = await book('2026-10-20T23:00:00Z');
+      const entry = await wait('Sam Lee', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+      await bookings.cancelBooking(seven.bookingId, business, { now });
+      await book('2026-10-20T23:00:00Z', 'Walk In');
+
+      await expect(bookings.acceptWaitlistOffer(entry.waitlistId, business)).rejects.toMatchObject({ code: 'SLOT_UNAVAILABLE' });
+      expect(await bookings.getWaitlistEntry(entry.waitlistId)).toMatchObject({ status: 'waiting', offer: null });
+    });
+
+    test('should take people off the waitlist', async () => {
+      const entry = await wait('Sam Lee', '2026-10-20T23:00:00Z', '2026-10-21T00:00:00Z');
+
+      expect((await bookings.removeFromWaitlist(entry.waitlistId)).status).toBe('cancelled');
+      await expect(bookings.removeFromWaitlist(entry.waitlistId)).rejects.toMatchObject({ code: 'WAITLIST_LOCKED' });
+      await expect(bookings.removeFromWaitlist('WAIT-9999')).rejects.toMatchObject({ code: 'WAITLIST_NOT_FOUND' });
+
+      const seven = await book('2026-10-20T23:00:00Z');
+      expect((await bookings.cancelBooking(seven.bookingId, business, { now })).waitlistOffer).toBeNull();
+    });
+  });
+
+  describe('By phone', () => {
+    test('should offer the waitlist when the day is full', async () => {
+      await book('2026-10-20T23:00:00Z');
+      await book('2026-10-20T23:30:00Z');
+
+      const taker = new BookingTaker({ bookings });
+      const say = text => taker.handle({
+        sessionId: 'CA-waitlist',
+        businessId: 'test-bistro',
+        business,
+        text,
+        intent: 'booking',
+        caller: '+14165550123',
+        now
+      });
+
+      expect((await say('A table for 2 tomorrow evening')).reply).toBe(
+        "Sure, I can book that for you. Sorry, we're fully booked on Tuesday, October 20. " +
+        'Would you like me to put you on the waitlist in case something opens up, or would another day work?'
+      );
+      expect((await say('Yes please')).reply).toBe('What name should I put the booking under?');
+      expect((await say('Sam Lee')).reply).toBe("Should we use the number you're calling from in case we need to reach you?");
+
+      const done = await say('Yes');
+      expect(done.reply).toBe(
+        "You're on the waitlist for Tuesday, October 20 in the evening. If a booking is cancelled we'll offer you the time. " +
+        'Is there anything else I can help you with?'
+      );
+      expect(done.waitlist).toMatchObject({
+        businessId: 'test-bistro',
+        customerName: 'Sam Lee',
+        customerPhone: '+14165550123',
+        partySize: 2,
+        windowStart: '2026-10-20T21:00:00.000Z',
+        windowEnd: '2026-10-21T01:00:00.000Z',
+        status: 'waiting'
+      });
+      expect(taker.hasSession('CA-waitlist')).toBe(false);
+    });
+
+    test('should move on to another day instead', async () => {
+      await book('2026-10-20T23:00:00Z');
+      await book('2026-10-20T23:30:00Z');
+
+      const taker = new BookingTaker({ bookings });
+      const say = text => taker.handle({
+        sessionId: 'CA-waitlist', businessId: 'test-bistro', business, text, intent: 'booking', now
+      });
+
+      await say('A table for 2 tomorrow');
+      expect((await say('How about Wednesday?')).reply).toBe('What time would you like on Wednesday, October 21?');
+      expect(await bookings.getWaitlist()).toHaveLength(0);
+    });
+  });
+
+  describe('API', () => {
+    const businessId = 'waitlist-test';
+    let app;
+
+    beforeAll(() => {
+      saveBusinessData(businessId, business);
+      process.env.BOOKINGS_FILE = path.join(tempDir, 'api-bookings.json');
+      process.env.WAITLIST_FILE = path.join(tempDir, 'api-waitlist.json');
+      process.env.MESSAGING_OUTBOX_FILE = path.join(tempDir, 'api-outbox.json');
+      jest.resetModules();
+
+      app = express();
+      app.use(express.json());
+      app.use('/book', require('../routes/book'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(getBusinessFilePath(businessId), { force: true });
+      delete process.env.BOOKINGS_FILE;
+      delete process.env.WAITLIST_FILE;
+      delete process.env.MESSAGING_OUTBOX_FILE;
+      jest.resetModules();
+    });
+
+    test('should queue, offer and book through the routes', async () => {
+      // A Wednesday far enough ahead that the test never runs into the past
+      const created = await request(app)
+        .post('/book')
+        .send({
+          customerName: 'Other Guest',
+          customerEmail: 'guest@example.com',
+          customerPhone: '+14165550100',
+          date: '2030-01-09',
+          startTime: '2030-01-10T00:00:00Z',
+          endTime: '2030-01-10T00:30:00Z',
+          serviceType: 'appointment',
+          businessId
+        })
+        .expect(201);
+
+      const joined = await request(app)
+        .post('/book/waitlist')
+        .send({
+          customerName: 'Sam Lee',
+          customerPhone: '+14165550123',
+          windowStart: '2030-01-10T00:00:00Z',
+          windowEnd: '2030-01-10T01:00:00Z',
+          businessId
+        })
+        .expect(201);
+      const { waitlistId } = joined.body.entry;
+      expect(joined.body.entry).toMatchObject({ date: '2030-01-09', status: 'waiting' });
+
+      const listed = await request(app).get('/book/waitlist').query({ date: '2030-01-09', business_id: businessId }).expect(200);
+      expect(listed.body.waitlist.map(entry => entry.waitlistId)).toEqual([waitlistId]);
+
+      await request(app).post(`/book/waitlist/${waitlistId}/accept`).expect(409);
+
+      const cancelled = await request(app).delete(`/book/${created.body.booking.bookingId}`).expect(200);
+      expect(cancelled.body.result.waitlistOffer).toMatchObject({ waitlistId, status: 'offered' });
+
+      const accepted = await request(app).post(`/book/waitlist/${waitlistId}/accept`).expect(201);
+      expect(accepted.body.booking).toMatchObject({ customerName: 'Sam Lee', startTime: '2030-01-10T00:00:00.000Z' });
+      expect((await request(app).get(`/book/waitlist/${waitlistId}`).expect(200)).body.entry.status).toBe('booked');
+    });
+
+    test('should reject bad entries', async () => {
+      const entry = {
+        customerName: 'Sam Lee',
+        customerPhone: '+14165550123',
+        windowStart: '2030-01-10T01:00:00Z',
+        windowEnd: '2030-01-10T00:00:00Z'
+      };
+
+      await request(app).post('/book/waitlist').send({ ...entry, windowStart: 'soon' }).expect(400);
+      await request(app).post('/book/waitlist').send(entry).expect(400);
+      await request(app)
+        .post('/book/waitlist')
+        .send({ ...entry, windowStart: '2020-01-01T00:00:00Z', windowEnd: '2020-01-01T01:00:00Z' })
+        .expect(400);
+
+      const missing = await request(app)
+        .post('/book/waitlist')
+        .send({ ...entry, windowEnd: '2030-01-10T02:00:00Z', businessId: 'no-such-business' })
+        .expect(404);
+      expect(missing.body.error).toBe('Business not found');
+
+      await request(app).get('/book/waitlist/WAIT-9999').expect(404);
+      await request(app).delete('/book/waitlist/WAIT-9999').expect(404);
+      await request(app).get('/book/waitlist').query({ status: 'unknown' }).expect(400);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const phoneRouter = require('./services/phoneRouting');
+const { normalizePhoneNumber } = require('./services/phoneRouting');
 require('dotenv').config();
 
 const app = express();
@@ -31,15 +33,24 @@ app.post('/stream', (req, res) => {
     ? `wss://${host}/ws`
     : `${protocol}://${host.replace(':3001', ':8081')}/ws`;
 
+  // Each dialled number answers as its own business
+  const businessId = phoneRouter.resolveBusinessId(To);
+  const toNumber = normalizePhoneNumber(To) || '';
+  const fromNumber = normalizePhoneNumber(From) || '';
+
   // TwiML response - NO robotic greeting, immediate stream
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Start>
-    <Stream url="${streamUrl}" name="RealTimeAI"/>
+    <Stream url="${streamUrl}" name="RealTimeAI">
+      <Parameter name="businessId" value="${businessId}"/>
+      <Parameter name="to" value="${toNumber}"/>
+      <Parameter name="from" value="${fromNumber}"/>
+    </Stream>
   </Start>
 </Response>`;
 
-  console.log(`🎙️  Streaming to: ${streamUrl}`);
+  console.log(`🎙️  Streaming to: ${streamUrl} (business: ${businessId})`);
 
   res.set('Content-Type', 'text/xml');
   res.send(twiml);